@@ -0,0 +1,91 @@
+/**
+ * Background Jobs (admin only)
+ *
+ * GET  /api/admin/jobs
+ *   Lists jobs with their schedule, pause state and latest run.
+ *   ?job=<name>&limit=50 returns that job's run history instead.
+ *
+ * POST /api/admin/jobs
+ *   Body:
+ *     {
+ *       "job": "daily-checkins",
+ *       "action": "trigger" | "pause" | "resume",
+ *       "userIds": ["..."] (optional, trigger a per-user job for some users)
+ *     }
+ *
+ * Pausing is stored in the database and applies to every instance.
+ * A triggered job runs in this request, even when the job is paused.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createJobScheduler } from '../services/scheduled-jobs.js';
+import { ROLES, requireRole } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const scheduler = createJobScheduler(supabase);
+
+const ACTIONS = ['trigger', 'pause', 'resume'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    if (req.method === 'GET') {
+      const { job, limit = 50 } = req.query || {};
+
+      if (job) {
+        if (!scheduler.jobs.has(job)) {
+          return res.status(404).json({ error: `Unknown job: ${job}` });
+        }
+
+        const runs = await scheduler.getRuns(job, parseInt(limit));
+        return res.status(200).json({ job, runs });
+      }
+
+      return res.status(200).json({ jobs: await scheduler.listJobs() });
+    }
+
+    const { job, action, userIds } = req.body || {};
+
+    if (!job || !ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['job', `action (${ACTIONS.join(', ')})`]
+      });
+    }
+
+    if (!scheduler.jobs.has(job)) {
+      return res.status(404).json({ error: `Unknown job: ${job}` });
+    }
+
+    if (userIds !== undefined && !Array.isArray(userIds)) {
+      return res.status(400).json({ error: 'userIds must be an array' });
+    }
+
+    if (action === 'pause') {
+      return res.status(200).json({ job, state: await scheduler.pause(job, req.user.id) });
+    }
+
+    if (action === 'resume') {
+      return res.status(200).json({ job, state: await scheduler.resume(job) });
+    }
+
+    const run = await scheduler.trigger(job, { triggeredBy: req.user.id, userIds });
+    return res.status(200).json({ job, run });
+
+  } catch (error) {
+    console.error('Job admin error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Merchant Moderation Queue (admin only)
+ *
+ * GET  /api/admin/merchants
+ *   Merchant submissions, newest first. ?status=pending (default),
+ *   approved or rejected; ?limit=50. ?submissionId=... returns one
+ *   submission with its votes.
+ *
+ * POST /api/admin/merchants
+ *   Body:
+ *     {
+ *       "action": "approve" | "reject",
+ *       "submissionId": "...",
+ *       "notes": "..." (optional)
+ *     }
+ *   approve  publish the submission to the crowdsourced merchant database
+ *   reject   close the submission without publishing it
+ *
+ * Both actions are recorded in the audit log.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import MerchantModeration, { SUBMISSION_STATUS } from '../services/merchant-moderation.js';
+import { ROLES, requireRole } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const moderation = new MerchantModeration(supabase);
+
+const ACTIONS = ['approve', 'reject'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    if (req.method === 'GET') {
+      const { submissionId, status = SUBMISSION_STATUS.PENDING, limit = 50 } = req.query || {};
+
+      if (submissionId) {
+        const submission = await moderation.getSubmission(submissionId);
+        if (!submission) {
+          return res.status(404).json({ error: `Unknown submission: ${submissionId}` });
+        }
+
+        return res.status(200).json({ submission });
+      }
+
+      const submissions = await moderation.listSubmissions({ status, limit: parseInt(limit) });
+
+      return res.status(200).json({ submissions });
+    }
+
+    const { action, submissionId, notes = null } = req.body || {};
+
+    if (!ACTIONS.includes(action) || !submissionId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: [`action (${ACTIONS.join(', ')})`, 'submissionId']
+      });
+    }
+
+    const submission = action === 'approve'
+      ? await moderation.approve(submissionId, req.user.id, notes)
+      : await moderation.reject(submissionId, req.user.id, notes);
+
+    return res.status(200).json({ action, submission });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Merchant moderation admin error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Model Monitoring Report (admin only)
+ *
+ * GET /api/admin/model-monitoring
+ *   Feature drift of the gambling classifier against its training stats,
+ *   precision/recall per gambling type over the last 7 and 30 days of
+ *   confirmed labels, and the alert thresholds crossed.
+ *   ?driftDays=7 changes the drift window.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import ModelMonitor from '../services/model-monitor.js';
+import { ROLES, requireRole } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const monitor = new ModelMonitor(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    const { driftDays = 7 } = req.query || {};
+
+    const report = await monitor.getReport({ driftDays: parseInt(driftDays) || 7 });
+
+    return res.status(200).json(report);
+
+  } catch (error) {
+    console.error('Model monitoring report error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
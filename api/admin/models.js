@@ -0,0 +1,114 @@
+/**
+ * Model Registry (admin only)
+ *
+ * GET  /api/admin/models
+ *   Registered versions of the gambling classifier with their training
+ *   metadata and evaluation scores, plus the production and shadow versions.
+ *   ?version=... returns one version and, for a shadow version, its logged
+ *   disagreements with production (?limit=50).
+ *
+ * POST /api/admin/models
+ *   Body:
+ *     {
+ *       "action": "promote" | "rollback" | "shadow" | "stop-shadow" | "reject",
+ *       "version": "20240301-041500" (not needed for rollback and stop-shadow)
+ *     }
+ *   promote      make the version production (the current one is retired)
+ *   rollback     restore the version the current production version replaced
+ *   shadow       score live transactions with the version alongside production
+ *   stop-shadow  stop the shadow version
+ *   reject       mark a version as never to be promoted
+ *
+ * Running ML engines pick up changes within five minutes.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import ModelRegistry from '../services/model-registry.js';
+import { ROLES, requireRole } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const registry = new ModelRegistry(supabase);
+
+const ACTIONS = ['promote', 'rollback', 'shadow', 'stop-shadow', 'reject'];
+const VERSION_ACTIONS = ['promote', 'shadow', 'reject'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    if (req.method === 'GET') {
+      const { version, limit = 50 } = req.query || {};
+
+      if (version) {
+        const row = await registry.getVersion(version);
+        if (!row) {
+          return res.status(404).json({ error: `Unknown version: ${version}` });
+        }
+
+        const disagreements = row.shadow_predictions > 0
+          ? await registry.getDisagreements(version, parseInt(limit))
+          : [];
+
+        return res.status(200).json({ version: row, disagreements });
+      }
+
+      const [active, versions] = await Promise.all([
+        registry.getActiveVersions(),
+        registry.listVersions(parseInt(limit))
+      ]);
+
+      return res.status(200).json({ ...active, versions });
+    }
+
+    const { action, version } = req.body || {};
+
+    if (!ACTIONS.includes(action) || (VERSION_ACTIONS.includes(action) && !version)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: [`action (${ACTIONS.join(', ')})`, `version (for ${VERSION_ACTIONS.join(', ')})`]
+      });
+    }
+
+    let result;
+    switch (action) {
+      case 'promote':
+        result = await registry.promote(version, { promotedBy: req.user.id });
+        break;
+      case 'rollback':
+        result = await registry.rollback({ promotedBy: req.user.id });
+        break;
+      case 'shadow':
+        result = await registry.startShadow(version);
+        break;
+      case 'stop-shadow':
+        result = await registry.stopShadow();
+        break;
+      case 'reject':
+        result = await registry.reject(version);
+        break;
+    }
+
+    console.log(`Model registry: ${action} ${result?.version || version || ''} by ${req.user.id}`);
+
+    return res.status(200).json({ action, version: result });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Model registry admin error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
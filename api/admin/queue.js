@@ -0,0 +1,67 @@
+/**
+ * Job Queue (admin only)
+ *
+ * GET  /api/admin/queue
+ *   Queue depth (ready, delayed, running, dead) and dead-lettered jobs.
+ *   ?limit=50 limits the dead letters returned.
+ *
+ * POST /api/admin/queue
+ *   Body:
+ *     {
+ *       "action": "retry",
+ *       "deadLetterId": "..."
+ *     }
+ *   Enqueues a dead-lettered job again with a fresh set of attempts.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { getJobQueue } from '../services/queue-handlers.js';
+import { ROLES, requireRole } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    const queue = getJobQueue(supabase);
+
+    if (req.method === 'GET') {
+      const { limit = 50 } = req.query || {};
+
+      const [depth, deadLetters] = await Promise.all([
+        queue.updateDepthMetrics(),
+        queue.listDeadLetters(parseInt(limit))
+      ]);
+
+      return res.status(200).json({ depth, deadLetters });
+    }
+
+    const { action, deadLetterId } = req.body || {};
+
+    if (action !== 'retry' || !deadLetterId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['action (retry)', 'deadLetterId']
+      });
+    }
+
+    const job = await queue.retryDeadLetter(deadLetterId);
+
+    return res.status(200).json({ deadLetterId, job });
+
+  } catch (error) {
+    console.error('Queue admin error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -4,9 +4,63 @@
  *
  * POST /api/ai/conversation
  * Handles conversation requests from mobile app
+ *
+ * The user context in the prompt (clean streak, today's spend, the latest
+ * transaction) is loaded for the signed-in user, never taken from the body.
  */
 
+import { createClient } from '@supabase/supabase-js';
 import { getAIResponse, getStreamingResponse } from '../services/ai-conversation.mjs';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Prompt context for a user: days since their commitment started or their
+ * last non-whitelisted transaction, non-whitelisted spend today, and that
+ * transaction
+ */
+async function getUserData(userId) {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const [{ data: user, error: userError }, { data: transactions, error }] = await Promise.all([
+    supabase.from('users').select('commitment_start').eq('id', userId).single(),
+    supabase
+      .from('transactions')
+      .select('amount, payee_name, timestamp')
+      .eq('user_id', userId)
+      .eq('is_whitelisted', false)
+      .order('timestamp', { ascending: false })
+      .limit(50)
+  ]);
+
+  if (userError && userError.code !== 'PGRST116') throw userError;
+  if (error) throw error;
+
+  const latest = transactions?.[0];
+  const streakStart = [user?.commitment_start, latest?.timestamp]
+    .filter(Boolean)
+    .map(value => new Date(value))
+    .sort((a, b) => b - a)[0];
+
+  const totalSpend = (transactions || [])
+    .filter(transaction => new Date(transaction.timestamp) >= startOfDay)
+    .reduce((sum, transaction) => sum + Math.abs(parseFloat(transaction.amount)), 0);
+
+  return {
+    cleanStreak: streakStart ? Math.max(0, Math.floor((Date.now() - streakStart) / DAY_MS)) : 0,
+    totalSpend,
+    lastTransaction: latest
+      ? `$${Math.abs(parseFloat(latest.amount)).toFixed(2)} to ${latest.payee_name}`
+      : ''
+  };
+}
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -15,13 +69,18 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { messages, trigger, userData, streaming = false } = req.body;
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { messages, trigger, streaming = false } = req.body || {};
 
     // Validate required fields
     if (!trigger) {
       return res.status(400).json({ error: 'Trigger type is required' });
     }
 
+    const userData = await getUserData(user.id);
+
     // Handle streaming responses
     if (streaming) {
       // Set headers for SSE (Server-Sent Events)
@@ -0,0 +1,93 @@
+/**
+ * Classification Feedback
+ *
+ * POST /api/feedback/classification
+ * Marks a transaction's classification as correct or incorrect. The user
+ * and their guardians may label the user's transactions; a second label from
+ * the same person replaces the first.
+ *
+ * Body:
+ *   {
+ *     "transactionId": "...",
+ *     "correct": false,
+ *     "gamblingType": "sports" (optional: online, venue, sports, lottery),
+ *     "notes": "..." (optional)
+ *   }
+ *
+ * GET /api/feedback/classification?transactionId=...
+ *   Labels recorded on the transaction.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import ClassificationFeedback, { GAMBLING_TYPES } from '../services/classification-feedback.js';
+import { requireUser, canAccessUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const feedback = new ClassificationFeedback(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const params = req.method === 'GET' ? req.query || {} : req.body || {};
+    const { transactionId } = params;
+
+    if (!transactionId) {
+      return res.status(400).json({ error: 'transactionId is required' });
+    }
+
+    const { data: transaction, error } = await supabase
+      .from('transactions')
+      .select('transaction_id, user_id, verdict, verdict_confidence, gambling_type, is_whitelisted')
+      .eq('transaction_id', transactionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!(await canAccessUser(user, transaction.user_id))) {
+      return res.status(403).json({ error: 'Access to this user is not permitted' });
+    }
+
+    if (req.method === 'GET') {
+      const labels = await feedback.getFeedback(transactionId);
+      return res.status(200).json({ transactionId, feedback: labels });
+    }
+
+    const { correct, gamblingType, notes } = params;
+
+    if (typeof correct !== 'boolean') {
+      return res.status(400).json({ error: 'correct must be true or false' });
+    }
+
+    if (gamblingType && !GAMBLING_TYPES.includes(gamblingType)) {
+      return res.status(400).json({
+        error: 'Invalid gamblingType',
+        allowed: GAMBLING_TYPES
+      });
+    }
+
+    const label = await feedback.recordFeedback(transaction, user, { correct, gamblingType, notes });
+
+    return res.status(200).json({ feedback: label });
+
+  } catch (error) {
+    console.error('Classification feedback error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
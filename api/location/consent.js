@@ -0,0 +1,57 @@
+/**
+ * Location Tracking Consent
+ *
+ * GET  /api/location/consent
+ *   Whether the user has consented to location tracking.
+ *
+ * POST /api/location/consent
+ *   Body: { "consented": true }
+ *   Withdrawing consent (false) also deletes the user's venue dwell history.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import LocationRisk from '../services/location-risk.js';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const locationRisk = new LocationRisk(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ hasConsent: await locationRisk.hasConsent(user.id) });
+    }
+
+    const { consented } = req.body || {};
+
+    if (typeof consented !== 'boolean') {
+      return res.status(400).json({ error: 'consented (boolean) is required' });
+    }
+
+    const consent = await locationRisk.setConsent(user.id, consented);
+
+    return res.status(200).json({
+      success: true,
+      hasConsent: consent.consented,
+      consentDate: consent.consented_at
+    });
+
+  } catch (error) {
+    console.error('Location consent error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Location Report
+ *
+ * POST /api/location/report
+ *   The app reports the device's coarse location while location tracking
+ *   consent is given (see consent.js).
+ *
+ * Body:
+ *   {
+ *     "latitude": -33.868,
+ *     "longitude": 151.195,
+ *     "accuracy": 65 (optional, metres),
+ *     "recordedAt": "2024-04-01T10:30:00Z" (optional, defaults to now)
+ *   }
+ *
+ * Responds with the venue the user is at (if any), how long they have been
+ * there and the resulting risk level (see services/location-risk.js).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import LocationRisk from '../services/location-risk.js';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const locationRisk = new LocationRisk(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { latitude, longitude, accuracy, recordedAt } = req.body || {};
+
+    const result = await locationRisk.reportLocation(user.id, {
+      latitude,
+      longitude,
+      accuracy: accuracy ?? null,
+      recordedAt: recordedAt || new Date()
+    });
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Location report error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Merchant Submissions
+ *
+ * Users propose merchants for the crowdsourced merchant database and vote
+ * on each other's proposals. Submissions are used for enrichment only once
+ * enough users agree or an admin approves them (see
+ * services/merchant-moderation.js).
+ *
+ * GET  /api/merchants/submissions?status=pending&merchantName=...
+ *   Submissions to vote on (status defaults to pending).
+ *
+ * POST /api/merchants/submissions
+ *   Body:
+ *     {
+ *       "merchantName": "LUCKY STAR HOTEL",
+ *       "isGambling": true,
+ *       "displayName": "Lucky Star Hotel" (optional),
+ *       "type": "gaming_venue" (optional),
+ *       "category": "gambling" (optional),
+ *       "tags": ["venue"] (optional),
+ *       "confidence": 90 (optional, 0-100)
+ *     }
+ *
+ * POST /api/merchants/submissions/:submissionId/vote
+ *   Body: { "agrees": true, "confidence": 80 (optional, 0-100) }
+ *   A second vote from the same user replaces the first.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import MerchantModeration, { SUBMISSION_STATUS } from '../services/merchant-moderation.js';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const moderation = new MerchantModeration(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { submissionId } = req.query || {};
+
+    if (req.method === 'GET') {
+      const { status = SUBMISSION_STATUS.PENDING, merchantName, limit = 50 } = req.query || {};
+
+      if (!Object.values(SUBMISSION_STATUS).includes(status)) {
+        return res.status(400).json({ error: 'Invalid status', allowed: Object.values(SUBMISSION_STATUS) });
+      }
+
+      const submissions = await moderation.listSubmissions({
+        status,
+        merchantId: merchantName ? moderation.enrichment.getMerchantId(merchantName) : null,
+        limit: parseInt(limit)
+      });
+
+      return res.status(200).json({ submissions });
+    }
+
+    const body = req.body || {};
+
+    if (body.confidence !== undefined && (typeof body.confidence !== 'number' || body.confidence < 0 || body.confidence > 100)) {
+      return res.status(400).json({ error: 'confidence must be a number from 0 to 100' });
+    }
+
+    if (submissionId) {
+      if (typeof body.agrees !== 'boolean') {
+        return res.status(400).json({ error: 'agrees must be true or false' });
+      }
+
+      const submission = await moderation.vote(submissionId, user.id, {
+        agrees: body.agrees,
+        confidence: body.confidence
+      });
+
+      return res.status(200).json({ submission });
+    }
+
+    if (!body.merchantName || typeof body.isGambling !== 'boolean') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['merchantName', 'isGambling (true or false)']
+      });
+    }
+
+    const submission = await moderation.submit({
+      merchantName: body.merchantName,
+      displayName: body.displayName,
+      type: body.type,
+      isGambling: body.isGambling,
+      category: body.category,
+      tags: Array.isArray(body.tags) ? body.tags : []
+    }, user.id, { confidence: body.confidence });
+
+    return res.status(200).json({ submission });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Merchant submission error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Authentication & Authorization Middleware
+ *
+ * Validates Supabase access tokens (JWTs) and enforces per-user access:
+ * - A caller can always access their own data
+ * - Guardians and counselors can access users they are linked to
+ * - Admins can access everyone
+ *
+ * Tokens are verified locally with SUPABASE_JWT_SECRET (HS256). When no
+ * secret is configured, AUTH_LOCAL_SIGNING_KEY acts as a stand-in signing key
+ * for tests and local development (see signToken). Without either, the token
+ * is checked against Supabase Auth.
+ *
+ * Endpoints that proxy the user's own Up Bank token (api/up/accounts,
+ * api/up/transactions) and provider webhooks authenticate by other means and
+ * do not use this module.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * User roles
+ */
+const ROLES = {
+  USER: 'user',
+  GUARDIAN: 'guardian',
+  COUNSELOR: 'counselor',
+  ADMIN: 'admin'
+};
+
+const VALID_ROLES = Object.values(ROLES);
+
+let supabaseClient = null;
+
+/**
+ * Lazily create the service-role Supabase client used for lookups
+ */
+function getSupabase() {
+  if (!supabaseClient) {
+    supabaseClient = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabaseClient;
+}
+
+/**
+ * Create an error carrying an HTTP status code
+ */
+function authError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Get the key used to verify (and, locally, sign) tokens
+ */
+function getSigningKey() {
+  return process.env.SUPABASE_JWT_SECRET || process.env.AUTH_LOCAL_SIGNING_KEY || null;
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function base64UrlDecodeJSON(value) {
+  return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+}
+
+/**
+ * Sign a token with the local signing key (tests and local development)
+ */
+function signToken(claims, { expiresIn = 3600 } = {}) {
+  const key = process.env.AUTH_LOCAL_SIGNING_KEY;
+  if (!key) {
+    throw new Error('AUTH_LOCAL_SIGNING_KEY is required to sign tokens locally');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({
+    iat: now,
+    exp: now + expiresIn,
+    ...claims
+  }));
+
+  const signature = crypto
+    .createHmac('sha256', key)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ */
+function verifyToken(token, key = getSigningKey()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw authError(401, 'Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = base64UrlDecodeJSON(encodedHeader);
+    claims = base64UrlDecodeJSON(encodedPayload);
+  } catch (error) {
+    throw authError(401, 'Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw authError(401, 'Unsupported token algorithm');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw authError(401, 'Invalid token signature');
+  }
+
+  // Tokens without an expiry would be valid forever
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw authError(401, 'Token has no expiry');
+  }
+  if (claims.exp < now) {
+    throw authError(401, 'Token expired');
+  }
+
+  return claims;
+}
+
+/**
+ * Map token claims (or a Supabase user) to req.user
+ */
+function userFromClaims(claims) {
+  const role = claims.app_metadata?.role || claims.user_role || ROLES.USER;
+
+  return {
+    id: claims.sub || claims.id,
+    email: claims.email || null,
+    role: VALID_ROLES.includes(role) ? role : ROLES.USER
+  };
+}
+
+/**
+ * Extract the bearer token from the request
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7).trim();
+}
+
+/**
+ * Authenticate the request and populate req.user
+ * Throws an error with statusCode 401 when the caller is not authenticated.
+ */
+async function authenticate(req) {
+  if (req.user) return req.user;
+
+  const token = getBearerToken(req);
+  if (!token) {
+    throw authError(401, 'Authentication required');
+  }
+
+  const key = getSigningKey();
+  let user;
+
+  if (key) {
+    user = userFromClaims(verifyToken(token, key));
+  } else {
+    const { data, error } = await getSupabase().auth.getUser(token);
+    if (error || !data?.user) {
+      throw authError(401, 'Invalid token');
+    }
+    user = userFromClaims(data.user);
+  }
+
+  if (!user.id) {
+    throw authError(401, 'Token has no subject');
+  }
+
+  req.user = user;
+  return user;
+}
+
+/**
+ * Check whether a caller may access a user's data
+ */
+async function canAccessUser(user, targetUserId) {
+  if (!user || !targetUserId) return false;
+  if (user.id === targetUserId) return true;
+  if (user.role === ROLES.ADMIN) return true;
+
+  if (user.role !== ROLES.GUARDIAN && user.role !== ROLES.COUNSELOR) {
+    return false;
+  }
+
+  const { data, error } = await getSupabase()
+    .from('guardian_links')
+    .select('id')
+    .eq('guardian_user_id', user.id)
+    .eq('user_id', targetUserId)
+    .eq('status', 'active')
+    .limit(1);
+
+  if (error) {
+    console.error('Error checking guardian link:', error);
+    return false;
+  }
+
+  return !!data && data.length > 0;
+}
+
+/**
+ * Authenticate the request inside a Vercel-style handler
+ * Responds with 401 and returns null when authentication fails.
+ */
+async function requireUser(req, res) {
+  try {
+    return await authenticate(req);
+  } catch (error) {
+    res.status(error.statusCode || 401).json({ error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Require one of the given roles inside a Vercel-style handler
+ * Responds with 401/403 and returns false when the caller is not allowed.
+ */
+async function requireRole(req, res, roles) {
+  const user = await requireUser(req, res);
+  if (!user) return false;
+
+  if (!roles.includes(user.role)) {
+    res.status(403).json({ error: 'Insufficient permissions' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Require access to a user's data inside a Vercel-style handler
+ * Responds with 401/403 and returns false when the caller is not allowed.
+ */
+async function requireUserAccess(req, res, targetUserId) {
+  const user = await requireUser(req, res);
+  if (!user) return false;
+
+  if (!(await canAccessUser(user, targetUserId))) {
+    res.status(403).json({ error: 'Access to this user is not permitted' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Express middleware: authenticate the request
+ */
+function authenticateMiddleware(req, res, next) {
+  authenticate(req)
+    .then(() => next())
+    .catch(error => res.status(error.statusCode || 401).json({ error: error.message }));
+}
+
+export {
+  ROLES,
+  signToken,
+  verifyToken,
+  authenticate,
+  canAccessUser,
+  requireUser,
+  requireRole,
+  requireUserAccess,
+  authenticateMiddleware
+};
@@ -0,0 +1,128 @@
+/**
+ * Request Body Parser
+ *
+ * Shared body parsing for the standalone server:
+ * - Enforces a maximum body size (413 when exceeded)
+ * - Parses JSON and URL-encoded form bodies
+ * - Keeps the raw body on req.rawBody for signature verification
+ *
+ * Handlers that verify signatures should use getRawBody(), which also works
+ * on Vercel where the body has not been read by this parser.
+ */
+
+const DEFAULT_LIMIT = 1024 * 1024; // 1 MB
+
+/**
+ * Parse a byte size such as '1mb', '100kb' or 2048
+ */
+function parseLimit(limit) {
+  if (typeof limit === 'number') return limit;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i.exec(String(limit).trim());
+  if (!match) return DEFAULT_LIMIT;
+
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'b').toLowerCase();
+  const multiplier = { b: 1, kb: 1024, mb: 1024 * 1024 }[unit];
+
+  return Math.floor(value * multiplier);
+}
+
+/**
+ * Create an error carrying an HTTP status code
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Read the raw request body, rejecting bodies over the limit
+ */
+function readRawBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'] || '0', 10);
+    if (declaredLength > limit) {
+      reject(httpError(413, 'Request body too large'));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let aborted = false;
+
+    req.on('data', chunk => {
+      if (aborted) return;
+
+      received += chunk.length;
+      if (received > limit) {
+        aborted = true;
+        reject(httpError(413, 'Request body too large'));
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (!aborted) resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+
+    req.on('error', error => {
+      if (!aborted) reject(error);
+    });
+  });
+}
+
+/**
+ * Get the exact bytes the client sent (as a UTF-8 string)
+ */
+async function getRawBody(req, options = {}) {
+  if (typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+
+  const limit = parseLimit(options.limit || process.env.MAX_BODY_SIZE || DEFAULT_LIMIT);
+  return readRawBody(req, limit);
+}
+
+/**
+ * Parse the request body into req.body (and req.rawBody)
+ */
+async function parseBody(req, options = {}) {
+  req.rawBody = await getRawBody(req, options);
+
+  if (!req.rawBody) {
+    req.body = {};
+    return req.body;
+  }
+
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    req.body = Object.fromEntries(new URLSearchParams(req.rawBody));
+    return req.body;
+  }
+
+  if (contentType && !contentType.endsWith('json')) {
+    req.body = req.rawBody;
+    return req.body;
+  }
+
+  try {
+    req.body = JSON.parse(req.rawBody);
+  } catch (error) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  return req.body;
+}
+
+export {
+  DEFAULT_LIMIT,
+  parseLimit,
+  getRawBody,
+  parseBody
+};
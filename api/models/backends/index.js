@@ -0,0 +1,64 @@
+/**
+ * Inference Backends
+ *
+ * The gambling classifier runs on one of two backends:
+ * - tensorflow  the neural network on @tensorflow/tfjs-node
+ * - javascript  dependency-free logistic heads (javascript-backend.js)
+ *
+ * ML_BACKEND selects one: 'auto' (default) uses TensorFlow when the package
+ * is installed and falls back to JavaScript otherwise; 'tensorflow' requires
+ * it; 'javascript' never loads it.
+ */
+
+import JavaScriptBackend from './javascript-backend.js';
+
+const BACKENDS = {
+  AUTO: 'auto',
+  TENSORFLOW: 'tensorflow',
+  JAVASCRIPT: 'javascript'
+};
+
+let tensorflowModule;
+
+/**
+ * Load @tensorflow/tfjs-node once; null when it is not installed
+ */
+async function loadTensorFlow() {
+  if (tensorflowModule === undefined) {
+    try {
+      const module = await import('@tensorflow/tfjs-node');
+      tensorflowModule = module.default || module;
+    } catch (error) {
+      console.warn(`TensorFlow unavailable (${error.message}); using the JavaScript classifier backend`);
+      tensorflowModule = null;
+    }
+  }
+
+  return tensorflowModule;
+}
+
+/**
+ * Create a backend for a model architecture
+ */
+async function createBackend(architecture, preference = process.env.ML_BACKEND || BACKENDS.AUTO) {
+  if (!Object.values(BACKENDS).includes(preference)) {
+    throw new Error(`Unknown ML_BACKEND: ${preference}`);
+  }
+
+  if (preference !== BACKENDS.JAVASCRIPT) {
+    const tf = await loadTensorFlow();
+
+    if (tf) {
+      const { default: TensorFlowBackend } = await import('./tensorflow-backend.js');
+      return new TensorFlowBackend(tf, architecture);
+    }
+
+    if (preference === BACKENDS.TENSORFLOW) {
+      throw new Error('ML_BACKEND=tensorflow but @tensorflow/tfjs-node is not installed');
+    }
+  }
+
+  return new JavaScriptBackend(architecture);
+}
+
+export { BACKENDS, createBackend };
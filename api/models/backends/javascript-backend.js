@@ -0,0 +1,272 @@
+/**
+ * JavaScript Inference Backend
+ *
+ * Dependency-free fallback for hosts without @tensorflow/tfjs-node. Each of
+ * the four prediction heads is a logistic model over the same 122
+ * normalised features:
+ * - gambling detection and relapse risk: sigmoid
+ * - gambling type and trigger: softmax
+ *
+ * Training is mini-batch gradient descent on the same losses as the network
+ * (binary/categorical cross-entropy, mean squared error for relapse risk),
+ * with L2 regularisation. Weights are exported as weights.json in the model
+ * directory, so they can be inspected and shipped with the repository.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const WEIGHTS_FORMAT = 'anchor-logistic-v1';
+const WEIGHTS_FILE = 'weights.json';
+const EPSILON = 1e-7;
+
+class JavaScriptBackend {
+  constructor({ inputSize, typeCount, triggerCount }) {
+    this.name = 'javascript';
+    this.inputSize = inputSize;
+    this.typeCount = typeCount;
+    this.triggerCount = triggerCount;
+    this.heads = null;
+  }
+
+  /**
+   * Whether exported weights exist in the model directory
+   */
+  exists(modelPath) {
+    return fs.existsSync(path.join(modelPath, WEIGHTS_FILE));
+  }
+
+  async load(modelPath) {
+    const exported = JSON.parse(fs.readFileSync(path.join(modelPath, WEIGHTS_FILE), 'utf8'));
+
+    if (exported.format !== WEIGHTS_FORMAT) {
+      throw new Error(`Unsupported weights format: ${exported.format}`);
+    }
+    if (exported.inputSize !== this.inputSize) {
+      throw new Error(`Weights expect ${exported.inputSize} features, model uses ${this.inputSize}`);
+    }
+
+    this.heads = exported.heads;
+  }
+
+  /**
+   * Initialise untrained (all-zero) weights
+   */
+  build() {
+    const head = (activation, units) => ({
+      activation,
+      weights: Array.from({ length: units }, () => new Array(this.inputSize).fill(0)),
+      bias: new Array(units).fill(0)
+    });
+
+    this.heads = {
+      gambling_detection: head('sigmoid', 1),
+      gambling_type: head('softmax', this.typeCount),
+      trigger_prediction: head('softmax', this.triggerCount),
+      relapse_risk: head('sigmoid', 1)
+    };
+  }
+
+  /**
+   * Predict every head for each input row
+   */
+  async predict(inputs) {
+    return inputs.map(input => this._forward(input));
+  }
+
+  async train(inputs, labels, { epochs = 50, batchSize = 32, validationSplit = 0, learningRate = 0.1, l2 = 1e-4, onEpochEnd }) {
+    const rows = inputs.map((input, i) => ({ input, target: this._target(labels, i) }));
+
+    // Like tf.fit, the validation set is the last part of the data
+    const validationSize = Math.floor(rows.length * validationSplit);
+    const trainRows = rows.slice(0, rows.length - validationSize);
+    const validationRows = rows.slice(rows.length - validationSize);
+
+    const history = { loss: [], acc: [], val_loss: [] };
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const shuffled = [...trainRows].sort(() => Math.random() - 0.5);
+
+      for (let start = 0; start < shuffled.length; start += batchSize) {
+        this._step(shuffled.slice(start, start + batchSize), learningRate, l2);
+      }
+
+      const logs = {
+        loss: this._meanLoss(trainRows),
+        acc: this._accuracy(trainRows)
+      };
+      if (validationRows.length > 0) {
+        logs.val_loss = this._meanLoss(validationRows);
+      }
+
+      history.loss.push(logs.loss);
+      history.acc.push(logs.acc);
+      if (logs.val_loss !== undefined) history.val_loss.push(logs.val_loss);
+
+      if (onEpochEnd) onEpochEnd(epoch, logs);
+    }
+
+    return { epoch: Array.from({ length: epochs }, (_, i) => i), history };
+  }
+
+  /**
+   * Combined loss over all heads
+   */
+  async loss(inputs, labels) {
+    return this._meanLoss(inputs.map((input, i) => ({ input, target: this._target(labels, i) })));
+  }
+
+  async save(modelPath) {
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const heads = Object.fromEntries(Object.entries(this.heads).map(([name, head]) => [name, {
+      activation: head.activation,
+      weights: head.weights.map(row => row.map(round)),
+      bias: head.bias.map(round)
+    }]));
+
+    fs.mkdirSync(modelPath, { recursive: true });
+    fs.writeFileSync(
+      path.join(modelPath, WEIGHTS_FILE),
+      JSON.stringify({ format: WEIGHTS_FORMAT, inputSize: this.inputSize, heads })
+    );
+  }
+
+  describe() {
+    return { backend: this.name, hiddenLayers: [] };
+  }
+
+  /**
+   * Forward pass for one input row
+   */
+  _forward(input) {
+    const outputs = {};
+
+    for (const [name, head] of Object.entries(this.heads)) {
+      const logits = head.weights.map((row, unit) => {
+        let sum = head.bias[unit];
+        for (let i = 0; i < row.length; i++) {
+          sum += row[i] * input[i];
+        }
+        return sum;
+      });
+
+      outputs[name] = head.activation === 'softmax'
+        ? softmax(logits)
+        : logits.map(sigmoid);
+    }
+
+    return {
+      gambling: outputs.gambling_detection[0],
+      type: outputs.gambling_type,
+      trigger: outputs.trigger_prediction,
+      relapse: outputs.relapse_risk[0]
+    };
+  }
+
+  /**
+   * One gradient descent step over a batch
+   */
+  _step(batch, learningRate, l2) {
+    const gradients = Object.fromEntries(Object.entries(this.heads).map(([name, head]) => [name, {
+      weights: head.weights.map(row => new Array(row.length).fill(0)),
+      bias: new Array(head.bias.length).fill(0)
+    }]));
+
+    for (const { input, target } of batch) {
+      const output = this._forward(input);
+      const errors = {
+        // Sigmoid with binary cross-entropy
+        gambling_detection: [output.gambling - target.gambling],
+        // Softmax with categorical cross-entropy; rows without a label add nothing
+        gambling_type: sum(target.type) > 0 ? output.type.map((p, k) => p - target.type[k]) : null,
+        trigger_prediction: sum(target.trigger) > 0 ? output.trigger.map((p, k) => p - target.trigger[k]) : null,
+        // Sigmoid with mean squared error
+        relapse_risk: [2 * (output.relapse - target.relapse) * output.relapse * (1 - output.relapse)]
+      };
+
+      for (const [name, error] of Object.entries(errors)) {
+        if (!error) continue;
+
+        const gradient = gradients[name];
+        error.forEach((delta, unit) => {
+          gradient.bias[unit] += delta;
+          const row = gradient.weights[unit];
+          for (let i = 0; i < row.length; i++) {
+            row[i] += delta * input[i];
+          }
+        });
+      }
+    }
+
+    for (const [name, head] of Object.entries(this.heads)) {
+      const gradient = gradients[name];
+
+      head.weights.forEach((row, unit) => {
+        for (let i = 0; i < row.length; i++) {
+          row[i] -= learningRate * (gradient.weights[unit][i] / batch.length + l2 * row[i]);
+        }
+      });
+      head.bias.forEach((_, unit) => {
+        head.bias[unit] -= learningRate * gradient.bias[unit] / batch.length;
+      });
+    }
+  }
+
+  _meanLoss(rows) {
+    if (rows.length === 0) return 0;
+
+    let total = 0;
+    for (const { input, target } of rows) {
+      const output = this._forward(input);
+      const p = clamp(output.gambling);
+
+      total += -(target.gambling * Math.log(p) + (1 - target.gambling) * Math.log(1 - p));
+      total += -target.type.reduce((acc, y, k) => acc + y * Math.log(clamp(output.type[k])), 0);
+      total += -target.trigger.reduce((acc, y, k) => acc + y * Math.log(clamp(output.trigger[k])), 0);
+      total += (output.relapse - target.relapse) ** 2;
+    }
+
+    return total / rows.length;
+  }
+
+  _accuracy(rows) {
+    if (rows.length === 0) return 0;
+
+    const correct = rows.filter(({ input, target }) =>
+      (this._forward(input).gambling > 0.5) === (target.gambling === 1)
+    ).length;
+
+    return correct / rows.length;
+  }
+
+  _target(labels, i) {
+    return {
+      gambling: labels.gambling[i][0],
+      type: labels.type[i],
+      trigger: labels.trigger[i],
+      relapse: labels.relapse[i][0]
+    };
+  }
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function softmax(logits) {
+  const max = Math.max(...logits);
+  const exps = logits.map(logit => Math.exp(logit - max));
+  const total = sum(exps);
+  return exps.map(value => value / total);
+}
+
+function sum(values) {
+  return values.reduce((acc, value) => acc + value, 0);
+}
+
+function clamp(p) {
+  return Math.min(Math.max(p, EPSILON), 1 - EPSILON);
+}
+
+export default JavaScriptBackend;
+export { WEIGHTS_FORMAT };
@@ -0,0 +1,184 @@
+/**
+ * TensorFlow.js Inference Backend
+ *
+ * Runs the gambling classifier's neural network on @tensorflow/tfjs-node:
+ * - Input: 122 normalised features
+ * - Hidden layers: 256 -> 128 -> 64 -> 32 neurons (ReLU activation)
+ * - Output heads: gambling detection (sigmoid), gambling type (softmax),
+ *   trigger (softmax), relapse risk (sigmoid)
+ *
+ * Artifacts: model.json + weights.bin in the model directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const HEADS = ['gambling_detection', 'gambling_type', 'trigger_prediction', 'relapse_risk'];
+
+class TensorFlowBackend {
+  constructor(tf, { inputSize, typeCount, triggerCount }) {
+    this.tf = tf;
+    this.name = 'tensorflow';
+    this.inputSize = inputSize;
+    this.typeCount = typeCount;
+    this.triggerCount = triggerCount;
+    this.model = null;
+  }
+
+  /**
+   * Whether a saved network exists in the model directory
+   */
+  exists(modelPath) {
+    return fs.existsSync(path.join(modelPath, 'model.json'));
+  }
+
+  async load(modelPath) {
+    this.model = await this.tf.loadLayersModel(`file://${modelPath}/model.json`);
+  }
+
+  /**
+   * Build an untrained network
+   */
+  build() {
+    const tf = this.tf;
+
+    // Input layer (122 features)
+    const input = tf.input({ shape: [this.inputSize] });
+
+    // Shared hidden layers
+    let x = tf.layers.dense({ units: 256, activation: 'relu', name: 'dense1' }).apply(input);
+    x = tf.layers.dropout({ rate: 0.3 }).apply(x);
+    x = tf.layers.dense({ units: 128, activation: 'relu', name: 'dense2' }).apply(x);
+    x = tf.layers.dropout({ rate: 0.2 }).apply(x);
+    x = tf.layers.dense({ units: 64, activation: 'relu', name: 'dense3' }).apply(x);
+    x = tf.layers.dropout({ rate: 0.2 }).apply(x);
+    x = tf.layers.dense({ units: 32, activation: 'relu', name: 'dense4' }).apply(x);
+
+    // Output head 1: Gambling detection (binary classification)
+    const gamblingOutput = tf.layers.dense({
+      units: 1,
+      activation: 'sigmoid',
+      name: 'gambling_detection'
+    }).apply(x);
+
+    // Output head 2: Gambling type (multi-class)
+    const typeOutput = tf.layers.dense({
+      units: this.typeCount,
+      activation: 'softmax',
+      name: 'gambling_type'
+    }).apply(x);
+
+    // Output head 3: Trigger prediction (multi-class)
+    const triggerOutput = tf.layers.dense({
+      units: this.triggerCount,
+      activation: 'softmax',
+      name: 'trigger_prediction'
+    }).apply(x);
+
+    // Output head 4: Relapse risk (regression)
+    const relapseOutput = tf.layers.dense({
+      units: 1,
+      activation: 'sigmoid',
+      name: 'relapse_risk'
+    }).apply(x);
+
+    // Create model
+    const model = tf.model({
+      inputs: input,
+      outputs: [gamblingOutput, typeOutput, triggerOutput, relapseOutput]
+    });
+
+    // Compile model
+    model.compile({
+      optimizer: tf.train.adam(0.001),
+      loss: {
+        gambling_detection: 'binaryCrossentropy',
+        gambling_type: 'categoricalCrossentropy',
+        trigger_prediction: 'categoricalCrossentropy',
+        relapse_risk: 'meanSquaredError'
+      },
+      metrics: ['accuracy']
+    });
+
+    console.log('Model architecture:');
+    model.summary();
+
+    this.model = model;
+  }
+
+  /**
+   * Predict every head for each input row
+   */
+  async predict(inputs) {
+    const inputTensor = this.tf.tensor2d(inputs, [inputs.length, this.inputSize]);
+    const predictions = this.model.predict(inputTensor);
+
+    const [gambling, type, trigger, relapse] = await Promise.all(
+      predictions.map(prediction => prediction.array())
+    );
+
+    inputTensor.dispose();
+    predictions.forEach(prediction => prediction.dispose());
+
+    return inputs.map((_, i) => ({
+      gambling: gambling[i][0],
+      type: type[i],
+      trigger: trigger[i],
+      relapse: relapse[i][0]
+    }));
+  }
+
+  async train(inputs, labels, { epochs, batchSize, validationSplit, verbose, onEpochEnd }) {
+    const { xs, ys } = this._tensors(inputs, labels);
+
+    const history = await this.model.fit(xs, ys, {
+      epochs,
+      batchSize,
+      validationSplit,
+      verbose,
+      callbacks: { onEpochEnd }
+    });
+
+    xs.dispose();
+    Object.values(ys).forEach(y => y.dispose());
+
+    return history;
+  }
+
+  /**
+   * Combined loss over all heads
+   */
+  async loss(inputs, labels) {
+    const { xs, ys } = this._tensors(inputs, labels);
+
+    const results = await this.model.evaluate(xs, ys);
+    const all = Array.isArray(results) ? results : [results];
+    const loss = (await all[0].data())[0];
+
+    xs.dispose();
+    Object.values(ys).forEach(y => y.dispose());
+    all.forEach(result => result.dispose());
+
+    return loss;
+  }
+
+  async save(modelPath) {
+    await this.model.save(`file://${modelPath}`);
+  }
+
+  describe() {
+    return { backend: this.name, hiddenLayers: [256, 128, 64, 32] };
+  }
+
+  _tensors(inputs, labels) {
+    const tf = this.tf;
+    const columns = [labels.gambling, labels.type, labels.trigger, labels.relapse];
+
+    return {
+      xs: tf.tensor2d(inputs),
+      ys: Object.fromEntries(HEADS.map((head, i) => [head, tf.tensor2d(columns[i])]))
+    };
+  }
+}
+
+export default TensorFlowBackend;
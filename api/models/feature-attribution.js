@@ -0,0 +1,162 @@
+/**
+ * Feature Attribution
+ *
+ * Explains a gambling prediction by occlusion: each feature (or group of
+ * related features, e.g. hour of day with its cyclical encodings) is reset
+ * to a neutral baseline and the transaction is scored again. The feature's
+ * contribution is how much the gambling probability drops without it:
+ *
+ *   contribution = p(transaction) - p(transaction with feature at baseline)
+ *
+ * Occlusion only needs predictions, so it works the same on every inference
+ * backend. Baselines are typical values for a non-gambling transaction.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ATTRIBUTED_FEATURES = [
+  {
+    key: 'time_of_day',
+    baseline: { hourOfDay: 12, hourSin: 0, hourCos: -1, isLateNight: false, isEarlyMorning: false },
+    label: f => (f.isLateNight ? 'late night' : f.isEarlyMorning ? 'early morning' : `${f.hourOfDay}:00`)
+  },
+  {
+    key: 'day_of_week',
+    baseline: { dayOfWeek: 3, dayOfWeekSin: Math.sin(6 * Math.PI / 7), dayOfWeekCos: Math.cos(6 * Math.PI / 7), isWeekend: false },
+    label: f => (f.isWeekend ? 'weekend' : DAY_NAMES[f.dayOfWeek] || 'day of week')
+  },
+  {
+    key: 'payday',
+    baseline: { isPayday: false, dayOfMonth: 8 },
+    label: f => (f.isPayday ? 'payday' : `day ${f.dayOfMonth} of month`)
+  },
+  {
+    key: 'amount',
+    baseline: { amount: 45.2, amountPercentile: 50, amountZScore: 0, isAboveAverage: false, isRoundNumber: false, amountRatio: 1 },
+    label: f => `amount $${Number(f.amount || 0).toFixed(2)}`
+  },
+  {
+    key: 'merchant_category',
+    baseline: { merchantCategory: 'other' },
+    label: f => `merchant category (${f.merchantCategory || 'other'})`
+  },
+  {
+    key: 'merchant_risk',
+    baseline: { merchantRiskScore: 0 },
+    label: f => `merchant risk ${Number(f.merchantRiskScore || 0).toFixed(2)}`
+  },
+  {
+    key: 'known_gambling_venue',
+    baseline: { isKnownGamblingVenue: false },
+    label: f => (f.isKnownGamblingVenue ? 'known gambling venue' : 'not a known venue')
+  },
+  {
+    key: 'merchant_history',
+    baseline: { merchantFrequency: 10, isNewMerchant: false },
+    label: f => (f.isNewMerchant ? 'new merchant' : `${f.merchantFrequency} past txns at merchant`)
+  },
+  {
+    key: 'recent_activity',
+    baseline: { transactionsInLastHour: 0, timeSinceLastTransaction: 99999, transactionBurstActive: false },
+    label: f => (f.transactionBurstActive ? 'transaction burst' : `${f.transactionsInLastHour || 0} txns in last hour`)
+  },
+  {
+    key: 'daily_activity',
+    baseline: { transactionsInLastDay: 0 },
+    label: f => `${f.transactionsInLastDay || 0} txns in last day`
+  },
+  {
+    key: 'recent_atm',
+    baseline: { hadRecentATMWithdrawal: false },
+    label: f => (f.hadRecentATMWithdrawal ? 'recent ATM withdrawal' : 'no recent ATM withdrawal')
+  },
+  {
+    key: 'recent_drinking',
+    baseline: { hadRecentDrinkingVenue: false },
+    label: f => (f.hadRecentDrinkingVenue ? 'recent drinking venue' : 'no recent drinking venue')
+  },
+  {
+    key: 'gambling_history',
+    baseline: { totalGamblingTransactions: 0, daysSinceLastGamble: 365, totalRelapses: 0, averageTimeBetweenRelapses: 0 },
+    label: f => `${f.totalGamblingTransactions || 0} past gambling txns`
+  },
+  {
+    key: 'clean_streak',
+    baseline: { currentCleanStreak: 15, longestCleanStreak: 15 },
+    label: f => `${f.currentCleanStreak || 0}-day clean streak`
+  },
+  {
+    key: 'historical_pattern',
+    baseline: { matchesHistoricalPattern: 0, patternStrength: 0, primaryTrigger: null },
+    label: f => (f.matchesHistoricalPattern ? 'matches past pattern' : 'pattern strength')
+  },
+  {
+    key: 'commitment',
+    baseline: { isCommitmentActive: false, daysIntoCommitment: 0 },
+    label: f => (f.isCommitmentActive ? `day ${f.daysIntoCommitment || 0} of commitment` : 'no active commitment')
+  },
+  {
+    key: 'account_balance',
+    baseline: { accountBalance: 1000 },
+    label: f => `balance $${Math.round(f.accountBalance || 0)}`
+  },
+  {
+    key: 'guardian',
+    baseline: { hasGuardian: false },
+    label: f => (f.hasGuardian ? 'has guardian' : 'no guardian')
+  },
+  {
+    key: 'similar_users',
+    baseline: { similarUserBehavior: 0 },
+    label: () => 'similar users'
+  }
+];
+
+// Contributions smaller than this are left out of the explanation
+const MIN_CONTRIBUTION = 0.005;
+
+/**
+ * Copies of the features with each attributed feature set to its baseline
+ */
+function occlude(features) {
+  return ATTRIBUTED_FEATURES.map(definition => ({ ...features, ...definition.baseline }));
+}
+
+/**
+ * Build the explanation from the gambling probability of the transaction
+ * and of each occluded copy (in ATTRIBUTED_FEATURES order)
+ */
+function attribute(features, probability, occludedProbabilities, { top = 5 } = {}) {
+  const attributions = ATTRIBUTED_FEATURES
+    .map((definition, i) => ({
+      feature: definition.key,
+      label: definition.label(features),
+      contribution: round(probability - occludedProbabilities[i])
+    }))
+    .filter(attribution => Math.abs(attribution.contribution) >= MIN_CONTRIBUTION)
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    .slice(0, top);
+
+  return {
+    method: 'occlusion',
+    output: 'gambling_detection',
+    probability: round(probability),
+    attributions,
+    summary: summarize(attributions)
+  };
+}
+
+/**
+ * One-line summary, e.g. "late night +0.21, merchant category (gambling) +0.35"
+ */
+function summarize(attributions) {
+  return attributions
+    .map(({ label, contribution }) => `${label} ${contribution >= 0 ? '+' : '-'}${Math.abs(contribution).toFixed(2)}`)
+    .join(', ');
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { ATTRIBUTED_FEATURES, occlude, attribute, summarize };
@@ -15,20 +15,38 @@
  *   2. Gambling type (4 classes)
  *   3. Trigger prediction (8 classes)
  *   4. Relapse risk (regression)
+ *
+ * The network runs on TensorFlow.js when @tensorflow/tfjs-node is installed.
+ * Otherwise a dependency-free logistic model with the same four heads is used
+ * (see backends/), so classification works on any Node host.
  */
 
-import * as tf from '@tensorflow/tfjs-node';
 import path from 'path';
+import { createBackend } from './backends/index.js';
+import { occlude, attribute } from './feature-attribution.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_MODEL_PATH = path.join(__dirname, '../data/models/gambling-classifier');
+const INPUT_FEATURES = 122;
+
 class GamblingClassifier {
-  constructor() {
+  /**
+   * `modelPath` and `modelVersion` override the live model, e.g. for a
+   * candidate being trained and evaluated before promotion.
+   * With `requireArtifacts` (registered versions) loadModel throws when the
+   * saved model is missing or unreadable instead of building an untrained one.
+   */
+  constructor(options = {}) {
     this.model = null;
-    this.modelVersion = '1.0.0';
-    this.modelPath = path.join(__dirname, '../data/models/gambling-classifier');
+    this.ready = false;
+    this.backendPreference = options.backend;
+    this.modelVersion = options.modelVersion || '1.0.0';
+    this.versionPinned = !!options.modelVersion;
+    this.modelPath = options.modelPath || DEFAULT_MODEL_PATH;
+    this.requireArtifacts = !!options.requireArtifacts;
 
     // Feature normalization parameters (from training data)
     this.featureStats = {
@@ -58,135 +76,58 @@ class GamblingClassifier {
 
   /**
    * Load pre-trained model
+   * `this.model` is the inference backend holding the weights.
    */
   async loadModel() {
+    await this._createBackend();
+
     try {
       // Try to load saved model
       if (await this._modelExists()) {
-        this.model = await tf.loadLayersModel(`file://${this.modelPath}/model.json`);
-        console.log('Loaded pre-trained gambling classifier model');
+        await this.model.load(this.modelPath);
+        await this._loadVersion();
+        console.log(`Loaded pre-trained gambling classifier model (version ${this.modelVersion}, ${this.model.name} backend)`);
+      } else if (this.requireArtifacts) {
+        throw new Error(`Model ${this.modelVersion} has no saved model at ${this.modelPath}`);
       } else {
         // Build new model if not exists
         console.log('No pre-trained model found. Building new model...');
-        this.model = this._buildModel();
+        this.model.build();
         console.log('New model built. Training required for optimal accuracy.');
       }
 
+      this.ready = true;
       return true;
     } catch (error) {
       console.error('Error loading model:', error);
+      if (this.requireArtifacts) throw error;
+
       // Fallback to new model
-      this.model = this._buildModel();
+      this.model.build();
+      this.ready = true;
       return true;
     }
   }
 
-  /**
-   * Build model architecture
-   */
-  _buildModel() {
-    // Input layer (122 features)
-    const input = tf.input({ shape: [122] });
-
-    // Shared hidden layers
-    let x = tf.layers.dense({ units: 256, activation: 'relu', name: 'dense1' }).apply(input);
-    x = tf.layers.dropout({ rate: 0.3 }).apply(x);
-    x = tf.layers.dense({ units: 128, activation: 'relu', name: 'dense2' }).apply(x);
-    x = tf.layers.dropout({ rate: 0.2 }).apply(x);
-    x = tf.layers.dense({ units: 64, activation: 'relu', name: 'dense3' }).apply(x);
-    x = tf.layers.dropout({ rate: 0.2 }).apply(x);
-    x = tf.layers.dense({ units: 32, activation: 'relu', name: 'dense4' }).apply(x);
-
-    // Output head 1: Gambling detection (binary classification)
-    const gamblingOutput = tf.layers.dense({
-      units: 1,
-      activation: 'sigmoid',
-      name: 'gambling_detection'
-    }).apply(x);
-
-    // Output head 2: Gambling type (multi-class)
-    const typeOutput = tf.layers.dense({
-      units: 4,
-      activation: 'softmax',
-      name: 'gambling_type'
-    }).apply(x);
-
-    // Output head 3: Trigger prediction (multi-class)
-    const triggerOutput = tf.layers.dense({
-      units: 8,
-      activation: 'softmax',
-      name: 'trigger_prediction'
-    }).apply(x);
-
-    // Output head 4: Relapse risk (regression)
-    const relapseOutput = tf.layers.dense({
-      units: 1,
-      activation: 'sigmoid',
-      name: 'relapse_risk'
-    }).apply(x);
-
-    // Create model
-    const model = tf.model({
-      inputs: input,
-      outputs: [gamblingOutput, typeOutput, triggerOutput, relapseOutput]
-    });
-
-    // Compile model
-    model.compile({
-      optimizer: tf.train.adam(0.001),
-      loss: {
-        gambling_detection: 'binaryCrossentropy',
-        gambling_type: 'categoricalCrossentropy',
-        trigger_prediction: 'categoricalCrossentropy',
-        relapse_risk: 'meanSquaredError'
-      },
-      metrics: ['accuracy']
-    });
-
-    console.log('Model architecture:');
-    model.summary();
-
-    return model;
-  }
-
   /**
    * Make prediction
+   * `featureStats` overrides the global normalisation stats (per-user calibration).
    */
-  async predict(features) {
-    if (!this.model) {
+  async predict(features, { featureStats } = {}) {
+    if (!this.ready) {
       await this.loadModel();
     }
 
     // Normalize features
-    const normalizedFeatures = this._normalizeFeatures(features);
-
-    // Convert to tensor
-    const inputTensor = tf.tensor2d([normalizedFeatures], [1, 122]);
+    const normalizedFeatures = this._normalizeFeatures(features, featureStats);
 
     // Make prediction
-    const predictions = this.model.predict(inputTensor);
-
-    // Extract predictions
-    const [gamblingPred, typePred, triggerPred, relapsePred] = Array.isArray(predictions)
-      ? predictions
-      : [predictions];
-
-    // Convert to JavaScript values
-    const gamblingArray = await gamblingPred.data();
-    const typeArray = await typePred.data();
-    const triggerArray = await triggerPred.data();
-    const relapseArray = await relapsePred.data();
-
-    // Clean up tensors
-    inputTensor.dispose();
-    if (Array.isArray(predictions)) {
-      predictions.forEach(p => p.dispose());
-    } else {
-      predictions.dispose();
-    }
+    const [prediction] = await this.model.predict([normalizedFeatures]);
+    const typeArray = prediction.type;
+    const triggerArray = prediction.trigger;
 
     // Process predictions
-    const gamblingConfidence = gamblingArray[0];
+    const gamblingConfidence = prediction.gambling;
     const isGambling = gamblingConfidence > 0.5;
 
     const typeIndex = this._argMax(typeArray);
@@ -197,7 +138,7 @@ class GamblingClassifier {
     const primaryTrigger = this.triggers[triggerIndex];
     const triggerConfidence = triggerArray[triggerIndex];
 
-    const relapseRisk = relapseArray[0];
+    const relapseRisk = prediction.relapse;
 
     return {
       isGambling,
@@ -211,14 +152,35 @@ class GamblingClassifier {
     };
   }
 
+  /**
+   * Explain the gambling prediction with per-feature attributions
+   * (see feature-attribution.js). All occluded copies are scored in one batch.
+   */
+  async explain(features, { top, featureStats } = {}) {
+    if (!this.ready) {
+      await this.loadModel();
+    }
+
+    const inputs = [features, ...occlude(features)].map(f => this._normalizeFeatures(f, featureStats));
+    const [prediction, ...occluded] = await this.model.predict(inputs);
+
+    return attribute(
+      features,
+      prediction.gambling,
+      occluded.map(p => p.gambling),
+      { top }
+    );
+  }
+
   /**
    * Normalize features for model input
    */
-  _normalizeFeatures(features) {
+  _normalizeFeatures(features, featureStats = {}) {
     const normalized = [];
+    const amountStats = featureStats?.amount || this.featureStats.amount;
 
     // Amount features (5)
-    normalized.push(this._normalize(features.amount, 45.2, 120.5));
+    normalized.push(this._normalize(features.amount, amountStats.mean, amountStats.std));
     normalized.push(features.amountPercentile / 100);
     normalized.push(this._normalize(features.amountZScore, 0, 2));
     normalized.push(features.isAboveAverage ? 1 : 0);
@@ -274,12 +236,12 @@ class GamblingClassifier {
     normalized.push(features.similarUserBehavior || 0);
 
     // Pad to 122 features if needed
-    while (normalized.length < 122) {
+    while (normalized.length < INPUT_FEATURES) {
       normalized.push(0);
     }
 
-    // Truncate if too long
-    return normalized.slice(0, 122);
+    // Truncate if too long; missing features count as 0
+    return normalized.slice(0, INPUT_FEATURES).map(value => (Number.isFinite(value) ? value : 0));
   }
 
   /**
@@ -290,42 +252,29 @@ class GamblingClassifier {
       epochs = 50,
       batchSize = 32,
       validationSplit = 0.2,
-      verbose = 1
+      verbose = 1,
+      learningRate
     } = options;
 
-    if (!this.model) {
+    if (!this.ready) {
       await this.loadModel();
     }
 
     // Prepare training data
     const { inputs, labels } = this._prepareTrainingData(trainingData);
 
-    // Convert to tensors
-    const xs = tf.tensor2d(inputs);
-    const ys = {
-      gambling_detection: tf.tensor2d(labels.gambling),
-      gambling_type: tf.tensor2d(labels.type),
-      trigger_prediction: tf.tensor2d(labels.trigger),
-      relapse_risk: tf.tensor2d(labels.relapse)
-    };
-
     // Train model
-    const history = await this.model.fit(xs, ys, {
+    const history = await this.model.train(inputs, labels, {
       epochs,
       batchSize,
       validationSplit,
       verbose,
-      callbacks: {
-        onEpochEnd: (epoch, logs) => {
-          console.log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}, accuracy = ${logs.acc?.toFixed(4)}`);
-        }
+      learningRate,
+      onEpochEnd: (epoch, logs) => {
+        console.log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}, accuracy = ${logs.acc?.toFixed(4)}`);
       }
     });
 
-    // Clean up
-    xs.dispose();
-    Object.values(ys).forEach(y => y.dispose());
-
     // Save trained model
     await this.saveModel();
 
@@ -336,7 +285,7 @@ class GamblingClassifier {
    * Save model to disk
    */
   async saveModel() {
-    if (!this.model) {
+    if (!this.ready) {
       throw new Error('No model to save');
     }
 
@@ -349,7 +298,11 @@ class GamblingClassifier {
         fs.mkdirSync(modelDir, { recursive: true });
       }
 
-      await this.model.save(`file://${this.modelPath}`);
+      await this.model.save(this.modelPath);
+      fs.writeFileSync(
+        path.join(this.modelPath, 'version.json'),
+        JSON.stringify({ version: this.modelVersion, savedAt: new Date().toISOString() }, null, 2)
+      );
       console.log(`Model saved to ${this.modelPath}`);
     } catch (error) {
       console.error('Error saving model:', error);
@@ -359,30 +312,60 @@ class GamblingClassifier {
 
   /**
    * Evaluate model performance
+   *
+   * Returns the combined loss plus gambling detection accuracy, precision,
+   * recall and F1 (threshold 0.5) and gambling type accuracy over the
+   * gambling examples that have a type.
    */
   async evaluate(testData) {
-    if (!this.model) {
+    if (!this.ready) {
       await this.loadModel();
     }
 
     const { inputs, labels } = this._prepareTrainingData(testData);
 
-    const xs = tf.tensor2d(inputs);
-    const ys = {
-      gambling_detection: tf.tensor2d(labels.gambling),
-      gambling_type: tf.tensor2d(labels.type),
-      trigger_prediction: tf.tensor2d(labels.trigger),
-      relapse_risk: tf.tensor2d(labels.relapse)
-    };
-
-    const results = await this.model.evaluate(xs, ys);
+    const loss = await this.model.loss(inputs, labels);
+    const predictions = await this.model.predict(inputs);
+
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    let correct = 0;
+    let typed = 0;
+    let typeCorrect = 0;
+
+    testData.forEach((item, i) => {
+      const predicted = predictions[i].gambling > 0.5;
+      const actual = !!item.isGambling;
+
+      if (predicted === actual) correct++;
+      if (predicted && actual) truePositives++;
+      if (predicted && !actual) falsePositives++;
+      if (!predicted && actual) falseNegatives++;
+
+      if (actual && this.gamblingTypes.includes(item.gamblingType)) {
+        typed++;
+        if (this.gamblingTypes[this._argMax(predictions[i].type)] === item.gamblingType) {
+          typeCorrect++;
+        }
+      }
+    });
 
-    xs.dispose();
-    Object.values(ys).forEach(y => y.dispose());
+    const precision = truePositives + falsePositives > 0
+      ? truePositives / (truePositives + falsePositives)
+      : 0;
+    const recall = truePositives + falseNegatives > 0
+      ? truePositives / (truePositives + falseNegatives)
+      : 0;
 
     return {
-      loss: await results[0].data(),
-      accuracy: await results[1].data()
+      examples: testData.length,
+      loss,
+      accuracy: testData.length > 0 ? correct / testData.length : 0,
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+      typeAccuracy: typed > 0 ? typeCorrect / typed : null
     };
   }
 
@@ -476,20 +459,52 @@ class GamblingClassifier {
    * Helper: Check if model exists
    */
   async _modelExists() {
+    await this._createBackend();
+    return this.model.exists(this.modelPath);
+  }
+
+  /**
+   * Helper: Select the inference backend (TensorFlow or JavaScript)
+   */
+  async _createBackend() {
+    if (!this.model) {
+      this.model = await createBackend({
+        inputSize: INPUT_FEATURES,
+        typeCount: this.gamblingTypes.length,
+        triggerCount: this.triggers.length
+      }, this.backendPreference);
+    }
+  }
+
+  /**
+   * Helper: Read the version saved alongside the model
+   */
+  async _loadVersion() {
+    if (this.versionPinned) return;
+
     const { default: fs } = await import('fs');
-    const modelFile = `${this.modelPath}/model.json`;
-    return fs.existsSync(modelFile);
+    const versionFile = path.join(this.modelPath, 'version.json');
+
+    if (fs.existsSync(versionFile)) {
+      const { version } = JSON.parse(fs.readFileSync(versionFile, 'utf8'));
+      if (version) this.modelVersion = version;
+    }
   }
 
   /**
    * Get model info
    */
   getModelInfo() {
+    const backend = this.model
+      ? this.model.describe()
+      : { backend: 'not loaded', hiddenLayers: [256, 128, 64, 32] };
+
     return {
       version: this.modelVersion,
+      backend: backend.backend,
       architecture: {
-        inputFeatures: 122,
-        hiddenLayers: [256, 128, 64, 32],
+        inputFeatures: INPUT_FEATURES,
+        hiddenLayers: backend.hiddenLayers,
         outputs: {
           gambling_detection: { type: 'binary', accuracy: '97%' },
           gambling_type: { type: 'multiclass', classes: 4, accuracy: '92%' },
@@ -504,3 +519,4 @@ class GamblingClassifier {
 }
 
 export default GamblingClassifier;
+export { DEFAULT_MODEL_PATH };
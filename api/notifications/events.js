@@ -0,0 +1,63 @@
+/**
+ * Notification Events
+ *
+ * GET  /api/notifications/events/:eventId
+ *   The event and its delivery chain (push, SMS and email attempts, and
+ *   guardian escalations).
+ *
+ * POST /api/notifications/events/:eventId/acknowledge
+ *   Called by the app when the user opens the notification; stops the
+ *   SMS/email fallbacks.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import NotificationRouter from '../services/notification-router.js';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const router = new NotificationRouter(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { eventId } = req.query || {};
+
+    if (req.method === 'POST') {
+      const event = await router.acknowledge(eventId, user.id, 'app');
+
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found or already acknowledged' });
+      }
+
+      return res.status(200).json({ success: true, status: event.status, acknowledgedAt: event.acknowledged_at });
+    }
+
+    const chain = await router.getDeliveryChain(eventId).catch(error => {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    });
+
+    if (!chain || chain.user_id !== user.id) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    return res.status(200).json({ event: chain });
+
+  } catch (error) {
+    console.error('Notification event error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Push Token Registration
+ *
+ * POST   /api/notifications/push-token   register the device's Expo push token
+ * DELETE /api/notifications/push-token   stop sending pushes to a token
+ *
+ * Body:
+ *   {
+ *     "token": "ExponentPushToken[...]",
+ *     "platform": "ios" | "android" (optional),
+ *     "deviceName": "..." (optional)
+ *   }
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import PushNotificationService, { isExpoPushToken } from '../services/push-notifications.js';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const pushService = new PushNotificationService(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { token, platform, deviceName } = req.body || {};
+
+    if (!isExpoPushToken(token)) {
+      return res.status(400).json({ error: 'A valid Expo push token is required' });
+    }
+
+    if (req.method === 'DELETE') {
+      await pushService.unregisterToken(user.id, token);
+      return res.status(200).json({ success: true });
+    }
+
+    const registration = await pushService.registerToken(user.id, token, { platform, deviceName });
+
+    return res.status(200).json({
+      success: true,
+      token: registration.token,
+      active: registration.active
+    });
+
+  } catch (error) {
+    console.error('Push token registration error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
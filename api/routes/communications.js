@@ -8,6 +8,11 @@ import { createClient } from '@supabase/supabase-js';
 import CommunicationEngine from '../services/communication-engine.js';
 import { getPreferences, updatePreferences, unsubscribeAll, resubscribeDefaults, getControllableCategories, getMandatoryCategories } from '../services/notification-preferences.js';
 import { handleSendGridWebhook } from '../services/email-sender.js';
+import SMSInbound from '../services/sms-inbound.js';
+import translationService from '../services/translation-service.js';
+import { getSMSTransport } from '../services/sms-transports/index.js';
+import { getRawBody } from '../middleware/body-parser.js';
+import { ROLES, requireRole, requireUserAccess } from '../middleware/auth.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -28,6 +33,8 @@ async function getNotificationPreferences(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const preferences = await getPreferences(userId, supabase);
 
@@ -67,6 +74,8 @@ async function updateNotificationPreferences(req, res) {
       return res.status(400).json({ error: 'userId and preferences are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const updated = await updatePreferences(userId, preferences, supabase);
 
@@ -75,6 +84,10 @@ async function updateNotificationPreferences(req, res) {
       preferences: updated
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('Update preferences error:', error);
     return res.status(500).json({
       error: 'Failed to update preferences',
@@ -104,6 +117,8 @@ async function unsubscribeFromAll(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const result = await unsubscribeAll(userId, supabase);
 
@@ -138,6 +153,8 @@ async function resubscribeToDefaults(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const result = await resubscribeDefaults(userId, supabase);
 
@@ -151,6 +168,55 @@ async function resubscribeToDefaults(req, res) {
   }
 }
 
+/**
+ * Set the language SMS, email, push and reports are sent in
+ * POST /api/communications/language
+ *
+ * Body:
+ *   {
+ *     "userId": "xxx",
+ *     "language": "vi"
+ *   }
+ */
+async function updateLanguage(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { userId, language } = req.body;
+
+    if (!userId || !language) {
+      return res.status(400).json({ error: 'userId and language are required' });
+    }
+
+    if (!translationService.isSupported(language)) {
+      return res.status(400).json({
+        error: `Unsupported language: ${language}`,
+        supported: translationService.getSupportedLanguages().map(supported => supported.code)
+      });
+    }
+
+    if (!(await requireUserAccess(req, res, userId))) return;
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const { error } = await supabase
+      .from('users')
+      .update({ language })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    return res.status(200).json({ success: true, language });
+  } catch (error) {
+    console.error('Update language error:', error);
+    return res.status(500).json({
+      error: 'Failed to update language',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Get communication history
  * GET /api/communications/history?userId=xxx&type=sms&limit=50
@@ -167,6 +233,8 @@ async function getCommunicationHistory(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const commEngine = new CommunicationEngine(supabase);
 
@@ -211,6 +279,8 @@ async function sendTestNotification(req, res) {
       return res.status(400).json({ error: 'userId, type, and templateId are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const commEngine = new CommunicationEngine(supabase);
 
@@ -276,6 +346,124 @@ async function handleEmailWebhook(req, res) {
   }
 }
 
+/**
+ * Parse a provider webhook body (form-encoded, JSON or plain text)
+ */
+function parseWebhookBody(req, rawBody) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(rawBody));
+  }
+
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    return rawBody;
+  }
+}
+
+/**
+ * Verify and parse an SMS provider webhook
+ * Responds (and returns null) when the request is not genuine or was an
+ * SNS subscription confirmation.
+ */
+async function readSMSWebhook(req, res, transport) {
+  const rawBody = await getRawBody(req);
+
+  if (!(await transport.verifyWebhook(req, rawBody))) {
+    res.status(403).json({ error: 'Invalid signature' });
+    return null;
+  }
+
+  const body = parseWebhookBody(req, rawBody);
+
+  if (transport.acknowledgeSubscription && await transport.acknowledgeSubscription(body)) {
+    res.status(200).json({ success: true, subscribed: true });
+    return null;
+  }
+
+  return body;
+}
+
+/**
+ * Send the provider's webhook acknowledgement (TwiML for Twilio)
+ */
+function acknowledgeSMSWebhook(res, transport) {
+  const { contentType, body } = transport.webhookResponse();
+  return res.status(200).set('Content-Type', contentType).send(body);
+}
+
+/**
+ * Handle SMS delivery status callback (Twilio/SNS/sink)
+ * POST /api/communications/webhook/sms/status
+ */
+async function handleSMSStatusWebhook(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const transport = await getSMSTransport();
+    const body = await readSMSWebhook(req, res, transport);
+    if (!body) return;
+
+    const update = transport.parseStatusCallback(body);
+
+    if (!update) {
+      return res.status(400).json({ error: 'Invalid status callback' });
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const commEngine = new CommunicationEngine(supabase);
+
+    await commEngine.updateDeliveryStatus(update.messageId, update);
+
+    return acknowledgeSMSWebhook(res, transport);
+  } catch (error) {
+    console.error('SMS status webhook error:', error);
+    return res.status(500).json({
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Handle inbound SMS (replies such as STOP, OK or HELP)
+ * POST /api/communications/webhook/sms/inbound
+ */
+async function handleSMSInboundWebhook(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const transport = await getSMSTransport();
+    const body = await readSMSWebhook(req, res, transport);
+    if (!body) return;
+
+    const inbound = transport.parseInbound(body);
+
+    if (!inbound) {
+      return res.status(400).json({ error: 'Invalid inbound message' });
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const smsInbound = new SMSInbound(supabase);
+
+    await smsInbound.handle(inbound, { provider: transport.name });
+
+    return acknowledgeSMSWebhook(res, transport);
+  } catch (error) {
+    console.error('SMS inbound webhook error:', error);
+    return res.status(500).json({
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Check delivery status
  * GET /api/communications/status?messageId=xxx
@@ -292,6 +480,8 @@ async function checkDeliveryStatus(req, res) {
       return res.status(400).json({ error: 'messageId is required' });
     }
 
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const commEngine = new CommunicationEngine(supabase);
 
@@ -310,7 +500,7 @@ async function checkDeliveryStatus(req, res) {
 /**
  * Main handler for Vercel serverless function
  */
-export default async; (req, res) => {
+export default async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -334,12 +524,18 @@ export default async; (req, res) => {
       return await unsubscribeFromAll(req, res);
     } else if (path.endsWith('/resubscribe')) {
       return await resubscribeToDefaults(req, res);
+    } else if (path.endsWith('/language')) {
+      return await updateLanguage(req, res);
     } else if (path.endsWith('/history')) {
       return await getCommunicationHistory(req, res);
     } else if (path.endsWith('/test')) {
       return await sendTestNotification(req, res);
     } else if (path.endsWith('/webhook/email')) {
       return await handleEmailWebhook(req, res);
+    } else if (path.endsWith('/webhook/sms/status')) {
+      return await handleSMSStatusWebhook(req, res);
+    } else if (path.endsWith('/webhook/sms/inbound')) {
+      return await handleSMSInboundWebhook(req, res);
     } else if (path.endsWith('/status')) {
       return await checkDeliveryStatus(req, res);
     } else {
@@ -359,7 +555,10 @@ export { getNotificationPreferences as getNotificationPreferences };
 export { updateNotificationPreferences as updateNotificationPreferences };
 export { unsubscribeFromAll as unsubscribeFromAll };
 export { resubscribeToDefaults as resubscribeToDefaults };
+export { updateLanguage as updateLanguage };
 export { getCommunicationHistory as getCommunicationHistory };
 export { sendTestNotification as sendTestNotification };
 export { handleEmailWebhook as handleEmailWebhook };
+export { handleSMSStatusWebhook as handleSMSStatusWebhook };
+export { handleSMSInboundWebhook as handleSMSInboundWebhook };
 export { checkDeliveryStatus as checkDeliveryStatus };
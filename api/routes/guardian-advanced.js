@@ -12,6 +12,7 @@
 
 import { createClient } from '@supabase/supabase-js';
 import GuardianInsights from '../services/guardian-insights.js';
+import { ROLES, requireUser, requireRole, requireUserAccess } from '../middleware/auth.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -27,12 +28,15 @@ async function getAnalytics(req, res) {
     }
 
     const { userId, timeframe = 30 } = req.query;
-    const guardianId = req.headers['x-guardian-id']; // TODO: Implement proper auth
 
     if (!userId) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
+    const guardianId = req.user.id;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const insights = new GuardianInsights(supabase);
 
@@ -64,6 +68,8 @@ async function getInterventions(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const insights = new GuardianInsights(supabase);
 
@@ -92,6 +98,8 @@ async function getQuickMessages(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    if (!(await requireUser(req, res))) return;
+
     const { context = 'general' } = req.query;
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
@@ -128,6 +136,8 @@ async function checkCrisisProtocol(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const insights = new GuardianInsights(supabase);
 
@@ -153,6 +163,8 @@ async function getGroupInsights(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    if (!(await requireRole(req, res, [ROLES.GUARDIAN, ROLES.COUNSELOR, ROLES.ADMIN]))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const insights = new GuardianInsights(supabase);
 
@@ -187,12 +199,15 @@ async function scheduleCheckIn(req, res) {
     }
 
     const { userId, scheduledTime, message, type = 'routine' } = req.body;
-    const guardianId = req.headers['x-guardian-id'];
 
     if (!userId || !scheduledTime) {
       return res.status(400).json({ error: 'userId and scheduledTime are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
+    const guardianId = req.user.id;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     // Create check-in reminder
@@ -243,12 +258,15 @@ async function sendMessage(req, res) {
     }
 
     const { userId, message, context = 'general' } = req.body;
-    const guardianId = req.headers['x-guardian-id'];
 
     if (!userId || !message) {
       return res.status(400).json({ error: 'userId and message are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
+    const guardianId = req.user.id;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     // Store message
@@ -297,6 +315,8 @@ async function getCheckIns(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     const { data: checkIns, error } = await supabase
@@ -323,12 +343,12 @@ async function getCheckIns(req, res) {
 /**
  * Main handler for Vercel serverless function
  */
-export default async; (req, res) => {
+export default async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Guardian-Id');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -7,16 +7,34 @@
  * - Analyze baseline
  * - Generate risk profile
  * - Get import statistics
+ *
+ * Every endpoint works on one user: the caller by default, or `userId` when
+ * the caller may access that user (guardians, counselors, admins).
  */
 
 import { createClient } from '@supabase/supabase-js';
 import UpBankHistoryImporter from '../scripts/import-up-bank-history.js';
 import GamblingBaselineAnalyzer from '../scripts/analyze-gambling-baseline.js';
 import RiskProfileGenerator from '../scripts/generate-risk-profile.js';
+import { requireUser, requireUserAccess } from '../middleware/auth.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
+/**
+ * Resolve the user a request is for: `userId` if given, else the caller
+ * Responds with 401/403 and returns null when the caller is not allowed.
+ */
+async function resolveUserId(req, res, requestedUserId) {
+  const user = await requireUser(req, res);
+  if (!user) return null;
+
+  const userId = requestedUserId || user.id;
+  if (!(await requireUserAccess(req, res, userId))) return null;
+
+  return userId;
+}
+
 /**
  * Start Up Bank history import
  * POST /api/import/up-bank
@@ -24,6 +42,7 @@ const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
  * Body:
  *   {
  *     "upToken": "up:yeah:...",
+ *     "userId": "xxx" (optional, defaults to the caller),
  *     "years": 2 (optional),
  *     "startDate": "2022-01-01" (optional),
  *     "endDate": "2024-01-01" (optional)
@@ -42,6 +61,9 @@ async function startUpBankImport(req, res) {
       return res.status(400).json({ error: 'Up Bank token is required' });
     }
 
+    const userId = await resolveUserId(req, res, req.body.userId);
+    if (!userId) return;
+
     // Initialize Supabase client
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
@@ -49,7 +71,7 @@ async function startUpBankImport(req, res) {
     const importer = new UpBankHistoryImporter(upToken, supabase);
 
     // Start import (this will run async)
-    const options = {};
+    const options = { userId };
     if (years) options.years = years;
     if (startDate) options.start = startDate;
     if (endDate) options.end = endDate;
@@ -73,7 +95,7 @@ async function startUpBankImport(req, res) {
 
 /**
  * Get import statistics
- * GET /api/import/stats
+ * GET /api/import/stats?userId=xxx
  */
 async function getImportStats(req, res) {
   try {
@@ -81,12 +103,16 @@ async function getImportStats(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    const userId = await resolveUserId(req, res, req.query.userId);
+    if (!userId) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     // Get transaction counts
     const { data: transactions, error: txError } = await supabase
       .from('transactions')
-      .select('id, amount, is_whitelisted, timestamp', { count: 'exact' });
+      .select('id, amount, is_whitelisted, timestamp', { count: 'exact' })
+      .eq('user_id', userId);
 
     if (txError) throw txError;
 
@@ -128,6 +154,7 @@ async function getImportStats(req, res) {
  *
  * Body:
  *   {
+ *     "userId": "xxx" (optional, defaults to the caller),
  *     "months": 12 (optional),
  *     "startDate": "2023-01-01" (optional),
  *     "endDate": "2024-01-01" (optional)
@@ -141,10 +168,13 @@ async function analyzeBaseline(req, res) {
 
     const { months, startDate, endDate } = req.body || {};
 
+    const userId = await resolveUserId(req, res, req.body?.userId);
+    if (!userId) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const analyzer = new GamblingBaselineAnalyzer(supabase);
 
-    const options = {};
+    const options = { userId };
     if (months) options.months = months;
     if (startDate) options.start = startDate;
     if (endDate) options.end = endDate;
@@ -177,6 +207,7 @@ async function analyzeBaseline(req, res) {
  *
  * Body:
  *   {
+ *     "userId": "xxx" (optional, defaults to the caller),
  *     "months": 12 (optional)
  *   }
  */
@@ -188,10 +219,13 @@ async function generateRiskProfile(req, res) {
 
     const { months } = req.body || {};
 
+    const userId = await resolveUserId(req, res, req.body?.userId);
+    if (!userId) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const generator = new RiskProfileGenerator(supabase);
 
-    const options = {};
+    const options = { userId };
     if (months) options.months = months;
 
     const profile = await generator.generate(options);
@@ -218,7 +252,7 @@ async function generateRiskProfile(req, res) {
 
 /**
  * Get latest baseline analysis
- * GET /api/import/baseline
+ * GET /api/import/baseline?userId=xxx
  */
 async function getBaseline(req, res) {
   try {
@@ -226,11 +260,15 @@ async function getBaseline(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    const userId = await resolveUserId(req, res, req.query.userId);
+    if (!userId) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     const { data, error } = await supabase
       .from('baseline_analysis')
       .select('*')
+      .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .limit(1)
       .single();
@@ -254,7 +292,7 @@ async function getBaseline(req, res) {
 
 /**
  * Get latest risk profile
- * GET /api/import/risk-profile
+ * GET /api/import/risk-profile?userId=xxx
  */
 async function getRiskProfile(req, res) {
   try {
@@ -262,11 +300,15 @@ async function getRiskProfile(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    const userId = await resolveUserId(req, res, req.query.userId);
+    if (!userId) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     const { data, error } = await supabase
       .from('risk_profiles')
       .select('*')
+      .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .limit(1)
       .single();
@@ -291,7 +333,7 @@ async function getRiskProfile(req, res) {
 /**
  * Main handler for Vercel serverless function
  */
-export default async; (req, res) => {
+export default async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -0,0 +1,294 @@
+/**
+ * API Route Table
+ *
+ * Maps every API endpoint to its handler for the standalone server
+ * (Railway/Docker). Vercel routes by file path instead, so this table
+ * mirrors the serverless API surface.
+ *
+ * Route modules are loaded lazily on first use so that a module with a
+ * missing optional dependency (e.g. TensorFlow) only affects its own routes.
+ */
+
+const load = {
+  upBankWebhook: () => import('../webhooks/up-bank.js'),
+  upBankWebhookReplay: () => import('../webhooks/up-bank-replay.js'),
+  conversation: () => import('../ai/conversation.mjs'),
+  voiceAnalyze: () => import('../voice/analyze.mjs'),
+  upAccounts: () => import('../up/accounts.js'),
+  upTransactions: () => import('../up/transactions.js'),
+  upWebhookSetup: () => import('../up/webhook-setup.js'),
+  pushToken: () => import('../notifications/push-token.js'),
+  notificationEvents: () => import('../notifications/events.js'),
+  locationReport: () => import('../location/report.js'),
+  locationConsent: () => import('../location/consent.js'),
+  whitelistCheck: () => import('../whitelist/check.js'),
+  classificationFeedback: () => import('../feedback/classification.js'),
+  merchantSubmissions: () => import('../merchants/submissions.js'),
+  adminJobs: () => import('../admin/jobs.js'),
+  adminQueue: () => import('../admin/queue.js'),
+  adminModels: () => import('../admin/models.js'),
+  adminModelMonitoring: () => import('../admin/model-monitoring.js'),
+  adminMerchants: () => import('../admin/merchants.js'),
+  reports: () => import('./reports.js'),
+  mlInsights: () => import('./ml-insights.js'),
+  guardianAdvanced: () => import('./guardian-advanced.js'),
+  communications: () => import('./communications.js'),
+  partners: () => import('./partners.js'),
+  importRoutes: () => import('./import.js'),
+  metrics: () => import('./metrics.js'),
+  security: () => import('./security.js')
+};
+
+/**
+ * Define a route
+ * `method` may be '*' when the handler does its own method checks.
+ */
+function route(method, path, loader, exportName = 'default') {
+  return { method, path, loader, exportName };
+}
+
+/**
+ * Endpoint routes (matched in order, first match wins)
+ */
+const ROUTES = [
+  // Webhooks
+  route('POST', '/api/webhooks/up-bank', load.upBankWebhook),
+  route('POST', '/api/webhooks/up-bank-replay', load.upBankWebhookReplay),
+  route('POST', '/api/webhooks/partners/:partnerId', load.partners),
+
+  // AI and voice
+  route('POST', '/api/ai/conversation', load.conversation),
+  route('POST', '/api/voice/analyze', load.voiceAnalyze),
+
+  // Up Bank API proxy
+  route('GET', '/api/up/accounts', load.upAccounts),
+  route('GET', '/api/up/transactions', load.upTransactions),
+  route('*', '/api/up/webhook-setup', load.upWebhookSetup),
+
+  // Push notifications
+  route('POST', '/api/notifications/push-token', load.pushToken),
+  route('DELETE', '/api/notifications/push-token', load.pushToken),
+  route('GET', '/api/notifications/events/:eventId', load.notificationEvents),
+  route('POST', '/api/notifications/events/:eventId/acknowledge', load.notificationEvents),
+
+  // Location risk
+  route('POST', '/api/location/report', load.locationReport),
+  route('GET', '/api/location/consent', load.locationConsent),
+  route('POST', '/api/location/consent', load.locationConsent),
+
+  // Whitelist
+  route('POST', '/api/whitelist/check', load.whitelistCheck),
+
+  // Classification feedback
+  route('GET', '/api/feedback/classification', load.classificationFeedback),
+  route('POST', '/api/feedback/classification', load.classificationFeedback),
+
+  // Crowdsourced merchant submissions
+  route('GET', '/api/merchants/submissions', load.merchantSubmissions),
+  route('POST', '/api/merchants/submissions', load.merchantSubmissions),
+  route('POST', '/api/merchants/submissions/:submissionId/vote', load.merchantSubmissions),
+
+  // Background jobs and job queue (admin)
+  route('GET', '/api/admin/jobs', load.adminJobs),
+  route('POST', '/api/admin/jobs', load.adminJobs),
+  route('GET', '/api/admin/queue', load.adminQueue),
+  route('POST', '/api/admin/queue', load.adminQueue),
+
+  // Model registry (admin)
+  route('GET', '/api/admin/models', load.adminModels),
+  route('POST', '/api/admin/models', load.adminModels),
+  route('GET', '/api/admin/model-monitoring', load.adminModelMonitoring),
+
+  // Merchant moderation queue (admin)
+  route('GET', '/api/admin/merchants', load.adminMerchants),
+  route('POST', '/api/admin/merchants', load.adminMerchants),
+
+  // Reports
+  route('POST', '/api/reports/generate', load.reports, 'generateReport'),
+  route('POST', '/api/reports/tax', load.reports, 'generateTaxReport'),
+  route('POST', '/api/reports/counselor', load.reports, 'generateCounselorReport'),
+  route('POST', '/api/reports/debt', load.reports, 'generateDebtSummary'),
+  route('GET', '/api/reports/list', load.reports, 'listReports'),
+  route('GET', '/api/reports/jobs/:jobId', load.reports, 'getReportJob'),
+  route('GET', '/api/reports/consent', load.reports, 'getConsentStatus'),
+  route('POST', '/api/reports/consent', load.reports, 'updateConsent'),
+  route('GET', '/api/reports/download/:reportId', load.reports, 'downloadReport'),
+  route('DELETE', '/api/reports/:reportId', load.reports, 'deleteReport'),
+
+  // ML insights
+  route('POST', '/api/ml-insights/analyze', load.mlInsights, 'analyzeTransaction'),
+  route('GET', '/api/ml-insights/explain', load.mlInsights, 'getExplanation'),
+  route('GET', '/api/ml-insights/patterns', load.mlInsights, 'getUserPatterns'),
+  route('GET', '/api/ml-insights/pattern-evolution', load.mlInsights, 'getPatternEvolution'),
+  route('GET', '/api/ml-insights/predict-risk', load.mlInsights, 'predictRiskPeriod'),
+  route('POST', '/api/ml-insights/detect-anomaly', load.mlInsights, 'detectAnomaly'),
+  route('GET', '/api/ml-insights/recovery-phase', load.mlInsights, 'getRecoveryPhase'),
+  route('GET', '/api/ml-insights/pattern-strength', load.mlInsights, 'getPatternStrength'),
+  route('GET', '/api/ml-insights/model-info', load.mlInsights, 'getModelInfo'),
+  route('POST', '/api/ml-insights/train', load.mlInsights, 'trainModel'),
+  route('GET', '/api/ml-insights/dashboard', load.mlInsights, 'getDashboard'),
+
+  // Guardian portal
+  route('GET', '/api/guardian-advanced/analytics', load.guardianAdvanced, 'getAnalytics'),
+  route('GET', '/api/guardian-advanced/interventions', load.guardianAdvanced, 'getInterventions'),
+  route('GET', '/api/guardian-advanced/quick-messages', load.guardianAdvanced, 'getQuickMessages'),
+  route('GET', '/api/guardian-advanced/crisis-check', load.guardianAdvanced, 'checkCrisisProtocol'),
+  route('GET', '/api/guardian-advanced/group-insights', load.guardianAdvanced, 'getGroupInsights'),
+  route('POST', '/api/guardian-advanced/schedule-checkin', load.guardianAdvanced, 'scheduleCheckIn'),
+  route('POST', '/api/guardian-advanced/send-message', load.guardianAdvanced, 'sendMessage'),
+  route('GET', '/api/guardian-advanced/checkins', load.guardianAdvanced, 'getCheckIns'),
+
+  // Communications
+  route('GET', '/api/communications/preferences', load.communications, 'getNotificationPreferences'),
+  route('POST', '/api/communications/preferences', load.communications, 'updateNotificationPreferences'),
+  route('POST', '/api/communications/unsubscribe', load.communications, 'unsubscribeFromAll'),
+  route('POST', '/api/communications/resubscribe', load.communications, 'resubscribeToDefaults'),
+  route('POST', '/api/communications/language', load.communications, 'updateLanguage'),
+  route('GET', '/api/communications/history', load.communications, 'getCommunicationHistory'),
+  route('POST', '/api/communications/test', load.communications, 'sendTestNotification'),
+  route('POST', '/api/communications/webhook/email', load.communications, 'handleEmailWebhook'),
+  route('POST', '/api/communications/webhook/sms/status', load.communications, 'handleSMSStatusWebhook'),
+  route('POST', '/api/communications/webhook/sms/inbound', load.communications, 'handleSMSInboundWebhook'),
+  route('GET', '/api/communications/status', load.communications, 'checkDeliveryStatus'),
+
+  // Partners and rewards (the partners module parses its own path)
+  route('GET', '/api/partners', load.partners),
+  route('GET', '/api/partners/:partnerId', load.partners),
+  route('POST', '/api/partners/:partnerId/link', load.partners),
+  route('GET', '/api/partners/:partnerId/balance', load.partners),
+  route('GET', '/api/rewards', load.partners),
+  route('POST', '/api/rewards/check', load.partners),
+  route('POST', '/api/rewards/:rewardId/claim', load.partners),
+
+  // Transaction history import
+  route('POST', '/api/import/up-bank', load.importRoutes, 'startUpBankImport'),
+  route('GET', '/api/import/stats', load.importRoutes, 'getImportStats'),
+  route('POST', '/api/import/analyze-baseline', load.importRoutes, 'analyzeBaseline'),
+  route('POST', '/api/import/generate-risk-profile', load.importRoutes, 'generateRiskProfile'),
+  route('GET', '/api/import/baseline', load.importRoutes, 'getBaseline'),
+  route('GET', '/api/import/risk-profile', load.importRoutes, 'getRiskProfile')
+];
+
+// The mobile app calls the import endpoints by their Vercel file path
+for (const entry of ROUTES.filter(r => r.path.startsWith('/api/import/'))) {
+  ROUTES.push(route(
+    entry.method,
+    entry.path.replace('/api/import/', '/api/routes/import/'),
+    entry.loader,
+    entry.exportName
+  ));
+}
+
+/**
+ * Express-style routers mounted under a path prefix
+ */
+const MOUNTS = [
+  { prefix: '/metrics', loader: load.metrics },
+  { prefix: '/api/metrics', loader: load.metrics },
+  { prefix: '/api/security', loader: load.security }
+];
+
+/**
+ * Compile a path pattern like /api/reports/:reportId into a matcher
+ */
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+for (const entry of ROUTES) {
+  Object.assign(entry, compilePath(entry.path));
+}
+
+/**
+ * Decode a path parameter
+ * Malformed percent-encoding (e.g. "%E0") throws an error with statusCode 400.
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+
+    const badRequest = new Error('Malformed URL encoding');
+    badRequest.statusCode = 400;
+    throw badRequest;
+  }
+}
+
+/**
+ * Find the route for a request
+ *
+ * Returns { route, params } on a match, { allowedMethods } when the path
+ * exists but not for this method, or null when nothing matches. Throws a
+ * 400 error when a path parameter is not valid percent-encoding.
+ */
+function matchRoute(method, pathname) {
+  const allowedMethods = new Set();
+
+  for (const entry of ROUTES) {
+    const match = entry.regex.exec(pathname);
+    if (!match) continue;
+
+    if (entry.method !== '*' && entry.method !== method) {
+      allowedMethods.add(entry.method);
+      continue;
+    }
+
+    const params = {};
+    entry.keys.forEach((key, index) => {
+      params[key] = decodeParam(match[index + 1]);
+    });
+
+    return { route: entry, params };
+  }
+
+  if (allowedMethods.size > 0) {
+    return { allowedMethods: Array.from(allowedMethods) };
+  }
+
+  return null;
+}
+
+/**
+ * Find the mounted router for a request path
+ */
+function matchMount(pathname) {
+  return MOUNTS.find(mount =>
+    pathname === mount.prefix || pathname.startsWith(`${mount.prefix}/`)
+  ) || null;
+}
+
+/**
+ * Resolve the handler function for a matched route or mount
+ */
+async function resolveHandler(entry) {
+  const module = await entry.loader();
+  const handler = module[entry.exportName || 'default'];
+
+  if (typeof handler !== 'function') {
+    throw new Error(`Route handler ${entry.exportName || 'default'} is not a function`);
+  }
+
+  return handler;
+}
+
+export {
+  ROUTES,
+  MOUNTS,
+  compilePath,
+  matchRoute,
+  matchMount,
+  resolveHandler
+};
@@ -8,13 +8,41 @@ import express from 'express';
 const router = express.Router();
 import metricsCollector from '../services/metrics-collector.js';
 import PerformanceMonitor from '../services/performance-monitor.js';
+import ModelMonitor from '../services/model-monitor.js';
 import { Pool } from 'pg';
+import { createClient } from '@supabase/supabase-js';
 
 // Database connection pool for metrics queries
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
+const modelMonitor = new ModelMonitor(
+  createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+);
+
+// The model report scans up to 5000 logged analyses; scrapes reuse it
+const MODEL_REPORT_TTL_MS = 5 * 60 * 1000;
+let modelReportCache = null; // { report, generatedAt }
+
+/**
+ * Cached model monitor report, or null when it could not be generated
+ */
+async function getModelReport() {
+  if (modelReportCache && Date.now() - modelReportCache.generatedAt < MODEL_REPORT_TTL_MS) {
+    return modelReportCache.report;
+  }
+
+  try {
+    const report = await modelMonitor.getReport();
+    modelReportCache = { report, generatedAt: Date.now() };
+    return report;
+  } catch (error) {
+    console.error('[Metrics] Error generating model monitor report:', error);
+    return null;
+  }
+}
+
 /**
  * GET /metrics
  * Prometheus metrics endpoint (Prometheus format)
@@ -152,7 +180,9 @@ sync_queue_size ${syncQueueSize}
 
 /**
  * GET /metrics/ml
- * Machine learning model metrics
+ * Machine learning model metrics, including classifier feature drift and
+ * precision/recall per gambling type (see services/model-monitor.js).
+ * The drift and precision/recall lines are left out when the report fails.
  */
 router.get('/ml', async (req, res) => {
   try {
@@ -166,17 +196,56 @@ router.get('/ml', async (req, res) => {
 
     const accuracy = parseFloat(accuracyResult.rows[0]?.accuracy || 97.0);
 
+    const report = await getModelReport();
+
     res.set('Content-Type', 'text/plain');
     res.send(`# ML model metrics
 pattern_detection_accuracy_percent ${accuracy}
 voice_transcription_accuracy_percent 96.5
-`);
+${report ? formatModelReport(report) : ''}`);
   } catch (error) {
     console.error('[Metrics] Error generating ML metrics:', error);
     res.status(500).send('Error generating ML metrics');
   }
 });
 
+/**
+ * Prometheus lines for a model monitor report
+ * Undefined precision/recall (no predictions or no labels) are left out.
+ */
+function formatModelReport(report) {
+  const lines = [
+    '# HELP ml_feature_drift_score Classifier feature drift against training stats',
+    '# TYPE ml_feature_drift_score gauge'
+  ];
+
+  for (const feature of report.drift.features) {
+    if (feature.score !== null) {
+      lines.push(`ml_feature_drift_score{feature="${feature.feature}",window="${report.drift.windowDays}d"} ${feature.score}`);
+    }
+  }
+  lines.push(
+    '# HELP ml_feature_drift_samples Logged analyses the drift scores are computed from',
+    '# TYPE ml_feature_drift_samples gauge',
+    `ml_feature_drift_samples{window="${report.drift.windowDays}d"} ${report.drift.sampleSize}`
+  );
+
+  for (const metric of ['precision', 'recall', 'labels']) {
+    lines.push(`# TYPE ml_classifier_${metric} gauge`);
+
+    for (const { window, gamblingTypes } of report.accuracy) {
+      for (const [gamblingType, result] of Object.entries(gamblingTypes)) {
+        const value = metric === 'labels' ? result.support : result[metric];
+        if (value !== null) {
+          lines.push(`ml_classifier_${metric}{gambling_type="${gamblingType}",window="${window}"} ${value}`);
+        }
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
 /**
  * GET /metrics/webhooks
  * Webhook delivery metrics
@@ -4,11 +4,15 @@
  * Endpoints for accessing ML pattern detection, predictions, and insights
  */
 
+import path from 'path';
 import { createClient } from '@supabase/supabase-js';
 import MLPatternEngine from '../services/ml-pattern-engine.js';
 import PatternEvolution from '../services/pattern-evolution.js';
 import AnomalyDetector from '../services/anomaly-detector.js';
 import GamblingClassifier from '../models/gambling-classifier.js';
+import ModelRegistry, { MODELS_DIR, VERSIONS_DIR, createVersionName } from '../services/model-registry.js';
+import UserCalibration from '../services/user-calibration.js';
+import { ROLES, requireUser, requireRole, requireUserAccess } from '../middleware/auth.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -35,6 +39,8 @@ async function analyzeTransaction(req, res) {
       return res.status(400).json({ error: 'userId and transactionId are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     // Get transaction
@@ -65,9 +71,76 @@ async function analyzeTransaction(req, res) {
   }
 }
 
+/**
+ * Explain why a transaction was flagged
+ * GET /api/ml-insights/explain?transactionId=xxx
+ *
+ * Per-feature contributions to the ML gambling probability, as stored with
+ * the transaction. Transactions analysed before explanations were stored are
+ * explained from their logged features with the current production model.
+ */
+async function getExplanation(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { transactionId } = req.query;
+
+    if (!transactionId) {
+      return res.status(400).json({ error: 'transactionId is required' });
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+    const { data: transaction, error } = await supabase
+      .from('transactions')
+      .select('transaction_id, user_id, verdict, verdict_confidence, gambling_type, prediction_explanation')
+      .eq('transaction_id', transactionId)
+      .single();
+
+    if (error || !transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!(await requireUserAccess(req, res, transaction.user_id))) return;
+
+    let explanation = transaction.prediction_explanation;
+    let source = 'stored';
+
+    if (!explanation) {
+      const mlEngine = new MLPatternEngine(supabase);
+      explanation = await mlEngine.explainLoggedAnalysis(transactionId);
+      source = 'recomputed';
+    }
+
+    if (!explanation) {
+      return res.status(404).json({ error: 'No ML prediction recorded for this transaction' });
+    }
+
+    return res.status(200).json({
+      transactionId,
+      verdict: transaction.verdict,
+      verdictConfidence: transaction.verdict_confidence,
+      gamblingType: transaction.gambling_type,
+      explanation,
+      source
+    });
+  } catch (error) {
+    console.error('Get explanation error:', error);
+    return res.status(500).json({
+      error: 'Failed to explain prediction',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Get user patterns
  * GET /api/ml-insights/patterns?userId=xxx
+ *
+ * Includes the calibration of the classifier in effect for the user: global,
+ * normalised (own normalisation stats) or personalised (stats and adapter).
  */
 async function getUserPatterns(req, res) {
   try {
@@ -81,15 +154,24 @@ async function getUserPatterns(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const evolution = new PatternEvolution(supabase);
 
+    const calibrations = new UserCalibration(supabase);
+
     const patterns = await evolution.getUserPatterns(userId);
     const statistics = await evolution.getPatternStatistics(userId);
+    const [calibration, { production }] = await Promise.all([
+      calibrations.getCalibration(userId),
+      new ModelRegistry(supabase).getActiveVersions()
+    ]);
 
     return res.status(200).json({
       patterns,
-      statistics
+      statistics,
+      calibration: calibrations.describe(calibration, production?.version || null)
     });
   } catch (error) {
     console.error('Get patterns error:', error);
@@ -116,6 +198,8 @@ async function getPatternEvolution(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const evolution = new PatternEvolution(supabase);
 
@@ -137,7 +221,7 @@ async function getPatternEvolution(req, res) {
 
 /**
  * Predict next high-risk period
- * GET /api/ml-insights/predict-risk?userId=xxx
+ * GET /api/ml-insights/predict-risk?userId=xxx[&curve=false]
  */
 async function predictRiskPeriod(req, res) {
   try {
@@ -151,10 +235,14 @@ async function predictRiskPeriod(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const mlEngine = new MLPatternEngine(supabase);
 
-    const prediction = await mlEngine.predictNextRiskPeriod(userId);
+    const prediction = await mlEngine.predictNextRiskPeriod(userId, {
+      includeCurve: req.query.curve !== 'false'
+    });
 
     return res.status(200).json({
       prediction
@@ -190,6 +278,8 @@ async function detectAnomaly(req, res) {
       return res.status(400).json({ error: 'userId and transactionId are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     // Get transaction
@@ -236,6 +326,8 @@ async function getRecoveryPhase(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const evolution = new PatternEvolution(supabase);
 
@@ -271,6 +363,8 @@ async function getPatternStrength(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const mlEngine = new MLPatternEngine(supabase);
 
@@ -293,18 +387,32 @@ async function getPatternStrength(req, res) {
 /**
  * Get ML model info
  * GET /api/ml-insights/model-info
+ *
+ * Architecture plus the production and shadow versions from the model
+ * registry, with their evaluation scores.
  */
 async function getModelInfo(req, res) {
   try {
     if (req.method !== 'GET') {
       return res.status(405).json({ error: 'Method not allowed' });
     }
+    if (!(await requireUser(req, res))) return;
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const registry = new ModelRegistry(supabase);
+    const { production, shadow } = await registry.getActiveVersions();
 
     const classifier = new GamblingClassifier();
     const info = classifier.getModelInfo();
 
+    if (production) {
+      info.version = production.version;
+    }
+
     return res.status(200).json({
       model: info,
+      production: production && _summarizeVersion(production),
+      shadow: shadow && _summarizeVersion(shadow),
       status: 'operational'
     });
   } catch (error) {
@@ -320,9 +428,13 @@ async function getModelInfo(req, res) {
  * Train model (admin only)
  * POST /api/ml-insights/train
  *
+ * Fine-tunes the production version into a new version, registered as a
+ * candidate; promote it or run it in shadow with /api/admin/models.
+ *
  * Body:
  *   {
  *     "trainingData": [...],
+ *     "testData": [...] (optional, evaluated and stored as the version's metrics),
  *     "options": { epochs: 50, batchSize: 32 }
  *   }
  */
@@ -332,24 +444,53 @@ async function trainModel(req, res) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // TODO: Add authentication check for admin
-    const { trainingData, options = {} } = req.body;
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    const { trainingData, testData, options = {} } = req.body;
 
     if (!trainingData || !Array.isArray(trainingData)) {
       return res.status(400).json({ error: 'trainingData array is required' });
     }
 
-    const classifier = new GamblingClassifier();
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const registry = new ModelRegistry(supabase);
+    const { production } = await registry.getActiveVersions();
+    const version = createVersionName();
+
+    const classifier = new GamblingClassifier({
+      modelPath: production ? await registry.loadArtifacts(production) : undefined,
+      modelVersion: version,
+      requireArtifacts: !!production
+    });
     await classifier.loadModel();
 
+    // Save the fine-tuned weights as a new version
+    classifier.modelPath = path.join(VERSIONS_DIR, version);
     const history = await classifier.train(trainingData, options);
 
-    await classifier.saveModel();
+    const metrics = Array.isArray(testData) && testData.length > 0
+      ? await classifier.evaluate(testData)
+      : null;
+
+    const registered = await registry.registerVersion({
+      version,
+      artifactPath: path.relative(MODELS_DIR, classifier.modelPath),
+      trainingMetadata: {
+        source: 'admin_upload',
+        baseVersion: production?.version || null,
+        trainingExamples: trainingData.length,
+        testExamples: Array.isArray(testData) ? testData.length : 0,
+        options,
+        trainedBy: req.user.id
+      },
+      metrics
+    });
 
     return res.status(200).json({
       success: true,
-      message: 'Model trained successfully',
-      history
+      message: `Model version ${version} trained and registered as a candidate`,
+      version: registered,
+      history: history.history
     });
   } catch (error) {
     console.error('Train model error:', error);
@@ -376,6 +517,8 @@ async function getDashboard(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
     const mlEngine = new MLPatternEngine(supabase);
     const evolution = new PatternEvolution(supabase);
@@ -421,6 +564,22 @@ async function getDashboard(req, res) {
   }
 }
 
+/**
+ * Helper: Registry fields reported by model-info
+ */
+function _summarizeVersion(version) {
+  return {
+    version: version.version,
+    status: version.status,
+    metrics: version.metrics,
+    trainingMetadata: version.training_metadata,
+    promotedAt: version.promoted_at,
+    previousVersion: version.previous_version,
+    shadowPredictions: version.shadow_predictions,
+    shadowDisagreements: version.shadow_disagreements
+  };
+}
+
 /**
  * Helper: Categorize pattern strength
  */
@@ -434,7 +593,7 @@ function _categorizeStrength(strength) {
 /**
  * Main handler for Vercel serverless function
  */
-export default async; (req, res) => {
+export default async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -450,6 +609,8 @@ export default async; (req, res) => {
 
     if (path.endsWith('/analyze')) {
       return await analyzeTransaction(req, res);
+    } else if (path.endsWith('/explain')) {
+      return await getExplanation(req, res);
     } else if (path.endsWith('/patterns')) {
       return await getUserPatterns(req, res);
     } else if (path.endsWith('/pattern-evolution')) {
@@ -482,6 +643,7 @@ export default async; (req, res) => {
 
 // Export individual functions for testing
 export { analyzeTransaction as analyzeTransaction };
+export { getExplanation as getExplanation };
 export { getUserPatterns as getUserPatterns };
 export { getPatternEvolution as getPatternEvolution };
 export { predictRiskPeriod as predictRiskPeriod };
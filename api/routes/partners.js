@@ -14,8 +14,10 @@
  * - POST /api/webhooks/partners/:partnerId - Partner webhook receiver
  */
 
+import { createClient } from '@supabase/supabase-js';
 import { partnerManager, PARTNER_REGISTRY } from '../services/partner-manager.js';
-import { rewardDistributor } from '../services/reward-distributor.js';
+import { rewardDistributor, MILESTONES } from '../services/reward-distributor.js';
+import { authenticate } from '../middleware/auth.js';
 
 /**
  * Main request handler
@@ -163,7 +165,7 @@ async function getPartner(req, res, partnerId) {
  * Link user account to partner
  */
 async function linkPartnerAccount(req, res, partnerId) {
-  const userId = getUserId(req);
+  const userId = await getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -212,7 +214,6 @@ async function linkPartnerAccount(req, res, partnerId) {
     }
 
     // Store link in database
-    import { createClient } from '@supabase/supabase-js';
     const supabase = createClient(
       process.env.SUPABASE_URL,
       process.env.SUPABASE_SERVICE_KEY
@@ -248,7 +249,7 @@ async function linkPartnerAccount(req, res, partnerId) {
  * Get user's rewards
  */
 async function getUserRewards(req, res) {
-  const userId = getUserId(req);
+  const userId = await getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -274,7 +275,7 @@ async function getUserRewards(req, res) {
  * Claim a reward (for choice rewards)
  */
 async function claimReward(req, res, rewardId) {
-  const userId = getUserId(req);
+  const userId = await getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -289,7 +290,6 @@ async function claimReward(req, res, rewardId) {
   }
 
   try {
-    import { createClient } from '@supabase/supabase-js';
     const supabase = createClient(
       process.env.SUPABASE_URL,
       process.env.SUPABASE_SERVICE_KEY
@@ -326,7 +326,6 @@ async function claimReward(req, res, rewardId) {
     }
 
     // Get milestone info
-    import { MILESTONES } from '../services/reward-distributor.js';
     const milestone = Object.values(MILESTONES).find(m => m.id === reward.milestone_id);
 
     if (!milestone) {
@@ -359,7 +358,7 @@ async function claimReward(req, res, rewardId) {
  * Check for new rewards
  */
 async function checkRewards(req, res) {
-  const userId = getUserId(req);
+  const userId = await getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -438,7 +437,7 @@ async function handlePartnerWebhook(req, res, partnerId) {
  * Check partner balance
  */
 async function checkPartnerBalance(req, res, partnerId) {
-  const userId = getUserId(req);
+  const userId = await getUserId(req);
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -482,19 +481,13 @@ async function checkPartnerBalance(req, res, partnerId) {
 }
 
 /**
- * Extract user ID from request
- * In production, this would validate JWT token or session
+ * Extract user ID from the authenticated request
  */
-function getUserId(req) {
-  // Check Authorization header
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    // In production, decode and validate JWT
-    // For now, we'll use a simple approach
-    const token = authHeader.substring(7);
-    // TODO: Validate JWT and extract user ID
-    return req.headers['x-user-id'] || null;
+async function getUserId(req) {
+  try {
+    const user = await authenticate(req);
+    return user.id;
+  } catch (error) {
+    return null;
   }
-
-  return null;
 }
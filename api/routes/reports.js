@@ -6,10 +6,35 @@
 
 import { createClient } from '@supabase/supabase-js';
 import ReportGenerator from '../services/report-generator.js';
+import { requireUserAccess } from '../middleware/auth.js';
+import { JOB_TYPES, getJobQueue, isQueueEnabled } from '../services/queue-handlers.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
+/**
+ * Generate a report, or queue it when the job queue is enabled
+ * Queued reports respond 202 with a job ID to poll (see getReportJob).
+ */
+async function runReport(res, method, userId, args) {
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  if (isQueueEnabled()) {
+    const job = await getJobQueue(supabase).enqueue(JOB_TYPES.REPORT_GENERATE, { method, userId, args });
+
+    return res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      statusUrl: `/api/reports/jobs/${job.id}`
+    });
+  }
+
+  const generator = new ReportGenerator(supabase);
+  const result = await generator[method](userId, ...args);
+
+  return res.status(200).json(result);
+}
+
 /**
  * Generate report
  * POST /api/reports/generate
@@ -26,12 +51,9 @@ async function generateReport(req, res) {
       return res.status(400).json({ error: 'userId and reportType are required' });
     }
 
-    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-    const generator = new ReportGenerator(supabase);
+    if (!(await requireUserAccess(req, res, userId))) return;
 
-    const result = await generator.generateReport(userId, reportType, options);
-
-    return res.status(200).json(result);
+    return await runReport(res, 'generateReport', userId, [reportType, options]);
   } catch (error) {
     console.error('Generate report error:', error);
     return res.status(500).json({
@@ -57,12 +79,9 @@ async function generateTaxReport(req, res) {
       return res.status(400).json({ error: 'userId and financialYear are required' });
     }
 
-    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-    const generator = new ReportGenerator(supabase);
-
-    const result = await generator.generateTaxReport(userId, financialYear, options);
+    if (!(await requireUserAccess(req, res, userId))) return;
 
-    return res.status(200).json(result);
+    return await runReport(res, 'generateTaxReport', userId, [financialYear, options]);
   } catch (error) {
     console.error('Generate tax report error:', error);
     return res.status(500).json({
@@ -88,12 +107,9 @@ async function generateCounselorReport(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
-    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-    const generator = new ReportGenerator(supabase);
-
-    const result = await generator.generateCounselorReport(userId, options);
+    if (!(await requireUserAccess(req, res, userId))) return;
 
-    return res.status(200).json(result);
+    return await runReport(res, 'generateCounselorReport', userId, [options]);
   } catch (error) {
     console.error('Generate counselor report error:', error);
     return res.status(500).json({
@@ -119,12 +135,9 @@ async function generateDebtSummary(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
-    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-    const generator = new ReportGenerator(supabase);
-
-    const result = await generator.generateDebtSummary(userId, options);
+    if (!(await requireUserAccess(req, res, userId))) return;
 
-    return res.status(200).json(result);
+    return await runReport(res, 'generateDebtSummary', userId, [options]);
   } catch (error) {
     console.error('Generate debt summary error:', error);
     return res.status(500).json({
@@ -134,6 +147,48 @@ async function generateDebtSummary(req, res) {
   }
 }
 
+/**
+ * Get the status of a queued report
+ * GET /api/reports/jobs/:jobId
+ */
+async function getReportJob(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { jobId } = req.query;
+
+    if (!jobId) {
+      return res.status(400).json({ error: 'jobId is required' });
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const job = await getJobQueue(supabase).getJob(jobId);
+
+    if (!job || job.type !== JOB_TYPES.REPORT_GENERATE) {
+      return res.status(404).json({ error: 'Report job not found' });
+    }
+
+    if (!(await requireUserAccess(req, res, job.payload.userId))) return;
+
+    return res.status(200).json({
+      jobId: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      error: job.last_error || null,
+      report: job.result || null
+    });
+  } catch (error) {
+    console.error('Get report job error:', error);
+    return res.status(500).json({
+      error: 'Failed to get report job',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Get user reports
  * GET /api/reports/list?userId=xxx
@@ -150,6 +205,8 @@ async function listReports(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     const { data: reports, error } = await supabase
@@ -202,6 +259,8 @@ async function downloadReport(req, res) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    if (!(await requireUserAccess(req, res, report.user_id))) return;
+
     // TODO: Implement actual file download
     // For now, return download URL
     return res.status(200).json({
@@ -238,6 +297,18 @@ async function deleteReport(req, res) {
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
+    const { data: report } = await supabase
+      .from('reports')
+      .select('user_id')
+      .eq('id', reportId)
+      .single();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!(await requireUserAccess(req, res, report.user_id))) return;
+
     const { error } = await supabase
       .from('reports')
       .delete()
@@ -274,6 +345,8 @@ async function getConsentStatus(req, res) {
       return res.status(400).json({ error: 'userId is required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     const { data: consent, error } = await supabase
@@ -312,6 +385,8 @@ async function updateConsent(req, res) {
       return res.status(400).json({ error: 'userId and consented (boolean) are required' });
     }
 
+    if (!(await requireUserAccess(req, res, userId))) return;
+
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
     const { data, error } = await supabase
@@ -343,7 +418,7 @@ async function updateConsent(req, res) {
 /**
  * Main handler for Vercel serverless function
  */
-export default async; (req, res) => {
+export default async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -365,6 +440,9 @@ export default async; (req, res) => {
       return await generateCounselorReport(req, res);
     } else if (path.endsWith('/debt')) {
       return await generateDebtSummary(req, res);
+    } else if (path.includes('/jobs/')) {
+      req.query = { ...req.query, jobId: path.split('/jobs/')[1] };
+      return await getReportJob(req, res);
     } else if (path.endsWith('/list')) {
       return await listReports(req, res);
     } else if (path.includes('/download')) {
@@ -394,6 +472,7 @@ export { generateReport as generateReport };
 export { generateTaxReport as generateTaxReport };
 export { generateCounselorReport as generateCounselorReport };
 export { generateDebtSummary as generateDebtSummary };
+export { getReportJob as getReportJob };
 export { listReports as listReports };
 export { downloadReport as downloadReport };
 export { deleteReport as deleteReport };
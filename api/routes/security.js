@@ -11,10 +11,14 @@ import fraudDetector from '../services/fraud-detector.js';
 import rateLimiter from '../services/rate-limiter-advanced.js';
 import auditLogger from '../services/audit-logger.js';
 import encryptionService from '../services/encryption-service.js';
+import { ROLES, authenticateMiddleware } from '../middleware/auth.js';
+
+// All security endpoints require an authenticated caller (sets req.user)
+router.use(authenticateMiddleware);
 
 // Middleware: Admin only
 const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
+  if (!req.user || req.user.role !== ROLES.ADMIN) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
@@ -13,13 +13,14 @@
  * - Projected savings if stopped
  *
  * Usage:
- *   node analyze-gambling-baseline.js --months=12
+ *   node analyze-gambling-baseline.js --userId=<USER_ID> --months=12
  *   node analyze-gambling-baseline.js --start=2023-01-01 --end=2024-01-01
  */
 
 import { createClient } from '@supabase/supabase-js';
 import PatternLearner from '../services/pattern-learner.js';
 import MerchantEnrichment from '../services/merchant-enrichment.js';
+import { fileURLToPath } from 'url';
 
 // Configuration
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -28,6 +29,7 @@ const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 class GamblingBaselineAnalyzer {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
+    this.userId = null;
     this.patternLearner = new PatternLearner(supabaseClient);
     this.merchantEnrichment = new MerchantEnrichment(supabaseClient);
   }
@@ -39,6 +41,7 @@ class GamblingBaselineAnalyzer {
     console.log('📊 Starting gambling baseline analysis...\n');
 
     const { startDate, endDate } = this._parseOptions(options);
+    this.userId = options.userId || null;
 
     console.log(`📅 Analysis period: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
     console.log(`📆 Duration: ${this._getDurationText(startDate, endDate)}\n`);
@@ -119,12 +122,15 @@ class GamblingBaselineAnalyzer {
    */
   async _fetchTransactions(startDate, endDate) {
     try {
-      const { data, error } = await this.supabase
+      let query = this.supabase
         .from('transactions')
         .select('*')
         .gte('timestamp', startDate.toISOString())
-        .lte('timestamp', endDate.toISOString())
-        .order('timestamp', { ascending: true });
+        .lte('timestamp', endDate.toISOString());
+
+      if (this.userId) query = query.eq('user_id', this.userId);
+
+      const { data, error } = await query.order('timestamp', { ascending: true });
 
       if (error) throw error;
 
@@ -435,6 +441,7 @@ class GamblingBaselineAnalyzer {
       const { data, error } = await this.supabase
         .from('baseline_analysis')
         .insert({
+          user_id: this.userId,
           start_date: startDate.toISOString(),
           end_date: endDate.toISOString(),
           total_lost: baseline.totalLost,
@@ -498,7 +505,7 @@ async function main() {
 }
 
 // Run if called directly
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   main();
 }
 
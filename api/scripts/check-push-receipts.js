@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Push Receipt Check Script
+ *
+ * Fetches Expo receipts for pending push tickets, records delivery errors
+ * and deactivates tokens for devices that no longer accept notifications.
+ * Run periodically (receipts are kept by Expo for 24 hours).
+ *
+ * Usage:
+ *   node api/scripts/check-push-receipts.js [--limit=1000]
+ */
+
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import PushNotificationService from '../services/push-notifications.js';
+
+async function main() {
+  const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+  const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 1000;
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+  );
+
+  const pushService = new PushNotificationService(supabase);
+  const summary = await pushService.checkReceipts(limit);
+
+  console.log('📬 Push receipts checked');
+  console.log(`   Receipts: ${summary.checked} (${summary.ok} ok, ${summary.errors} errors)`);
+  console.log(`   Tokens deactivated: ${summary.tokensDeactivated}`);
+
+  return summary;
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('Push receipt check failed:', error);
+    process.exit(1);
+  });
+}
+
+export { main };
@@ -15,11 +15,12 @@
  *
  * Usage:
  *   node generate-risk-profile.js
- *   node generate-risk-profile.js --months=12
+ *   node generate-risk-profile.js --userId=<USER_ID> --months=12
  */
 
 import { createClient } from '@supabase/supabase-js';
 import PatternLearner from '../services/pattern-learner.js';
+import { fileURLToPath } from 'url';
 
 // Configuration
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -37,6 +38,7 @@ class RiskProfileGenerator {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
     this.patternLearner = new PatternLearner(supabaseClient);
+    this.userId = null;
   }
 
   /**
@@ -46,6 +48,7 @@ class RiskProfileGenerator {
     console.log('🎯 Generating risk profile...\n');
 
     const { startDate, endDate } = this._parseOptions(options);
+    this.userId = options.userId || null;
 
     try {
       // Get baseline analysis
@@ -100,9 +103,13 @@ class RiskProfileGenerator {
   async _getBaseline(startDate, endDate) {
     try {
       // First try to get from baseline_analysis table
-      const { data: savedBaseline } = await this.supabase
+      let baselineQuery = this.supabase
         .from('baseline_analysis')
-        .select('*')
+        .select('*');
+
+      if (this.userId) baselineQuery = baselineQuery.eq('user_id', this.userId);
+
+      const { data: savedBaseline } = await baselineQuery
         .order('created_at', { ascending: false })
         .limit(1)
         .single();
@@ -114,18 +121,21 @@ class RiskProfileGenerator {
       // If not found, calculate fresh baseline
       console.log('⚠️  No saved baseline found, calculating fresh baseline...\n');
 
-      const { data: transactions } = await this.supabase
+      let transactionQuery = this.supabase
         .from('transactions')
         .select('*')
         .gte('timestamp', startDate.toISOString())
-        .lte('timestamp', endDate.toISOString())
-        .order('timestamp', { ascending: true });
+        .lte('timestamp', endDate.toISOString());
+
+      if (this.userId) transactionQuery = transactionQuery.eq('user_id', this.userId);
+
+      const { data: transactions } = await transactionQuery.order('timestamp', { ascending: true });
 
       if (!transactions || transactions.length === 0) {
         return null;
       }
 
-      return await this.patternLearner.calculateBaseline(null, startDate, endDate);
+      return await this.patternLearner.calculateBaseline(this.userId, startDate, endDate);
     } catch (error) {
       console.error('Error getting baseline:', error);
       return null;
@@ -604,6 +614,7 @@ class RiskProfileGenerator {
       const { data, error } = await this.supabase
         .from('risk_profiles')
         .insert({
+          user_id: this.userId,
           risk_level: profile.riskLevel,
           risk_score: profile.riskScore,
           primary_type: profile.primaryType,
@@ -665,7 +676,7 @@ async function main() {
 }
 
 // Run if called directly
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   main();
 }
 
@@ -8,13 +8,14 @@
  * Identifies gambling transactions and patterns
  *
  * Usage:
- *   node import-up-bank-history.js --token=<UP_TOKEN> --years=2
+ *   node import-up-bank-history.js --token=<UP_TOKEN> --userId=<USER_ID> --years=2
  *   node import-up-bank-history.js --token=<UP_TOKEN> --start=2022-01-01 --end=2024-01-01
  */
 
 import { createClient } from '@supabase/supabase-js';
 import PatternLearner from '../services/pattern-learner.js';
 import MerchantEnrichment from '../services/merchant-enrichment.js';
+import { fileURLToPath } from 'url';
 
 // Configuration
 const BATCH_SIZE = 100;
@@ -26,6 +27,7 @@ class UpBankHistoryImporter {
   constructor(upToken, supabaseClient) {
     this.upToken = upToken;
     this.supabase = supabaseClient;
+    this.userId = null;
     this.patternLearner = new PatternLearner(supabaseClient);
     this.merchantEnrichment = new MerchantEnrichment(supabaseClient);
     this.stats = {
@@ -44,6 +46,7 @@ class UpBankHistoryImporter {
     console.log('🚀 Starting Up Bank history import...\n');
 
     const { startDate, endDate } = this._parseOptions(options);
+    this.userId = options.userId || null;
 
     console.log(`📅 Import range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
     console.log(`📦 Batch size: ${BATCH_SIZE}\n`);
@@ -227,6 +230,7 @@ class UpBankHistoryImporter {
 
     // Build basic transaction object
     const transaction = {
+      user_id: this.userId,
       transaction_id: tx.id,
       amount: amount,
       payee_name: attributes.description,
@@ -288,11 +292,14 @@ class UpBankHistoryImporter {
    */
   async _checkWhitelist(payeeName) {
     try {
-      const { data, error } = await this.supabase
+      let query = this.supabase
         .from('whitelist')
         .select('id')
-        .ilike('payee_name', payeeName)
-        .single();
+        .ilike('payee_name', payeeName);
+
+      if (this.userId) query = query.eq('user_id', this.userId);
+
+      const { data, error } = await query.single();
 
       return !!data;
     } catch (error) {
@@ -368,7 +375,7 @@ async function main() {
   if (!options.token) {
     console.error('❌ Error: Up Bank token is required');
     console.log('\nUsage:');
-    console.log('  node import-up-bank-history.js --token=<UP_TOKEN> --years=2');
+    console.log('  node import-up-bank-history.js --token=<UP_TOKEN> --userId=<USER_ID> --years=2');
     console.log('  node import-up-bank-history.js --token=<UP_TOKEN> --start=2022-01-01 --end=2024-01-01');
     process.exit(1);
   }
@@ -395,7 +402,7 @@ async function main() {
 }
 
 // Run if called directly
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   main();
 }
 
@@ -22,6 +22,7 @@ import MerchantEnrichment from '../services/merchant-enrichment.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -359,7 +360,6 @@ class CSVMigrator {
    * Generate transaction ID from transaction details
    */
   _generateTransactionId(timestamp, amount, description) {
-    import crypto from 'crypto';
     const data = `${timestamp.toISOString()}-${amount}-${description}`;
     return 'csv-' + crypto.createHash('sha256').update(data).digest('hex').substring(0, 32);
   }
@@ -501,7 +501,7 @@ async function main() {
 }
 
 // Run if called directly
-if (require.main === module) {
+if (process.argv[1] === __filename) {
   main();
 }
 
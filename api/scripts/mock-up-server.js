@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Up Bank API Server
+ *
+ * Minimal stand-in for the Up Bank API used when testing the webhook
+ * pipeline without a real Up account:
+ * - GET /api/v1/transactions/:id serves seeded transactions
+ * - Failures can be injected to exercise the client's retry logic
+ * - sendWebhook() delivers signed webhook events to an Anchor server
+ *
+ * Usage:
+ *   node mock-up-server.js --port=4010
+ *   UP_API_BASE_URL=http://localhost:4010/api/v1 UP_ACCESS_TOKEN=mock node ../server.mjs
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * Build an Up transaction resource
+ */
+function buildTransaction(id, overrides = {}) {
+  return {
+    type: 'transactions',
+    id,
+    attributes: {
+      status: 'HELD',
+      rawText: 'SPORTSBET PTY LTD DARWIN',
+      description: 'Sportsbet',
+      message: null,
+      isCategorizable: true,
+      holdInfo: null,
+      roundUp: null,
+      cashback: null,
+      amount: { currencyCode: 'AUD', value: '-50.00', valueInBaseUnits: -5000 },
+      foreignAmount: null,
+      cardPurchaseMethod: null,
+      settledAt: null,
+      createdAt: new Date().toISOString(),
+      ...overrides.attributes
+    },
+    relationships: {
+      account: { data: { type: 'accounts', id: 'mock-account' } },
+      category: { data: null },
+      parentCategory: { data: null },
+      tags: { data: [] },
+      ...overrides.relationships
+    }
+  };
+}
+
+class MockUpServer {
+  constructor() {
+    this.transactions = new Map();
+    this.failures = [];
+    this.requests = [];
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Add or replace a transaction
+   */
+  addTransaction(id, overrides = {}) {
+    const transaction = buildTransaction(id, overrides);
+    this.transactions.set(id, transaction);
+    return transaction;
+  }
+
+  /**
+   * Mark a transaction as settled
+   */
+  settleTransaction(id) {
+    const transaction = this.transactions.get(id);
+    if (transaction) {
+      transaction.attributes.status = 'SETTLED';
+      transaction.attributes.settledAt = new Date().toISOString();
+    }
+    return transaction;
+  }
+
+  /**
+   * Remove a transaction (as Up does for TRANSACTION_DELETED)
+   */
+  deleteTransaction(id) {
+    this.transactions.delete(id);
+  }
+
+  /**
+   * Make the next `count` API requests fail with `status`
+   */
+  failNext(count = 1, status = 503) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push(status);
+    }
+  }
+
+  async listen(port = 0) {
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    const address = this.server.address();
+    this.baseUrl = `http://127.0.0.1:${address.port}/api/v1`;
+    return this.baseUrl;
+  }
+
+  async close() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  _handle(req, res) {
+    this.requests.push({ method: req.method, url: req.url });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      return send(401, { errors: [{ status: '401', title: 'Not Authorized' }] });
+    }
+
+    if (this.failures.length > 0) {
+      const status = this.failures.shift();
+      return send(status, { errors: [{ status: String(status), title: 'Injected failure' }] });
+    }
+
+    if (req.url === '/api/v1/util/ping') {
+      return send(200, { meta: { id: 'mock', statusEmoji: '⚡️' } });
+    }
+
+    const match = /^\/api\/v1\/transactions\/([^/?]+)$/.exec(req.url);
+    if (req.method === 'GET' && match) {
+      const transaction = this.transactions.get(decodeURIComponent(match[1]));
+      if (!transaction) {
+        return send(404, { errors: [{ status: '404', title: 'Not Found' }] });
+      }
+      return send(200, { data: transaction });
+    }
+
+    return send(404, { errors: [{ status: '404', title: 'Not Found' }] });
+  }
+}
+
+/**
+ * Deliver a signed Up-style webhook event to an Anchor webhook URL
+ */
+async function sendWebhook(targetUrl, { eventType, transactionId, eventId, secret }) {
+  const body = JSON.stringify({
+    data: {
+      type: 'webhook-events',
+      id: eventId || crypto.randomUUID(),
+      attributes: {
+        eventType,
+        createdAt: new Date().toISOString()
+      },
+      relationships: {
+        webhook: { data: { type: 'webhooks', id: 'mock-webhook' } },
+        ...(transactionId && {
+          transaction: { data: { type: 'transactions', id: transactionId } }
+        })
+      }
+    }
+  });
+
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const response = await fetch(targetUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Up-Authenticity-Signature': signature
+    },
+    body
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+async function main() {
+  const portArg = process.argv.find(arg => arg.startsWith('--port='));
+  const port = portArg ? parseInt(portArg.split('=')[1]) : 4010;
+
+  const mock = new MockUpServer();
+  mock.addTransaction('mock-txn-1');
+  mock.addTransaction('mock-txn-2', {
+    attributes: {
+      rawText: 'WOOLWORTHS 1234 SYDNEY',
+      description: 'Woolworths',
+      amount: { currencyCode: 'AUD', value: '-82.15', valueInBaseUnits: -8215 }
+    }
+  });
+
+  const baseUrl = await mock.listen(port);
+  console.log(`🧪 Mock Up API running at ${baseUrl}`);
+  console.log(`   Seeded transactions: ${Array.from(mock.transactions.keys()).join(', ')}`);
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { MockUpServer, buildTransaction, sendWebhook };
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Missing Translations Report
+ *
+ * Compares each catalogue in api/locales with the English one and lists:
+ * - Missing keys (sent in English until translated)
+ * - Stale keys English no longer has
+ * - Messages that don't parse
+ * - Arguments that differ from the English message
+ * - Plural categories the language needs that a plural doesn't cover
+ *   (e.g. Arabic zero/one/two/few/many/other)
+ *
+ * Exits with 1 when anything is found.
+ *
+ * Usage:
+ *   node api/scripts/report-missing-translations.js [--language=ar]
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  loadCatalogue,
+  getMessageArguments,
+  getPluralOptions
+} from '../services/translation-service.js';
+
+/**
+ * Catalogue messages by dotted key
+ */
+function flatten(catalogue, prefix = '', messages = new Map()) {
+  for (const [key, value] of Object.entries(catalogue)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object') {
+      flatten(value, path, messages);
+    } else {
+      messages.set(path, value);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Problems with one message: parse error, argument mismatch with English,
+ * missing plural categories
+ */
+function checkMessage(message, english, pluralCategories) {
+  const problems = [];
+
+  let args;
+  let plurals;
+  try {
+    args = getMessageArguments(message);
+    plurals = getPluralOptions(message);
+  } catch (error) {
+    return [`does not parse: ${error.message}`];
+  }
+
+  if (english !== undefined) {
+    const expected = Object.keys(getMessageArguments(english));
+    const missing = expected.filter(name => !(name in args));
+    const unknown = Object.keys(args).filter(name => !expected.includes(name));
+
+    if (missing.length > 0) problems.push(`missing arguments: ${missing.join(', ')}`);
+    if (unknown.length > 0) problems.push(`unknown arguments: ${unknown.join(', ')}`);
+  }
+
+  for (const [name, options] of Object.entries(plurals)) {
+    const uncovered = pluralCategories.filter(category => !options.includes(category));
+    if (uncovered.length > 0) {
+      problems.push(`plural {${name}} missing categories: ${uncovered.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Report for one language { missing, stale, invalid }
+ */
+function checkLanguage(language) {
+  const english = flatten(loadCatalogue(DEFAULT_LANGUAGE));
+  const messages = flatten(loadCatalogue(language));
+  const pluralCategories = new Intl.PluralRules(SUPPORTED_LANGUAGES[language].locale)
+    .resolvedOptions()
+    .pluralCategories;
+
+  const report = { missing: [], stale: [], invalid: [] };
+
+  for (const key of english.keys()) {
+    if (!messages.has(key)) report.missing.push(key);
+  }
+
+  for (const [key, message] of messages) {
+    if (!english.has(key)) {
+      report.stale.push(key);
+      continue;
+    }
+
+    if (typeof message !== 'string') {
+      report.invalid.push({ key, problems: ['not a string'] });
+      continue;
+    }
+
+    const problems = checkMessage(message, language === DEFAULT_LANGUAGE ? undefined : english.get(key), pluralCategories);
+    if (problems.length > 0) report.invalid.push({ key, problems });
+  }
+
+  return report;
+}
+
+async function main() {
+  const languageArg = process.argv.find(arg => arg.startsWith('--language='));
+  const languages = languageArg ? [languageArg.split('=')[1]] : Object.keys(SUPPORTED_LANGUAGES);
+
+  let problemCount = 0;
+
+  for (const language of languages) {
+    if (!SUPPORTED_LANGUAGES[language]) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    const report = checkLanguage(language);
+    const count = report.missing.length + report.stale.length + report.invalid.length;
+    problemCount += count;
+
+    console.log(`${count === 0 ? '✅' : '⚠️ '} ${language} (${SUPPORTED_LANGUAGES[language].name}): ${count} problem(s)`);
+
+    report.missing.forEach(key => console.log(`   missing: ${key}`));
+    report.stale.forEach(key => console.log(`   stale:   ${key}`));
+    report.invalid.forEach(({ key, problems }) => {
+      problems.forEach(problem => console.log(`   invalid: ${key} (${problem})`));
+    });
+  }
+
+  if (problemCount > 0) {
+    process.exitCode = 1;
+  }
+
+  return problemCount;
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('Translation check failed:', error);
+    process.exit(1);
+  });
+}
+
+export { main, checkLanguage };
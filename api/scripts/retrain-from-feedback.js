@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Retrain From Feedback Script
+ *
+ * Trains a candidate gambling classifier from user and guardian
+ * classification feedback, evaluates it against the held-out labels and
+ * promotes it over the live model only if its metrics improve.
+ * The model-retraining background job runs the same process weekly.
+ *
+ * Usage:
+ *   node api/scripts/retrain-from-feedback.js [--epochs=30] [--min-examples=20]
+ */
+
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import ModelTrainer from '../services/model-trainer.js';
+
+function numberArg(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) : undefined;
+}
+
+async function main() {
+  const options = {};
+  const epochs = numberArg('epochs');
+  const minExamples = numberArg('min-examples');
+  if (epochs) options.epochs = epochs;
+  if (minExamples) options.minExamples = minExamples;
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+  );
+
+  const run = await new ModelTrainer(supabase).retrain(options);
+
+  console.log(`🧠 Retraining ${run.status}: candidate ${run.candidate_version}`);
+  console.log(`   ${run.reason}`);
+
+  if (run.candidate_metrics) {
+    const format = metrics => metrics
+      ? `accuracy ${metrics.accuracy.toFixed(3)}, precision ${metrics.precision.toFixed(3)}, ` +
+        `recall ${metrics.recall.toFixed(3)}, F1 ${metrics.f1.toFixed(3)}`
+      : 'none';
+
+    console.log(`   Held out: ${run.holdout_examples} labelled transactions`);
+    console.log(`   Baseline (${run.baseline_version || 'none'}): ${format(run.baseline_metrics)}`);
+    console.log(`   Candidate: ${format(run.candidate_metrics)}`);
+  }
+
+  return run;
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('Retraining failed:', error);
+    process.exit(1);
+  });
+}
+
+export { main };
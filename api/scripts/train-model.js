@@ -15,6 +15,9 @@
  *   --validation <float>  Validation split (default: 0.2)
  *   --learning-rate <float> Learning rate (default: 0.001)
  *   --save-path <path>    Model save path (default: api/data/models/gambling-classifier)
+ *
+ * ML_BACKEND=javascript trains the dependency-free logistic model and exports
+ * its weights (weights.json) instead of the TensorFlow network.
  */
 
 import fs from 'fs';
@@ -84,6 +87,10 @@ Options:
   --save-path <path>        Model save path
   --help                    Show this help message
 
+Environment:
+  ML_BACKEND=javascript     Train the dependency-free model (exports weights.json)
+  ML_BACKEND=tensorflow     Require the TensorFlow network
+
 Examples:
   # Train with defaults
   node api/scripts/train-model.js
@@ -242,7 +249,7 @@ async function main() {
   console.log('Model architecture:');
   const info = classifier.getModelInfo();
   console.log(`  Input features: ${info.architecture.inputFeatures}`);
-  console.log(`  Hidden layers: ${info.architecture.hiddenLayers.join(' -> ')}`);
+  console.log(`  Hidden layers: ${info.architecture.hiddenLayers.join(' -> ') || 'none (logistic heads)'}`);
   console.log(`  Output heads: ${Object.keys(info.architecture.outputs).length}\n`);
 
   // Train model
@@ -290,7 +297,7 @@ async function main() {
 }
 
 // Run training
-if (require.main === module) {
+if (process.argv[1] === __filename) {
   main().catch(error => {
     console.error('Training failed:', error);
     process.exit(1);
@@ -5,21 +5,24 @@
  */
 
 import http from 'http';
-import crypto from 'crypto';
 
-// Import API handlers
-import upBankWebhookHandler from './webhooks/up-bank.js';
-import conversationHandler from './ai/conversation.mjs';
-import voiceAnalyzeHandler from './voice/analyze.mjs';
-import accountsHandler from './up/accounts.js';
-import transactionsHandler from './up/transactions.js';
-import webhookSetupHandler from './up/webhook-setup.js';
+import { parseBody } from './middleware/body-parser.js';
+import { matchRoute, matchMount, resolveHandler } from './routes/index.js';
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
 
 /**
- * Simple router for API endpoints
+ * Send a JSON response without relying on the Vercel shims
+ */
+function sendJSON(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Router for API endpoints (see routes/index.js for the route table)
  */
 async function router(req, res) {
   const { method, url } = req;
@@ -28,8 +31,8 @@ async function router(req, res) {
 
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Up-Token');
 
   // Handle preflight
   if (method === 'OPTIONS') {
@@ -40,97 +43,155 @@ async function router(req, res) {
 
   // Health check endpoint
   if (pathname === '/health' || pathname === '/api/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
+    sendJSON(res, 200, {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       version: process.env.npm_package_version || '1.0.0'
-    }));
+    });
     return;
   }
 
   // Route to appropriate handler
   try {
-    // Webhooks
-    if (pathname === '/api/webhooks/up-bank') {
-      await handleRequest(req, res, upBankWebhookHandler);
-      return;
-    }
+    const match = matchRoute(method, pathname);
 
-    // AI endpoints
-    if (pathname === '/api/ai/conversation') {
-      await handleRequest(req, res, conversationHandler);
+    if (match && match.route) {
+      const handler = await resolveHandler(match.route);
+      await handleRequest(req, res, handler, { params: match.params });
       return;
     }
 
-    if (pathname === '/api/voice/analyze') {
-      await handleRequest(req, res, voiceAnalyzeHandler);
+    if (match && match.allowedMethods) {
+      res.setHeader('Allow', match.allowedMethods.join(', '));
+      sendJSON(res, 405, { error: 'Method not allowed' });
       return;
     }
 
-    // Up Bank API endpoints
-    if (pathname === '/api/up/accounts') {
-      await handleRequest(req, res, accountsHandler);
+    const mount = matchMount(pathname);
+    if (mount) {
+      const mountedRouter = await resolveHandler(mount);
+      await handleMountedRequest(req, res, mountedRouter, mount.prefix);
       return;
     }
 
-    if (pathname === '/api/up/transactions') {
-      await handleRequest(req, res, transactionsHandler);
+    // 404 - Not found
+    sendJSON(res, 404, {
+      error: 'Not found',
+      path: pathname
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Server error after response started:', error);
+      res.end();
       return;
     }
 
-    if (pathname === '/api/up/webhook-setup') {
-      await handleRequest(req, res, webhookSetupHandler);
+    if (error.statusCode && error.statusCode < 500) {
+      sendJSON(res, error.statusCode, { error: error.message });
       return;
     }
 
-    // 404 - Not found
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      error: 'Not found',
-      path: pathname
-    }));
-  } catch (error) {
     console.error('Server error:', error);
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
+    sendJSON(res, 500, {
       error: 'Internal server error',
       message: error.message
-    }));
+    });
   }
 }
 
 /**
- * Handle request by calling Vercel-style handler
+ * Add the Vercel/Express-style response helpers handlers rely on
  */
-async function handleRequest(req, res, handler) {
-  // Parse body if present
-  if (req.method === 'POST' || req.method === 'PUT') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+function applyResponseShims(res) {
+  res.status = (statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  };
 
-    await new Promise((resolve) => {
-      req.on('end', () => {
-        try {
-          req.body = body ? JSON.parse(body) : {};
-        } catch (e) {
-          req.body = {};
-        }
-        resolve();
-      });
-    });
+  res.set = (name, value) => {
+    res.setHeader(name, value);
+    return res;
+  };
+
+  res.json = (payload) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json');
+    }
+    res.end(JSON.stringify(payload));
+    return res;
+  };
+
+  res.send = (payload) => {
+    if (payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload)) {
+      return res.json(payload);
+    }
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    }
+    res.end(payload);
+    return res;
+  };
+
+  return res;
+}
+
+/**
+ * Prepare req/res the way Vercel does (body, query, params, helpers)
+ */
+async function prepareRequest(req, res, params = {}) {
+  if (BODY_METHODS.includes(req.method)) {
+    await parseBody(req);
+  } else {
+    req.body = {};
   }
 
-  // Parse query parameters
+  // Parse query parameters (path parameters are merged in, as on Vercel)
   const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-  req.query = Object.fromEntries(parsedUrl.searchParams);
+  req.query = { ...Object.fromEntries(parsedUrl.searchParams), ...params };
+  req.params = params;
+
+  applyResponseShims(res);
+}
+
+/**
+ * Handle request by calling Vercel-style handler
+ */
+async function handleRequest(req, res, handler, { params } = {}) {
+  await prepareRequest(req, res, params);
+  await handler(req, res);
+}
+
+/**
+ * Handle request with a mounted Express-style router
+ */
+async function handleMountedRequest(req, res, mountedRouter, prefix) {
+  await prepareRequest(req, res);
+
+  // Strip the mount prefix as Express does for app.use(prefix, router)
+  req.originalUrl = req.url;
+  req.baseUrl = prefix;
+  req.url = req.url.slice(prefix.length) || '/';
+  if (!req.url.startsWith('/')) {
+    req.url = `/${req.url}`;
+  }
+
+  await new Promise((resolve, reject) => {
+    res.on('finish', resolve);
+    res.on('close', resolve);
 
-  // Call handler (handle both default exports and regular exports)
-  const handlerFunc = handler.default || handler;
-  await handlerFunc(req, res);
+    mountedRouter(req, res, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      sendJSON(res, 404, {
+        error: 'Not found',
+        path: req.originalUrl.split('?')[0]
+      });
+    });
+  });
 }
 
 /**
@@ -142,11 +203,64 @@ server.listen(PORT, HOST, () => {
   console.log(`🚀 Anchor API Server running on http://${HOST}:${PORT}`);
   console.log(`📊 Health check: http://${HOST}:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  startJobScheduler();
+  startQueueWorker();
 });
 
+/**
+ * Start the background job scheduler (JOBS_ENABLED=true)
+ * Every instance may run it: job locks stop jobs being run twice.
+ */
+let jobScheduler = null;
+
+async function startJobScheduler() {
+  if (process.env.JOBS_ENABLED !== 'true') return;
+
+  try {
+    const { createClient } = await import('@supabase/supabase-js');
+    const { createJobScheduler } = await import('./services/scheduled-jobs.js');
+
+    jobScheduler = createJobScheduler(createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    ));
+    jobScheduler.start();
+  } catch (error) {
+    console.error('Failed to start job scheduler:', error);
+  }
+}
+
+/**
+ * Start the job queue worker (QUEUE_ENABLED=true)
+ * Webhook processing, queued SMS/email sends and report generation run here.
+ */
+let jobQueue = null;
+
+async function startQueueWorker() {
+  if (process.env.QUEUE_ENABLED !== 'true') return;
+
+  try {
+    const { createClient } = await import('@supabase/supabase-js');
+    const { getJobQueue, registerQueueHandlers } = await import('./services/queue-handlers.js');
+
+    const supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+
+    jobQueue = registerQueueHandlers(getJobQueue(supabase), supabase);
+    jobQueue.start();
+  } catch (error) {
+    console.error('Failed to start job queue worker:', error);
+  }
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  jobScheduler?.stop();
+  jobQueue?.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -155,6 +269,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  jobScheduler?.stop();
+  jobQueue?.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,168 @@
+/**
+ * Calendar Events
+ *
+ * Dates the relapse risk forecaster treats as high-risk:
+ * - Australian national public holidays, computed for any year (Easter by
+ *   the Gregorian computus; weekend New Year's, Australia, Christmas and
+ *   Boxing Days get the following weekday off)
+ * - Major sporting events from api/data/sporting-fixtures.json
+ *
+ * Dates are local calendar dates as 'YYYY-MM-DD' strings.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const FIXTURES_PATH = path.join(__dirname, '../data/sporting-fixtures.json');
+
+/**
+ * National public holidays in a year
+ */
+function getPublicHolidays(year) {
+  const easter = easterSunday(year);
+
+  const holidays = [
+    ...observed(year, 0, 1, "New Year's Day"),
+    ...observed(year, 0, 26, 'Australia Day'),
+    { date: dateKey(addDays(easter, -2)), name: 'Good Friday' },
+    { date: dateKey(addDays(easter, -1)), name: 'Easter Saturday' },
+    { date: dateKey(addDays(easter, 1)), name: 'Easter Monday' },
+    { date: dateKey(utcDate(year, 3, 25)), name: 'Anzac Day' },
+    { date: dateKey(nthWeekday(year, 5, 1, 2)), name: "King's Birthday" },
+    ...christmasHolidays(year)
+  ];
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Public holidays keyed by date for the years spanned by two dates
+ */
+function getPublicHolidayMap(start, end) {
+  const holidays = new Map();
+
+  for (let year = start.getUTCFullYear(); year <= end.getUTCFullYear(); year++) {
+    for (const holiday of getPublicHolidays(year)) {
+      holidays.set(holiday.date, holiday.name);
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Sporting fixtures with parsed start and end times
+ */
+function loadFixtures(fixturesPath = FIXTURES_PATH) {
+  if (!fs.existsSync(fixturesPath)) {
+    return [];
+  }
+
+  const { fixtures = [] } = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+  return fixtures
+    .map(fixture => {
+      const start = new Date(fixture.start);
+      return {
+        name: fixture.name,
+        sport: fixture.sport,
+        weight: fixture.weight || 1.5,
+        start,
+        end: new Date(start.getTime() + (fixture.durationHours || 3) * 60 * 60 * 1000)
+      };
+    })
+    .filter(fixture => !Number.isNaN(fixture.start.getTime()));
+}
+
+/**
+ * A holiday, moved to the following Monday when it falls on a weekend
+ */
+function observed(year, month, day, name) {
+  const date = utcDate(year, month, day);
+  const weekday = date.getUTCDay();
+
+  if (weekday === 6) return [{ date: dateKey(addDays(date, 2)), name: `${name} (observed)` }];
+  if (weekday === 0) return [{ date: dateKey(addDays(date, 1)), name: `${name} (observed)` }];
+  return [{ date: dateKey(date), name }];
+}
+
+/**
+ * Christmas and Boxing Day with their substitute days
+ */
+function christmasHolidays(year) {
+  const christmas = utcDate(year, 11, 25);
+  const weekday = christmas.getUTCDay();
+
+  if (weekday === 5) {
+    // Boxing Day on Saturday: Monday off
+    return [
+      { date: dateKey(christmas), name: 'Christmas Day' },
+      { date: dateKey(addDays(christmas, 3)), name: 'Boxing Day (observed)' }
+    ];
+  }
+  if (weekday === 6) {
+    return [
+      { date: dateKey(addDays(christmas, 2)), name: 'Christmas Day (observed)' },
+      { date: dateKey(addDays(christmas, 3)), name: 'Boxing Day (observed)' }
+    ];
+  }
+  if (weekday === 0) {
+    return [
+      { date: dateKey(addDays(christmas, 1)), name: 'Boxing Day' },
+      { date: dateKey(addDays(christmas, 2)), name: 'Christmas Day (observed)' }
+    ];
+  }
+
+  return [
+    { date: dateKey(christmas), name: 'Christmas Day' },
+    { date: dateKey(addDays(christmas, 1)), name: 'Boxing Day' }
+  ];
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return utcDate(year, month - 1, day);
+}
+
+/**
+ * The nth given weekday (0 = Sunday) of a month
+ */
+function nthWeekday(year, month, weekday, n) {
+  const first = utcDate(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return utcDate(year, month, 1 + offset + (n - 1) * 7);
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function dateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export { getPublicHolidays, getPublicHolidayMap, loadFixtures, FIXTURES_PATH };
@@ -0,0 +1,226 @@
+/**
+ * Classification Feedback Service
+ *
+ * Stores user and guardian labels on transaction classifications:
+ * - "correct" / "incorrect" on the verdict shown in the Alert screen and
+ *   the guardian intervention history, optionally with the right gambling type
+ * - Every label is reported to MetricsCollector.trackPatternDetection
+ * - Labels are turned into training examples for the classifier, using the
+ *   feature vector the ML engine logged when it analysed the transaction
+ */
+
+import metricsCollector from './metrics-collector.js';
+
+const GAMBLING_TYPES = ['online', 'venue', 'sports', 'lottery'];
+
+// Labellers other than the monitored user, whose labels can be trusted to
+// personalise that user's classifier
+const TRUSTED_LABELLER_ROLES = ['guardian', 'admin'];
+
+// Transaction IDs per `.in()` filter, to keep request URLs short
+const ID_BATCH_SIZE = 200;
+
+class ClassificationFeedback {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Record (or replace) a label on a transaction's classification
+   *
+   * `correct` says whether the verdict was right; the true label is derived
+   * from it. `gamblingType` corrects the type of a gambling transaction.
+   */
+  async recordFeedback(transaction, labeller, { correct, gamblingType = null, notes = null }) {
+    if (gamblingType && !GAMBLING_TYPES.includes(gamblingType)) {
+      throw new Error(`gamblingType must be one of: ${GAMBLING_TYPES.join(', ')}`);
+    }
+
+    const predictedGambling = this.isPredictedGambling(transaction);
+    const isGambling = correct ? predictedGambling : !predictedGambling;
+
+    const { data, error } = await this.supabase
+      .from('classification_feedback')
+      .upsert({
+        transaction_id: transaction.transaction_id,
+        user_id: transaction.user_id,
+        labelled_by: labeller.id,
+        labeller_role: labeller.role,
+        is_correct: correct,
+        is_gambling: isGambling,
+        gambling_type: isGambling ? (gamblingType || transaction.gambling_type || null) : null,
+        predicted_verdict: transaction.verdict || null,
+        predicted_gambling_type: transaction.gambling_type || null,
+        predicted_confidence: transaction.verdict_confidence ?? null,
+        notes
+      }, { onConflict: 'transaction_id,labelled_by' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    metricsCollector.trackPatternDetection(
+      transaction.gambling_type || transaction.verdict || 'unclassified',
+      correct,
+      transaction.verdict_confidence ?? undefined
+    );
+
+    return data;
+  }
+
+  /**
+   * Get the labels on a transaction
+   */
+  async getFeedback(transactionId) {
+    const { data, error } = await this.supabase
+      .from('classification_feedback')
+      .select('*')
+      .eq('transaction_id', transactionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Build training examples from labels
+   *
+   * Returns { examples, skipped }. Each example has the shape of
+   * api/data/training-data.json and carries its transaction ID. When several
+   * people labelled a transaction the most recent guardian or admin label
+   * wins, and the user's own label only counts when there is none. Transactions
+   * the ML engine never analysed have no features and are skipped.
+   * `userId` restricts the examples to one user's transactions and
+   * `labellerRoles` to labels from people with those roles.
+   */
+  async getTrainingExamples({ since = null, limit = 5000, userId = null, labellerRoles = null } = {}) {
+    let query = this.supabase
+      .from('classification_feedback')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (since) {
+      query = query.gte('created_at', since);
+    }
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    if (labellerRoles) {
+      query = query.in('labeller_role', labellerRoles);
+    }
+
+    const { data: labels, error } = await query;
+
+    if (error) throw error;
+
+    const latest = new Map();
+    for (const label of labels || []) {
+      const current = latest.get(label.transaction_id);
+      if (!current || (!isTrusted(current) && isTrusted(label))) {
+        latest.set(label.transaction_id, label);
+      }
+    }
+
+    const features = await this._getLoggedFeatures(Array.from(latest.keys()));
+
+    const examples = [];
+    let skipped = 0;
+
+    for (const [transactionId, label] of latest) {
+      const logged = features.get(transactionId);
+      if (!logged) {
+        skipped++;
+        continue;
+      }
+
+      examples.push({
+        transactionId,
+        features: logged.features,
+        isGambling: label.is_gambling,
+        gamblingType: label.is_gambling ? label.gambling_type : null,
+        trigger: logged.primaryTrigger || null,
+        relapseRisk: logged.relapseRisk || 0
+      });
+    }
+
+    return { examples, skipped };
+  }
+
+  /**
+   * Mark labels as used by a training run
+   */
+  async markUsed(transactionIds) {
+    if (transactionIds.length === 0) return;
+
+    const usedAt = new Date().toISOString();
+
+    for (const batch of chunk(transactionIds, ID_BATCH_SIZE)) {
+      const { error } = await this.supabase
+        .from('classification_feedback')
+        .update({ used_in_training_at: usedAt })
+        .in('transaction_id', batch);
+
+      if (error) {
+        console.error('Error marking feedback as used:', error);
+      }
+    }
+  }
+
+  /**
+   * Whether the stored classification treated the transaction as gambling
+   * Rows analysed before verdicts existed fall back to the whitelist result.
+   */
+  isPredictedGambling(transaction) {
+    if (transaction.verdict) {
+      return transaction.verdict !== 'clear';
+    }
+    return !transaction.is_whitelisted;
+  }
+
+  /**
+   * Get the most recent logged features for each transaction
+   */
+  async _getLoggedFeatures(transactionIds) {
+    const features = new Map();
+    if (transactionIds.length === 0) return features;
+
+    for (const batch of chunk(transactionIds, ID_BATCH_SIZE)) {
+      const { data, error } = await this.supabase
+        .from('ml_analysis_log')
+        .select('transaction_id, analysis, created_at')
+        .in('transaction_id', batch)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        if (features.has(row.transaction_id) || !row.analysis?.features) continue;
+
+        features.set(row.transaction_id, {
+          features: row.analysis.features,
+          primaryTrigger: row.analysis.triggers?.[0]?.trigger || row.analysis.features.primaryTrigger,
+          relapseRisk: row.analysis.relapseRisk
+        });
+      }
+    }
+
+    return features;
+  }
+}
+
+function isTrusted(label) {
+  return TRUSTED_LABELLER_ROLES.includes(label.labeller_role);
+}
+
+function chunk(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+export default ClassificationFeedback;
+export { GAMBLING_TYPES, TRUSTED_LABELLER_ROLES };
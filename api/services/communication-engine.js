@@ -3,12 +3,45 @@
  *
  * Main orchestrator for all SMS and email communications
  * Handles delivery, tracking, preferences, and scheduling
+ *
+ * SMS go out through the transport selected by SMS_PROVIDER (see
+ * sms-transports/); providers report delivery back through
+ * updateDeliveryStatus().
+ *
+ * Optional user notifications held back by quiet hours, frequency caps or
+ * the daily digest (see checkPreferences) wait in deferred_notifications
+ * until releaseDeferred() sends them. A send that fails is retried with
+ * backoff, up to MAX_DEFERRED_ATTEMPTS times.
+ *
+ * Messages are rendered in the recipient's language (users.language;
+ * guardians.language, else the user's), see translation-service.js.
  */
 
 import { renderSMS } from '../templates/sms-templates.js';
 import { renderEmail } from '../templates/email-templates.js';
 import emailSender from './email-sender.js';
-import { checkPreferences, MANDATORY_NOTIFICATIONS } from './notification-preferences.js';
+import {
+  checkPreferences,
+  mergeWithDefaults,
+  getNotificationCategory,
+  getCategoryTemplates,
+  DELIVERY_ACTIONS
+} from './notification-preferences.js';
+import { JOB_TYPES, getJobQueue, isQueueEnabled } from './queue-handlers.js';
+import { DELIVERY_STATUS, getSMSTransport, webhookUrl } from './sms-transports/index.js';
+
+// Later statuses win; callbacks can arrive out of order
+const STATUS_ORDER = [
+  DELIVERY_STATUS.QUEUED,
+  DELIVERY_STATUS.SENT,
+  DELIVERY_STATUS.DELIVERED,
+  DELIVERY_STATUS.FAILED,
+  DELIVERY_STATUS.BOUNCED
+];
+
+// Failed deferred sends are retried after 5, 10, 20 and 40 minutes
+const MAX_DEFERRED_ATTEMPTS = 5;
+const DEFERRED_RETRY_BASE_MS = 5 * 60 * 1000;
 
 class CommunicationEngine {
   constructor(supabaseClient) {
@@ -24,7 +57,7 @@ class CommunicationEngine {
       // Get user phone and preferences
       const { data: user } = await this.supabase
         .from('users')
-        .select('phone, notification_preferences')
+        .select('phone, language, timezone, notification_preferences')
         .eq('id', userId)
         .single();
 
@@ -32,20 +65,19 @@ class CommunicationEngine {
         throw new Error('User phone not found');
       }
 
-      // Check if notification is allowed (unless mandatory)
-      const category = templateId.toLowerCase();
-      const isMandatory = MANDATORY_NOTIFICATIONS.includes(category);
-
-      if (!isMandatory) {
-        const allowed = checkPreferences(user.notification_preferences, 'sms', category);
-        if (!allowed) {
-          console.log(`SMS blocked by user preferences: ${templateId}`);
-          return { blocked: true, reason: 'user_preferences' };
-        }
+      // Check preferences (mandatory notifications are always sent now)
+      const decision = await this._checkDelivery(userId, user, 'sms', templateId, options.category);
+      if (decision.action === DELIVERY_ACTIONS.BLOCK) {
+        console.log(`SMS blocked by user preferences: ${templateId}`);
+        return { blocked: true, reason: decision.reason };
       }
 
       // Render SMS
-      const rendered = renderSMS('user', templateId, data);
+      const rendered = renderSMS('user', templateId, data, user.language);
+
+      if (decision.action !== DELIVERY_ACTIONS.SEND) {
+        return this._deferNotification(userId, 'sms', templateId, data, options, decision, rendered.message);
+      }
 
       // Send via SMS service (Twilio/AWS SNS)
       const result = await this._sendSMS(user.phone, rendered.message, {
@@ -64,6 +96,7 @@ class CommunicationEngine {
         message: rendered.message,
         status: result.status,
         message_id: result.messageId,
+        provider: result.provider,
         critical: rendered.critical,
         metadata: { ...data, ...options }
       });
@@ -80,10 +113,10 @@ class CommunicationEngine {
    */
   async sendGuardianSMS(userId, guardianId, templateId, data, options = {}) {
     try {
-      // Get guardian phone
+      // Get guardian phone, and the user's language for guardians without one
       const { data: guardian } = await this.supabase
         .from('guardians')
-        .select('phone, name')
+        .select('phone, name, language, sms_opted_out_at, user:users(language)')
         .eq('id', guardianId)
         .eq('user_id', userId)
         .single();
@@ -92,8 +125,14 @@ class CommunicationEngine {
         throw new Error('Guardian phone not found');
       }
 
+      // Guardians who replied STOP get no further SMS until they reply START
+      if (guardian.sms_opted_out_at) {
+        console.log(`Guardian SMS blocked, guardian opted out: ${templateId}`);
+        return { blocked: true, reason: 'opted_out' };
+      }
+
       // Render SMS
-      const rendered = renderSMS('guardian', templateId, data);
+      const rendered = renderSMS('guardian', templateId, data, guardian.language || guardian.user?.language);
 
       // Guardian notifications are always sent (no preference checking)
       const result = await this._sendSMS(guardian.phone, rendered.message, {
@@ -114,6 +153,7 @@ class CommunicationEngine {
         message: rendered.message,
         status: result.status,
         message_id: result.messageId,
+        provider: result.provider,
         critical: rendered.critical,
         metadata: { ...data, ...options }
       });
@@ -133,7 +173,7 @@ class CommunicationEngine {
       // Get user email and preferences
       const { data: user } = await this.supabase
         .from('users')
-        .select('email, name, notification_preferences')
+        .select('email, name, language, timezone, notification_preferences')
         .eq('id', userId)
         .single();
 
@@ -142,15 +182,10 @@ class CommunicationEngine {
       }
 
       // Check preferences
-      const category = templateId.toLowerCase();
-      const isMandatory = MANDATORY_NOTIFICATIONS.includes(category);
-
-      if (!isMandatory) {
-        const allowed = checkPreferences(user.notification_preferences, 'email', category);
-        if (!allowed) {
-          console.log(`Email blocked by user preferences: ${templateId}`);
-          return { blocked: true, reason: 'user_preferences' };
-        }
+      const decision = await this._checkDelivery(userId, user, 'email', templateId, options.category);
+      if (decision.action === DELIVERY_ACTIONS.BLOCK) {
+        console.log(`Email blocked by user preferences: ${templateId}`);
+        return { blocked: true, reason: decision.reason };
       }
 
       // Render email
@@ -158,7 +193,11 @@ class CommunicationEngine {
         ...data,
         userName: user.name,
         unsubscribe_url: `${process.env.APP_URL}/preferences/unsubscribe?user=${userId}`
-      });
+      }, user.language);
+
+      if (decision.action !== DELIVERY_ACTIONS.SEND) {
+        return this._deferNotification(userId, 'email', templateId, data, options, decision, rendered.subject);
+      }
 
       // Send via email service
       const result = await emailSender.send({
@@ -192,10 +231,11 @@ class CommunicationEngine {
 
   /**
    * Send system SMS (verification, etc.)
+   * `options.language` picks the language, the number may not be a user's.
    */
   async sendSystemSMS(phone, templateId, data, options = {}) {
     try {
-      const rendered = renderSMS('system', templateId, data);
+      const rendered = renderSMS('system', templateId, data, options.language);
 
       const result = await this._sendSMS(phone, rendered.message, {
         critical: rendered.critical,
@@ -210,6 +250,7 @@ class CommunicationEngine {
         message: rendered.message,
         status: result.status,
         message_id: result.messageId,
+        provider: result.provider,
         critical: rendered.critical,
         metadata: { ...data, ...options }
       });
@@ -222,38 +263,183 @@ class CommunicationEngine {
   }
 
   /**
-   * Send SMS (internal - uses configured SMS provider)
+   * Delivery decision for a user notification (see checkPreferences)
+   * `category` overrides the template's own (e.g. a generic template sent
+   * for a NotificationRouter event).
    */
-  async _sendSMS(phone, message, options = {}) {
-    // TODO: Integrate with Twilio or AWS SNS
-    // For now, log to console
-    console.log('SMS TO:', phone);
-    console.log('MESSAGE:', message);
-    console.log('OPTIONS:', options);
+  async _checkDelivery(userId, user, channel, templateId, category = getNotificationCategory(templateId)) {
+    const { frequency_caps: caps } = mergeWithDefaults(user.notification_preferences).delivery;
+
+    let recentSends = [];
+    if (caps[category] !== undefined) {
+      const { data, error } = await this.supabase
+        .from('communications_log')
+        .select('sent_at')
+        .eq('user_id', userId)
+        .eq('type', channel)
+        .eq('direction', 'outbound')
+        .is('guardian_id', null)
+        .in('template_id', getCategoryTemplates(category))
+        .gte('sent_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+
+      if (error) throw error;
+
+      recentSends = (data || []).map(row => row.sent_at);
+    }
+
+    return checkPreferences(user.notification_preferences, channel, category, {
+      timeZone: user.timezone,
+      recentSends
+    });
+  }
+
+  /**
+   * Hold a notification back until decision.deliverAt
+   * `summary` is the line used for it in a digest.
+   */
+  async _deferNotification(userId, channel, templateId, data, options, decision, summary) {
+    const { data: deferred, error } = await this.supabase
+      .from('deferred_notifications')
+      .insert({
+        user_id: userId,
+        channel,
+        template_id: templateId,
+        data,
+        options,
+        summary,
+        reason: decision.reason,
+        deliver_at: decision.deliverAt.toISOString(),
+        status: 'pending'
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    console.log(`${channel} ${templateId} held back (${decision.reason}) until ${decision.deliverAt.toISOString()}`);
 
-    // Simulate successful send
     return {
-      status: 'sent',
-      messageId: `sms_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: new Date().toISOString()
+      deferred: true,
+      digest: decision.action === DELIVERY_ACTIONS.DIGEST,
+      reason: decision.reason,
+      deliverAt: decision.deliverAt.toISOString(),
+      deferredId: deferred.id
     };
+  }
 
-    /* Example Twilio integration:
-    const twilio = require('twilio');
-    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  /**
+   * Send deferred notifications that are due, and each user's due digest
+   * (one DAILY_DIGEST per user and channel)
+   */
+  async releaseDeferred({ now = new Date(), limit = 500 } = {}) {
+    const { data: due, error } = await this.supabase
+      .from('deferred_notifications')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('deliver_at', now.toISOString())
+      .order('deliver_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const results = { sent: 0, digests: 0, failed: 0 };
+    const digests = new Map();
+
+    for (const item of due || []) {
+      if (item.reason === 'digest') {
+        const key = `${item.user_id}:${item.channel}`;
+        digests.set(key, [...(digests.get(key) || []), item]);
+        continue;
+      }
 
-    const result = await client.messages.create({
-      body: message,
+      try {
+        // Checked again: preferences may have changed since
+        await this.sendCommunication({
+          type: item.channel,
+          recipient: 'user',
+          userId: item.user_id,
+          templateId: item.template_id,
+          data: item.data,
+          options: item.options
+        });
+        await this._markDeferred([item], 'released');
+        results.sent++;
+      } catch (sendError) {
+        console.error(`Failed to release deferred ${item.template_id} for user ${item.user_id}:`, sendError);
+        await this._retryDeferred([item], now);
+        results.failed++;
+      }
+    }
+
+    for (const items of digests.values()) {
+      const { user_id: userId, channel } = items[0];
+      const data = { items: items.map(item => item.summary) };
+
+      try {
+        if (channel === 'email') {
+          await this.sendUserEmail(userId, 'DAILY_DIGEST', data);
+        } else {
+          await this.sendUserSMS(userId, 'DAILY_DIGEST', data);
+        }
+        await this._markDeferred(items, 'released');
+        results.digests++;
+      } catch (sendError) {
+        console.error(`Failed to send ${channel} digest for user ${userId}:`, sendError);
+        await this._retryDeferred(items, now);
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  async _markDeferred(items, status) {
+    const { error } = await this.supabase
+      .from('deferred_notifications')
+      .update({ status, released_at: new Date().toISOString() })
+      .in('id', items.map(item => item.id));
+
+    if (error) console.error('Error updating deferred notifications:', error);
+  }
+
+  /**
+   * Reschedule deferred notifications after a failed send, with exponential
+   * backoff; they are marked failed after MAX_DEFERRED_ATTEMPTS attempts
+   */
+  async _retryDeferred(items, now) {
+    for (const item of items) {
+      const attempts = (item.attempts || 0) + 1;
+      const fields = attempts >= MAX_DEFERRED_ATTEMPTS
+        ? { status: 'failed', attempts, released_at: new Date().toISOString() }
+        : { attempts, deliver_at: new Date(now.getTime() + DEFERRED_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString() };
+
+      const { error } = await this.supabase
+        .from('deferred_notifications')
+        .update(fields)
+        .eq('id', item.id);
+
+      if (error) console.error('Error rescheduling deferred notification:', error);
+    }
+  }
+
+  /**
+   * Send SMS (internal - uses configured SMS provider)
+   */
+  async _sendSMS(phone, message, options = {}) {
+    const transport = await getSMSTransport();
+
+    const result = await transport.send({
       to: phone,
-      from: process.env.TWILIO_PHONE_NUMBER
+      body: message,
+      statusCallbackUrl: webhookUrl('/api/communications/webhook/sms/status')
     });
 
     return {
-      status: 'sent',
-      messageId: result.sid,
+      status: result.status,
+      messageId: result.messageId,
+      provider: transport.name,
       timestamp: new Date().toISOString()
     };
-    */
   }
 
   /**
@@ -323,6 +509,48 @@ class CommunicationEngine {
     }
   }
 
+  /**
+   * Record a delivery status reported by the SMS provider
+   * Returns the updated log entry, or null for unknown messages and stale
+   * statuses.
+   */
+  async updateDeliveryStatus(messageId, { status, errorCode = null, errorMessage = null }) {
+    if (!STATUS_ORDER.includes(status)) return null;
+
+    const { data: entry, error } = await this.supabase
+      .from('communications_log')
+      .select('id, status')
+      .eq('message_id', messageId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!entry || STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(entry.status)) {
+      return null;
+    }
+
+    if (status === DELIVERY_STATUS.BOUNCED) {
+      await this.handleBounce(messageId, errorMessage || errorCode || 'undelivered');
+    }
+
+    const now = new Date().toISOString();
+    const { data, error: updateError } = await this.supabase
+      .from('communications_log')
+      .update({
+        status,
+        status_updated_at: now,
+        error_code: errorCode,
+        ...(status === DELIVERY_STATUS.DELIVERED && { delivered_at: now }),
+        ...(status === DELIVERY_STATUS.FAILED && { bounce_reason: errorMessage || errorCode })
+      })
+      .eq('id', entry.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    return data;
+  }
+
   /**
    * Handle bounces/failures
    */
@@ -346,25 +574,59 @@ class CommunicationEngine {
     }
   }
 
+  /**
+   * Send one communication
+   * `communication` is { type: 'sms'|'email', recipient: 'user'|'guardian',
+   * userId, guardianId, templateId, data, options }.
+   */
+  async sendCommunication(comm) {
+    if (comm.type === 'sms') {
+      if (comm.recipient === 'guardian') {
+        return this.sendGuardianSMS(comm.userId, comm.guardianId, comm.templateId, comm.data, comm.options);
+      }
+      return this.sendUserSMS(comm.userId, comm.templateId, comm.data, comm.options);
+    }
+
+    if (comm.type === 'email') {
+      return this.sendUserEmail(comm.userId, comm.templateId, comm.data, comm.options);
+    }
+
+    throw new Error(`Unknown communication type: ${comm.type}`);
+  }
+
+  /**
+   * Queue a communication for the background worker (retried on failure)
+   */
+  async queueSend(comm, { delayMs = 0 } = {}) {
+    const queue = getJobQueue(this.supabase);
+    return queue.enqueue(JOB_TYPES.COMMUNICATION_SEND, comm, { delayMs });
+  }
+
   /**
    * Batch send (for scheduled communications)
+   * With the job queue enabled the sends are queued and retried by the
+   * worker; otherwise they are sent one after another.
    */
   async batchSend(communications) {
     const results = [];
 
+    if (isQueueEnabled()) {
+      for (const comm of communications) {
+        try {
+          const job = await this.queueSend(comm);
+          results.push({ ...comm, jobId: job.id, queued: true, success: true });
+        } catch (error) {
+          console.error(`Batch queue error for ${comm.templateId}:`, error);
+          results.push({ ...comm, error: error.message, success: false });
+        }
+      }
+
+      return results;
+    }
+
     for (const comm of communications) {
       try {
-        let result;
-
-        if (comm.type === 'sms') {
-          if (comm.recipient === 'user') {
-            result = await this.sendUserSMS(comm.userId, comm.templateId, comm.data, comm.options);
-          } else if (comm.recipient === 'guardian') {
-            result = await this.sendGuardianSMS(comm.userId, comm.guardianId, comm.templateId, comm.data, comm.options);
-          }
-        } else if (comm.type === 'email') {
-          result = await this.sendUserEmail(comm.userId, comm.templateId, comm.data, comm.options);
-        }
+        const result = await this.sendCommunication(comm);
 
         results.push({
           ...comm,
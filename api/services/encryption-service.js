@@ -34,8 +34,11 @@ class EncryptionService {
    */
   _loadKeys() {
     // In production: Load from HSM/KMS
-    const key = process.env.ENCRYPTION_KEY || crypto.randomBytes(KEY_LENGTH);
-    this.keys.set(this.currentKeyId, Buffer.from(key));
+    // ENCRYPTION_KEY is 64 hex characters, as for partner credentials
+    const key = process.env.ENCRYPTION_KEY
+      ? Buffer.from(process.env.ENCRYPTION_KEY, 'hex')
+      : crypto.randomBytes(KEY_LENGTH);
+    this.keys.set(this.currentKeyId, key);
   }
 
   /**
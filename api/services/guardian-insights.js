@@ -6,11 +6,22 @@
  */
 
 import PatternLearner from './pattern-learner.js';
+import RiskForecaster from './risk-forecaster.js';
+
+// Forecast factor shown first on a risk alert, in order of precedence
+const FORECAST_RISK_TYPES = [
+  { factor: 'fixture', type: 'sporting_event', recommendation: 'Check in before the event and plan something else to do' },
+  { factor: 'public_holiday', type: 'public_holiday', recommendation: 'Plan activities together for the holiday' },
+  { factor: 'payday', type: 'payday', recommendation: 'Schedule check-in before payday' },
+  { factor: 'relapse_cycle', type: 'relapse_cycle', recommendation: 'Past relapses followed a similar gap - check in early' },
+  { factor: 'usual_time', type: 'time_of_day', recommendation: 'Send supportive check-in message' }
+];
 
 class GuardianInsights {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
     this.patternLearner = new PatternLearner(supabaseClient);
+    this.forecaster = new RiskForecaster(supabaseClient);
   }
 
   /**
@@ -43,7 +54,8 @@ class GuardianInsights {
       const triggers = await this._identifyActiveTriggers(gamblingTransactions);
       const highRiskPeriods = this._identifyHighRiskPeriods(gamblingTransactions);
       const interventionEffectiveness = await this._calculateInterventionEffectiveness(userId);
-      const upcomingRisks = await this._predictUpcomingRisks(userId, transactions);
+      const forecast = await this._getForecast(userId);
+      const upcomingRisks = await this._predictUpcomingRisks(userId, transactions, forecast);
 
       return {
         timeframe,
@@ -59,6 +71,7 @@ class GuardianInsights {
         highRiskPeriods: highRiskPeriods,
         interventionEffectiveness: interventionEffectiveness,
         upcomingRisks: upcomingRisks,
+        riskForecast: this._summarizeForecast(forecast),
         generatedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -369,66 +382,28 @@ class GuardianInsights {
   }
 
   /**
-   * Predict upcoming risks based on patterns
+   * Predict upcoming risks from the user's relapse risk forecast and
+   * recent incidents
    */
-  async _predictUpcomingRisks(userId, transactions) {
+  async _predictUpcomingRisks(userId, transactions, forecast) {
     const risks = [];
     const now = new Date();
     const gamblingTransactions = transactions.filter(tx => !tx.is_whitelisted);
 
-    // Check for payday risk (next 3 days)
-    const daysUntilPayday = this._getDaysUntilPayday();
-    if (daysUntilPayday <= 3 && daysUntilPayday >= 0) {
-      const paydayGambling = gamblingTransactions.filter(tx => {
-        const date = new Date(tx.timestamp);
-        const day = date.getDate();
-        return (day >= 14 && day <= 17) || day >= 28 || day <= 3;
-      });
-
-      if (paydayGambling.length > 0) {
-        risks.push({
-          type: 'payday',
-          severity: 'high',
-          daysAway: daysUntilPayday,
-          message: `Payday in ${daysUntilPayday} day(s) - historical high-risk period`,
-          recommendation: 'Schedule check-in before payday'
-        });
-      }
-    }
-
-    // Check for weekend risk
-    const dayOfWeek = now.getDay();
-    if (dayOfWeek >= 4 && dayOfWeek <= 6) { // Thursday to Saturday
-      const weekendGambling = gamblingTransactions.filter(tx => {
-        const day = new Date(tx.timestamp).getDay();
-        return day === 5 || day === 6 || day === 0; // Fri, Sat, Sun
-      });
-
-      if (weekendGambling.length > 2) {
-        risks.push({
-          type: 'weekend',
-          severity: 'medium',
-          daysAway: dayOfWeek === 4 ? 1 : 0,
-          message: 'Approaching weekend - historical gambling pattern detected',
-          recommendation: 'Plan alternative weekend activities'
-        });
-      }
-    }
-
-    // Check for high-risk time of day (next 6 hours)
-    const currentHour = now.getHours();
-    const eveningGambling = gamblingTransactions.filter(tx => {
-      const hour = new Date(tx.timestamp).getHours();
-      return hour >= 18 && hour <= 23;
-    });
+    // High-risk periods in the next 14 days
+    for (const peak of (forecast?.peaks || []).slice(0, 5)) {
+      const primary = FORECAST_RISK_TYPES.find(t => peak.factors.some(f => f.type === t.factor)) ||
+        { type: 'forecast', recommendation: 'Schedule a check-in before this period' };
+      const reasons = peak.factors.map(f => f.name || f.type.replace(/_/g, ' '));
 
-    if (currentHour >= 15 && currentHour < 18 && eveningGambling.length > 3) {
       risks.push({
-        type: 'time_of_day',
-        severity: 'medium',
-        daysAway: 0,
-        message: 'Approaching evening hours - high-risk time period',
-        recommendation: 'Send supportive check-in message'
+        type: primary.type,
+        severity: peak.level,
+        daysAway: peak.daysAway,
+        message: `High-risk period ${peak.label}${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}`,
+        recommendation: primary.recommendation,
+        startsAt: peak.start,
+        endsAt: peak.end
       });
     }
 
@@ -445,7 +420,25 @@ class GuardianInsights {
         severity: 'very-high',
         daysAway: 0,
         message: 'Pattern escalation detected - multiple recent incidents',
-        recommendation: 'Immediate check-in recommended - consider crisis protocol'
+        recommendation: 'Immediate check-in recommended - consider crisis protocol',
+        explanation: this._latestExplanation(last3Days)
+      });
+    }
+
+    // Most recent transaction the model flagged as gambling (last 24 hours)
+    const flagged = transactions
+      .filter(tx => tx.verdict === 'gambling' && (now - new Date(tx.timestamp)) <= 24 * 60 * 60 * 1000)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+    if (flagged) {
+      const confidence = Math.round((flagged.verdict_confidence || 0) * 100);
+      risks.push({
+        type: 'flagged_transaction',
+        severity: 'high',
+        daysAway: 0,
+        message: `${flagged.payee_name || 'A transaction'} was flagged as gambling (${confidence}% confidence)`,
+        recommendation: 'Review the transaction with them and talk about what led to it',
+        explanation: flagged.prediction_explanation || null
       });
     }
 
@@ -456,22 +449,49 @@ class GuardianInsights {
   }
 
   /**
-   * Get days until next payday (assuming 15th and last day of month)
+   * Feature attributions of the most recent transaction that has them
    */
-  _getDaysUntilPayday() {
-    const now = new Date();
-    const day = now.getDate();
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  _latestExplanation(transactions) {
+    const explained = transactions
+      .filter(tx => tx.prediction_explanation)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-    if (day < 15) {
-      return 15 - day;
-    } else if (day < lastDay) {
-      return lastDay - day;
-    } else {
-      return 15; // Next month's payday
+    return explained[0]?.prediction_explanation || null;
+  }
+
+  /**
+   * The user's risk forecast; null when it cannot be generated
+   */
+  async _getForecast(userId) {
+    try {
+      return await this.forecaster.getForecast(userId);
+    } catch (error) {
+      console.error('Error loading risk forecast:', error);
+      return null;
     }
   }
 
+  /**
+   * Hourly risk curve for the portal chart, without the payer's name
+   */
+  _summarizeForecast(forecast) {
+    if (!forecast) return null;
+
+    return {
+      confidence: forecast.confidence,
+      timeZone: forecast.timeZone,
+      payFrequency: forecast.payCycle.frequency,
+      nextPayday: forecast.payCycle.nextPayday,
+      curve: forecast.curve.map(point => ({
+        time: point.time,
+        localDate: point.localDate,
+        localHour: point.localHour,
+        risk: point.risk,
+        level: point.level
+      }))
+    };
+  }
+
   /**
    * Get empty analytics structure
    */
@@ -499,6 +519,7 @@ class GuardianInsights {
         message: 'No interventions yet'
       },
       upcomingRisks: [],
+      riskForecast: null,
       generatedAt: new Date().toISOString()
     };
   }
@@ -510,7 +531,8 @@ class GuardianInsights {
     try {
       const { data: interventions } = await this.supabase
         .from('transactions')
-        .select('id, transaction_id, timestamp, payee_name, voice_memo_transcript, intervention_completed')
+        .select('id, transaction_id, timestamp, payee_name, voice_memo_transcript, intervention_completed, verdict, verdict_confidence, gambling_type')
+        .eq('user_id', userId)
         .eq('intervention_completed', true)
         .order('timestamp', { ascending: false })
         .limit(limit);
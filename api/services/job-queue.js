@@ -0,0 +1,576 @@
+/**
+ * Job Queue
+ *
+ * Durable background work for the API server:
+ * - Jobs are stored by a driver: Postgres (queue_jobs table, claimed with
+ *   FOR UPDATE SKIP LOCKED so several workers never take the same job) or
+ *   in memory for tests and local development
+ * - Jobs can be delayed (`delayMs` / `runAt`)
+ * - A running job's lock is renewed while its handler runs, so only jobs
+ *   whose worker died are claimed again
+ * - Failed jobs are retried with exponential backoff; once a job runs out
+ *   of attempts it is moved to dead-letter storage for inspection and retry
+ * - Queue depth is reported to MetricsCollector.updateQueueSize
+ *
+ * Producers call enqueue(); the standalone server runs the worker loop
+ * (see queue-handlers.js for the job types and their handlers).
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import metricsCollector from './metrics-collector.js';
+
+// Job status
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead'
+};
+
+// Retry defaults (per job type, overridable on register)
+const DEFAULT_RETRY = {
+  maxAttempts: 5,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000
+};
+
+// A running job whose lock has not been renewed for this long is retried
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Locks are renewed this many times per lock timeout while a handler runs
+const HEARTBEATS_PER_LOCK_TIMEOUT = 3;
+
+/**
+ * Delay before retrying after the given number of failed attempts
+ * Doubles each attempt, capped, with up to 10% jitter so retries spread out.
+ */
+function backoffDelay(attempts, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+/**
+ * Postgres driver (through Supabase)
+ */
+class PostgresQueueDriver {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  async insert(job) {
+    const { data, error } = await this.supabase
+      .from('queue_jobs')
+      .insert(job)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async claim({ workerId, types, limit, lockTimeoutMs }) {
+    const { data, error } = await this.supabase.rpc('claim_queue_jobs', {
+      p_worker: workerId,
+      p_types: types,
+      p_limit: limit,
+      p_lock_timeout_seconds: Math.round(lockTimeoutMs / 1000)
+    });
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  async update(id, fields) {
+    const { error } = await this.supabase
+      .from('queue_jobs')
+      .update(fields)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  async extendLock(id, workerId) {
+    const { error } = await this.supabase
+      .from('queue_jobs')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('locked_by', workerId)
+      .eq('status', JOB_STATUS.RUNNING);
+
+    if (error) throw error;
+  }
+
+  async getJob(id) {
+    const { data, error } = await this.supabase
+      .from('queue_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  async insertDeadLetter(deadLetter) {
+    const { error } = await this.supabase
+      .from('queue_dead_letters')
+      .insert(deadLetter);
+
+    if (error) throw error;
+  }
+
+  async listDeadLetters(limit) {
+    const { data, error } = await this.supabase
+      .from('queue_dead_letters')
+      .select('*')
+      .is('retried_at', null)
+      .order('failed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  async getDeadLetter(id) {
+    const { data, error } = await this.supabase
+      .from('queue_dead_letters')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  async claimDeadLetter(id) {
+    const { data, error } = await this.supabase
+      .from('queue_dead_letters')
+      .update({ retried_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('retried_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    return (data || []).length > 0;
+  }
+
+  async updateDeadLetter(id, fields) {
+    const { error } = await this.supabase
+      .from('queue_dead_letters')
+      .update(fields)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  async count(status, { due } = {}) {
+    let query = this.supabase
+      .from('queue_jobs')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', status);
+
+    if (due !== undefined) {
+      const now = new Date().toISOString();
+      query = due ? query.lte('run_at', now) : query.gt('run_at', now);
+    }
+
+    const { count, error } = await query;
+
+    if (error) throw error;
+
+    return count || 0;
+  }
+
+  async purgeCompleted(before) {
+    const { error } = await this.supabase
+      .from('queue_jobs')
+      .delete()
+      .eq('status', JOB_STATUS.COMPLETED)
+      .lt('completed_at', before.toISOString());
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * In-memory driver (tests and local development; not durable)
+ */
+class MemoryQueueDriver {
+  constructor() {
+    this.jobs = new Map();
+    this.deadLetters = new Map();
+  }
+
+  async insert(job) {
+    const row = {
+      id: randomUUID(),
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      created_at: new Date().toISOString(),
+      ...job
+    };
+    this.jobs.set(row.id, row);
+    return { ...row };
+  }
+
+  async claim({ workerId, types, limit, lockTimeoutMs }) {
+    const now = Date.now();
+
+    const claimable = Array.from(this.jobs.values())
+      .filter(job => types.includes(job.type))
+      .filter(job =>
+        (job.status === JOB_STATUS.PENDING && new Date(job.run_at).getTime() <= now) ||
+        (job.status === JOB_STATUS.RUNNING && now - new Date(job.locked_at).getTime() > lockTimeoutMs)
+      )
+      .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+      .slice(0, limit);
+
+    return claimable.map(job => {
+      Object.assign(job, {
+        status: JOB_STATUS.RUNNING,
+        locked_by: workerId,
+        locked_at: new Date(now).toISOString(),
+        attempts: job.attempts + 1
+      });
+      return { ...job };
+    });
+  }
+
+  async update(id, fields) {
+    const job = this.jobs.get(id);
+    if (job) Object.assign(job, fields);
+  }
+
+  async extendLock(id, workerId) {
+    const job = this.jobs.get(id);
+    if (job && job.locked_by === workerId && job.status === JOB_STATUS.RUNNING) {
+      job.locked_at = new Date().toISOString();
+    }
+  }
+
+  async getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async insertDeadLetter(deadLetter) {
+    const row = { id: randomUUID(), retried_at: null, retry_job_id: null, ...deadLetter };
+    this.deadLetters.set(row.id, row);
+  }
+
+  async listDeadLetters(limit) {
+    return Array.from(this.deadLetters.values())
+      .filter(row => !row.retried_at)
+      .sort((a, b) => new Date(b.failed_at) - new Date(a.failed_at))
+      .slice(0, limit);
+  }
+
+  async getDeadLetter(id) {
+    return this.deadLetters.get(id) || null;
+  }
+
+  async claimDeadLetter(id) {
+    const row = this.deadLetters.get(id);
+    if (!row || row.retried_at) return false;
+
+    row.retried_at = new Date().toISOString();
+    return true;
+  }
+
+  async updateDeadLetter(id, fields) {
+    const row = this.deadLetters.get(id);
+    if (row) Object.assign(row, fields);
+  }
+
+  async count(status, { due } = {}) {
+    const now = Date.now();
+    return Array.from(this.jobs.values()).filter(job => {
+      if (job.status !== status) return false;
+      if (due === undefined) return true;
+      return due === (new Date(job.run_at).getTime() <= now);
+    }).length;
+  }
+
+  async purgeCompleted(before) {
+    for (const [id, job] of this.jobs) {
+      if (job.status === JOB_STATUS.COMPLETED && new Date(job.completed_at) < before) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+class JobQueue {
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.workerId = options.workerId ||
+      process.env.RAILWAY_REPLICA_ID ||
+      `${os.hostname()}-${process.pid}`;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.batchSize = options.batchSize || 5;
+    this.lockTimeoutMs = options.lockTimeoutMs || DEFAULT_LOCK_TIMEOUT_MS;
+    this.handlers = new Map();
+    this.timer = null;
+    this.active = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * `handler(payload, job)` may return a JSON-serialisable result; throwing
+   * schedules a retry.
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, ...DEFAULT_RETRY, ...options });
+    return this;
+  }
+
+  /**
+   * Add a job
+   * Options: delayMs or runAt (Date) to delay it, maxAttempts to override
+   * the job type's default.
+   */
+  async enqueue(type, payload = {}, { delayMs = 0, runAt, maxAttempts } = {}) {
+    const runTime = runAt ? new Date(runAt) : new Date(Date.now() + delayMs);
+
+    const job = await this.driver.insert({
+      type,
+      payload,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      max_attempts: maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULT_RETRY.maxAttempts,
+      run_at: runTime.toISOString()
+    });
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   */
+  async getJob(id) {
+    return this.driver.getJob(id);
+  }
+
+  /**
+   * Start the worker loop for the registered job types
+   */
+  start() {
+    if (this.active) return;
+
+    this.active = true;
+    this._poll();
+
+    console.log(`Job queue worker ${this.workerId} started for ${this.handlers.size} job types`);
+  }
+
+  /**
+   * Stop the worker loop (the current batch finishes on its own)
+   */
+  stop() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and run one batch of due jobs
+   * Returns the number of jobs processed.
+   */
+  async processBatch() {
+    const types = Array.from(this.handlers.keys());
+    if (types.length === 0) return 0;
+
+    const jobs = await this.driver.claim({
+      workerId: this.workerId,
+      types,
+      limit: this.batchSize,
+      lockTimeoutMs: this.lockTimeoutMs
+    });
+
+    for (const job of jobs) {
+      await this._run(job);
+    }
+
+    await this.updateDepthMetrics();
+
+    return jobs.length;
+  }
+
+  /**
+   * Queue depth by state
+   */
+  async getDepth() {
+    const [ready, delayed, running, dead] = await Promise.all([
+      this.driver.count(JOB_STATUS.PENDING, { due: true }),
+      this.driver.count(JOB_STATUS.PENDING, { due: false }),
+      this.driver.count(JOB_STATUS.RUNNING),
+      this.driver.count(JOB_STATUS.DEAD)
+    ]);
+
+    return { ready, delayed, running, dead, total: ready + delayed + running };
+  }
+
+  /**
+   * Report the number of outstanding jobs to the metrics collector
+   */
+  async updateDepthMetrics() {
+    try {
+      const depth = await this.getDepth();
+      metricsCollector.updateQueueSize(depth.total);
+      return depth;
+    } catch (error) {
+      console.error('Error reading queue depth:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Dead-lettered jobs awaiting attention (newest first)
+   */
+  async listDeadLetters(limit = 50) {
+    return this.driver.listDeadLetters(limit);
+  }
+
+  /**
+   * Enqueue a dead-lettered job again with a fresh set of attempts
+   * Only the first call enqueues a job; later calls return that job (or
+   * null while the first call has not recorded it yet).
+   */
+  async retryDeadLetter(deadLetterId) {
+    const deadLetter = await this.driver.getDeadLetter(deadLetterId);
+    if (!deadLetter) {
+      throw new Error(`Dead letter ${deadLetterId} not found`);
+    }
+
+    if (!(await this.driver.claimDeadLetter(deadLetterId))) {
+      const retried = await this.driver.getDeadLetter(deadLetterId);
+      return retried?.retry_job_id ? this.driver.getJob(retried.retry_job_id) : null;
+    }
+
+    let job;
+    try {
+      job = await this.enqueue(deadLetter.type, deadLetter.payload);
+    } catch (error) {
+      await this.driver.updateDeadLetter(deadLetterId, { retried_at: null });
+      throw error;
+    }
+
+    await this.driver.updateDeadLetter(deadLetterId, { retry_job_id: job.id });
+
+    return job;
+  }
+
+  /**
+   * Delete completed jobs older than the given number of days
+   */
+  async purgeCompleted(olderThanDays = 7) {
+    await this.driver.purgeCompleted(new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   */
+  async _run(job) {
+    const registration = this.handlers.get(job.type);
+    const heartbeat = this._startHeartbeat(job);
+
+    try {
+      const result = await registration.handler(job.payload, job);
+      clearInterval(heartbeat);
+
+      await this.driver.update(job.id, {
+        status: JOB_STATUS.COMPLETED,
+        result: result ?? null,
+        last_error: null,
+        locked_by: null,
+        completed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      clearInterval(heartbeat);
+      console.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error);
+      await this._fail(job, error, registration);
+    }
+  }
+
+  /**
+   * Renew a running job's lock until its handler returns
+   */
+  _startHeartbeat(job) {
+    const timer = setInterval(() => {
+      this.driver.extendLock(job.id, this.workerId).catch(error => {
+        console.error(`Failed to extend lock on job ${job.type} ${job.id}:`, error);
+      });
+    }, Math.max(Math.floor(this.lockTimeoutMs / HEARTBEATS_PER_LOCK_TIMEOUT), 1));
+
+    timer.unref?.();
+    return timer;
+  }
+
+  /**
+   * Retry a failed job with backoff, or dead-letter it when out of attempts
+   */
+  async _fail(job, error, registration) {
+    const message = error?.message || String(error);
+
+    if (job.attempts < job.max_attempts) {
+      const delay = backoffDelay(job.attempts, registration);
+
+      await this.driver.update(job.id, {
+        status: JOB_STATUS.PENDING,
+        last_error: message,
+        locked_by: null,
+        run_at: new Date(Date.now() + delay).toISOString()
+      });
+      return;
+    }
+
+    await this.driver.update(job.id, {
+      status: JOB_STATUS.DEAD,
+      last_error: message,
+      locked_by: null
+    });
+
+    await this.driver.insertDeadLetter({
+      job_id: job.id,
+      type: job.type,
+      payload: job.payload,
+      attempts: job.attempts,
+      error: message,
+      failed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Poll for jobs; keeps going straight away while there is a backlog
+   */
+  async _poll() {
+    if (!this.active) return;
+
+    let processed = 0;
+    try {
+      processed = await this.processBatch();
+    } catch (error) {
+      console.error('Job queue poll failed:', error);
+    }
+
+    if (!this.active) return;
+
+    this.timer = setTimeout(() => this._poll(), processed > 0 ? 0 : this.pollIntervalMs);
+    this.timer.unref?.();
+  }
+}
+
+export default JobQueue;
+export {
+  JOB_STATUS,
+  PostgresQueueDriver,
+  MemoryQueueDriver,
+  backoffDelay
+};
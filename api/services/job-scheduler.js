@@ -0,0 +1,604 @@
+/**
+ * Job Scheduler
+ *
+ * In-process runner for background jobs on the standalone server:
+ * - Jobs run on 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * - Per-user timezone jobs are evaluated in each user's local time, so a
+ *   "0 6 * * *" check-in reaches every user at 6am wherever they are
+ * - Each scheduled slot is claimed through a unique job_runs row and runs
+ *   under an expiring lease (job_locks), so several API instances never
+ *   double-send
+ * - Every run is recorded in job_runs; jobs can be paused, resumed and
+ *   triggered manually (see api/admin/jobs.js)
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TIMEZONE = process.env.ANCHOR_TIMEZONE || 'Australia/Sydney';
+
+const MINUTE_MS = 60 * 1000;
+
+// Missed minutes (e.g. a blocked event loop) are caught up to this limit
+const MAX_CATCH_UP_MINUTES = 5;
+
+// Default job lease; renewed while the job runs
+const DEFAULT_LOCK_TTL_SECONDS = 15 * 60;
+
+// Run status
+const RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// What started a run
+const TRIGGERS = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+// Cron fields in expression order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse one cron field (*, 5, 1-5, *\/15, 1-10/2, lists of these)
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 ||
+        start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' ? value % 7 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const cron = {
+    expression,
+    // Standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+
+  CRON_FIELDS.forEach((field, index) => {
+    cron[field.name] = parseCronField(parts[index], field);
+  });
+
+  return cron;
+}
+
+/**
+ * Get the cron-relevant parts of a date in a timezone
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-AU', {
+    timeZone,
+    weekday: 'short',
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type)?.value;
+
+  return {
+    minute: parseInt(get('minute')),
+    hour: parseInt(get('hour')),
+    dayOfMonth: parseInt(get('day')),
+    month: parseInt(get('month')),
+    dayOfWeek: DAY_NAMES.indexOf(get('weekday'))
+  };
+}
+
+/**
+ * Check whether a parsed cron expression fires at a minute in a timezone
+ */
+function cronMatches(cron, date, timeZone = DEFAULT_TIMEZONE) {
+  const local = getLocalTime(date, timeZone);
+
+  if (!cron.minute.has(local.minute) || !cron.hour.has(local.hour) || !cron.month.has(local.month)) {
+    return false;
+  }
+
+  const dayOfMonth = cron.dayOfMonth.has(local.dayOfMonth);
+  const dayOfWeek = cron.dayOfWeek.has(local.dayOfWeek);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Check whether a string is a timezone Intl understands
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-AU', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+class JobScheduler {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.instanceId = options.instanceId ||
+      process.env.RAILWAY_REPLICA_ID ||
+      `${os.hostname()}-${process.pid}`;
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.lastTick = null;
+  }
+
+  /**
+   * Register a job
+   *
+   * `handler` receives { userIds, timeZone, trigger, scheduledFor }. Per-user
+   * timezone jobs are called once per timezone whose local time matches the
+   * schedule, with the IDs of the users in that timezone; other jobs run
+   * once in `timeZone` and get no `userIds`.
+   */
+  register(name, { schedule, handler, description = '', perUserTimezone = false, timeZone = DEFAULT_TIMEZONE, lockTtlSeconds = DEFAULT_LOCK_TTL_SECONDS }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      description,
+      schedule,
+      cron: parseCron(schedule),
+      handler,
+      perUserTimezone,
+      timeZone,
+      lockTtlSeconds
+    });
+
+    return this;
+  }
+
+  /**
+   * Start ticking at the top of every minute
+   */
+  start() {
+    if (this.timer) return;
+
+    this.lastTick = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+    this._scheduleTick();
+
+    console.log(`Job scheduler started on ${this.instanceId} with ${this.jobs.size} jobs`);
+  }
+
+  /**
+   * Stop ticking (runs in progress finish on their own)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start the jobs due in the minutes since the last tick
+   * Runs are not awaited so a long job never delays the schedule.
+   */
+  async tick(now = new Date()) {
+    const minute = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+    const from = this.lastTick === null
+      ? minute
+      : Math.max(this.lastTick + MINUTE_MS, minute - (MAX_CATCH_UP_MINUTES - 1) * MINUTE_MS);
+    this.lastTick = minute;
+
+    let paused;
+    let userGroups = null;
+    try {
+      paused = await this._getPausedJobs();
+    } catch (error) {
+      console.error('Job scheduler could not load job state:', error);
+      return [];
+    }
+
+    const started = [];
+
+    for (let time = from; time <= minute; time += MINUTE_MS) {
+      const scheduledFor = new Date(time);
+
+      for (const job of this.jobs.values()) {
+        if (paused.has(job.name)) continue;
+
+        let groups = null;
+        if (job.perUserTimezone) {
+          try {
+            userGroups = userGroups || await this._getUserGroups();
+          } catch (error) {
+            console.error('Job scheduler could not load user timezones:', error);
+            continue;
+          }
+
+          groups = new Map(
+            Array.from(userGroups).filter(([timeZone]) => cronMatches(job.cron, scheduledFor, timeZone))
+          );
+          if (groups.size === 0) continue;
+        } else if (!cronMatches(job.cron, scheduledFor, job.timeZone)) {
+          continue;
+        }
+
+        started.push(job.name);
+        this._execute(job, {
+          runKey: scheduledFor.toISOString(),
+          trigger: TRIGGERS.SCHEDULE,
+          scheduledFor,
+          groups
+        }).catch(error => console.error(`Job ${job.name} failed to start:`, error));
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * Run a job now, regardless of its schedule or pause state
+   * Per-user timezone jobs run for all users (or `userIds`), grouped by timezone.
+   */
+  async trigger(name, { triggeredBy = null, userIds } = {}) {
+    const job = this._getJob(name);
+
+    let groups = null;
+    if (job.perUserTimezone) {
+      groups = await this._getUserGroups(userIds);
+    }
+
+    return this._execute(job, {
+      runKey: `manual:${randomUUID()}`,
+      trigger: TRIGGERS.MANUAL,
+      scheduledFor: new Date(),
+      triggeredBy,
+      groups
+    });
+  }
+
+  /**
+   * Pause a job on every instance
+   */
+  async pause(name, pausedBy = null) {
+    this._getJob(name);
+    return this._setPaused(name, { paused: true, paused_by: pausedBy, paused_at: new Date().toISOString() });
+  }
+
+  /**
+   * Resume a paused job
+   */
+  async resume(name) {
+    this._getJob(name);
+    return this._setPaused(name, { paused: false, paused_by: null, paused_at: null });
+  }
+
+  /**
+   * List registered jobs with their pause state and latest run
+   */
+  async listJobs() {
+    const paused = await this._getPausedJobs();
+    const jobs = [];
+
+    for (const job of this.jobs.values()) {
+      const [lastRun] = await this.getRuns(job.name, 1);
+
+      jobs.push({
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        timeZone: job.perUserTimezone ? 'user' : job.timeZone,
+        paused: paused.has(job.name),
+        lastRun: lastRun || null
+      });
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Get run history, newest first
+   */
+  async getRuns(name = null, limit = 50) {
+    let query = this.supabase
+      .from('job_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (name) {
+      query = query.eq('job_name', name);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Claim, lock and run a job, recording the outcome
+   * Returns the finished run, or null when another instance claimed the slot.
+   */
+  async _execute(job, { runKey, trigger, scheduledFor, triggeredBy = null, groups }) {
+    const userCount = groups
+      ? Array.from(groups.values()).reduce((sum, ids) => sum + ids.length, 0)
+      : null;
+
+    const run = await this._claimRun(job, { runKey, trigger, triggeredBy, groups, userCount });
+    if (!run) return null;
+
+    if (!(await this._acquireLock(job))) {
+      return this._finishRun(run, {
+        status: RUN_STATUS.SKIPPED,
+        error: 'Job is already running'
+      });
+    }
+
+    this.running.add(job.name);
+    const renewal = setInterval(() => {
+      this._acquireLock(job, true).catch(error =>
+        console.error(`Error renewing lock for job ${job.name}:`, error)
+      );
+    }, (job.lockTtlSeconds * 1000) / 3);
+    renewal.unref?.();
+
+    const started = Date.now();
+
+    try {
+      let result;
+      const errors = [];
+
+      if (groups) {
+        result = {};
+        for (const [timeZone, userIds] of groups) {
+          try {
+            result[timeZone] = await job.handler({ userIds, timeZone, trigger, scheduledFor }) ?? null;
+          } catch (error) {
+            console.error(`Job ${job.name} failed for ${timeZone}:`, error);
+            errors.push(`${timeZone}: ${error.message}`);
+          }
+        }
+      } else {
+        result = await job.handler({ timeZone: job.timeZone, trigger, scheduledFor }) ?? null;
+      }
+
+      return await this._finishRun(run, {
+        status: errors.length > 0 ? RUN_STATUS.FAILED : RUN_STATUS.SUCCEEDED,
+        result,
+        error: errors.length > 0 ? errors.join('; ') : null,
+        duration_ms: Date.now() - started
+      });
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      return this._finishRun(run, {
+        status: RUN_STATUS.FAILED,
+        error: error.message,
+        duration_ms: Date.now() - started
+      });
+    } finally {
+      clearInterval(renewal);
+      this.running.delete(job.name);
+      await this._releaseLock(job);
+    }
+  }
+
+  /**
+   * Record the start of a run
+   * The unique (job_name, run_key) means only one instance claims a slot.
+   */
+  async _claimRun(job, { runKey, trigger, triggeredBy, groups, userCount }) {
+    const { data, error } = await this.supabase
+      .from('job_runs')
+      .insert({
+        job_name: job.name,
+        run_key: runKey,
+        trigger,
+        status: RUN_STATUS.RUNNING,
+        instance_id: this.instanceId,
+        timezone: groups ? Array.from(groups.keys()).join(',') : job.timeZone,
+        user_count: userCount,
+        triggered_by: triggeredBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Record the outcome of a run
+   */
+  async _finishRun(run, fields) {
+    const finished = {
+      ...fields,
+      finished_at: new Date().toISOString()
+    };
+
+    const { error } = await this.supabase
+      .from('job_runs')
+      .update(finished)
+      .eq('id', run.id);
+
+    if (error) {
+      console.error(`Error recording run of job ${run.job_name}:`, error);
+    }
+
+    return { ...run, ...finished };
+  }
+
+  /**
+   * Take (or, when `renew` is set, extend) the job lease
+   */
+  async _acquireLock(job, renew = false) {
+    if (!renew && this.running.has(job.name)) return false;
+
+    const { data, error } = await this.supabase.rpc('acquire_job_lock', {
+      p_job_name: job.name,
+      p_owner: this.instanceId,
+      p_ttl_seconds: job.lockTtlSeconds
+    });
+
+    if (error) throw error;
+
+    return data === true;
+  }
+
+  /**
+   * Release the job lease held by this instance
+   */
+  async _releaseLock(job) {
+    const { error } = await this.supabase
+      .from('job_locks')
+      .delete()
+      .eq('job_name', job.name)
+      .eq('locked_by', this.instanceId);
+
+    if (error) {
+      console.error(`Error releasing lock for job ${job.name}:`, error);
+    }
+  }
+
+  /**
+   * Get the names of paused jobs
+   */
+  async _getPausedJobs() {
+    const { data, error } = await this.supabase
+      .from('scheduled_jobs')
+      .select('name')
+      .eq('paused', true);
+
+    if (error) throw error;
+
+    return new Set((data || []).map(row => row.name));
+  }
+
+  /**
+   * Store a job's pause state
+   */
+  async _setPaused(name, fields) {
+    const { data, error } = await this.supabase
+      .from('scheduled_jobs')
+      .upsert({ name, ...fields }, { onConflict: 'name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Group user IDs by timezone (unknown or missing timezones use the default)
+   */
+  async _getUserGroups(userIds) {
+    let query = this.supabase
+      .from('users')
+      .select('id, timezone');
+
+    if (userIds) {
+      query = query.in('id', userIds);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const groups = new Map();
+    for (const user of data || []) {
+      const timeZone = user.timezone && isValidTimeZone(user.timezone)
+        ? user.timezone
+        : DEFAULT_TIMEZONE;
+
+      if (!groups.has(timeZone)) groups.set(timeZone, []);
+      groups.get(timeZone).push(user.id);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Get a registered job or throw
+   */
+  _getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    return job;
+  }
+
+  /**
+   * Schedule the next tick just after the top of the next minute
+   */
+  _scheduleTick() {
+    const delay = MINUTE_MS - (Date.now() % MINUTE_MS) + 50;
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        console.error('Job scheduler tick failed:', error);
+      }
+      if (this.timer) this._scheduleTick();
+    }, delay);
+
+    this.timer.unref?.();
+  }
+}
+
+export default JobScheduler;
+export { RUN_STATUS, TRIGGERS, parseCron, cronMatches };
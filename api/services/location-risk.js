@@ -0,0 +1,318 @@
+/**
+ * Location Risk Service
+ *
+ * Turns coarse location reports from the mobile app into a venue dwell
+ * risk signal:
+ * - Reports are only accepted from users who consented to location
+ *   tracking (user_consent, type 'location_tracking')
+ * - Coordinates are rounded to about 100 m and never stored; only time
+ *   spent inside a venue geofence (VenueRegistry) is kept, as a dwell
+ * - After DWELL.warnMinutes at a venue the user gets a high-risk warning,
+ *   after DWELL.guardianMinutes their guardians are alerted
+ *
+ * Withdrawing consent deletes the user's dwell history.
+ */
+
+import VenueRegistry, { isCoordinate } from './venue-registry.js';
+import CommunicationEngine from './communication-engine.js';
+import auditLogger from './audit-logger.js';
+
+const LOCATION_CONSENT_TYPE = 'location_tracking';
+
+const DWELL = {
+  gapMinutes: 20, // Reports further apart than this start a new dwell
+  warnMinutes: 10,
+  guardianMinutes: 30
+};
+
+// Reports less accurate than this cannot place the user at a venue
+const MAX_ACCURACY_M = 500;
+
+// Decimal places kept from reported coordinates (3 is about 100 m)
+const COORDINATE_DECIMALS = 3;
+
+const RISK_LEVELS = {
+  NONE: 'none',
+  NEAR: 'near_venue',
+  WARNING: 'warning',
+  ALERT: 'guardian_alert'
+};
+
+/**
+ * Error for a report that cannot be accepted
+ */
+function reportError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class LocationRisk {
+  constructor(supabaseClient, { registry = VenueRegistry.load() } = {}) {
+    this.supabase = supabaseClient;
+    this.registry = registry;
+    this.commEngine = new CommunicationEngine(supabaseClient);
+  }
+
+  /**
+   * Record a location report and return the current venue risk
+   */
+  async reportLocation(userId, { latitude, longitude, accuracy = null, recordedAt = new Date() }) {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    const at = new Date(recordedAt);
+
+    if (latitude == null || longitude == null || !isCoordinate(lat, lon)) {
+      throw reportError('latitude and longitude are required');
+    }
+    if (Number.isNaN(at.getTime())) {
+      throw reportError('recordedAt must be a date');
+    }
+    if (!(await this.hasConsent(userId))) {
+      throw reportError('Location tracking consent has not been given', 403);
+    }
+
+    const venue = accuracy === null || Number(accuracy) <= MAX_ACCURACY_M
+      ? this.registry.findVenueAt(coarsen(lat), coarsen(lon))
+      : null;
+
+    await this._closeDwells(userId, at, venue?.id);
+
+    if (!venue) {
+      return { riskLevel: RISK_LEVELS.NONE, venue: null, dwellMinutes: 0 };
+    }
+
+    const dwell = await this._recordDwell(userId, venue, at);
+    const dwellMinutes = Math.floor((at - new Date(dwell.started_at)) / 60000);
+    const notified = await this._notify(userId, dwell, venue, dwellMinutes);
+
+    return {
+      riskLevel: riskLevel(dwellMinutes),
+      venue: { id: venue.id, name: venue.name, type: venue.type },
+      dwellMinutes,
+      notified
+    };
+  }
+
+  async hasConsent(userId) {
+    const { data, error } = await this.supabase
+      .from('user_consent')
+      .select('consented')
+      .eq('user_id', userId)
+      .eq('consent_type', LOCATION_CONSENT_TYPE)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return !!data?.consented;
+  }
+
+  /**
+   * Give or withdraw location tracking consent
+   */
+  async setConsent(userId, consented) {
+    const { data, error } = await this.supabase
+      .from('user_consent')
+      .upsert({
+        user_id: userId,
+        consent_type: LOCATION_CONSENT_TYPE,
+        consented,
+        consented_at: new Date().toISOString()
+      }, { onConflict: 'user_id,consent_type' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!consented) {
+      const { error: deleteError } = await this.supabase
+        .from('venue_dwells')
+        .delete()
+        .eq('user_id', userId);
+
+      if (deleteError) throw deleteError;
+    }
+
+    await auditLogger.logUserAction({
+      userId,
+      action: consented ? 'location_consent_given' : 'location_consent_withdrawn'
+    });
+
+    return data;
+  }
+
+  /**
+   * Recent venue dwells, newest first
+   */
+  async getRecentDwells(userId, { days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await this.supabase
+      .from('venue_dwells')
+      .select('*')
+      .eq('user_id', userId)
+      .gte('started_at', since.toISOString())
+      .order('started_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Extend the open dwell at the venue, or start a new one
+   */
+  async _recordDwell(userId, venue, at) {
+    const { data: open, error } = await this.supabase
+      .from('venue_dwells')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('venue_id', venue.id)
+      .is('ended_at', null)
+      .gte('last_seen_at', new Date(at.getTime() - DWELL.gapMinutes * 60000).toISOString())
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    if (open && open.length > 0) {
+      return this._updateDwell(open[0].id, { last_seen_at: at.toISOString() });
+    }
+
+    const { data, error: insertError } = await this.supabase
+      .from('venue_dwells')
+      .insert({
+        user_id: userId,
+        venue_id: venue.id,
+        venue_name: venue.name,
+        venue_type: venue.type,
+        started_at: at.toISOString(),
+        last_seen_at: at.toISOString()
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    return data;
+  }
+
+  /**
+   * End open dwells at venues other than the current one
+   */
+  async _closeDwells(userId, at, currentVenueId = null) {
+    let query = this.supabase
+      .from('venue_dwells')
+      .update({ ended_at: at.toISOString() })
+      .eq('user_id', userId)
+      .is('ended_at', null);
+
+    if (currentVenueId) {
+      query = query.neq('venue_id', currentVenueId);
+    }
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  /**
+   * Send the warning and guardian alert once each per dwell
+   */
+  async _notify(userId, dwell, venue, dwellMinutes) {
+    const notified = { warning: !!dwell.warned_at, guardians: !!dwell.guardians_alerted_at };
+
+    if (dwellMinutes >= DWELL.warnMinutes && !dwell.warned_at) {
+      try {
+        await this.commEngine.sendUserSMS(userId, 'VENUE_DWELL_WARNING', {
+          minutes: dwellMinutes,
+          venueName: venue.name,
+          guardianMinutes: DWELL.guardianMinutes
+        }, { venueId: venue.id });
+
+        await this._updateDwell(dwell.id, { warned_at: new Date().toISOString() });
+        notified.warning = true;
+      } catch (error) {
+        console.error(`Failed to send venue warning to user ${userId}:`, error);
+      }
+    }
+
+    if (dwellMinutes >= DWELL.guardianMinutes && !dwell.guardians_alerted_at) {
+      notified.guardians = await this._alertGuardians(userId, venue, dwellMinutes);
+      if (notified.guardians) {
+        await this._updateDwell(dwell.id, { guardians_alerted_at: new Date().toISOString() });
+      }
+    }
+
+    if (notified.warning !== !!dwell.warned_at || notified.guardians !== !!dwell.guardians_alerted_at) {
+      await auditLogger.logSystemEvent({
+        action: 'venue_dwell_risk',
+        userId,
+        venueId: venue.id,
+        venueType: venue.type,
+        dwellMinutes,
+        riskLevel: riskLevel(dwellMinutes)
+      });
+    }
+
+    return notified;
+  }
+
+  /**
+   * Alert the user's guardians (venue type only, not the venue)
+   * Returns whether at least one guardian was alerted.
+   */
+  async _alertGuardians(userId, venue, dwellMinutes) {
+    const [{ data: user }, { data: guardians }] = await Promise.all([
+      this.supabase.from('users').select('name').eq('id', userId).single(),
+      this.supabase
+        .from('guardians')
+        .select('id')
+        .eq('user_id', userId)
+        .not('phone', 'is', null)
+    ]);
+
+    let alerted = false;
+
+    for (const guardian of guardians || []) {
+      try {
+        await this.commEngine.sendGuardianSMS(userId, guardian.id, 'VENUE_DWELL_ALERT', {
+          userName: user?.name || 'User',
+          venueType: venue.type, // Worded by the template, in the guardian's language
+          minutes: dwellMinutes
+        }, { venueId: venue.id });
+        alerted = true;
+      } catch (error) {
+        console.error(`Failed to alert guardian ${guardian.id} of venue dwell:`, error);
+      }
+    }
+
+    return alerted;
+  }
+
+  async _updateDwell(dwellId, fields) {
+    const { data, error } = await this.supabase
+      .from('venue_dwells')
+      .update(fields)
+      .eq('id', dwellId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+}
+
+function coarsen(value) {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+function riskLevel(dwellMinutes) {
+  if (dwellMinutes >= DWELL.guardianMinutes) return RISK_LEVELS.ALERT;
+  if (dwellMinutes >= DWELL.warnMinutes) return RISK_LEVELS.WARNING;
+  return RISK_LEVELS.NEAR;
+}
+
+export default LocationRisk;
+export { LOCATION_CONSENT_TYPE, DWELL, RISK_LEVELS };
@@ -0,0 +1,408 @@
+/**
+ * Merchant Canonicaliser
+ *
+ * Turns raw bank descriptors into stable merchant entities, so the same
+ * merchant gets the same ID whichever bank the transaction came from:
+ *
+ *   "VISA PURCHASE SPORTSBET PTY LTD  MELBOURNE  VIC AU CARD 1234"
+ *   "SQ *SPORTSBET 0423"                       -> sportsbet
+ *
+ * 1. normalise() strips purchase prefixes ("VISA PURCHASE", "EFTPOS
+ *    PURCHASE"), payment processor prefixes ("SQ *"), card suffixes, dates,
+ *    store numbers, business suffixes, the state/postcode/country tail and
+ *    the suburb. A number is only taken as the postcode when it is in the
+ *    state's postcode range and comes before any country code, so card
+ *    digits ("TAB*NSW 0423") are not
+ * 2. The remaining words are matched, as whole words, against the aliases
+ *    in the local reference dataset (api/data/merchant-entities.json), which
+ *    carries the merchant's optional ABN, category and whether the venue
+ *    (or the matched location) has pokies
+ * 3. Unknown merchants get an ID from their normalised name
+ *
+ * Resolutions are cached in memory and in merchant_descriptor_mappings, so a
+ * descriptor keeps its mapping until the dataset version changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATASET_PATH = path.join(__dirname, '../data/merchant-entities.json');
+
+const STATES = new Set(['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT']);
+const COUNTRY_TOKENS = new Set(['AU', 'AUS', 'AUSTRALIA']);
+
+// Postcode ranges of each state
+const STATE_POSTCODES = {
+  NSW: [[1000, 2599], [2619, 2899], [2921, 2999]],
+  ACT: [[200, 299], [2600, 2618], [2900, 2920]],
+  VIC: [[3000, 3999], [8000, 8999]],
+  QLD: [[4000, 4999], [9000, 9999]],
+  SA: [[5000, 5999]],
+  WA: [[6000, 6999]],
+  TAS: [[7000, 7999]],
+  NT: [[800, 999]]
+};
+
+// Tokens stripped from merchant names
+const NOISE_TOKENS = new Set(['PTY', 'LTD', 'LIMITED', 'INC', 'CO', 'THE', 'P/L']);
+
+// Bank purchase prefixes such as "VISA PURCHASE" or "EFTPOS PURCHASE -"
+const PURCHASE_PREFIX = /^((VISA|MASTERCARD|EFTPOS|POS|DEBIT CARD|CARD)\s+)?(DEBIT\s+)?(PURCHASE|PAYMENT|TRANSACTION)(\s+AUTHORISATION)?\s*-?\s*/;
+
+// Payment processor prefixes such as "SQ *" or "PAYPAL *"
+const PROCESSOR_PREFIX = /^(SQ|SP|PP|PAYPAL|ZLR|LS|IZ|SMP)\s*\*\s*/;
+
+const CARD_SUFFIX = /\b(CARD|CRD)\s*(NO\.?\s*)?[X*]*\d{4}\b|\b[X*]{2,}\d{4}\b/g;
+const DATE_OR_TIME = /\b(VALUE DATE|EFFECTIVE DATE|DATE)\s*:?\s*\S+|\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b|\b\d{1,2}:\d{2}(:\d{2})?\b/g;
+const STORE_NUMBER = /\b(STORE|STR|NO|SHOP)\s*#?\d+\b|#\s*\d+\b/g;
+
+// Alias words this long also match the start of a longer word
+// ("SPORTSBETAUSTRALIA"); shorter ones ("TAB") must match exactly
+const PREFIX_MATCH_LENGTH = 6;
+
+const MEMORY_CACHE_LIMIT = 10000;
+
+let dataset = null;
+
+/**
+ * Load the reference dataset once
+ */
+function loadDataset(datasetPath = DATASET_PATH) {
+  if (dataset && dataset.path === datasetPath) {
+    return dataset;
+  }
+
+  const raw = fs.existsSync(datasetPath)
+    ? JSON.parse(fs.readFileSync(datasetPath, 'utf8'))
+    : { version: null, entities: [] };
+
+  const aliases = [];
+  const suburbs = new Set();
+
+  for (const entity of raw.entities || []) {
+    for (const alias of entity.aliases || [entity.name]) {
+      const tokens = tokenise(alias).filter(token => !NOISE_TOKENS.has(token));
+      if (tokens.length > 0) {
+        aliases.push({ tokens, entity });
+      }
+    }
+    for (const location of entity.locations || []) {
+      if (location.suburb) suburbs.add(location.suburb.toUpperCase());
+    }
+  }
+
+  // Longest alias first, so "WOOLWORTHS METRO" wins over "WOOLWORTHS"
+  aliases.sort((a, b) => b.tokens.length - a.tokens.length || b.tokens.join(' ').length - a.tokens.join(' ').length);
+
+  dataset = { path: datasetPath, version: raw.version || null, aliases, suburbs };
+  return dataset;
+}
+
+class MerchantCanonicaliser {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.dataset = loadDataset(options.datasetPath);
+    this.cache = new Map();
+  }
+
+  /**
+   * Resolve a transaction's merchant, using cached mappings
+   * The payee name is tried first; the description is used when it names a
+   * known entity and the payee name does not.
+   */
+  async resolve(payeeName, description = '') {
+    const fromPayee = await this._resolveCached(payeeName);
+    if (fromPayee?.entityId || !description) return fromPayee;
+
+    const fromDescription = await this._resolveCached(description);
+    return fromDescription?.entityId ? fromDescription : (fromPayee || fromDescription);
+  }
+
+  /**
+   * Resolve a transaction's merchant against the reference dataset only
+   * (no cache or storage); same precedence as resolve()
+   */
+  resolveSync(payeeName, description = '') {
+    const fromPayee = this.resolveDescriptor(payeeName);
+    if (fromPayee?.entityId || !description) return fromPayee;
+
+    const fromDescription = this.resolveDescriptor(description);
+    return fromDescription?.entityId ? fromDescription : (fromPayee || fromDescription);
+  }
+
+  async _resolveCached(descriptor) {
+    const { key } = this.normalise(descriptor);
+    if (!key) return null;
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    let resolution = await this._getStoredMapping(key);
+
+    if (!resolution) {
+      resolution = this.resolveDescriptor(descriptor);
+      await this._storeMapping(resolution);
+    }
+
+    this._remember(key, resolution);
+
+    return resolution;
+  }
+
+  /**
+   * Resolve one descriptor against the reference dataset
+   */
+  resolveDescriptor(descriptor) {
+    const normalised = this.normalise(descriptor);
+    if (normalised.nameTokens.length === 0) return null;
+
+    const match = this._matchEntity(normalised.nameTokens);
+    const entity = match?.entity || null;
+
+    // Words left over after the alias are the suburb when none was found
+    const suburb = normalised.suburb || (match ? leftoverSuburb(normalised.nameTokens, match) : null);
+    const location = entity ? findLocation(entity, suburb, normalised.state) : null;
+
+    return {
+      key: normalised.key,
+      merchantId: entity ? entity.id : slug(normalised.tokens),
+      name: entity ? entity.name : titleCase(normalised.tokens),
+      entityId: entity?.id || null,
+      abn: entity?.abn || null,
+      category: entity?.category || null,
+      type: entity?.type || null,
+      isGambling: entity ? !!entity.isGambling : null,
+      hasPokies: entity ? !!(location?.hasPokies ?? entity.hasPokies) : null,
+      suburb: location?.suburb || suburb || null,
+      state: location?.state || normalised.state || null,
+      postcode: location?.postcode || normalised.postcode || null,
+      source: entity ? 'dataset' : 'descriptor',
+      datasetVersion: this.dataset.version
+    };
+  }
+
+  /**
+   * Strip a descriptor down to the merchant's name
+   * Returns { key, tokens, nameTokens, suburb, state, postcode }: tokens is
+   * the name without the suburb, nameTokens still includes a suburb that was
+   * only guessed from word position ("PANTHERS PENRITH NSW"), and key is
+   * the normalised descriptor the mapping is cached under.
+   */
+  normalise(descriptor) {
+    let text = String(descriptor || '')
+      .toUpperCase()
+      .trim()
+      .replace(PURCHASE_PREFIX, '')
+      .replace(PROCESSOR_PREFIX, '')
+      .replace(CARD_SUFFIX, ' ')
+      .replace(DATE_OR_TIME, ' ')
+      .replace(STORE_NUMBER, ' ');
+
+    // Fixed-width descriptors separate name, suburb and state with runs of spaces
+    const fields = text.split(/\s{2,}/).map(field => field.trim()).filter(Boolean);
+    text = fields[0] || '';
+
+    let tail = fields.slice(1).map(tokenise).flat();
+    let tokens = tokenise(text);
+
+    // Single-spaced descriptors: move the state/postcode/country tail off the
+    // name; without a state, drop the country code and card digits
+    if (tail.length === 0) {
+      let end = tokens.length;
+      while (end > 0 && (COUNTRY_TOKENS.has(tokens[end - 1]) || /^\d+$/.test(tokens[end - 1]))) end--;
+      if (end > 0 && STATES.has(tokens[end - 1])) {
+        tail = tokens.slice(end - 1);
+        tokens = tokens.slice(0, end - 1);
+      } else {
+        tokens = tokens.slice(0, end);
+      }
+    }
+
+    // Anything after the country code is card or terminal digits
+    const countryAt = tail.findIndex(token => COUNTRY_TOKENS.has(token));
+    const location = countryAt >= 0 ? tail.slice(0, countryAt) : tail;
+
+    const state = tail.find(token => STATES.has(token)) || null;
+    const postcode = location.find(token => isStatePostcode(token, state)) || null;
+    const tailSuburb = location.filter(token => !STATES.has(token) && !/^\d+$/.test(token));
+
+    tokens = tokens.filter(token => !/^\d+$/.test(token) && !NOISE_TOKENS.has(token));
+
+    let suburb = tailSuburb.length > 0 ? tailSuburb.join(' ') : null;
+    const nameTokens = tokens;
+
+    // "GRAND HOTEL PENRITH NSW": the word before the state is the suburb,
+    // as long as it leaves a name of two or more words
+    if (!suburb && state) {
+      const knownSuburb = this._trailingKnownSuburb(tokens);
+      if (knownSuburb) {
+        suburb = knownSuburb.join(' ');
+        tokens = tokens.slice(0, tokens.length - knownSuburb.length);
+      } else if (tokens.length >= 3) {
+        suburb = tokens[tokens.length - 1];
+        tokens = tokens.slice(0, -1);
+      }
+    }
+
+    return {
+      key: [...tokens, suburb, state].filter(Boolean).join(' '),
+      tokens,
+      nameTokens,
+      suburb,
+      state,
+      postcode
+    };
+  }
+
+  /**
+   * Longest alias found as whole words in the tokens
+   */
+  _matchEntity(tokens) {
+    for (const alias of this.dataset.aliases) {
+      const start = findSequence(tokens, alias.tokens);
+      if (start >= 0) {
+        return { entity: alias.entity, start, length: alias.tokens.length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Dataset suburb (one or two words) at the end of the tokens
+   */
+  _trailingKnownSuburb(tokens) {
+    for (const size of [2, 1]) {
+      if (tokens.length <= size) continue;
+      const candidate = tokens.slice(-size);
+      if (this.dataset.suburbs.has(candidate.join(' '))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  async _getStoredMapping(key) {
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('merchant_descriptor_mappings')
+        .select('resolution, dataset_version')
+        .eq('descriptor_key', key)
+        .single();
+
+      if (error) return null;
+
+      // Re-resolve after the dataset changes
+      return data.dataset_version === this.dataset.version ? data.resolution : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async _storeMapping(resolution) {
+    if (!this.supabase || !resolution) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('merchant_descriptor_mappings')
+        .upsert({
+          descriptor_key: resolution.key,
+          merchant_id: resolution.merchantId,
+          entity_id: resolution.entityId,
+          resolution,
+          dataset_version: this.dataset.version,
+          resolved_at: new Date().toISOString()
+        }, { onConflict: 'descriptor_key' });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error storing merchant descriptor mapping:', error);
+    }
+  }
+
+  _remember(key, resolution) {
+    if (this.cache.size >= MEMORY_CACHE_LIMIT) {
+      this.cache.clear();
+    }
+    this.cache.set(key, resolution);
+  }
+}
+
+/**
+ * Split text into upper-case words; dots and dashes join or split words
+ * the same way for descriptors and aliases ("STAKE.COM" -> STAKE COM)
+ */
+function tokenise(text) {
+  return String(text || '')
+    .toUpperCase()
+    .replace(/([A-Z0-9])-(?=[A-Z0-9])/g, '$1')
+    .replace(/[^A-Z0-9&\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Whether a token is a postcode in the state's range
+ */
+function isStatePostcode(token, state) {
+  if (!state || !/^\d{4}$/.test(token)) return false;
+
+  const postcode = parseInt(token, 10);
+  return STATE_POSTCODES[state].some(([low, high]) => postcode >= low && postcode <= high);
+}
+
+/**
+ * Index where `sequence` starts in `tokens` as whole words, or -1
+ */
+function findSequence(tokens, sequence) {
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    const matches = sequence.every((word, j) => {
+      const token = tokens[i + j];
+      if (token === word) return true;
+      // Only a single-word alias may match the start of a longer word
+      return sequence.length === 1 && word.length >= PREFIX_MATCH_LENGTH && token.startsWith(word);
+    });
+    if (matches) return i;
+  }
+  return -1;
+}
+
+/**
+ * Words after a matched alias, taken as the suburb ("WOOLWORTHS PARRAMATTA")
+ */
+function leftoverSuburb(tokens, match) {
+  const after = tokens.slice(match.start + match.length);
+  return after.length > 0 && after.length <= 3 ? after.join(' ') : null;
+}
+
+/**
+ * The entity location in the suburb (or the only one in the state)
+ */
+function findLocation(entity, suburb, state) {
+  const locations = entity.locations || [];
+  if (suburb) {
+    const found = locations.find(location => location.suburb && location.suburb.toUpperCase() === suburb);
+    if (found) return found;
+  }
+  if (state) {
+    const inState = locations.filter(location => location.state === state);
+    if (inState.length === 1) return inState[0];
+  }
+  return null;
+}
+
+function slug(tokens) {
+  return tokens.join('-').toLowerCase() || null;
+}
+
+function titleCase(tokens) {
+  return tokens.map(token => token.charAt(0) + token.slice(1).toLowerCase()).join(' ');
+}
+
+export default MerchantCanonicaliser;
+export { DATASET_PATH, loadDataset };
@@ -5,55 +5,21 @@
  * - Venue identification from generic names
  * - Gambling keyword detection
  * - False positive filtering
- * - Crowdsourced merchant database
+ * - Merchant canonicalisation against a reference dataset
+ *   (see merchant-canonicaliser.js)
+ * - Crowdsourced merchant database (moderated, see merchant-moderation.js)
  */
 
-const GAMBLING_MERCHANT_DATABASE = {
-  // Online gambling platforms
-  'SPORTSBET': { type: 'sports_betting', confidence: 100, displayName: 'Sportsbet' },
-  'LADBROKES': { type: 'sports_betting', confidence: 100, displayName: 'Ladbrokes' },
-  'TAB': { type: 'sports_betting', confidence: 100, displayName: 'TAB' },
-  'POINTSBET': { type: 'sports_betting', confidence: 100, displayName: 'PointsBet' },
-  'UNIBET': { type: 'sports_betting', confidence: 100, displayName: 'Unibet' },
-  'BETFAIR': { type: 'sports_betting', confidence: 100, displayName: 'Betfair' },
-  'BETEASY': { type: 'sports_betting', confidence: 100, displayName: 'BetEasy' },
-  'NEDS': { type: 'sports_betting', confidence: 100, displayName: 'Neds' },
-  'PALMERBET': { type: 'sports_betting', confidence: 100, displayName: 'PalmerBet' },
-  'BETDELUXE': { type: 'sports_betting', confidence: 100, displayName: 'BetDeluxe' },
-  'PLAYUP': { type: 'sports_betting', confidence: 100, displayName: 'PlayUp' },
-  'BLUEBET': { type: 'sports_betting', confidence: 100, displayName: 'BlueBet' },
-  'BETR': { type: 'sports_betting', confidence: 100, displayName: 'Betr' },
-  'PICKLEBET': { type: 'sports_betting', confidence: 100, displayName: 'Picklebet' },
-  'DABBLE': { type: 'sports_betting', confidence: 100, displayName: 'Dabble' },
-  'TOPSPORT': { type: 'sports_betting', confidence: 100, displayName: 'TopSport' },
-
-  // Online casinos/pokies
-  'POKERSTARS': { type: 'online_poker', confidence: 100, displayName: 'PokerStars' },
-  'PARTYPOKER': { type: 'online_poker', confidence: 100, displayName: 'PartyPoker' },
-  'GGPOKER': { type: 'online_poker', confidence: 100, displayName: 'GGPoker' },
-  '888POKER': { type: 'online_poker', confidence: 100, displayName: '888poker' },
-  'STAKE.COM': { type: 'crypto_casino', confidence: 100, displayName: 'Stake.com' },
-  'ROOBET': { type: 'crypto_casino', confidence: 100, displayName: 'Roobet' },
-  'DUELBITS': { type: 'crypto_casino', confidence: 100, displayName: 'Duelbits' },
-  'ROLLBIT': { type: 'crypto_casino', confidence: 100, displayName: 'Rollbit' },
-  'BC.GAME': { type: 'crypto_casino', confidence: 100, displayName: 'BC.Game' },
-
-  // Fantasy sports
-  'DRAFTKINGS': { type: 'fantasy_sports', confidence: 100, displayName: 'DraftKings' },
-  'FANDUEL': { type: 'fantasy_sports', confidence: 100, displayName: 'FanDuel' },
-  'MONEYBALL': { type: 'fantasy_sports', confidence: 100, displayName: 'Moneyball' },
-  'DRAFTSTARS': { type: 'fantasy_sports', confidence: 100, displayName: 'DraftStars' },
-
-  // Lotto/lottery
-  'LOTT': { type: 'lottery', confidence: 100, displayName: 'The Lott' },
-  'TATTS': { type: 'lottery', confidence: 100, displayName: 'Tatts' },
-  'NSW LOTTERIES': { type: 'lottery', confidence: 100, displayName: 'NSW Lotteries' },
-
-  // Common venue names (lower confidence, needs context)
-  'RSL': { type: 'venue', confidence: 60, displayName: 'RSL Club', requiresContext: true },
-  'HOTEL': { type: 'venue', confidence: 50, displayName: 'Hotel/Pub', requiresContext: true },
-  'CLUB': { type: 'venue', confidence: 50, displayName: 'Club', requiresContext: true },
-  'TAVERN': { type: 'venue', confidence: 50, displayName: 'Tavern', requiresContext: true }
+import MerchantCanonicaliser from './merchant-canonicaliser.js';
+
+// Generic venue names, only counted as gambling with other context.
+// Named gambling merchants are in the reference dataset used by
+// MerchantCanonicaliser (api/data/merchant-entities.json).
+const GENERIC_VENUE_NAMES = {
+  'RSL': { type: 'venue', confidence: 60, displayName: 'RSL Club' },
+  'HOTEL': { type: 'venue', confidence: 50, displayName: 'Hotel/Pub' },
+  'CLUB': { type: 'venue', confidence: 50, displayName: 'Club' },
+  'TAVERN': { type: 'venue', confidence: 50, displayName: 'Tavern' }
 };
 
 // Known false positives to filter out
@@ -87,9 +53,13 @@ const FALSE_POSITIVE_PATTERNS = [
   /tibet/i
 ];
 
+// Confidence that spending at a non-gambling venue with pokies is gambling
+const POKIES_VENUE_CONFIDENCE = 75;
+
 class MerchantEnrichment {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
+    this.canonicaliser = new MerchantCanonicaliser(supabaseClient);
     this.merchantCache = new Map();
   }
 
@@ -118,8 +88,29 @@ class MerchantEnrichment {
       metadata: {}
     };
 
-    // Check for false positives first
-    if (this._isFalsePositive(payeeName, description)) {
+    const merchant = await this.canonicaliser.resolve(payeeName, description);
+    if (merchant) {
+      enrichment.merchant = {
+        merchantId: merchant.merchantId,
+        name: merchant.name,
+        entityId: merchant.entityId,
+        abn: merchant.abn,
+        suburb: merchant.suburb,
+        state: merchant.state,
+        hasPokies: merchant.hasPokies,
+        source: merchant.source
+      };
+    }
+
+    // Check for false positives first: known non-gambling merchants (unless
+    // the venue has pokies), then false positive patterns
+    const isLegitimate = merchant?.entityId
+      ? !merchant.isGambling && !merchant.hasPokies
+      : this._isFalsePositive(payeeName, description);
+    if (isLegitimate) {
+      if (merchant?.entityId) {
+        enrichment.enrichedPayeeName = merchant.name;
+      }
       enrichment.isGambling = false;
       enrichment.confidence = 100;
       enrichment.category = 'legitimate';
@@ -128,7 +119,7 @@ class MerchantEnrichment {
     }
 
     // Check against known gambling merchants
-    const merchantMatch = this._matchKnownMerchant(payeeName, description);
+    const merchantMatch = this._matchKnownMerchant(merchant, payeeName, description);
     if (merchantMatch) {
       enrichment.enrichedPayeeName = merchantMatch.displayName;
       enrichment.merchantType = merchantMatch.type;
@@ -138,8 +129,18 @@ class MerchantEnrichment {
       enrichment.tags.push(merchantMatch.type);
     }
 
+    // Clubs and hotels with gaming machines
+    if (!enrichment.isGambling && merchant?.hasPokies) {
+      enrichment.enrichedPayeeName = merchant.name;
+      enrichment.merchantType = 'gaming_venue';
+      enrichment.isGambling = true;
+      enrichment.confidence = POKIES_VENUE_CONFIDENCE;
+      enrichment.category = 'gambling';
+      enrichment.tags.push('venue', 'pokies');
+    }
+
     // Check crowdsourced database
-    const crowdsourcedMatch = await this._checkCrowdsourcedDatabase(payeeName);
+    const crowdsourcedMatch = await this._checkCrowdsourcedDatabase(merchant?.merchantId);
     if (crowdsourcedMatch) {
       enrichment.enrichedPayeeName = crowdsourcedMatch.displayName || payeeName;
       enrichment.merchantType = crowdsourcedMatch.type;
@@ -168,6 +169,18 @@ class MerchantEnrichment {
     return enrichment;
   }
 
+  /**
+   * Normalise a merchant name into a stable merchant ID
+   *
+   * Merchants in the reference dataset map to their entity ID ("VISA
+   * PURCHASE SPORTSBET CARD 1234" -> "sportsbet"); other names are stripped
+   * of bank prefixes, store numbers and business/state/suburb suffixes
+   * ("JOES CAFE 12 NEWTOWN  NSW" -> "joes-cafe").
+   */
+  getMerchantId(payeeName, description = '') {
+    return this.canonicaliser.resolveSync(payeeName, description)?.merchantId || null;
+  }
+
   /**
    * Check if transaction is a false positive
    */
@@ -185,22 +198,18 @@ class MerchantEnrichment {
 
   /**
    * Match against known gambling merchants
+   * Uses the canonicalised merchant, then generic venue names with context.
    */
-  _matchKnownMerchant(payeeName, description) {
-    const text = `${payeeName} ${description}`.toUpperCase();
+  _matchKnownMerchant(merchant, payeeName, description) {
+    if (merchant?.entityId && merchant.isGambling) {
+      return { type: merchant.type, confidence: 100, displayName: merchant.name };
+    }
 
-    for (const [merchantKey, merchantData] of Object.entries(GAMBLING_MERCHANT_DATABASE)) {
-      if (text.includes(merchantKey)) {
-        // If merchant requires context, do additional checks
-        if (merchantData.requiresContext) {
-          // Check if there are other indicators
-          if (this._hasGamblingContext(text)) {
-            return merchantData;
-          }
-          continue;
-        }
+    const text = `${payeeName} ${description}`.toUpperCase();
 
-        return merchantData;
+    for (const [venueName, venueData] of Object.entries(GENERIC_VENUE_NAMES)) {
+      if (new RegExp(`\\b${venueName}\\b`).test(text) && this._hasGamblingContext(text)) {
+        return venueData;
       }
     }
 
@@ -227,25 +236,35 @@ class MerchantEnrichment {
 
   /**
    * Check crowdsourced merchant database
+   * Only entries approved through moderation (merchant-moderation.js) count.
    */
-  async _checkCrowdsourcedDatabase(payeeName) {
+  async _checkCrowdsourcedDatabase(merchantId) {
+    if (!merchantId || !this.supabase) return null;
+
     try {
-      // First check if we have a merchant_enrichment table
       const { data: merchantData, error } = await this.supabase
         .from('merchant_enrichment')
         .select('*')
-        .ilike('merchant_name', payeeName)
+        .eq('merchant_id', merchantId)
+        .not('approved_at', 'is', null)
         .single();
 
       if (error) {
-        // Table might not exist yet
-        if (error.code === '42P01') {
+        // No approved entry, or the table might not exist yet
+        if (error.code === 'PGRST116' || error.code === '42P01') {
           return null;
         }
         throw error;
       }
 
-      return merchantData;
+      return {
+        displayName: merchantData.display_name,
+        type: merchantData.type,
+        isGambling: merchantData.is_gambling,
+        confidence: merchantData.confidence || 0,
+        category: merchantData.category,
+        tags: merchantData.tags || []
+      };
     } catch (error) {
       // Silently fail if table doesn't exist
       return null;
@@ -306,36 +325,20 @@ class MerchantEnrichment {
   }
 
   /**
-   * Add merchant to crowdsourced database
+   * Submit a merchant to the crowdsourced database
+   * The submission is queued for moderation and counts as the submitter's
+   * vote; it is only used for enrichment once approved.
    */
-  async addMerchantToDatabase(merchantData) {
+  async addMerchantToDatabase(merchantData, submittedBy) {
     try {
-      const { data, error } = await this.supabase
-        .from('merchant_enrichment')
-        .upsert({
-          merchant_name: merchantData.merchantName,
-          display_name: merchantData.displayName,
-          type: merchantData.type,
-          is_gambling: merchantData.isGambling,
-          confidence: merchantData.confidence,
-          category: merchantData.category,
-          tags: merchantData.tags || [],
-          metadata: merchantData.metadata || {},
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'merchant_name'
-        })
-        .select()
-        .single();
+      const { default: MerchantModeration } = await import('./merchant-moderation.js');
+      const moderation = new MerchantModeration(this.supabase);
 
-      if (error) throw error;
-
-      // Clear cache for this merchant
-      this.merchantCache.clear();
-
-      return data;
+      return await moderation.submit(merchantData, submittedBy, {
+        confidence: merchantData.confidence
+      });
     } catch (error) {
-      console.error('Error adding merchant to database:', error);
+      console.error('Error submitting merchant to database:', error);
       throw error;
     }
   }
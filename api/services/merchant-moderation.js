@@ -0,0 +1,403 @@
+/**
+ * Merchant Moderation Service
+ *
+ * User-submitted merchants go into a moderation queue instead of straight
+ * into the crowdsourced merchant database (merchant_enrichment):
+ * - A submission proposes a classification (gambling or not, type,
+ *   category) for a merchant; submitting counts as the submitter's vote
+ * - Other users vote for or against it, one vote per user
+ * - A submission is promoted automatically once enough distinct users
+ *   agree with enough confidence (CONSENSUS), or by an admin
+ * - Admins can reject a submission at any time while it is pending
+ *
+ * Promoting a submission writes it to merchant_enrichment and closes any
+ * pending submission with the opposite classification. Every step is
+ * recorded by AuditLogger.
+ */
+
+import MerchantEnrichment from './merchant-enrichment.js';
+import auditLogger from './audit-logger.js';
+
+const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Automatic promotion thresholds
+const CONSENSUS = {
+  minVoters: 3, // Distinct users voting for the submission
+  minAgreement: 0.8, // Share of votes that are for it
+  minConfidence: 70 // Average confidence (0-100) of the votes for it
+};
+
+/**
+ * Error for a request the submission's current state does not allow
+ */
+function stateError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class MerchantModeration {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.enrichment = new MerchantEnrichment(supabaseClient);
+  }
+
+  /**
+   * Submit a merchant classification for moderation
+   * Joins the pending submission with the same classification if there is
+   * one; either way the submitter's vote is recorded.
+   */
+  async submit(merchantData, submittedBy, { confidence = 100 } = {}) {
+    const merchantId = this.enrichment.getMerchantId(merchantData.merchantName);
+    if (!merchantId) {
+      throw stateError('merchantName does not identify a merchant', 400);
+    }
+
+    const isGambling = !!merchantData.isGambling;
+    let submission = await this._getPending(merchantId, isGambling);
+    let created = false;
+
+    if (!submission) {
+      const { data, error } = await this.supabase
+        .from('merchant_submissions')
+        .insert({
+          merchant_id: merchantId,
+          merchant_name: merchantData.merchantName,
+          display_name: merchantData.displayName || null,
+          type: merchantData.type || null,
+          is_gambling: isGambling,
+          category: merchantData.category || null,
+          tags: merchantData.tags || [],
+          metadata: merchantData.metadata || {},
+          submitted_by: submittedBy
+        })
+        .select()
+        .single();
+
+      if (error && error.code !== '23505') throw error;
+
+      // Someone else opened it at the same time
+      submission = data || await this._getPending(merchantId, isGambling);
+      created = !!data;
+    }
+
+    await auditLogger.logUserAction({
+      userId: submittedBy,
+      action: created ? 'merchant_submitted' : 'merchant_submission_joined',
+      submissionId: submission.id,
+      merchantId,
+      isGambling
+    });
+
+    return this.vote(submission.id, submittedBy, { agrees: true, confidence });
+  }
+
+  /**
+   * Record (or replace) a user's vote and promote the submission when it
+   * reaches consensus
+   */
+  async vote(submissionId, userId, { agrees, confidence = 100 }) {
+    const submission = await this.getSubmission(submissionId);
+    if (!submission) {
+      throw stateError(`Unknown submission: ${submissionId}`, 404);
+    }
+    if (submission.status !== SUBMISSION_STATUS.PENDING) {
+      throw stateError(`Submission is already ${submission.status}`);
+    }
+
+    const { error } = await this.supabase
+      .from('merchant_submission_votes')
+      .upsert({
+        submission_id: submissionId,
+        user_id: userId,
+        agrees,
+        confidence: Math.min(Math.max(Math.round(confidence), 0), 100)
+      }, { onConflict: 'submission_id,user_id' });
+
+    if (error) throw error;
+
+    await auditLogger.logUserAction({
+      userId,
+      action: 'merchant_vote',
+      submissionId,
+      merchantId: submission.merchant_id,
+      agrees,
+      confidence
+    });
+
+    const tally = await this._tally(submissionId);
+    const updated = await this._update(submissionId, {
+      votes_for: tally.votesFor,
+      votes_against: tally.votesAgainst,
+      confidence: tally.confidence
+    });
+
+    if (this.hasConsensus(tally)) {
+      const promoted = await this._resolve(updated, SUBMISSION_STATUS.APPROVED, { resolution: 'consensus' });
+
+      await auditLogger.logSystemEvent({
+        action: 'merchant_auto_promoted',
+        submissionId,
+        merchantId: submission.merchant_id,
+        isGambling: submission.is_gambling,
+        ...tally
+      });
+
+      return promoted;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Approve a pending submission (admin)
+   */
+  async approve(submissionId, adminId, notes = null) {
+    const submission = await this._getPendingById(submissionId);
+    const approved = await this._resolve(submission, SUBMISSION_STATUS.APPROVED, {
+      resolution: 'admin',
+      resolvedBy: adminId,
+      notes
+    });
+
+    await auditLogger.logAdminAction({
+      userId: adminId,
+      action: 'merchant_approved',
+      submissionId,
+      merchantId: submission.merchant_id,
+      isGambling: submission.is_gambling,
+      notes
+    });
+
+    return approved;
+  }
+
+  /**
+   * Reject a pending submission (admin)
+   */
+  async reject(submissionId, adminId, notes = null) {
+    const submission = await this._getPendingById(submissionId);
+    const rejected = await this._resolve(submission, SUBMISSION_STATUS.REJECTED, {
+      resolution: 'admin',
+      resolvedBy: adminId,
+      notes
+    });
+
+    await auditLogger.logAdminAction({
+      userId: adminId,
+      action: 'merchant_rejected',
+      submissionId,
+      merchantId: submission.merchant_id,
+      isGambling: submission.is_gambling,
+      notes
+    });
+
+    return rejected;
+  }
+
+  /**
+   * Whether a vote tally meets the automatic promotion thresholds
+   */
+  hasConsensus({ votesFor, votesAgainst, confidence }) {
+    const total = votesFor + votesAgainst;
+
+    return votesFor >= CONSENSUS.minVoters &&
+      total > 0 && votesFor / total >= CONSENSUS.minAgreement &&
+      confidence >= CONSENSUS.minConfidence;
+  }
+
+  /**
+   * Get a submission with its votes
+   */
+  async getSubmission(submissionId) {
+    const { data, error } = await this.supabase
+      .from('merchant_submissions')
+      .select('*, votes:merchant_submission_votes(user_id, agrees, confidence, created_at)')
+      .eq('id', submissionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  /**
+   * List submissions, newest first
+   */
+  async listSubmissions({ status = SUBMISSION_STATUS.PENDING, merchantId = null, limit = 50 } = {}) {
+    let query = this.supabase
+      .from('merchant_submissions')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (merchantId) {
+      query = query.eq('merchant_id', merchantId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Close a submission; approving publishes it to merchant_enrichment and
+   * supersedes the pending submission with the opposite classification
+   *
+   * The submission is published before it is marked approved, so a failed
+   * publish leaves it pending and it can be approved again.
+   */
+  async _resolve(submission, status, { resolution, resolvedBy = null, notes = null }) {
+    if (status === SUBMISSION_STATUS.APPROVED) {
+      await this._publish(submission, resolution);
+    }
+
+    const resolved = await this._update(submission.id, {
+      status,
+      resolution,
+      resolved_by: resolvedBy,
+      review_notes: notes,
+      resolved_at: new Date().toISOString()
+    });
+
+    if (status !== SUBMISSION_STATUS.APPROVED) {
+      return resolved;
+    }
+
+    const competing = await this._getPending(submission.merchant_id, !submission.is_gambling);
+    if (competing) {
+      await this._update(competing.id, {
+        status: SUBMISSION_STATUS.REJECTED,
+        resolution: 'superseded',
+        review_notes: `Superseded by approved submission ${submission.id}`,
+        resolved_at: new Date().toISOString()
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Write an approved submission to the crowdsourced merchant database
+   *
+   * Updates the merchant's row if it has one, else a row written before
+   * moderation under the same merchant_name (which has no merchant_id),
+   * so neither the merchant_id nor the merchant_name UNIQUE constraint is hit.
+   */
+  async _publish(submission, approvedVia) {
+    const fields = {
+      merchant_id: submission.merchant_id,
+      display_name: submission.display_name,
+      type: submission.type,
+      is_gambling: submission.is_gambling,
+      confidence: submission.confidence,
+      category: submission.category,
+      tags: submission.tags || [],
+      metadata: submission.metadata || {},
+      submission_id: submission.id,
+      approved_via: approvedVia,
+      approved_at: new Date().toISOString()
+    };
+
+    const existing = await this._getPublished('merchant_id', submission.merchant_id) ||
+      await this._getPublished('merchant_name', submission.merchant_name);
+
+    const query = existing
+      ? this.supabase.from('merchant_enrichment').update(fields).eq('id', existing.id)
+      : this.supabase.from('merchant_enrichment').insert({ merchant_name: submission.merchant_name, ...fields });
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async _getPublished(column, value) {
+    const { data, error } = await this.supabase
+      .from('merchant_enrichment')
+      .select('id')
+      .eq(column, value)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  /**
+   * Distinct-user vote counts and the average confidence of the votes for
+   */
+  async _tally(submissionId) {
+    const { data, error } = await this.supabase
+      .from('merchant_submission_votes')
+      .select('agrees, confidence')
+      .eq('submission_id', submissionId);
+
+    if (error) throw error;
+
+    const votes = data || [];
+    const votesFor = votes.filter(vote => vote.agrees);
+    const confidence = votesFor.length > 0
+      ? Math.round(votesFor.reduce((sum, vote) => sum + vote.confidence, 0) / votesFor.length)
+      : 0;
+
+    return {
+      votesFor: votesFor.length,
+      votesAgainst: votes.length - votesFor.length,
+      confidence
+    };
+  }
+
+  async _getPending(merchantId, isGambling) {
+    const { data, error } = await this.supabase
+      .from('merchant_submissions')
+      .select('*')
+      .eq('merchant_id', merchantId)
+      .eq('is_gambling', isGambling)
+      .eq('status', SUBMISSION_STATUS.PENDING)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  async _getPendingById(submissionId) {
+    const submission = await this.getSubmission(submissionId);
+
+    if (!submission) {
+      throw stateError(`Unknown submission: ${submissionId}`, 404);
+    }
+    if (submission.status !== SUBMISSION_STATUS.PENDING) {
+      throw stateError(`Submission is already ${submission.status}`);
+    }
+
+    return submission;
+  }
+
+  async _update(submissionId, fields) {
+    const { data, error } = await this.supabase
+      .from('merchant_submissions')
+      .update(fields)
+      .eq('id', submissionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+}
+
+export default MerchantModeration;
+export { SUBMISSION_STATUS, CONSENSUS };
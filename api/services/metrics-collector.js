@@ -321,6 +321,22 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    // Shadow model predictions compared with production
+    this.mlShadowPredictions = new client.Counter({
+      name: 'ml_shadow_predictions_total',
+      help: 'Shadow model predictions compared with production',
+      labelNames: ['model', 'version', 'outcome'], // outcome: agree, verdict, gambling_type
+      registers: [this.register]
+    });
+
+    // Registered model versions that could not be loaded
+    this.mlModelLoadFailures = new client.Counter({
+      name: 'ml_model_load_failures_total',
+      help: 'Registered model versions that failed to load (the previous model kept serving)',
+      labelNames: ['model', 'version', 'role'], // role: production, shadow
+      registers: [this.register]
+    });
+
     // Pattern detection confidence
     this.patternDetectionConfidence = new client.Gauge({
       name: 'pattern_detection_confidence',
@@ -578,6 +594,20 @@ class MetricsCollector {
       .observe(durationSeconds);
   }
 
+  /**
+   * Track a shadow model prediction (disagreement: null, 'verdict' or 'gambling_type')
+   */
+  trackShadowPrediction(model, version, disagreement) {
+    this.mlShadowPredictions.labels(model, version, disagreement || 'agree').inc();
+  }
+
+  /**
+   * Track a registered model version that failed to load
+   */
+  trackModelLoadFailure(model, version, role) {
+    this.mlModelLoadFailures.labels(model, version, role).inc();
+  }
+
   /**
    * Update voice transcription accuracy
    */
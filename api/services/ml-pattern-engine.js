@@ -1,8 +1,9 @@
 /**
  * ML Pattern Engine
  *
- * TensorFlow.js-based pattern detection that learns and adapts to each user's
- * specific gambling behaviors.
+ * ML pattern detection that learns and adapts to each user's specific
+ * gambling behaviors. The classifier runs on TensorFlow.js when it is
+ * installed and on a pure-JavaScript backend otherwise.
  *
  * Capabilities:
  * - 97% gambling transaction detection accuracy
@@ -13,38 +14,227 @@
  * - Temporal pattern recognition
  * - Amount escalation detection
  * - Merchant relationship mapping
+ *
+ * The classifier versions come from the model registry: the production
+ * version scores transactions, and a shadow version (when one is set) scores
+ * them too so its disagreements with production can be reviewed before it
+ * is promoted. The registry is re-checked every MODEL_REFRESH_MS.
+ *
+ * Each user's predictions go through their calibration (see
+ * user-calibration.js): their own normalisation stats and a recalibration
+ * fitted on their labelled transactions, falling back to the global model
+ * for users with little data.
  */
 
-import tf from '@tensorflow/tfjs-node';
 import GamblingClassifier from '../models/gambling-classifier.js';
 import PatternEvolution from './pattern-evolution.js';
 import AnomalyDetector from './anomaly-detector.js';
+import ModelRegistry from './model-registry.js';
+import UserCalibration from './user-calibration.js';
+import RiskForecaster from './risk-forecaster.js';
+import metricsCollector from './metrics-collector.js';
+
+const MODEL_REFRESH_MS = 5 * 60 * 1000;
 
 class MLPatternEngine {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
+    this.registry = new ModelRegistry(supabaseClient);
     this.classifier = new GamblingClassifier();
+    this.shadowClassifier = null;
+    this.calibration = new UserCalibration(supabaseClient);
+    this.forecaster = new RiskForecaster(supabaseClient);
     this.evolution = new PatternEvolution(supabaseClient);
     this.anomaly = new AnomalyDetector(supabaseClient);
     this.modelLoaded = false;
+    this.modelsCheckedAt = 0;
   }
 
   /**
    * Initialize ML models
    */
   async initialize() {
-    if (this.modelLoaded) return;
+    if (this.modelLoaded && Date.now() - this.modelsCheckedAt < MODEL_REFRESH_MS) return;
 
     try {
-      await this.classifier.loadModel();
-      this.modelLoaded = true;
-      console.log('ML Pattern Engine initialized successfully');
+      await this._loadRegisteredModels();
+
+      if (!this.modelLoaded) {
+        await this.classifier.loadModel();
+        this.modelLoaded = true;
+        console.log('ML Pattern Engine initialized successfully');
+      }
     } catch (error) {
       console.error('Failed to initialize ML Pattern Engine:', error);
       throw error;
     }
   }
 
+  /**
+   * Load the registry's production and shadow versions when they change
+   * Without a registry entry the bundled model is used and shadowing is off.
+   * A version whose artifacts are missing is logged as an error and skipped:
+   * the model already serving (the bundled one at startup) stays in place.
+   */
+  async _loadRegisteredModels() {
+    this.modelsCheckedAt = Date.now();
+
+    let active;
+    try {
+      active = await this.registry.getActiveVersions();
+    } catch (error) {
+      console.error('Error reading model registry:', error);
+      return;
+    }
+
+    const { production, shadow } = active;
+
+    if (production && (!this.modelLoaded || production.version !== this.classifier.modelVersion)) {
+      try {
+        this.classifier = await this._loadRegisteredVersion(production);
+        this.modelLoaded = true;
+        console.log(`Gambling classifier ${production.version} in production`);
+      } catch (error) {
+        const serving = this.modelLoaded ? this.classifier.modelVersion : 'the bundled model';
+        console.error(`Production gambling classifier ${production.version} failed to load; still serving ${serving}:`, error);
+        metricsCollector.trackModelLoadFailure('gambling_classifier', production.version, 'production');
+      }
+    }
+
+    if (!shadow) {
+      this.shadowClassifier = null;
+    } else if (shadow.version !== this.shadowClassifier?.modelVersion) {
+      try {
+        this.shadowClassifier = await this._loadRegisteredVersion(shadow);
+        console.log(`Gambling classifier ${shadow.version} running in shadow`);
+      } catch (error) {
+        this.shadowClassifier = null;
+        console.error(`Shadow gambling classifier ${shadow.version} failed to load; shadowing is off:`, error);
+        metricsCollector.trackModelLoadFailure('gambling_classifier', shadow.version, 'shadow');
+      }
+    }
+  }
+
+  /**
+   * Load a registered version (never an untrained network)
+   */
+  async _loadRegisteredVersion(versionRow) {
+    const classifier = new GamblingClassifier({
+      modelPath: await this.registry.loadArtifacts(versionRow),
+      modelVersion: versionRow.version,
+      requireArtifacts: true
+    });
+    await classifier.loadModel();
+
+    return classifier;
+  }
+
+  /**
+   * Score the transaction with the shadow version and log any disagreement
+   * Failures are logged and never affect the production analysis.
+   */
+  async _runShadow(transaction, userId, features, predictions, featureStats) {
+    const shadowClassifier = this.shadowClassifier;
+    if (!shadowClassifier) return;
+
+    try {
+      const start = Date.now();
+      const shadowPredictions = await shadowClassifier.predict(features, { featureStats });
+      metricsCollector.trackMLInference('gambling_classifier', 'shadow_predict', (Date.now() - start) / 1000);
+
+      let disagreement = null;
+      if (shadowPredictions.isGambling !== predictions.isGambling) {
+        disagreement = 'verdict';
+      } else if (predictions.isGambling && shadowPredictions.gamblingType !== predictions.gamblingType) {
+        disagreement = 'gambling_type';
+      }
+
+      metricsCollector.trackShadowPrediction('gambling_classifier', shadowClassifier.modelVersion, disagreement);
+
+      await this.registry.recordShadowPrediction({
+        productionVersion: this.classifier.modelVersion,
+        shadowVersion: shadowClassifier.modelVersion,
+        transactionId: transaction.id,
+        userId,
+        production: this._summarizePrediction(predictions),
+        shadow: this._summarizePrediction(shadowPredictions),
+        disagreement
+      });
+    } catch (error) {
+      console.error('Shadow model prediction failed:', error);
+    }
+  }
+
+  /**
+   * Feature attributions for the production prediction
+   * Null when they could not be computed; the analysis goes ahead without them.
+   */
+  async _explain(features, featureStats) {
+    try {
+      const start = Date.now();
+      const explanation = await this.classifier.explain(features, { featureStats });
+      metricsCollector.trackMLInference('gambling_classifier', 'explain', (Date.now() - start) / 1000);
+      return explanation;
+    } catch (error) {
+      console.error('Prediction explanation failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Explain a logged analysis with the current production model
+   * For transactions analysed before explanations were stored with them.
+   */
+  async explainLoggedAnalysis(transactionId) {
+    const { data } = await this.supabase
+      .from('ml_analysis_log')
+      .select('user_id, analysis')
+      .eq('transaction_id', transactionId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    const logged = data?.[0];
+    if (!logged?.analysis?.features) return null;
+
+    await this.initialize();
+    const calibration = logged.user_id ? await this.calibration.getCalibration(logged.user_id) : null;
+
+    return this._explain(logged.analysis.features, calibration?.feature_stats);
+  }
+
+  /**
+   * Recompute a user's calibration against the production model
+   */
+  async calibrateUser(userId) {
+    await this.initialize();
+    return this.calibration.calibrate(userId, this.classifier);
+  }
+
+  /**
+   * The user's calibration; null (global model) when it cannot be loaded
+   */
+  async _getCalibration(userId) {
+    try {
+      return await this.calibration.getCalibration(userId);
+    } catch (error) {
+      console.error('Error loading user calibration:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Prediction fields kept when logging a shadow disagreement
+   */
+  _summarizePrediction(predictions) {
+    return {
+      isGambling: predictions.isGambling,
+      gamblingConfidence: predictions.gamblingConfidence,
+      gamblingType: predictions.gamblingType,
+      typeConfidence: predictions.typeConfidence,
+      relapseRisk: predictions.relapseRisk
+    };
+  }
+
   /**
    * Analyze transaction with ML
    */
@@ -52,7 +242,14 @@ class MLPatternEngine {
     await this.initialize();
 
     const features = await this._extractFeatures(transaction, userId);
-    const predictions = await this.classifier.predict(features);
+    const calibration = await this._getCalibration(userId);
+    const featureStats = calibration?.feature_stats;
+
+    // Shadow comparison and attributions use the global probability
+    const globalPredictions = await this.classifier.predict(features, { featureStats });
+    await this._runShadow(transaction, userId, features, globalPredictions, featureStats);
+    const explanation = await this._explain(features, featureStats);
+    const predictions = this.calibration.apply(calibration, globalPredictions, this.classifier.modelVersion);
 
     const analysis = {
       transactionId: transaction.id,
@@ -61,6 +258,8 @@ class MLPatternEngine {
       // Primary classification
       isGambling: predictions.isGambling,
       gamblingConfidence: predictions.gamblingConfidence,
+      globalGamblingConfidence: globalPredictions.gamblingConfidence,
+      calibration: this.calibration.describe(calibration, this.classifier.modelVersion).mode,
 
       // Type classification
       gamblingType: predictions.gamblingType, // 'online', 'venue', 'sports', 'lottery'
@@ -75,6 +274,7 @@ class MLPatternEngine {
 
       // Risk analysis
       relapseRisk: predictions.relapseRisk, // 0-1 probability
+      explanation, // Per-feature contributions to gamblingConfidence
       riskFactors: await this._analyzeRiskFactors(transaction, userId, features),
 
       // Sequence analysis
@@ -84,7 +284,10 @@ class MLPatternEngine {
       isAnomaly: await this.anomaly.detectAnomaly(transaction, userId),
 
       // Recommendations
-      recommendations: await this._generateRecommendations(predictions, userId)
+      recommendations: await this._generateRecommendations(predictions, userId),
+
+      // Model input, kept so labelled transactions can be used for retraining
+      features
     };
 
     // Log analysis
@@ -538,46 +741,35 @@ class MLPatternEngine {
   }
 
   /**
-   * Predict next high-risk period
+   * Predict next high-risk period from the user's 14-day risk forecast
+   * includeCurve adds the hourly risk curve to the result.
    */
-  async predictNextRiskPeriod(userId) {
-    await this.initialize();
-
-    const patterns = await this.evolution.getUserPatterns(userId);
-    const history = await this._getUserHistory(userId);
-
-    // Analyze historical gambling times
-    const { data: gamblingTxns } = await this.supabase
-      .from('transactions')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('is_gambling', true)
-      .order('created_at', { ascending: false })
-      .limit(50);
+  async predictNextRiskPeriod(userId, { includeCurve = false } = {}) {
+    const [patterns, forecast] = await Promise.all([
+      this.evolution.getUserPatterns(userId),
+      this.forecaster.getForecast(userId)
+    ]);
 
-    if (!gamblingTxns || gamblingTxns.length < 3) {
-      return { confidence: 'low', message: 'Insufficient data for prediction' };
-    }
-
-    // Find most common gambling times
-    const timeDistribution = this._analyzeTimeDistribution(gamblingTxns);
-    const dayDistribution = this._analyzeDayDistribution(gamblingTxns);
+    const nextPeak = forecast.peaks[0] || null;
 
-    // Predict next high-risk period
-    const nextRisk = {
-      dayOfWeek: dayDistribution.mostCommon,
-      hourRange: timeDistribution.mostCommon,
-      confidence: timeDistribution.confidence,
-      daysUntil: this._calculateDaysUntil(dayDistribution.mostCommon),
+    return {
+      confidence: forecast.confidence,
+      timeZone: forecast.timeZone,
+      nextPeak,
+      daysUntil: nextPeak ? nextPeak.daysAway : null,
+      peaks: forecast.peaks,
+      payCycle: forecast.payCycle,
       triggers: patterns.activeTriggers || [],
-      recommendations: [
-        'Schedule guardian check-in before this period',
-        'Increase monitoring during this time',
-        'Pre-emptive intervention recommended'
-      ]
+      recommendations: nextPeak
+        ? [
+            `Schedule guardian check-in before ${nextPeak.label}`,
+            'Increase monitoring during this time',
+            'Pre-emptive intervention recommended'
+          ]
+        : ['No high-risk periods forecast in the next 14 days'],
+      generatedAt: forecast.generatedAt,
+      ...(includeCurve ? { curve: forecast.curve } : {})
     };
-
-    return nextRisk;
   }
 
   /**
@@ -859,65 +1051,6 @@ class MLPatternEngine {
     const last3 = sequence.slice(0, 3);
     return last3[0].amount > last3[1].amount && last3[1].amount > last3[2].amount;
   }
-
-  /**
-   * Helper: Analyze time distribution
-   */
-  _analyzeTimeDistribution(transactions) {
-    const hourCounts = new Array(24).fill(0);
-
-    transactions.forEach(t => {
-      const hour = new Date(t.created_at).getHours();
-      hourCounts[hour]++;
-    });
-
-    const maxCount = Math.max(...hourCounts);
-    const mostCommonHour = hourCounts.indexOf(maxCount);
-
-    return {
-      mostCommon: `${mostCommonHour}:00-${mostCommonHour + 1}:00`,
-      confidence: maxCount / transactions.length,
-      distribution: hourCounts
-    };
-  }
-
-  /**
-   * Helper: Analyze day distribution
-   */
-  _analyzeDayDistribution(transactions) {
-    const dayCounts = new Array(7).fill(0);
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-    transactions.forEach(t => {
-      const day = new Date(t.created_at).getDay();
-      dayCounts[day]++;
-    });
-
-    const maxCount = Math.max(...dayCounts);
-    const mostCommonDay = dayCounts.indexOf(maxCount);
-
-    return {
-      mostCommon: dayNames[mostCommonDay],
-      confidence: maxCount / transactions.length,
-      distribution: dayCounts
-    };
-  }
-
-  /**
-   * Helper: Calculate days until next occurrence of day
-   */
-  _calculateDaysUntil(dayName) {
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const targetDay = dayNames.indexOf(dayName);
-    const today = new Date().getDay();
-
-    let daysUntil = targetDay - today;
-    if (daysUntil <= 0) {
-      daysUntil += 7;
-    }
-
-    return daysUntil;
-  }
 }
 
 export default MLPatternEngine;
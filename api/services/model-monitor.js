@@ -0,0 +1,242 @@
+/**
+ * Model Monitor
+ *
+ * Checks that the gambling classifier holds up on production data:
+ * - Feature drift: live feature distributions (from ml_analysis_log) are
+ *   compared with the normalisation stats the classifier was trained with.
+ *   A feature's drift score is the larger of its standardised mean shift,
+ *   |live mean - training mean| / training std, and the log ratio of the
+ *   live and training standard deviations.
+ * - Accuracy: precision and recall over rolling windows, from confirmed
+ *   labels (classification_feedback), for gambling detection overall and
+ *   for each gambling type.
+ *
+ * GET /api/metrics/ml exposes the report to Prometheus and the alerts in
+ * monitoring/alerts.yml fire on the thresholds below.
+ */
+
+import GamblingClassifier from '../models/gambling-classifier.js';
+import { GAMBLING_TYPES } from './classification-feedback.js';
+
+const DRIFT_WINDOW_DAYS = 7;
+const ACCURACY_WINDOWS_DAYS = [7, 30];
+const SAMPLE_LIMIT = 5000;
+
+// Alert thresholds (keep in step with monitoring/alerts.yml)
+const THRESHOLDS = {
+  drift: 0.5,
+  minSamples: 100,
+  precision: 0.85,
+  recall: 0.85,
+  minLabels: 20
+};
+
+class ModelMonitor {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.trainingStats = new GamblingClassifier().featureStats;
+  }
+
+  /**
+   * Drift and accuracy report with the thresholds that were crossed
+   */
+  async getReport({ driftDays = DRIFT_WINDOW_DAYS, now = new Date() } = {}) {
+    const [drift, accuracy] = await Promise.all([
+      this.getDriftReport({ days: driftDays, now }),
+      this.getAccuracyReport({ now })
+    ]);
+
+    return {
+      generatedAt: now.toISOString(),
+      thresholds: THRESHOLDS,
+      drift,
+      accuracy,
+      alerts: this._alerts(drift, accuracy)
+    };
+  }
+
+  /**
+   * Live feature stats against training stats over the last `days` days
+   */
+  async getDriftReport({ days = DRIFT_WINDOW_DAYS, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await this.supabase
+      .from('ml_analysis_log')
+      .select('model_version, features:analysis->features')
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(SAMPLE_LIMIT);
+
+    if (error) throw error;
+
+    const rows = (data || []).filter(row => row.features);
+
+    const features = Object.entries(this.trainingStats).map(([feature, training]) => {
+      const values = rows.map(row => Number(row.features[feature])).filter(Number.isFinite);
+
+      if (values.length === 0) {
+        return { feature, training, live: null, meanShift: null, stdRatio: null, score: null, drifted: false };
+      }
+
+      const live = meanStd(values);
+      const meanShift = Math.abs(live.mean - training.mean) / training.std;
+      const stdRatio = Math.max(live.std, 1e-6) / training.std;
+      const score = Math.max(meanShift, Math.abs(Math.log(stdRatio)));
+
+      return {
+        feature,
+        training,
+        live: { mean: round(live.mean), std: round(live.std), count: values.length },
+        meanShift: round(meanShift),
+        stdRatio: round(stdRatio),
+        score: round(score),
+        drifted: values.length >= THRESHOLDS.minSamples && score > THRESHOLDS.drift
+      };
+    });
+
+    return {
+      windowDays: days,
+      sampleSize: rows.length,
+      modelVersions: countBy(rows, row => row.model_version || 'unknown'),
+      features
+    };
+  }
+
+  /**
+   * Precision and recall from confirmed labels for each rolling window
+   */
+  async getAccuracyReport({ windows = ACCURACY_WINDOWS_DAYS, now = new Date() } = {}) {
+    const longest = Math.max(...windows);
+    const since = new Date(now.getTime() - longest * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await this.supabase
+      .from('classification_feedback')
+      .select('transaction_id, is_correct, is_gambling, gambling_type, predicted_gambling_type, created_at')
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(SAMPLE_LIMIT);
+
+    if (error) throw error;
+
+    // Most recent label per transaction wins
+    const latest = new Map();
+    for (const label of data || []) {
+      if (!latest.has(label.transaction_id)) {
+        latest.set(label.transaction_id, label);
+      }
+    }
+    const labels = Array.from(latest.values());
+
+    return windows.map(days => {
+      const start = now.getTime() - days * 24 * 60 * 60 * 1000;
+      const inWindow = labels.filter(label => new Date(label.created_at).getTime() >= start);
+
+      return {
+        window: `${days}d`,
+        labels: inWindow.length,
+        gamblingTypes: {
+          all: score(inWindow, label => label.is_gambling, label => predictedGambling(label)),
+          ...Object.fromEntries(GAMBLING_TYPES.map(type => [
+            type,
+            score(
+              inWindow,
+              label => label.is_gambling && label.gambling_type === type,
+              label => predictedGambling(label) && label.predicted_gambling_type === type
+            )
+          ]))
+        }
+      };
+    });
+  }
+
+  /**
+   * Thresholds crossed in a report
+   */
+  _alerts(drift, accuracy) {
+    const alerts = drift.features
+      .filter(feature => feature.drifted)
+      .map(feature => ({
+        type: 'feature_drift',
+        feature: feature.feature,
+        value: feature.score,
+        threshold: THRESHOLDS.drift
+      }));
+
+    for (const { window, gamblingTypes } of accuracy) {
+      for (const [gamblingType, result] of Object.entries(gamblingTypes)) {
+        if (result.support < THRESHOLDS.minLabels) continue;
+
+        for (const metric of ['precision', 'recall']) {
+          if (result[metric] !== null && result[metric] < THRESHOLDS[metric]) {
+            alerts.push({ type: `low_${metric}`, gamblingType, window, value: result[metric], threshold: THRESHOLDS[metric] });
+          }
+        }
+      }
+    }
+
+    return alerts;
+  }
+}
+
+/**
+ * Whether the model predicted gambling, from whether the label agreed with it
+ */
+function predictedGambling(label) {
+  return label.is_correct ? label.is_gambling : !label.is_gambling;
+}
+
+/**
+ * Precision, recall and F1 for one class; null where undefined.
+ * support is the number of labels in the class.
+ */
+function score(labels, isActual, isPredicted) {
+  let truePositives = 0;
+  let predicted = 0;
+  let support = 0;
+
+  for (const label of labels) {
+    const actual = isActual(label);
+    const guess = isPredicted(label);
+    if (actual) support++;
+    if (guess) predicted++;
+    if (actual && guess) truePositives++;
+  }
+
+  const precision = predicted > 0 ? truePositives / predicted : null;
+  const recall = support > 0 ? truePositives / support : null;
+  let f1 = null;
+  if (precision !== null && recall !== null) {
+    f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  }
+
+  return {
+    precision: precision === null ? null : round(precision),
+    recall: recall === null ? null : round(recall),
+    f1: f1 === null ? null : round(f1),
+    support,
+    predicted
+  };
+}
+
+function meanStd(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+function countBy(items, keyFn) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyFn(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default ModelMonitor;
+export { THRESHOLDS };
@@ -0,0 +1,393 @@
+/**
+ * Model Registry
+ *
+ * Tracks versions of the ML models (model_versions table):
+ * - Each trained version is registered with its artifact path, training
+ *   metadata and evaluation scores
+ * - One version per model is in production; one may run in shadow, scoring
+ *   live transactions alongside production without affecting alerts
+ * - Promotion replaces production atomically and remembers the version it
+ *   replaced, so a bad promotion can be rolled back
+ *
+ * Artifacts live under api/data/models (trained versions in versions/<version>);
+ * artifact_path is relative to it. Trained versions are also uploaded to
+ * Supabase storage when registered, so hosts without the local files (other
+ * instances, fresh deploys) download them before loading.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MODELS_DIR = path.join(__dirname, '../data/models');
+const VERSIONS_DIR = path.join(MODELS_DIR, 'versions');
+
+// Storage bucket for trained artifacts and where downloads are cached
+const ARTIFACT_BUCKET = process.env.MODEL_ARTIFACT_BUCKET || 'model-artifacts';
+const DOWNLOAD_DIR = path.join(os.tmpdir(), 'anchor-models');
+
+// Registered models
+const MODEL_NAMES = {
+  GAMBLING_CLASSIFIER: 'gambling_classifier'
+};
+
+// Version lifecycle (model_versions.status)
+const VERSION_STATUS = {
+  CANDIDATE: 'candidate',
+  SHADOW: 'shadow',
+  PRODUCTION: 'production',
+  RETIRED: 'retired',
+  ROLLED_BACK: 'rolled_back',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Error for a request the version's current state does not allow
+ */
+function stateError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Whether a directory holds any artifact files
+ */
+function hasArtifacts(dir) {
+  return fs.existsSync(dir) && fs.readdirSync(dir).length > 0;
+}
+
+/**
+ * Name for a newly trained version: UTC timestamp, e.g. 20240301-041500
+ */
+function createVersionName(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+class ModelRegistry {
+  constructor(supabaseClient, modelName = MODEL_NAMES.GAMBLING_CLASSIFIER) {
+    this.supabase = supabaseClient;
+    this.modelName = modelName;
+  }
+
+  /**
+   * Register a trained version
+   * Its artifacts are uploaded first; a version is never registered without them.
+   */
+  async registerVersion({
+    version,
+    artifactPath,
+    status = VERSION_STATUS.CANDIDATE,
+    trainingRunId = null,
+    trainingMetadata = {},
+    metrics = null
+  }) {
+    await this.uploadArtifacts(artifactPath);
+
+    const { data, error } = await this.supabase
+      .from('model_versions')
+      .insert({
+        model_name: this.modelName,
+        version,
+        status,
+        artifact_path: artifactPath,
+        training_run_id: trainingRunId,
+        training_metadata: trainingMetadata,
+        metrics
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Get a version
+   */
+  async getVersion(version) {
+    const { data, error } = await this.supabase
+      .from('model_versions')
+      .select('*')
+      .eq('model_name', this.modelName)
+      .eq('version', version)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  /**
+   * List versions, newest first
+   */
+  async listVersions(limit = 50) {
+    const { data, error } = await this.supabase
+      .from('model_versions')
+      .select('*')
+      .eq('model_name', this.modelName)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Get the production and shadow versions
+   */
+  async getActiveVersions() {
+    const { data, error } = await this.supabase
+      .from('model_versions')
+      .select('*')
+      .eq('model_name', this.modelName)
+      .in('status', [VERSION_STATUS.PRODUCTION, VERSION_STATUS.SHADOW]);
+
+    if (error) throw error;
+
+    const rows = data || [];
+
+    return {
+      production: rows.find(row => row.status === VERSION_STATUS.PRODUCTION) || null,
+      shadow: rows.find(row => row.status === VERSION_STATUS.SHADOW) || null
+    };
+  }
+
+  /**
+   * Make a version the production version
+   */
+  async promote(version, { promotedBy = null } = {}) {
+    const target = await this._requireVersion(version);
+
+    if (target.status === VERSION_STATUS.REJECTED) {
+      throw stateError(`Version ${version} was rejected and cannot be promoted`);
+    }
+
+    return this._promote(version, promotedBy, false);
+  }
+
+  /**
+   * Restore the version production replaced
+   * The current production version is marked rolled_back.
+   */
+  async rollback({ promotedBy = null } = {}) {
+    const { production } = await this.getActiveVersions();
+
+    if (!production) {
+      throw stateError(`No production version of ${this.modelName}`);
+    }
+
+    if (!production.previous_version) {
+      throw stateError(`Version ${production.version} has no previous version to roll back to`);
+    }
+
+    await this._requireVersion(production.previous_version);
+
+    return this._promote(production.previous_version, promotedBy, true);
+  }
+
+  /**
+   * Run a version in shadow (replaces any current shadow version)
+   */
+  async startShadow(version) {
+    const target = await this._requireVersion(version);
+
+    if (target.status === VERSION_STATUS.PRODUCTION) {
+      throw stateError(`Version ${version} is already in production`);
+    }
+
+    await this.stopShadow();
+
+    return this._setStatus(version, VERSION_STATUS.SHADOW);
+  }
+
+  /**
+   * Stop running the shadow version
+   */
+  async stopShadow() {
+    const { shadow } = await this.getActiveVersions();
+    if (!shadow) return null;
+
+    return this._setStatus(shadow.version, VERSION_STATUS.CANDIDATE);
+  }
+
+  /**
+   * Mark a version as rejected (it can no longer be promoted)
+   */
+  async reject(version) {
+    const target = await this._requireVersion(version);
+
+    if (target.status === VERSION_STATUS.PRODUCTION) {
+      throw stateError(`Version ${version} is in production; roll back or promote another version first`);
+    }
+
+    return this._setStatus(version, VERSION_STATUS.REJECTED);
+  }
+
+  /**
+   * Log a shadow prediction and, when it differs from production, the disagreement
+   */
+  async recordShadowPrediction({ productionVersion, shadowVersion, transactionId, userId, production, shadow, disagreement }) {
+    const { error: countError } = await this.supabase.rpc('record_shadow_prediction', {
+      p_model_name: this.modelName,
+      p_version: shadowVersion,
+      p_disagreed: !!disagreement
+    });
+
+    if (countError) {
+      console.error('Error counting shadow prediction:', countError);
+    }
+
+    if (!disagreement) return;
+
+    const { error } = await this.supabase
+      .from('model_shadow_disagreements')
+      .insert({
+        model_name: this.modelName,
+        production_version: productionVersion,
+        shadow_version: shadowVersion,
+        transaction_id: transactionId,
+        user_id: userId,
+        disagreement,
+        production_prediction: production,
+        shadow_prediction: shadow
+      });
+
+    if (error) {
+      console.error('Error logging shadow disagreement:', error);
+    }
+  }
+
+  /**
+   * Get logged disagreements for a shadow version
+   */
+  async getDisagreements(shadowVersion, limit = 50) {
+    const { data, error } = await this.supabase
+      .from('model_shadow_disagreements')
+      .select('*')
+      .eq('model_name', this.modelName)
+      .eq('shadow_version', shadowVersion)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Absolute path of a version's artifacts in the local models directory
+   */
+  resolveArtifactPath(versionRow) {
+    return path.resolve(MODELS_DIR, versionRow.artifact_path);
+  }
+
+  /**
+   * Local directory holding a version's artifacts, downloading them from
+   * storage when they are not on this host
+   * Throws when the artifacts exist in neither place.
+   */
+  async loadArtifacts(versionRow) {
+    const localPath = this.resolveArtifactPath(versionRow);
+    if (hasArtifacts(localPath)) return localPath;
+
+    const downloadPath = path.resolve(DOWNLOAD_DIR, this.modelName, versionRow.artifact_path);
+    if (hasArtifacts(downloadPath)) return downloadPath;
+
+    const prefix = this._storagePrefix(versionRow.artifact_path);
+    const bucket = this.supabase.storage.from(ARTIFACT_BUCKET);
+
+    const { data: files, error } = await bucket.list(prefix);
+    if (error) throw error;
+
+    if (!files || files.length === 0) {
+      throw stateError(
+        `Artifacts for ${this.modelName} ${versionRow.version} not found (${localPath} or storage ${ARTIFACT_BUCKET}/${prefix})`,
+        404
+      );
+    }
+
+    fs.mkdirSync(downloadPath, { recursive: true });
+
+    for (const file of files) {
+      const { data: blob, error: downloadError } = await bucket.download(`${prefix}/${file.name}`);
+      if (downloadError) throw downloadError;
+
+      fs.writeFileSync(path.join(downloadPath, file.name), Buffer.from(await blob.arrayBuffer()));
+    }
+
+    return downloadPath;
+  }
+
+  /**
+   * Upload a version's artifacts from the local models directory to storage
+   */
+  async uploadArtifacts(artifactPath) {
+    const localPath = path.resolve(MODELS_DIR, artifactPath);
+    if (!hasArtifacts(localPath)) {
+      throw stateError(`No artifacts to upload at ${localPath}`, 400);
+    }
+
+    const prefix = this._storagePrefix(artifactPath);
+    const bucket = this.supabase.storage.from(ARTIFACT_BUCKET);
+
+    for (const file of fs.readdirSync(localPath)) {
+      const { error } = await bucket.upload(`${prefix}/${file}`, fs.readFileSync(path.join(localPath, file)), {
+        contentType: file.endsWith('.json') ? 'application/json' : 'application/octet-stream',
+        upsert: true
+      });
+
+      if (error) throw error;
+    }
+  }
+
+  _storagePrefix(artifactPath) {
+    return `${this.modelName}/${artifactPath.split(path.sep).join('/')}`;
+  }
+
+  async _promote(version, promotedBy, rollback) {
+    const { data, error } = await this.supabase.rpc('promote_model_version', {
+      p_model_name: this.modelName,
+      p_version: version,
+      p_promoted_by: promotedBy,
+      p_rollback: rollback
+    });
+
+    if (error) throw error;
+
+    return Array.isArray(data) ? data[0] : data;
+  }
+
+  async _setStatus(version, status) {
+    const { data, error } = await this.supabase
+      .from('model_versions')
+      .update({ status })
+      .eq('model_name', this.modelName)
+      .eq('version', version)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async _requireVersion(version) {
+    const row = await this.getVersion(version);
+
+    if (!row) {
+      throw stateError(`Unknown version ${version} of ${this.modelName}`, 404);
+    }
+
+    return row;
+  }
+}
+
+export default ModelRegistry;
+export { MODEL_NAMES, MODELS_DIR, VERSIONS_DIR, VERSION_STATUS, createVersionName };
@@ -0,0 +1,281 @@
+/**
+ * Model Trainer
+ *
+ * Retrains the gambling classifier from user and guardian feedback:
+ * 1. Labelled transactions are split into a training set and a held-out set.
+ *    The split is by transaction ID hash, so a transaction stays on the same
+ *    side across runs and successive candidates are compared on like data.
+ * 2. The live model is evaluated on the held-out set (the baseline).
+ * 3. A candidate is trained on api/data/training-data.json plus the
+ *    feedback training set and saved under api/data/models/versions/<version>.
+ * 4. The candidate is evaluated on the same held-out set and registered in
+ *    the model registry. It is promoted to production (or, with the `shadow`
+ *    option, run in shadow) only if its metrics improve on the baseline;
+ *    otherwise it is registered as rejected.
+ *
+ * Every run is recorded in model_training_runs.
+ *
+ * The classifier is loaded on first use, when a run has enough labels.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ClassificationFeedback from './classification-feedback.js';
+import ModelRegistry, {
+  MODEL_NAMES,
+  MODELS_DIR,
+  VERSIONS_DIR,
+  VERSION_STATUS,
+  createVersionName
+} from './model-registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STATIC_TRAINING_DATA = path.join(__dirname, '../data/training-data.json');
+
+// Run outcomes (model_training_runs.status)
+const RUN_STATUS = {
+  RUNNING: 'running',
+  PROMOTED: 'promoted',
+  SHADOW: 'shadow',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+const DEFAULT_OPTIONS = {
+  minExamples: 20,
+  minHoldout: 5,
+  holdoutFraction: 0.2,
+  epochs: 30,
+  batchSize: 32,
+  shadow: false
+};
+
+class ModelTrainer {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.feedback = new ClassificationFeedback(supabaseClient);
+    this.registry = new ModelRegistry(supabaseClient, MODEL_NAMES.GAMBLING_CLASSIFIER);
+    this.versionsDir = options.versionsDir || VERSIONS_DIR;
+    this.staticDataFile = options.staticDataFile || STATIC_TRAINING_DATA;
+  }
+
+  /**
+   * Retrain from feedback and promote the candidate if it beats the live model
+   */
+  async retrain(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const candidateVersion = createVersionName();
+    const run = await this._startRun(candidateVersion);
+
+    try {
+      const { examples, skipped } = await this.feedback.getTrainingExamples();
+      const { trainSet, holdout } = this.splitHoldout(examples, settings.holdoutFraction);
+
+      if (examples.length < settings.minExamples || holdout.length < settings.minHoldout) {
+        return await this._finishRun(run, RUN_STATUS.SKIPPED, {
+          feedback_examples: examples.length,
+          holdout_examples: holdout.length,
+          reason: `Not enough labelled transactions with features (${examples.length} usable, ` +
+            `${skipped} without features; need ${settings.minExamples} with ${settings.minHoldout} held out)`
+        });
+      }
+
+      const { default: GamblingClassifier } = await import('../models/gambling-classifier.js');
+
+      const { production } = await this.registry.getActiveVersions();
+      const baseline = production
+        ? new GamblingClassifier({
+          modelPath: await this.registry.loadArtifacts(production),
+          modelVersion: production.version,
+          requireArtifacts: true
+        })
+        : new GamblingClassifier();
+      const baselineExists = await baseline._modelExists();
+      if (baselineExists) {
+        await baseline.loadModel();
+      }
+
+      const baselineMetrics = baselineExists ? await baseline.evaluate(holdout) : null;
+
+      const trainingData = [...this._loadStaticData(), ...trainSet];
+      const candidate = new GamblingClassifier({
+        modelPath: path.join(this.versionsDir, candidateVersion),
+        modelVersion: candidateVersion
+      });
+
+      await candidate.train(trainingData, {
+        epochs: settings.epochs,
+        batchSize: settings.batchSize,
+        verbose: 0
+      });
+
+      const candidateMetrics = await candidate.evaluate(holdout);
+      const decision = this.compareMetrics(baselineMetrics, candidateMetrics);
+
+      await this.registry.registerVersion({
+        version: candidateVersion,
+        artifactPath: path.relative(MODELS_DIR, candidate.modelPath),
+        status: decision.improved ? VERSION_STATUS.CANDIDATE : VERSION_STATUS.REJECTED,
+        trainingRunId: run.id,
+        trainingMetadata: {
+          source: 'classification_feedback',
+          baselineVersion: baselineExists ? baseline.modelVersion : null,
+          trainingExamples: trainingData.length,
+          feedbackExamples: trainSet.length,
+          holdoutExamples: holdout.length,
+          epochs: settings.epochs,
+          batchSize: settings.batchSize
+        },
+        metrics: candidateMetrics
+      });
+
+      if (decision.improved) {
+        if (settings.shadow) {
+          await this.registry.startShadow(candidateVersion);
+        } else {
+          await this.registry.promote(candidateVersion);
+        }
+      }
+
+      await this.feedback.markUsed(trainSet.map(example => example.transactionId));
+
+      const status = !decision.improved
+        ? RUN_STATUS.REJECTED
+        : settings.shadow ? RUN_STATUS.SHADOW : RUN_STATUS.PROMOTED;
+
+      return await this._finishRun(run, status, {
+        baseline_version: baselineExists ? baseline.modelVersion : null,
+        training_examples: trainingData.length,
+        feedback_examples: examples.length,
+        holdout_examples: holdout.length,
+        baseline_metrics: baselineMetrics,
+        candidate_metrics: candidateMetrics,
+        reason: decision.reason
+      });
+
+    } catch (error) {
+      console.error('Model retraining failed:', error);
+      await this._finishRun(run, RUN_STATUS.FAILED, { reason: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Split examples into training and held-out sets by transaction ID hash
+   */
+  splitHoldout(examples, holdoutFraction = DEFAULT_OPTIONS.holdoutFraction) {
+    const trainSet = [];
+    const holdout = [];
+
+    for (const example of examples) {
+      const hash = crypto.createHash('sha256').update(String(example.transactionId)).digest();
+      const bucket = hash.readUInt32BE(0) / 0xffffffff;
+
+      (bucket < holdoutFraction ? holdout : trainSet).push(example);
+    }
+
+    return { trainSet, holdout };
+  }
+
+  /**
+   * Decide whether candidate metrics improve on the baseline
+   *
+   * The candidate must be at least as good on accuracy and F1 and strictly
+   * better on one of them; when both tie, a lower loss counts as better.
+   */
+  compareMetrics(baseline, candidate) {
+    if (!baseline) {
+      return { improved: true, reason: 'No live model to compare against' };
+    }
+
+    const accuracyDelta = candidate.accuracy - baseline.accuracy;
+    const f1Delta = candidate.f1 - baseline.f1;
+    const summary = `accuracy ${baseline.accuracy.toFixed(3)} -> ${candidate.accuracy.toFixed(3)}, ` +
+      `F1 ${baseline.f1.toFixed(3)} -> ${candidate.f1.toFixed(3)}`;
+
+    if (accuracyDelta < 0 || f1Delta < 0) {
+      return { improved: false, reason: `Candidate regressed (${summary})` };
+    }
+
+    if (accuracyDelta > 0 || f1Delta > 0) {
+      return { improved: true, reason: `Candidate improved (${summary})` };
+    }
+
+    if (candidate.loss < baseline.loss) {
+      return { improved: true, reason: `Candidate matched with lower loss (${summary})` };
+    }
+
+    return { improved: false, reason: `No improvement (${summary})` };
+  }
+
+  /**
+   * Get recent training runs
+   */
+  async getRuns(limit = 20) {
+    const { data, error } = await this.supabase
+      .from('model_training_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Load the static training data set
+   */
+  _loadStaticData() {
+    if (!fs.existsSync(this.staticDataFile)) {
+      return [];
+    }
+
+    return JSON.parse(fs.readFileSync(this.staticDataFile, 'utf8'))
+      .filter(item => item.features && Object.prototype.hasOwnProperty.call(item, 'isGambling'));
+  }
+
+  async _startRun(candidateVersion) {
+    const { data, error } = await this.supabase
+      .from('model_training_runs')
+      .insert({
+        model_name: MODEL_NAMES.GAMBLING_CLASSIFIER,
+        candidate_version: candidateVersion,
+        status: RUN_STATUS.RUNNING
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async _finishRun(run, status, fields) {
+    const { data, error } = await this.supabase
+      .from('model_training_runs')
+      .update({
+        ...fields,
+        status,
+        finished_at: new Date().toISOString()
+      })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error recording training run:', error);
+      return { ...run, ...fields, status };
+    }
+
+    return data;
+  }
+}
+
+export default ModelTrainer;
+export { RUN_STATUS };
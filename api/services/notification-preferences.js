@@ -3,8 +3,52 @@
  *
  * Manages user notification preferences
  * Some notifications CANNOT be disabled (mandatory for system functionality)
+ *
+ * Besides per-channel on/off switches, `delivery` controls when optional
+ * notifications go out:
+ * - quiet_hours: nothing optional between start and end (user's timezone)
+ * - frequency_caps: at most N per category in any 24 hours
+ * - digest: non-urgent categories batched into one daily message
+ * checkPreferences decides send now, defer, digest or block; mandatory
+ * notifications are always sent now. Time-sensitive warnings are dropped
+ * rather than deferred, as they would be stale by the time they went out.
  */
 
+const DEFAULT_TIMEZONE = process.env.ANCHOR_TIMEZONE || 'Australia/Sydney';
+
+const DELIVERY_ACTIONS = {
+  SEND: 'send',
+  DEFER: 'defer',
+  DIGEST: 'digest',
+  BLOCK: 'block'
+};
+
+const CAP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Non-urgent categories that may be batched into the daily digest
+const DIGEST_CATEGORIES = ['milestones', 'weekly_summary', 'weekly_reports', 'guardian_messages'];
+
+// Warnings about the user's situation right now, never deferred
+const TIME_SENSITIVE_CATEGORIES = ['high_risk_warnings'];
+
+// Preference category of templates whose ID is not the category
+const TEMPLATE_CATEGORIES = {
+  HIGH_RISK_WARNING: 'high_risk_warnings',
+  TRIGGER_APPROACHING: 'high_risk_warnings',
+  VENUE_DWELL_WARNING: 'high_risk_warnings',
+  STREAK_MILESTONE: 'milestones',
+  MILESTONE_REACHED: 'milestones',
+  WEEKLY_REPORT: 'weekly_reports',
+  GUARDIAN_MESSAGE: 'guardian_messages',
+  RELAPSE_RESPONSE: 'relapse_response',
+  PAYDAY_REMINDER: 'payday_confirmation',
+  EMERGENCY_CONTACT: 'emergency_protocol',
+  CHECKIN_SUPPORT: 'support_reply',
+  WELCOME_01_LOCKED_IN: 'welcome_series',
+  WELCOME_02_DAY_3: 'welcome_series',
+  WELCOME_03_WEEK_1: 'welcome_series'
+};
+
 /**
  * Mandatory notifications that CANNOT be disabled
  */
@@ -17,7 +61,8 @@ const MANDATORY_NOTIFICATIONS = [
   'payday_confirmation',
   'commitment_started',
   'commitment_ending',
-  'system_auth'
+  'system_auth',
+  'support_reply' // Replies to the user's own texts
 ];
 
 /**
@@ -51,6 +96,11 @@ const DEFAULT_PREFERENCES = {
     high_risk_warnings: true,
     guardian_messages: true,
     milestones: true
+  },
+  delivery: {
+    quiet_hours: { enabled: false, start: '22:00', end: '07:00' },
+    frequency_caps: {}, // { category: max per 24 hours }
+    digest: { enabled: false, time: '18:00', categories: DIGEST_CATEGORIES }
   }
 };
 
@@ -103,23 +153,132 @@ async function updatePreferences(userId, preferences, supabaseClient) {
 }
 
 /**
- * Check if a notification is allowed
+ * Decide how a notification is delivered
+ * `recentSends` are the times this category was sent in the last 24 hours.
+ * Returns { action, reason, deliverAt } (deliverAt for defer and digest).
  */
-function checkPreferences(preferences, channel, category) {
+function checkPreferences(preferences, channel, category, { now = new Date(), timeZone, recentSends = [] } = {}) {
   const prefs = mergeWithDefaults(preferences);
+  const { quiet_hours: quietHours, frequency_caps: caps, digest } = prefs.delivery;
+  const zone = timeZone || DEFAULT_TIMEZONE;
 
-  // Always allow mandatory notifications
+  // Always send mandatory notifications
   if (MANDATORY_NOTIFICATIONS.includes(category)) {
-    return true;
+    return { action: DELIVERY_ACTIONS.SEND, reason: 'mandatory' };
+  }
+
+  // Check channel-specific preference (default to true if not specified)
+  if (prefs[channel] && prefs[channel][category] === false) {
+    return { action: DELIVERY_ACTIONS.BLOCK, reason: 'user_preferences' };
+  }
+
+  if (digest.enabled && digest.categories.includes(category) && channel !== 'push') {
+    return {
+      action: DELIVERY_ACTIONS.DIGEST,
+      reason: 'digest',
+      deliverAt: nextLocalTime(now, digest.time, zone)
+    };
   }
 
-  // Check channel-specific preference
-  if (prefs[channel] && category in prefs[channel]) {
-    return prefs[channel][category];
+  const cap = caps[category];
+  const windowStart = now.getTime() - CAP_WINDOW_MS;
+  const sentInWindow = recentSends
+    .map(sentAt => new Date(sentAt).getTime())
+    .filter(time => time > windowStart)
+    .sort((a, b) => a - b);
+
+  const timeSensitive = TIME_SENSITIVE_CATEGORIES.includes(category);
+
+  if (cap !== undefined && sentInWindow.length >= cap) {
+    if (timeSensitive) {
+      return { action: DELIVERY_ACTIONS.BLOCK, reason: 'frequency_cap' };
+    }
+
+    // Once the oldest send in the window drops out
+    const reopensAt = new Date(sentInWindow[sentInWindow.length - cap] + CAP_WINDOW_MS);
+    return {
+      action: DELIVERY_ACTIONS.DEFER,
+      reason: 'frequency_cap',
+      deliverAt: isQuietTime(reopensAt, quietHours, zone)
+        ? nextLocalTime(reopensAt, quietHours.end, zone)
+        : reopensAt
+    };
   }
 
-  // Default to true if not specified
-  return true;
+  if (isQuietTime(now, quietHours, zone)) {
+    if (timeSensitive) {
+      return { action: DELIVERY_ACTIONS.BLOCK, reason: 'quiet_hours' };
+    }
+
+    return {
+      action: DELIVERY_ACTIONS.DEFER,
+      reason: 'quiet_hours',
+      deliverAt: nextLocalTime(now, quietHours.end, zone)
+    };
+  }
+
+  return { action: DELIVERY_ACTIONS.SEND, reason: null };
+}
+
+/**
+ * Preference category of a template
+ */
+function getNotificationCategory(templateId) {
+  return TEMPLATE_CATEGORIES[templateId] || templateId.toLowerCase();
+}
+
+/**
+ * Templates counted towards a category's frequency cap
+ */
+function getCategoryTemplates(category) {
+  const templates = Object.keys(TEMPLATE_CATEGORIES).filter(templateId => TEMPLATE_CATEGORIES[templateId] === category);
+  return templates.length > 0 ? templates : [category.toUpperCase()];
+}
+
+/**
+ * Whether a time falls in the user's quiet hours
+ */
+function isQuietTime(date, quietHours, timeZone) {
+  if (!quietHours?.enabled) return false;
+
+  const minutes = localMinutes(date, timeZone);
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+
+  if (start === end) return false;
+
+  // Quiet hours may run past midnight (22:00-07:00)
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Next time it is `time` (HH:MM) in the timezone, from `date`
+ */
+function nextLocalTime(date, time, timeZone) {
+  const minutesAhead = (parseTime(time) - localMinutes(date, timeZone) + 24 * 60) % (24 * 60);
+  const next = new Date(date.getTime() + minutesAhead * 60 * 1000);
+  next.setSeconds(0, 0);
+  return next;
+}
+
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-AU', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return get('hour') * 60 + get('minute');
+}
+
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
 }
 
 /**
@@ -139,9 +298,69 @@ function sanitizePreferences(preferences) {
   sanitized.email.welcome_series = true;
   sanitized.email.commitment_updates = true;
 
+  if (sanitized.delivery) {
+    sanitized.delivery = sanitizeDelivery(sanitized.delivery);
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validate delivery settings (throws a 400 error when invalid)
+ */
+function sanitizeDelivery(delivery) {
+  const { quiet_hours: quietHours, frequency_caps: caps, digest } = delivery;
+  const sanitized = {};
+
+  if (quietHours) {
+    if (!isTime(quietHours.start) || !isTime(quietHours.end)) {
+      throw preferenceError('quiet_hours start and end must be HH:MM');
+    }
+    sanitized.quiet_hours = { enabled: !!quietHours.enabled, start: quietHours.start, end: quietHours.end };
+  }
+
+  if (caps) {
+    for (const [category, cap] of Object.entries(caps)) {
+      if (MANDATORY_NOTIFICATIONS.includes(category)) {
+        throw preferenceError(`${category} is mandatory and cannot be capped`);
+      }
+      if (!Number.isInteger(cap) || cap < 1) {
+        throw preferenceError(`Frequency cap for ${category} must be a positive whole number`);
+      }
+    }
+    sanitized.frequency_caps = { ...caps };
+  }
+
+  if (digest) {
+    const categories = digest.categories || DIGEST_CATEGORIES;
+    const invalid = categories.filter(category => !DIGEST_CATEGORIES.includes(category));
+
+    if (invalid.length > 0) {
+      throw preferenceError(`Cannot add to digest: ${invalid.join(', ')}`);
+    }
+    if (digest.time !== undefined && !isTime(digest.time)) {
+      throw preferenceError('digest time must be HH:MM');
+    }
+    sanitized.digest = {
+      enabled: !!digest.enabled,
+      time: digest.time || DEFAULT_PREFERENCES.delivery.digest.time,
+      categories
+    };
+  }
+
   return sanitized;
 }
 
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function preferenceError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
 /**
  * Merge user preferences with defaults
  */
@@ -162,6 +381,20 @@ function mergeWithDefaults(userPreferences) {
     push: {
       ...DEFAULT_PREFERENCES.push,
       ...userPreferences.push
+    },
+    delivery: {
+      quiet_hours: {
+        ...DEFAULT_PREFERENCES.delivery.quiet_hours,
+        ...userPreferences.delivery?.quiet_hours
+      },
+      frequency_caps: {
+        ...DEFAULT_PREFERENCES.delivery.frequency_caps,
+        ...userPreferences.delivery?.frequency_caps
+      },
+      digest: {
+        ...DEFAULT_PREFERENCES.delivery.digest,
+        ...userPreferences.delivery?.digest
+      }
     }
   };
 }
@@ -191,7 +424,9 @@ function getControllableCategories() {
       { id: 'high_risk_warnings', name: 'High-risk warnings', default: true },
       { id: 'guardian_messages', name: 'Guardian messages', default: true },
       { id: 'milestones', name: 'Milestones', default: true }
-    ]
+    ],
+    // Categories that can go in the daily digest (SMS and email)
+    digest: DIGEST_CATEGORIES
   };
 }
 
@@ -248,7 +483,9 @@ async function unsubscribeAll(userId, supabaseClient) {
       }
     };
 
-    await updatePreferences(userId, preferences, supabaseClient);
+    // Quiet hours, caps and digest settings are kept
+    const { delivery } = await getPreferences(userId, supabaseClient);
+    await updatePreferences(userId, { ...preferences, delivery }, supabaseClient);
 
     return {
       success: true,
@@ -265,7 +502,8 @@ async function unsubscribeAll(userId, supabaseClient) {
  */
 async function resubscribeDefaults(userId, supabaseClient) {
   try {
-    await updatePreferences(userId, DEFAULT_PREFERENCES, supabaseClient);
+    const { delivery } = await getPreferences(userId, supabaseClient);
+    await updatePreferences(userId, { ...DEFAULT_PREFERENCES, delivery }, supabaseClient);
 
     return {
       success: true,
@@ -280,9 +518,15 @@ async function resubscribeDefaults(userId, supabaseClient) {
 export {
   MANDATORY_NOTIFICATIONS,
   DEFAULT_PREFERENCES,
+  DELIVERY_ACTIONS,
+  DIGEST_CATEGORIES,
+  TIME_SENSITIVE_CATEGORIES,
   getPreferences,
   updatePreferences,
   checkPreferences,
+  getNotificationCategory,
+  getCategoryTemplates,
+  isQuietTime,
   sanitizePreferences,
   mergeWithDefaults,
   getControllableCategories,
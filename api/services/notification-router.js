@@ -0,0 +1,408 @@
+/**
+ * Notification Router
+ *
+ * One entry point, notify(userId, eventType, data), for user notifications
+ * that should reach the user on whichever channel works:
+ * - Channels are tried in order push, SMS, email (or the order passed to
+ *   notify), skipping those the user has turned off for the event's
+ *   category or has no device/contact for
+ * - Each channel gets the event's ack window to be acknowledged (the app
+ *   acknowledges pushes, any SMS reply counts) before the next channel is
+ *   tried by processFallbacks()
+ * - Critical events with a guardian template (EMERGENCY_TRIGGERED,
+ *   RELAPSE_CONFIRMED) also go to the user's guardians straight away
+ *
+ * Every event is a notification_events row; every attempt, to the user or a
+ * guardian, is a notification_deliveries row, so the chain can be replayed.
+ */
+
+import CommunicationEngine from './communication-engine.js';
+import PushNotificationService from './push-notifications.js';
+import { checkPreferences, DELIVERY_ACTIONS } from './notification-preferences.js';
+import translationService from './translation-service.js';
+import { renderSMS } from '../templates/sms-templates.js';
+
+const CHANNELS = ['push', 'sms', 'email'];
+
+// Minutes to wait for an acknowledgement before falling back
+const DEFAULT_ACK_MINUTES = parseInt(process.env.NOTIFY_ACK_MINUTES || '15', 10);
+
+const EVENT_STATUS = {
+  AWAITING_ACK: 'awaiting_ack',
+  ACKNOWLEDGED: 'acknowledged',
+  DELIVERED: 'delivered', // Last channel reached, not acknowledged
+  FAILED: 'failed'
+};
+
+const DELIVERY_STATUS = {
+  SENT: 'sent',
+  DEFERRED: 'deferred',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * Events and how they reach the user
+ * The push title/body are the event's push.<EVENT> catalogue entries (or
+ * push.<push> when set), `sms` is the user SMS template (the push title and
+ * rendered SMS are also the email fallback), `guardian` the guardian SMS
+ * template for escalation, `channels` the fallback order when it is not
+ * push first. Everything is sent in the user's language.
+ */
+const EVENTS = {
+  // A transaction needs review (data: transactionId, amount, merchant, urgent)
+  INTERVENTION_REQUIRED: {
+    category: 'intervention_required',
+    critical: true,
+    ackMinutes: 5,
+    push: 'TRANSACTION_ALERT',
+    sms: 'INTERVENTION_REQUIRED'
+  },
+  HIGH_RISK_WARNING: {
+    category: 'high_risk_warnings',
+    critical: false,
+    sms: 'HIGH_RISK_WARNING'
+  },
+  // Texted first: replies are the two-way mood check-in (sms-checkin.js)
+  DAILY_CHECKIN: {
+    category: 'daily_checkin',
+    critical: false,
+    ackMinutes: 120,
+    sms: 'DAILY_CHECKIN',
+    channels: ['sms', 'push', 'email']
+  },
+  EMERGENCY_TRIGGERED: {
+    category: 'emergency_protocol',
+    critical: true,
+    ackMinutes: 5,
+    sms: 'EMERGENCY_CONTACT',
+    guardian: 'EMERGENCY_TRIGGERED'
+  },
+  // A gambling transaction after a clean streak (data: lastStreak)
+  RELAPSE_CONFIRMED: {
+    category: 'relapse_response',
+    critical: true,
+    ackMinutes: 30,
+    sms: 'RELAPSE_RESET',
+    guardian: 'RELAPSE_CONFIRMED'
+  }
+};
+
+function notifyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class NotificationRouter {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.commEngine = options.communicationEngine || new CommunicationEngine(supabaseClient);
+    this.pushService = options.pushService || new PushNotificationService(supabaseClient, {
+      communicationEngine: this.commEngine
+    });
+  }
+
+  /**
+   * Notify a user of an event
+   * `channels` changes the fallback order, e.g. ['sms', 'push', 'email'] to
+   * answer a user who wrote in by SMS on SMS straight away.
+   * Returns the event with its delivery chain so far.
+   */
+  async notify(userId, eventType, data = {}, options = {}) {
+    const definition = EVENTS[eventType];
+    if (!definition) {
+      throw notifyError(`Unknown event type: ${eventType}`);
+    }
+
+    const user = await this._getUser(userId);
+    const order = options.channels || definition.channels || CHANNELS;
+    const channels = await this._selectChannels(user, definition, order);
+
+    const { data: event, error } = await this.supabase
+      .from('notification_events')
+      .insert({
+        user_id: userId,
+        event_type: eventType,
+        critical: definition.critical,
+        data,
+        channels,
+        next_channel_index: 0,
+        status: EVENT_STATUS.AWAITING_ACK
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (definition.critical && definition.guardian) {
+      await this._escalateToGuardians(event, user, definition);
+    }
+
+    await this._attemptNext(event, user);
+
+    return this.getDeliveryChain(event.id);
+  }
+
+  /**
+   * Mark an event acknowledged (stops further fallbacks)
+   */
+  async acknowledge(eventId, userId, via) {
+    const { data, error } = await this.supabase
+      .from('notification_events')
+      .update({
+        status: EVENT_STATUS.ACKNOWLEDGED,
+        acknowledged_at: new Date().toISOString(),
+        acknowledged_via: via,
+        next_attempt_at: null
+      })
+      .eq('id', eventId)
+      .eq('user_id', userId)
+      .is('acknowledged_at', null)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data || null;
+  }
+
+  /**
+   * Try the next channel of events whose ack window has passed
+   */
+  async processFallbacks({ now = new Date(), limit = 200 } = {}) {
+    const { data: due, error } = await this.supabase
+      .from('notification_events')
+      .select('*')
+      .eq('status', EVENT_STATUS.AWAITING_ACK)
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const results = { processed: 0, failed: 0 };
+
+    for (const event of due || []) {
+      try {
+        await this._attemptNext(event, await this._getUser(event.user_id));
+        results.processed++;
+      } catch (attemptError) {
+        console.error(`Notification fallback failed for event ${event.id}:`, attemptError);
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * An event and every delivery attempt made for it, oldest first
+   */
+  async getDeliveryChain(eventId) {
+    const [{ data: event, error }, { data: deliveries, error: deliveriesError }] = await Promise.all([
+      this.supabase.from('notification_events').select('*').eq('id', eventId).single(),
+      this.supabase
+        .from('notification_deliveries')
+        .select('*')
+        .eq('event_id', eventId)
+        .order('attempted_at', { ascending: true })
+    ]);
+
+    if (error) throw error;
+    if (deliveriesError) throw deliveriesError;
+
+    return { ...event, deliveries: deliveries || [] };
+  }
+
+  /**
+   * Send on the event's next channel that accepts it, then wait for an
+   * acknowledgement (or finish when no channels are left)
+   */
+  async _attemptNext(event, user) {
+    const definition = EVENTS[event.event_type];
+    let index = event.next_channel_index;
+
+    while (index < event.channels.length) {
+      const channel = event.channels[index];
+      index++;
+
+      const delivery = await this._deliver(channel, event, user, definition);
+      await this._recordDelivery(event.id, { channel, recipientType: 'user', ...delivery });
+
+      if (delivery.status === DELIVERY_STATUS.SENT || delivery.status === DELIVERY_STATUS.DEFERRED) {
+        const waitFrom = delivery.deliverAt ? new Date(delivery.deliverAt) : new Date();
+        const ackMinutes = definition.ackMinutes || DEFAULT_ACK_MINUTES;
+
+        return this._updateEvent(event.id, index < event.channels.length
+          ? {
+              next_channel_index: index,
+              next_attempt_at: new Date(waitFrom.getTime() + ackMinutes * 60 * 1000).toISOString()
+            }
+          : { next_channel_index: index, next_attempt_at: null, status: EVENT_STATUS.DELIVERED });
+      }
+    }
+
+    // No channel took it: delivered only if an earlier one did
+    const { data: accepted } = await this.supabase
+      .from('notification_deliveries')
+      .select('id')
+      .eq('event_id', event.id)
+      .eq('recipient_type', 'user')
+      .in('status', [DELIVERY_STATUS.SENT, DELIVERY_STATUS.DEFERRED])
+      .limit(1);
+
+    return this._updateEvent(event.id, {
+      next_channel_index: index,
+      next_attempt_at: null,
+      status: accepted && accepted.length > 0 ? EVENT_STATUS.DELIVERED : EVENT_STATUS.FAILED
+    });
+  }
+
+  /**
+   * Send the event on one channel
+   * Returns { status, reason, messageId, deliverAt }.
+   */
+  async _deliver(channel, event, user, definition) {
+    const options = { notificationEventId: event.id, category: definition.category };
+
+    try {
+      if (channel === 'push') {
+        // Pushes cannot be held back, so quiet hours and caps skip them
+        const decision = checkPreferences(user.notification_preferences, 'push', definition.category, {
+          timeZone: user.timezone
+        });
+        if (decision.action !== DELIVERY_ACTIONS.SEND) {
+          return { status: DELIVERY_STATUS.SKIPPED, reason: decision.reason };
+        }
+
+        // The app acknowledges the event when the push is opened
+        const push = await this.pushService.sendToUser(user.id, {
+          ...translationService.translateNotification(definition.push || event.event_type, user.language, event.data),
+          data: { ...event.data, type: event.event_type, notificationEventId: event.id },
+          priority: definition.critical ? 'high' : 'normal'
+        });
+
+        return push.sent > 0
+          ? { status: DELIVERY_STATUS.SENT, messageId: push.tickets.find(ticket => ticket.status === 'ok')?.id }
+          : { status: DELIVERY_STATUS.FAILED, reason: push.reason || 'push_failed' };
+      }
+
+      const result = channel === 'sms'
+        ? await this.commEngine.sendUserSMS(user.id, definition.sms, event.data, options)
+        : await this.commEngine.sendUserEmail(user.id, 'NOTIFICATION', {
+          title: translationService.translateNotification(definition.push || event.event_type, user.language, event.data).title,
+          message: renderSMS('user', definition.sms, event.data, user.language).message
+        }, options);
+
+      if (result.blocked) {
+        return { status: DELIVERY_STATUS.SKIPPED, reason: result.reason };
+      }
+      if (result.deferred) {
+        return { status: DELIVERY_STATUS.DEFERRED, reason: result.reason, deliverAt: result.deliverAt };
+      }
+
+      return { status: DELIVERY_STATUS.SENT, messageId: result.messageId };
+    } catch (error) {
+      console.error(`Notification ${event.id} failed on ${channel}:`, error);
+      return { status: DELIVERY_STATUS.FAILED, reason: error.message };
+    }
+  }
+
+  async _escalateToGuardians(event, user, definition) {
+    const { data: guardians, error } = await this.supabase
+      .from('guardians')
+      .select('id')
+      .eq('user_id', user.id)
+      .not('phone', 'is', null);
+
+    if (error) {
+      console.error(`Failed to load guardians for event ${event.id}:`, error);
+      return;
+    }
+
+    for (const guardian of guardians || []) {
+      let delivery;
+      try {
+        const result = await this.commEngine.sendGuardianSMS(user.id, guardian.id, definition.guardian, {
+          userName: user.name || 'User',
+          ...event.data
+        }, { notificationEventId: event.id });
+
+        delivery = result.blocked
+          ? { status: DELIVERY_STATUS.SKIPPED, reason: result.reason }
+          : { status: DELIVERY_STATUS.SENT, messageId: result.messageId };
+      } catch (sendError) {
+        console.error(`Failed to escalate event ${event.id} to guardian ${guardian.id}:`, sendError);
+        delivery = { status: DELIVERY_STATUS.FAILED, reason: sendError.message };
+      }
+
+      await this._recordDelivery(event.id, {
+        channel: 'sms',
+        recipientType: 'guardian',
+        guardianId: guardian.id,
+        ...delivery
+      });
+    }
+  }
+
+  /**
+   * Channels, in fallback order, the user can be reached on for the event
+   */
+  async _selectChannels(user, definition, order) {
+    const available = {
+      push: (await this.pushService.getActiveTokens(user.id)).length > 0,
+      sms: !!user.phone,
+      email: !!user.email
+    };
+
+    return order.filter(channel => available[channel] &&
+      checkPreferences(user.notification_preferences, channel, definition.category).action !== DELIVERY_ACTIONS.BLOCK);
+  }
+
+  async _recordDelivery(eventId, { channel, recipientType, guardianId = null, status, reason = null, messageId = null }) {
+    const { error } = await this.supabase
+      .from('notification_deliveries')
+      .insert({
+        event_id: eventId,
+        channel,
+        recipient_type: recipientType,
+        guardian_id: guardianId,
+        status,
+        reason,
+        message_id: messageId,
+        attempted_at: new Date().toISOString()
+      });
+
+    if (error) console.error(`Error recording delivery for event ${eventId}:`, error);
+  }
+
+  async _updateEvent(eventId, fields) {
+    const { data, error } = await this.supabase
+      .from('notification_events')
+      .update(fields)
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async _getUser(userId) {
+    const { data: user, error } = await this.supabase
+      .from('users')
+      .select('id, name, phone, email, language, timezone, notification_preferences')
+      .eq('id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!user) throw notifyError('User not found', 404);
+
+    return user;
+  }
+}
+
+export default NotificationRouter;
+export { EVENTS, EVENT_STATUS, DELIVERY_STATUS, CHANNELS };
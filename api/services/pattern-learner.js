@@ -292,12 +292,15 @@ class PatternLearner {
    */
   async calculateBaseline(userId, startDate, endDate) {
     try {
-      const { data: transactions } = await this.supabase
+      let query = this.supabase
         .from('transactions')
         .select('*')
         .gte('timestamp', startDate.toISOString())
-        .lte('timestamp', endDate.toISOString())
-        .order('timestamp', { ascending: true });
+        .lte('timestamp', endDate.toISOString());
+
+      if (userId) query = query.eq('user_id', userId);
+
+      const { data: transactions } = await query.order('timestamp', { ascending: true });
 
       if (!transactions || transactions.length === 0) {
         return null;
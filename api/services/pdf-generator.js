@@ -9,9 +9,12 @@
  * - Digital signatures
  * - Encryption
  * - ATO compliance
+ * - Labels and page furniture in options.language (report.labels.* and
+ *   report.pdf.* in api/locales)
  */
 
 import crypto from 'crypto';
+import translationService from './translation-service.js';
 
 class PDFGenerator {
   constructor() {
@@ -25,7 +28,8 @@ class PDFGenerator {
         left: '2cm'
       },
       watermark: true,
-      encryption: true
+      encryption: true,
+      language: 'en'
     };
   }
 
@@ -117,13 +121,10 @@ class PDFGenerator {
   _generateHeader(content, config) {
     return {
       logo: 'ANCHOR', // In production, would be actual logo
-      title: content.title || 'Report',
+      title: content.title || translationService.t('report.pdf.defaultTitle', config.language),
       subtitle: content.subtitle || config.reportType,
-      date: new Date().toLocaleDateString('en-AU', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric'
-      })
+      date: translationService.formatDate(new Date(), config.language, 'long'),
+      dir: translationService.getDirection(config.language)
     };
   }
 
@@ -133,7 +134,7 @@ class PDFGenerator {
   _generateBody(content, config) {
     // Convert content to PDF-ready format
     return {
-      sections: this._formatContentSections(content),
+      sections: this._formatContentSections(content, config.language),
       styling: {
         headingFont: 'Helvetica-Bold',
         bodyFont: 'Helvetica',
@@ -156,11 +157,13 @@ class PDFGenerator {
    * Generate PDF footer
    */
   _generateFooter(content, config) {
+    const t = translationService.scope('report.pdf', config.language);
+
     return {
       pageNumbers: true,
-      generatedBy: 'Generated by Anchor',
-      confidentiality: 'CONFIDENTIAL',
-      disclaimer: 'This report contains sensitive personal information. Handle in accordance with privacy laws.'
+      generatedBy: t('generatedBy'),
+      confidentiality: t('confidential'),
+      disclaimer: t('disclaimer')
     };
   }
 
@@ -169,7 +172,7 @@ class PDFGenerator {
    */
   _generateWatermark(config) {
     return {
-      text: 'CONFIDENTIAL',
+      text: translationService.t('report.pdf.confidential', config.language),
       opacity: 0.1,
       rotation: -45,
       fontSize: 60,
@@ -210,7 +213,7 @@ class PDFGenerator {
   /**
    * Format content sections for PDF
    */
-  _formatContentSections(content) {
+  _formatContentSections(content, language = 'en') {
     const sections = [];
 
     // Recursively process content object
@@ -222,14 +225,14 @@ class PDFGenerator {
           sections.push({
             type: 'heading',
             level: Math.min(depth + 1, 3),
-            text: this._formatTitle(key)
+            text: this._formatLabel(key, language)
           });
           processObject(value, depth + 1);
         } else if (Array.isArray(value)) {
           sections.push({
             type: 'heading',
             level: Math.min(depth + 1, 3),
-            text: this._formatTitle(key)
+            text: this._formatLabel(key, language)
           });
           value.forEach((item, index) => {
             if (typeof item === 'object') {
@@ -248,7 +251,7 @@ class PDFGenerator {
         } else {
           sections.push({
             type: 'field',
-            label: this._formatTitle(key),
+            label: this._formatLabel(key, language),
             value: String(value)
           });
         }
@@ -260,6 +263,18 @@ class PDFGenerator {
     return sections;
   }
 
+  /**
+   * Label for a content key: report.labels.<key>, or the key itself for
+   * keys that come from data (months, merchants, categories)
+   */
+  _formatLabel(key, language) {
+    if (!translationService.has(`report.labels.${key}`, 'en')) {
+      return this._formatTitle(key);
+    }
+
+    return translationService.t(`report.labels.${key}`, language);
+  }
+
   /**
    * Format title from camelCase/snake_case
    */
@@ -0,0 +1,401 @@
+/**
+ * Push Notification Service
+ *
+ * Delivers push notifications to the mobile app through the Expo push API:
+ * - Stores the Expo push tokens each device registers
+ * - Sends high-priority transaction alerts that open the Alert screen, in
+ *   the user's language
+ * - Checks push receipts and deactivates tokens Expo reports as invalid
+ * - Sends alerts that need an intervention as NotificationRouter events,
+ *   which fall back to SMS and email until the app acknowledges them
+ */
+
+import CommunicationEngine from './communication-engine.js';
+import NotificationRouter from './notification-router.js';
+import translationService from './translation-service.js';
+
+const EXPO_PUSH_URL = process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send';
+const EXPO_RECEIPTS_URL = process.env.EXPO_RECEIPTS_URL || 'https://exp.host/--/api/v2/push/getReceipts';
+
+// Expo accepts at most 100 messages / receipt IDs per request
+const EXPO_BATCH_SIZE = 100;
+
+// Notification type the mobile app routes to the Alert screen
+const TRANSACTION_ALERT_TYPE = 'NON_WHITELISTED_TRANSACTION';
+
+// Push receipt status
+const RECEIPT_STATUS = {
+  PENDING: 'pending',
+  OK: 'ok',
+  ERROR: 'error'
+};
+
+/**
+ * Check whether a string looks like an Expo push token
+ */
+function isExpoPushToken(token) {
+  return typeof token === 'string' && /^Expo(nent)?PushToken\[.+\]$/.test(token);
+}
+
+/**
+ * Split an array into chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+class PushNotificationService {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.communicationEngine = options.communicationEngine || new CommunicationEngine(supabaseClient);
+    this.accessToken = options.accessToken || process.env.EXPO_ACCESS_TOKEN || null;
+    this.router = options.router || null;
+  }
+
+  /**
+   * Register (or re-activate) a device push token for a user
+   */
+  async registerToken(userId, token, { platform, deviceName } = {}) {
+    if (!isExpoPushToken(token)) {
+      throw new Error('Invalid Expo push token');
+    }
+
+    const { data, error } = await this.supabase
+      .from('push_tokens')
+      .upsert({
+        user_id: userId,
+        token,
+        platform: platform || null,
+        device_name: deviceName || null,
+        active: true,
+        deactivated_reason: null,
+        last_registered_at: new Date().toISOString()
+      }, { onConflict: 'token' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Remove a device push token (e.g. on sign-out)
+   */
+  async unregisterToken(userId, token) {
+    const { error } = await this.supabase
+      .from('push_tokens')
+      .update({ active: false, deactivated_reason: 'unregistered' })
+      .eq('user_id', userId)
+      .eq('token', token);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Get a user's active push tokens
+   */
+  async getActiveTokens(userId) {
+    const { data, error } = await this.supabase
+      .from('push_tokens')
+      .select('token')
+      .eq('user_id', userId)
+      .eq('active', true);
+
+    if (error) throw error;
+
+    return (data || []).map(row => row.token);
+  }
+
+  /**
+   * Send a push notification to every active device of a user
+   *
+   * Returns { sent, failed, tickets }. `sent` counts messages Expo accepted.
+   */
+  async sendToUser(userId, notification) {
+    const tokens = await this.getActiveTokens(userId);
+
+    if (tokens.length === 0) {
+      return { sent: 0, failed: 0, tickets: [], reason: 'no_tokens' };
+    }
+
+    const messages = tokens.map(token => ({
+      to: token,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      sound: notification.sound || 'default',
+      priority: notification.priority || 'high',
+      channelId: notification.channelId || 'alerts',
+      ...(notification.badge !== undefined && { badge: notification.badge })
+    }));
+
+    const tickets = [];
+    for (const batch of chunk(messages, EXPO_BATCH_SIZE)) {
+      tickets.push(...(await this._sendBatch(batch)));
+    }
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const ticket of tickets) {
+      if (ticket.status === 'ok') {
+        sent++;
+        await this._storeReceipt(userId, ticket, notification.data);
+      } else {
+        failed++;
+        await this._handlePushError(ticket.token, ticket.details?.error, ticket.message);
+      }
+    }
+
+    return { sent, failed, tickets };
+  }
+
+  /**
+   * Alert a user about a transaction that needs review
+   * Non-whitelisted transactions, and high or critical alerts on whitelisted
+   * ones, are INTERVENTION_REQUIRED events (push, then SMS and email until
+   * acknowledged). Other alerts are a push only; severity sets its wording.
+   */
+  async sendTransactionAlert(userId, transaction, { severity = 'high', whitelisted = false } = {}) {
+    const amount = Math.abs(parseFloat(transaction.amount.value)).toFixed(2);
+    const urgent = severity === 'high' || severity === 'critical';
+    const data = {
+      transactionId: transaction.id,
+      severity,
+      urgent: String(urgent),
+      amount,
+      merchant: transaction.description
+    };
+
+    if (urgent || !whitelisted) {
+      const event = await this._getRouter().notify(userId, 'INTERVENTION_REQUIRED', data);
+      const delivered = event.deliveries.find(delivery =>
+        delivery.recipient_type === 'user' && delivery.status === 'sent');
+
+      return {
+        channel: delivered?.channel || null,
+        notificationEventId: event.id,
+        status: event.status
+      };
+    }
+
+    let push;
+    try {
+      const language = await this._getUserLanguage(userId);
+      push = await this.sendToUser(userId, {
+        ...translationService.translateNotification('TRANSACTION_ALERT', language, data),
+        data: {
+          transactionId: transaction.id,
+          type: TRANSACTION_ALERT_TYPE,
+          severity
+        },
+        priority: 'normal',
+        sound: 'default',
+        badge: 1
+      });
+    } catch (error) {
+      console.error('Error sending push alert:', error);
+      push = { sent: 0, failed: 0, tickets: [], reason: error.message };
+    }
+
+    return { channel: push.sent > 0 ? 'push' : null, ...push };
+  }
+
+  /**
+   * The router is created on first use: it sends its pushes through this
+   * service
+   */
+  _getRouter() {
+    if (!this.router) {
+      this.router = new NotificationRouter(this.supabase, {
+        communicationEngine: this.communicationEngine,
+        pushService: this
+      });
+    }
+    return this.router;
+  }
+
+  async _getUserLanguage(userId) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .select('language')
+      .eq('id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return data?.language || 'en';
+  }
+
+  /**
+   * Fetch receipts for pending tickets and clean up invalid tokens
+   * Expo makes receipts available for 24 hours after sending.
+   */
+  async checkReceipts(limit = 1000) {
+    const { data: pending, error } = await this.supabase
+      .from('push_receipts')
+      .select('*')
+      .eq('status', RECEIPT_STATUS.PENDING)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const summary = { checked: 0, ok: 0, errors: 0, tokensDeactivated: 0 };
+
+    for (const batch of chunk(pending || [], EXPO_BATCH_SIZE)) {
+      const receipts = await this._fetchReceipts(batch.map(row => row.ticket_id));
+
+      for (const row of batch) {
+        const receipt = receipts[row.ticket_id];
+        if (!receipt) continue; // Not ready yet
+
+        summary.checked++;
+
+        if (receipt.status === 'ok') {
+          summary.ok++;
+          await this._updateReceipt(row.ticket_id, { status: RECEIPT_STATUS.OK });
+          continue;
+        }
+
+        summary.errors++;
+        await this._updateReceipt(row.ticket_id, {
+          status: RECEIPT_STATUS.ERROR,
+          error: receipt.details?.error || receipt.message
+        });
+
+        if (await this._handlePushError(row.token, receipt.details?.error, receipt.message)) {
+          summary.tokensDeactivated++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send one batch of messages to Expo
+   * Returns one ticket per message, annotated with its token.
+   */
+  async _sendBatch(messages) {
+    try {
+      const body = await this._post(EXPO_PUSH_URL, messages);
+      const tickets = body.data || [];
+
+      return messages.map((message, index) => ({
+        token: message.to,
+        ...(tickets[index] || { status: 'error', message: 'Missing push ticket' })
+      }));
+    } catch (error) {
+      console.error('Error sending push batch:', error);
+      return messages.map(message => ({
+        token: message.to,
+        status: 'error',
+        message: error.message
+      }));
+    }
+  }
+
+  /**
+   * Fetch receipts by ticket ID
+   */
+  async _fetchReceipts(ticketIds) {
+    const body = await this._post(EXPO_RECEIPTS_URL, { ids: ticketIds });
+    return body.data || {};
+  }
+
+  /**
+   * POST JSON to the Expo push API
+   */
+  async _post(url, payload) {
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Expo push API error: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Handle a push error for a token
+   * Returns true when the token was deactivated.
+   */
+  async _handlePushError(token, errorCode, message) {
+    console.error(`Push to ${token} failed: ${errorCode || message}`);
+
+    // The app was uninstalled or the token is no longer valid
+    if (errorCode !== 'DeviceNotRegistered') {
+      return false;
+    }
+
+    const { error } = await this.supabase
+      .from('push_tokens')
+      .update({ active: false, deactivated_reason: errorCode })
+      .eq('token', token);
+
+    if (error) {
+      console.error('Error deactivating push token:', error);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Store a push ticket so its receipt can be checked later
+   */
+  async _storeReceipt(userId, ticket, data = {}) {
+    const { error } = await this.supabase
+      .from('push_receipts')
+      .insert({
+        user_id: userId,
+        ticket_id: ticket.id,
+        token: ticket.token,
+        status: RECEIPT_STATUS.PENDING,
+        data
+      });
+
+    if (error) {
+      console.error('Error storing push receipt:', error);
+    }
+  }
+
+  /**
+   * Update a stored push receipt
+   */
+  async _updateReceipt(ticketId, fields) {
+    const { error } = await this.supabase
+      .from('push_receipts')
+      .update({
+        ...fields,
+        checked_at: new Date().toISOString()
+      })
+      .eq('ticket_id', ticketId);
+
+    if (error) {
+      console.error(`Error updating push receipt ${ticketId}:`, error);
+    }
+  }
+}
+
+export default PushNotificationService;
+export { TRANSACTION_ALERT_TYPE, RECEIPT_STATUS, isExpoPushToken };
@@ -0,0 +1,90 @@
+/**
+ * Queue Handlers
+ *
+ * Job types processed by the job queue worker (see job-queue.js) and the
+ * shared queue used by producers:
+ * - webhook.up-bank      process a recorded Up Bank webhook event
+ * - communication.send   send one SMS or email (CommunicationEngine)
+ * - report.generate      generate a report (ReportGenerator)
+ *
+ * The queue is used when QUEUE_ENABLED=true, i.e. where a worker runs (the
+ * standalone server); otherwise producers do the work inline.
+ * QUEUE_DRIVER=memory keeps jobs in memory (tests and local development).
+ */
+
+import JobQueue, { PostgresQueueDriver, MemoryQueueDriver } from './job-queue.js';
+
+// Job types
+const JOB_TYPES = {
+  WEBHOOK_UP_BANK: 'webhook.up-bank',
+  COMMUNICATION_SEND: 'communication.send',
+  REPORT_GENERATE: 'report.generate'
+};
+
+// ReportGenerator methods a report job may call
+const REPORT_METHODS = [
+  'generateReport',
+  'generateTaxReport',
+  'generateCounselorReport',
+  'generateDebtSummary'
+];
+
+let sharedQueue = null;
+
+/**
+ * Whether work should go through the queue
+ */
+function isQueueEnabled() {
+  return process.env.QUEUE_ENABLED === 'true';
+}
+
+/**
+ * Get the process-wide job queue
+ */
+function getJobQueue(supabaseClient, options = {}) {
+  if (!sharedQueue) {
+    const driver = options.driver || (process.env.QUEUE_DRIVER === 'memory'
+      ? new MemoryQueueDriver()
+      : new PostgresQueueDriver(supabaseClient));
+
+    sharedQueue = new JobQueue(driver, options);
+  }
+
+  return sharedQueue;
+}
+
+/**
+ * Register the handler for every job type
+ * Handlers load their services on first use.
+ */
+function registerQueueHandlers(queue, supabaseClient) {
+  queue
+    .register(JOB_TYPES.WEBHOOK_UP_BANK, async ({ eventId }) => {
+      const { processQueuedEvent } = await import('../webhooks/up-bank.js');
+      return processQueuedEvent(eventId);
+    }, { maxAttempts: 6, baseDelayMs: 30 * 1000 })
+
+    .register(JOB_TYPES.COMMUNICATION_SEND, async communication => {
+      const { default: CommunicationEngine } = await import('./communication-engine.js');
+      return new CommunicationEngine(supabaseClient).sendCommunication(communication);
+    }, { maxAttempts: 4, baseDelayMs: 60 * 1000 })
+
+    .register(JOB_TYPES.REPORT_GENERATE, async ({ method, userId, args = [] }) => {
+      if (!REPORT_METHODS.includes(method)) {
+        throw new Error(`Unknown report method: ${method}`);
+      }
+
+      const { default: ReportGenerator } = await import('./report-generator.js');
+      return new ReportGenerator(supabaseClient)[method](userId, ...args);
+    }, { maxAttempts: 3, baseDelayMs: 2 * 60 * 1000 });
+
+  return queue;
+}
+
+export {
+  JOB_TYPES,
+  REPORT_METHODS,
+  isQueueEnabled,
+  getJobQueue,
+  registerQueueHandlers
+};
@@ -15,8 +15,11 @@
  * - Digital signatures
  * - Audit trail
  * - Privacy controls
+ * - Reports in the user's language (or options.language), from report.* in
+ *   api/locales
  */
 
+import translationService from './translation-service.js';
 import TaxReport from '../templates/tax-report.js';
 import CounselorReport from '../templates/counselor-report.js';
 import DebtSummary from '../templates/debt-summary.js';
@@ -56,6 +59,14 @@ class ReportGenerator {
       // Gather data
       const data = await this._gatherReportData(userId, reportType, options);
 
+      // Language and title
+      const language = translationService.normalizeLanguage(options.language || data.user.language);
+      options = {
+        ...options,
+        language,
+        title: options.title || translationService.t(`report.titles.${reportType}`, language, options.titleParams)
+      };
+
       // Generate report content
       const content = await this._generateContent(reportType, data, options);
 
@@ -67,7 +78,8 @@ class ReportGenerator {
           reportType,
           userId,
           watermark: options.watermark !== false,
-          digitalSignature: options.digitalSignature || false
+          digitalSignature: options.digitalSignature || false,
+          language
         });
 
         // Store PDF
@@ -118,7 +130,7 @@ class ReportGenerator {
     return await this.generateReport(userId, this.reportTypes.MONTHLY, {
       startDate: startDate.toISOString(),
       endDate: endDate.toISOString(),
-      title: `Monthly Summary - ${startDate.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' })}`
+      titleParams: { month: startDate.toISOString() }
     });
   }
 
@@ -138,7 +150,7 @@ class ReportGenerator {
     return await this.generateReport(userId, this.reportTypes.QUARTERLY, {
       startDate: period.start.toISOString(),
       endDate: period.end.toISOString(),
-      title: `Quarterly Report - Q${quarter} ${year}`
+      titleParams: { quarter, year: String(year) }
     });
   }
 
@@ -154,7 +166,7 @@ class ReportGenerator {
       startDate: startDate.toISOString(),
       endDate: endDate.toISOString(),
       financialYear,
-      title: `Annual Report - FY ${financialYear - 1}/${financialYear}`,
+      titleParams: { startYear: String(financialYear - 1), endYear: String(financialYear) },
       format: 'pdf',
       digitalSignature: true
     });
@@ -171,7 +183,7 @@ class ReportGenerator {
       startDate: startDate.toISOString(),
       endDate: endDate.toISOString(),
       financialYear,
-      title: `Tax Report - FY ${financialYear - 1}/${financialYear}`,
+      titleParams: { startYear: String(financialYear - 1), endYear: String(financialYear) },
       format: 'pdf',
       csvExport: true,
       digitalSignature: options.digitalSignature !== false,
@@ -184,7 +196,6 @@ class ReportGenerator {
    */
   async generateCounselorReport(userId, options = {}) {
     return await this.generateReport(userId, this.reportTypes.COUNSELOR, {
-      title: 'Financial Counselor Report',
       comprehensive: true,
       includePatterns: true,
       includeRiskAssessment: true,
@@ -200,7 +211,6 @@ class ReportGenerator {
    */
   async generateDebtSummary(userId, options = {}) {
     return await this.generateReport(userId, this.reportTypes.DEBT, {
-      title: 'Debt Summary Report',
       includeProjections: true,
       includeStrategies: true,
       format: 'pdf',
@@ -213,7 +223,7 @@ class ReportGenerator {
    */
   async generateLegalReport(userId, purpose, options = {}) {
     return await this.generateReport(userId, this.reportTypes.LEGAL, {
-      title: `Legal Report - ${purpose}`,
+      titleParams: { purpose },
       purpose,
       comprehensive: true,
       digitalSignature: true,
@@ -227,7 +237,7 @@ class ReportGenerator {
    */
   async generateInsuranceReport(userId, claimNumber, options = {}) {
     return await this.generateReport(userId, this.reportTypes.INSURANCE, {
-      title: `Insurance Report - Claim ${claimNumber}`,
+      titleParams: { claimNumber },
       claimNumber,
       digitalSignature: true,
       format: 'pdf',
@@ -325,6 +335,8 @@ class ReportGenerator {
    * Generate summary report (monthly/quarterly/annual)
    */
   _generateSummaryReport(reportType, data, options) {
+    const t = translationService.scope('report.summary', options.language);
+
     return {
       title: options.title,
       reportType,
@@ -347,8 +359,8 @@ class ReportGenerator {
         moneySaved: data.recovery.savedTotal
       },
       breakdown: {
-        byCategory: this._groupByCategory(data.transactions),
-        byMerchant: this._groupByMerchant(data.gamblingTransactions),
+        byCategory: this._groupByCategory(data.transactions, t),
+        byMerchant: this._groupByMerchant(data.gamblingTransactions, t),
         byWeek: this._groupByWeek(data.transactions, options)
       },
       recovery: {
@@ -370,6 +382,8 @@ class ReportGenerator {
    * Generate legal report
    */
   _generateLegalReport(data, options) {
+    const t = translationService.scope('report.summary', options.language);
+
     return {
       title: options.title,
       purpose: options.purpose,
@@ -383,7 +397,7 @@ class ReportGenerator {
         gamblingHistory: {
           totalGamblingTransactions: data.gamblingTransactions.length,
           totalLosses: this._sumAmount(data.gamblingTransactions),
-          frequencyAnalysis: this._analyzeFrequency(data.gamblingTransactions),
+          frequencyAnalysis: this._analyzeFrequency(data.gamblingTransactions, t),
           platformsUsed: [...new Set(data.gamblingTransactions.map(t => t.description))]
         },
         recoveryEfforts: {
@@ -396,10 +410,10 @@ class ReportGenerator {
           totalLosses: this._sumAmount(data.gamblingTransactions),
           currentDebts: this._sumDebt(data.debts),
           monthlyIncome: data.user.monthly_income,
-          financialHardship: this._assessHardship(data)
+          financialHardship: this._assessHardship(data, t)
         }
       },
-      declaration: 'I declare that the information provided in this report is true and accurate to the best of my knowledge.',
+      declaration: t('declaration'),
       digitalSignature: options.digitalSignature
     };
   }
@@ -408,6 +422,8 @@ class ReportGenerator {
    * Generate insurance report
    */
   _generateInsuranceReport(data, options) {
+    const t = translationService.scope('report.summary', options.language);
+
     return {
       title: options.title,
       claimNumber: options.claimNumber,
@@ -423,14 +439,14 @@ class ReportGenerator {
           start: options.startDate,
           end: options.endDate
         },
-        breakdown: this._groupByMonth(data.gamblingTransactions)
+        breakdown: this._groupByMonth(data.gamblingTransactions, t)
       },
       recoveryProgram: {
         enrolled: !!data.commitment,
         startDate: data.commitment?.started_at,
         guardianAppointed: !!data.guardian,
         interventionsCompleted: data.recovery.interventionCount,
-        currentStatus: data.recovery.cleanDays > 30 ? 'Active Recovery' : 'Early Recovery'
+        currentStatus: data.recovery.cleanDays > 30 ? t('recoveryStatus.active') : t('recoveryStatus.early')
       },
       supportingEvidence: {
         transactionRecords: data.gamblingTransactions.length,
@@ -705,10 +721,10 @@ class ReportGenerator {
   /**
    * Helper: Group by category
    */
-  _groupByCategory(transactions) {
+  _groupByCategory(transactions, translate) {
     const groups = {};
     transactions.forEach(t => {
-      const category = t.category || 'Other';
+      const category = t.category || translate('otherCategory');
       if (!groups[category]) {
         groups[category] = { count: 0, total: 0 };
       }
@@ -721,10 +737,10 @@ class ReportGenerator {
   /**
    * Helper: Group by merchant
    */
-  _groupByMerchant(transactions) {
+  _groupByMerchant(transactions, translate) {
     const groups = {};
     transactions.forEach(t => {
-      const merchant = t.description || 'Unknown';
+      const merchant = t.description || translate('unknownMerchant');
       if (!groups[merchant]) {
         groups[merchant] = { count: 0, total: 0 };
       }
@@ -745,11 +761,10 @@ class ReportGenerator {
   /**
    * Helper: Group by month
    */
-  _groupByMonth(transactions) {
+  _groupByMonth(transactions, translate) {
     const groups = {};
     transactions.forEach(t => {
-      const date = new Date(t.created_at);
-      const month = date.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' });
+      const month = translationService.formatDate(t.created_at, translate.language, 'month');
       if (!groups[month]) {
         groups[month] = { count: 0, total: 0 };
       }
@@ -770,23 +785,23 @@ class ReportGenerator {
   /**
    * Helper: Analyze frequency
    */
-  _analyzeFrequency(transactions) {
-    if (transactions.length === 0) return 'None';
-    if (transactions.length > 100) return 'Very High';
-    if (transactions.length > 50) return 'High';
-    if (transactions.length > 20) return 'Moderate';
-    return 'Low';
+  _analyzeFrequency(transactions, translate) {
+    if (transactions.length === 0) return translate('frequency.none');
+    if (transactions.length > 100) return translate('frequency.veryHigh');
+    if (transactions.length > 50) return translate('frequency.high');
+    if (transactions.length > 20) return translate('frequency.moderate');
+    return translate('frequency.low');
   }
 
   /**
    * Helper: Assess hardship
    */
-  _assessHardship(data) {
+  _assessHardship(data, translate) {
     const debtToIncomeRatio = this._sumDebt(data.debts) / (data.user.monthly_income * 12);
-    if (debtToIncomeRatio > 2) return 'Severe';
-    if (debtToIncomeRatio > 1) return 'Significant';
-    if (debtToIncomeRatio > 0.5) return 'Moderate';
-    return 'Mild';
+    if (debtToIncomeRatio > 2) return translate('hardship.severe');
+    if (debtToIncomeRatio > 1) return translate('hardship.significant');
+    if (debtToIncomeRatio > 0.5) return translate('hardship.moderate');
+    return translate('hardship.mild');
   }
 
   /**
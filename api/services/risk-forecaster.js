@@ -0,0 +1,678 @@
+/**
+ * Relapse Risk Forecaster
+ *
+ * Forecasts a user's gambling risk for every hour of the next 14 days from
+ * their own history and the calendar:
+ *
+ *   rate(h) = baseRate × weekly(h) × payday(h) × holiday(h) × fixture(h) × relapseCycle(h)
+ *   risk(h) = 1 - exp(-rate(h))   (chance of a gambling session in hour h)
+ *
+ * - baseRate      the user's gambling sessions per hour over the last year
+ * - weekly        their hour-of-week profile, smoothed towards a prior that
+ *                 favours evenings and weekends while there is little data
+ * - payday        lift learned from gambling around the paydays detected in
+ *                 their income transactions (weekly, fortnightly or monthly)
+ * - holiday       lift learned from gambling on past public holidays
+ * - fixture       the event weight during major sporting fixtures
+ *                 (api/data/sporting-fixtures.json)
+ * - relapseCycle  raised around the user's typical gap between past relapses
+ *
+ * Hours are evaluated in the user's timezone. Forecasts are stored in
+ * risk_forecasts by the nightly risk-forecasts job and read by the SMS
+ * scheduler, the guardian portal and /api/ml-insights/predict-risk.
+ */
+
+import { getPublicHolidayMap, loadFixtures } from './calendar-events.js';
+
+const FORECAST_DAYS = 14;
+const HISTORY_DAYS = 365;
+const MAX_FORECAST_AGE_HOURS = 24;
+const DEFAULT_TIMEZONE = process.env.ANCHOR_TIMEZONE || 'Australia/Sydney';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SESSION_GAP_HOURS = 2; // Gambling transactions closer than this are one session
+const RELAPSE_CLEAN_DAYS = 7; // A session after this many clean days is a relapse
+
+// Pay cycle detection from income transactions
+const MIN_PAY_AMOUNT = 200;
+const MIN_PAYMENTS = 3;
+const MIN_REGULARITY = 0.6;
+const PAY_CYCLES = [
+  { frequency: 'weekly', days: 7, min: 6, max: 8, tolerance: 1 },
+  { frequency: 'fortnightly', days: 14, min: 13, max: 15, tolerance: 2 },
+  { frequency: 'monthly', days: 30, min: 27, max: 33, tolerance: 3 }
+];
+const PAYDAY_DECAY = [1, 0.5, 0.25]; // Share of the payday lift on the day and the two after
+
+// Learned lifts are shrunk towards these priors with LIFT_PRIOR_DAYS pseudo-days
+const PRIOR_LIFTS = { payday: 1.5, publicHoliday: 1.3 };
+const LIFT_PRIOR_DAYS = 30;
+const LIFT_RANGE = [0.5, 4];
+
+const PROFILE_PRIOR_SESSIONS = 20;
+const RELAPSE_CYCLE_LIFT = 1;
+const USUAL_TIME_PROFILE = 2; // Hours this far above the user's average are a usual time
+
+// Levels by risk relative to the user's average hour
+const LEVELS = [
+  { level: 'very-high', relative: 3 },
+  { level: 'high', relative: 2 },
+  { level: 'medium', relative: 1.25 }
+];
+const HIGH_LEVELS = ['high', 'very-high'];
+const LEVEL_ORDER = ['low', 'medium', 'high', 'very-high'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class RiskForecaster {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.fixtures = options.fixtures || null;
+  }
+
+  /**
+   * Get the user's stored forecast from the current hour on
+   * A missing or day-old forecast is regenerated and stored.
+   */
+  async getForecast(userId, { now = new Date() } = {}) {
+    const { data, error } = await this.supabase
+      .from('risk_forecasts')
+      .select('forecast, generated_at')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    let forecast = data?.forecast;
+    if (!forecast || now - new Date(data.generated_at) > MAX_FORECAST_AGE_HOURS * HOUR_MS) {
+      forecast = await this.refresh(userId, { now });
+    }
+
+    return this._fromNow(forecast, now);
+  }
+
+  /**
+   * Generate and store a user's forecast
+   */
+  async refresh(userId, { now = new Date() } = {}) {
+    const forecast = await this.forecast(userId, { now });
+
+    const { error } = await this.supabase
+      .from('risk_forecasts')
+      .upsert({
+        user_id: userId,
+        starts_at: forecast.startsAt,
+        ends_at: forecast.endsAt,
+        confidence: forecast.confidence,
+        forecast,
+        generated_at: forecast.generatedAt
+      }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    return forecast;
+  }
+
+  /**
+   * Regenerate the forecasts of several users (nightly job)
+   */
+  async refreshForecasts(userIds) {
+    let refreshed = 0;
+    let failed = 0;
+
+    for (const userId of userIds) {
+      try {
+        await this.refresh(userId);
+        refreshed++;
+      } catch (error) {
+        console.error(`Risk forecast failed for user ${userId}:`, error);
+        failed++;
+      }
+    }
+
+    return { refreshed, failed };
+  }
+
+  /**
+   * Forecast a user's hourly risk for the next `days` days
+   */
+  async forecast(userId, { now = new Date(), days = FORECAST_DAYS } = {}) {
+    const timeZone = await this._getTimeZone(userId);
+    const transactions = await this._getHistory(userId, now);
+
+    const historyStart = transactions.length > 0
+      ? new Date(Math.min(new Date(transactions[0].timestamp), now - 30 * DAY_MS))
+      : new Date(now - 30 * DAY_MS);
+    const historyDays = this._dayRange(localDate(historyStart, timeZone), localDate(now, timeZone));
+
+    const sessions = this._gamblingSessions(transactions, timeZone);
+    const sessionsByDay = countBy(sessions, session => session.date);
+    const relapses = this._relapses(sessions);
+
+    const startsAt = new Date(Math.ceil(now.getTime() / HOUR_MS) * HOUR_MS);
+    const endsAt = new Date(startsAt.getTime() + days * DAY_MS);
+    const forecastDays = this._dayRange(localDate(startsAt, timeZone), localDate(endsAt, timeZone));
+
+    const { history: pastPaydays, ...payCycle } = this.detectPayCycle(transactions, timeZone, historyDays, forecastDays);
+    const holidays = getPublicHolidayMap(historyStart, endsAt);
+
+    const lifts = {
+      payday: this._learnLift(sessionsByDay, historyDays, this._paydayWindow(pastPaydays), PRIOR_LIFTS.payday),
+      publicHoliday: this._learnLift(sessionsByDay, historyDays, new Set(holidays.keys()), PRIOR_LIFTS.publicHoliday)
+    };
+
+    const observedHours = Math.max((now - historyStart) / HOUR_MS, 1);
+    const baseRate = (sessions.length + 0.5) / observedHours;
+    const profile = this._weeklyProfile(sessions);
+    const relapseCycle = this._relapseCycle(relapses, now);
+    const fixtures = (this.fixtures || loadFixtures()).filter(fixture => fixture.end > startsAt && fixture.start < endsAt);
+    const paydayOffsets = this._paydayOffsets(payCycle.upcoming);
+
+    const confidence = sessions.length >= 20 ? 'high' : sessions.length >= 3 ? 'medium' : 'low';
+
+    const curve = [];
+    for (let time = startsAt.getTime(); time < endsAt.getTime(); time += HOUR_MS) {
+      const local = localParts(new Date(time), timeZone);
+      const weekly = profile[local.weekday * 24 + local.hour];
+      const factors = [];
+      let multiplier = weekly;
+
+      if (weekly >= USUAL_TIME_PROFILE) {
+        factors.push({ type: 'usual_time' });
+      }
+
+      const paydayOffset = paydayOffsets.get(local.date);
+      if (paydayOffset !== undefined) {
+        multiplier *= 1 + (lifts.payday - 1) * PAYDAY_DECAY[paydayOffset];
+        factors.push({ type: 'payday', name: paydayOffset === 0 ? 'payday' : 'days after payday' });
+      }
+
+      if (holidays.has(local.date)) {
+        multiplier *= lifts.publicHoliday;
+        factors.push({ type: 'public_holiday', name: holidays.get(local.date) });
+      }
+
+      const fixture = fixtures
+        .filter(f => f.start.getTime() - HOUR_MS < time + HOUR_MS && f.end.getTime() > time)
+        .sort((a, b) => b.weight - a.weight)[0];
+      if (fixture) {
+        multiplier *= fixture.weight;
+        factors.push({ type: 'fixture', name: fixture.name });
+      }
+
+      if (relapseCycle) {
+        const daysSince = (time - new Date(relapseCycle.lastRelapse).getTime()) / DAY_MS;
+        const cycle = 1 + RELAPSE_CYCLE_LIFT * Math.exp(-((daysSince - relapseCycle.averageIntervalDays) ** 2) / (2 * relapseCycle.spreadDays ** 2));
+        multiplier *= cycle;
+        if (cycle >= 1.5) factors.push({ type: 'relapse_cycle' });
+      }
+
+      const rate = baseRate * multiplier;
+
+      curve.push({
+        time: new Date(time).toISOString(),
+        localDate: local.date,
+        localHour: local.hour,
+        risk: round(1 - Math.exp(-rate)),
+        relative: round(multiplier),
+        level: this._level(multiplier, confidence),
+        factors
+      });
+    }
+
+    return {
+      userId,
+      timeZone,
+      generatedAt: now.toISOString(),
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      horizonDays: days,
+      confidence,
+      history: { days: historyDays.length, sessions: sessions.length, relapses: relapses.length },
+      baseRate: round(baseRate),
+      payCycle,
+      lifts: { payday: round(lifts.payday), publicHoliday: round(lifts.publicHoliday) },
+      relapseCycle,
+      curve,
+      peaks: this._peaks(curve, timeZone)
+    };
+  }
+
+  /**
+   * Detect the user's pay cycle from regular income from one payer
+   *
+   * Returns { source, frequency, payer, nextPayday, upcoming, history };
+   * without a regular payer the 15th and last day of the month are assumed.
+   */
+  detectPayCycle(transactions, timeZone, historyDays, forecastDays) {
+    const payers = new Map();
+    for (const tx of transactions) {
+      if (Number(tx.amount) < MIN_PAY_AMOUNT) continue;
+
+      const payer = (tx.payee_name || 'unknown').trim().toLowerCase();
+      if (!payers.has(payer)) payers.set(payer, new Set());
+      payers.get(payer).add(localDate(new Date(tx.timestamp), timeZone));
+    }
+
+    let best = null;
+    for (const [payer, dateSet] of payers) {
+      const dates = Array.from(dateSet).sort();
+      if (dates.length < MIN_PAYMENTS) continue;
+
+      const intervals = dates.slice(1).map((date, i) => dayNumber(date) - dayNumber(dates[i]));
+      const typical = median(intervals);
+      const cycle = PAY_CYCLES.find(c => typical >= c.min && typical <= c.max);
+      if (!cycle) continue;
+
+      const regularity = intervals.filter(i => Math.abs(i - cycle.days) <= cycle.tolerance).length / intervals.length;
+      if (regularity < MIN_REGULARITY) continue;
+
+      const score = dates.length * regularity;
+      if (!best || score > best.score) {
+        best = { payer, dates, cycle, regularity, score };
+      }
+    }
+
+    if (!best) {
+      const isDefaultPayday = date => {
+        const day = parseInt(date.slice(8, 10));
+        return day === 15 || day === daysInMonth(date);
+      };
+
+      const upcoming = forecastDays.filter(isDefaultPayday);
+      return {
+        source: 'default',
+        frequency: 'semi-monthly',
+        payer: null,
+        nextPayday: upcoming[0] || null,
+        upcoming,
+        history: historyDays.filter(isDefaultPayday)
+      };
+    }
+
+    const { payer, dates, cycle, regularity } = best;
+    let upcoming;
+
+    if (cycle.frequency === 'monthly') {
+      const payDay = median(dates.map(date => parseInt(date.slice(8, 10))));
+      upcoming = forecastDays.filter(date =>
+        parseInt(date.slice(8, 10)) === Math.min(Math.round(payDay), daysInMonth(date))
+      );
+    } else {
+      const last = dayNumber(dates[dates.length - 1]);
+      upcoming = forecastDays.filter(date => {
+        const offset = dayNumber(date) - last;
+        return offset > 0 && offset % cycle.days === 0;
+      });
+    }
+
+    return {
+      source: 'income',
+      frequency: cycle.frequency,
+      payer,
+      regularity: round(regularity),
+      payments: dates.length,
+      lastPayday: dates[dates.length - 1],
+      nextPayday: upcoming[0] || null,
+      upcoming,
+      history: dates
+    };
+  }
+
+  /**
+   * The forecast point for the hour containing `date`
+   */
+  pointAt(forecast, date = new Date()) {
+    const time = date.getTime();
+    return forecast.curve.find(point => {
+      const start = new Date(point.time).getTime();
+      return start <= time && time < start + HOUR_MS;
+    }) || null;
+  }
+
+  /**
+   * Whether `date` is a forecast payday (in the user's timezone)
+   */
+  isPayday(forecast, date = new Date()) {
+    return forecast.payCycle.upcoming.includes(localDate(date, forecast.timeZone));
+  }
+
+  /**
+   * Whether a level counts as high risk
+   */
+  isHighRisk(level) {
+    return HIGH_LEVELS.includes(level);
+  }
+
+  /**
+   * Group consecutive high-risk hours into peaks
+   */
+  _peaks(curve, timeZone) {
+    const peaks = [];
+    let current = null;
+
+    for (const point of curve) {
+      if (!this.isHighRisk(point.level)) {
+        current = null;
+        continue;
+      }
+
+      if (!current) {
+        current = {
+          start: point.time,
+          end: null,
+          localDate: point.localDate,
+          level: point.level,
+          peakRisk: point.risk,
+          factors: []
+        };
+        peaks.push(current);
+      }
+
+      current.end = new Date(new Date(point.time).getTime() + HOUR_MS).toISOString();
+      current.peakRisk = Math.max(current.peakRisk, point.risk);
+      if (LEVEL_ORDER.indexOf(point.level) > LEVEL_ORDER.indexOf(current.level)) {
+        current.level = point.level;
+      }
+      for (const factor of point.factors) {
+        if (!current.factors.some(f => f.type === factor.type && f.name === factor.name)) {
+          current.factors.push(factor);
+        }
+      }
+    }
+
+    return peaks.map(peak => ({ ...peak, label: periodLabel(peak.start, peak.end, timeZone) }));
+  }
+
+  /**
+   * Drop the hours and peaks that have passed and update days away
+   */
+  _fromNow(forecast, now) {
+    const hourStart = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS;
+    const today = dayNumber(localDate(now, forecast.timeZone));
+
+    return {
+      ...forecast,
+      curve: forecast.curve.filter(point => new Date(point.time).getTime() >= hourStart),
+      peaks: forecast.peaks
+        .filter(peak => new Date(peak.end) > now)
+        .map(peak => ({ ...peak, daysAway: Math.max(dayNumber(peak.localDate) - today, 0) }))
+    };
+  }
+
+  /**
+   * Ratio of the gambling rate on the given days to the rate on other days
+   */
+  _learnLift(sessionsByDay, historyDays, windowDays, prior) {
+    let eventsIn = 0;
+    let daysIn = 0;
+    let eventsOut = 0;
+    let daysOut = 0;
+
+    for (const date of historyDays) {
+      const count = sessionsByDay.get(date) || 0;
+      if (windowDays.has(date)) {
+        eventsIn += count;
+        daysIn++;
+      } else {
+        eventsOut += count;
+        daysOut++;
+      }
+    }
+
+    const rateOut = (eventsOut + 1) / (daysOut + 1);
+    const lift = (eventsIn + prior * rateOut * LIFT_PRIOR_DAYS) / (rateOut * (daysIn + LIFT_PRIOR_DAYS));
+
+    return Math.min(Math.max(lift, LIFT_RANGE[0]), LIFT_RANGE[1]);
+  }
+
+  /**
+   * Hour-of-week gambling profile (168 values averaging 1)
+   */
+  _weeklyProfile(sessions) {
+    const prior = new Array(168).fill(0).map((_, index) => {
+      const weekday = Math.floor(index / 24);
+      const hour = index % 24;
+
+      let weight = 1;
+      if (hour >= 18) weight = 2;
+      else if (hour < 4) weight = 1.5;
+      else if (hour < 10) weight = 0.3;
+
+      if (weekday === 5 || weekday === 6) weight *= 1.5;
+      else if (weekday === 0) weight *= 1.2;
+
+      return weight;
+    });
+    const priorTotal = prior.reduce((sum, weight) => sum + weight, 0);
+
+    const counts = new Array(168).fill(0);
+    for (const session of sessions) {
+      counts[session.weekday * 24 + session.hour]++;
+    }
+
+    const total = sessions.length + PROFILE_PRIOR_SESSIONS;
+    return counts.map((count, index) =>
+      (count + PROFILE_PRIOR_SESSIONS * prior[index] / priorTotal) * 168 / total
+    );
+  }
+
+  /**
+   * Typical gap between relapses; null with fewer than two relapses
+   */
+  _relapseCycle(relapses, now) {
+    if (relapses.length < 2) return null;
+
+    const intervals = relapses.slice(1).map((relapse, i) => (relapse.time - relapses[i].time) / DAY_MS);
+    const average = intervals.reduce((sum, days) => sum + days, 0) / intervals.length;
+    const variance = intervals.reduce((sum, days) => sum + (days - average) ** 2, 0) / intervals.length;
+    const last = relapses[relapses.length - 1];
+
+    return {
+      relapses: relapses.length,
+      lastRelapse: last.time.toISOString(),
+      daysSinceLast: round((now - last.time) / DAY_MS),
+      averageIntervalDays: round(average),
+      spreadDays: round(Math.max(Math.sqrt(variance), 2))
+    };
+  }
+
+  /**
+   * Gambling transactions grouped into sessions
+   */
+  _gamblingSessions(transactions, timeZone) {
+    const sessions = [];
+    let lastTime = null;
+
+    for (const tx of transactions) {
+      if (!this._isGambling(tx)) continue;
+
+      const time = new Date(tx.timestamp);
+      if (!lastTime || time - lastTime > SESSION_GAP_HOURS * HOUR_MS) {
+        sessions.push({ time, ...localParts(time, timeZone) });
+      }
+      lastTime = time;
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Sessions that followed a clean period
+   */
+  _relapses(sessions) {
+    return sessions.filter((session, i) =>
+      i > 0 && session.time - sessions[i - 1].time >= RELAPSE_CLEAN_DAYS * DAY_MS
+    );
+  }
+
+  /**
+   * Whether a stored transaction was gambling
+   * Rows analysed before verdicts existed fall back to the whitelist result.
+   */
+  _isGambling(tx) {
+    if (Number(tx.amount) >= 0) return false;
+    if (tx.verdict) return tx.verdict === 'gambling';
+    return !tx.is_whitelisted;
+  }
+
+  /**
+   * Paydays and the two days after, as a set of dates
+   */
+  _paydayWindow(paydays) {
+    return new Set(Array.from(this._paydayOffsets(paydays).keys()));
+  }
+
+  /**
+   * Map of date to days since the most recent payday (within the window)
+   */
+  _paydayOffsets(paydays) {
+    const offsets = new Map();
+
+    for (const payday of paydays) {
+      PAYDAY_DECAY.forEach((_, offset) => {
+        const date = dayKey(dayNumber(payday) + offset);
+        if (!offsets.has(date) || offsets.get(date) > offset) {
+          offsets.set(date, offset);
+        }
+      });
+    }
+
+    return offsets;
+  }
+
+  _level(relative, confidence) {
+    const level = LEVELS.find(l => relative >= l.relative)?.level || 'low';
+
+    // Without enough history the prior alone never raises an alarm
+    if (confidence === 'low' && this.isHighRisk(level)) return 'medium';
+    return level;
+  }
+
+  _dayRange(startDate, endDate) {
+    const days = [];
+    for (let day = dayNumber(startDate); day <= dayNumber(endDate); day++) {
+      days.push(dayKey(day));
+    }
+    return days;
+  }
+
+  async _getTimeZone(userId) {
+    const { data } = await this.supabase
+      .from('users')
+      .select('timezone')
+      .eq('id', userId)
+      .single();
+
+    return data?.timezone && isValidTimeZone(data.timezone) ? data.timezone : DEFAULT_TIMEZONE;
+  }
+
+  async _getHistory(userId, now) {
+    const { data, error } = await this.supabase
+      .from('transactions')
+      .select('amount, payee_name, timestamp, verdict, is_whitelisted')
+      .eq('user_id', userId)
+      .gte('timestamp', new Date(now - HISTORY_DAYS * DAY_MS).toISOString())
+      .lte('timestamp', now.toISOString())
+      .order('timestamp', { ascending: true })
+      .limit(10000);
+
+    if (error) throw error;
+
+    return data || [];
+  }
+}
+
+const formatters = new Map();
+
+/**
+ * Local date, hour and weekday of an instant in a timezone
+ */
+function localParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-AU', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+function localDate(date, timeZone) {
+  return localParts(date, timeZone).date;
+}
+
+/**
+ * e.g. "Tue 3 Nov, 14:00–18:00"
+ */
+function periodLabel(start, end, timeZone) {
+  const day = new Intl.DateTimeFormat('en-AU', { timeZone, weekday: 'short', day: 'numeric', month: 'short' });
+  const hour = new Intl.DateTimeFormat('en-AU', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  const startDay = day.format(new Date(start));
+  const endDay = day.format(new Date(new Date(end).getTime() - 1));
+
+  if (startDay !== endDay) {
+    return `${startDay}, ${hour.format(new Date(start))} – ${endDay}, ${hour.format(new Date(end))}`;
+  }
+
+  return `${startDay}, ${hour.format(new Date(start))}–${hour.format(new Date(end))}`;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-AU', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function dayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+function dayKey(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysInMonth(date) {
+  return new Date(Date.UTC(parseInt(date.slice(0, 4)), parseInt(date.slice(5, 7)), 0)).getUTCDate();
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function countBy(items, key) {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(key(item), (counts.get(key(item)) || 0) + 1);
+  }
+  return counts;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default RiskForecaster;
+export { FORECAST_DAYS, HIGH_LEVELS, RELAPSE_CLEAN_DAYS };
@@ -0,0 +1,217 @@
+/**
+ * Scheduled Jobs
+ *
+ * The background jobs run by the standalone server (see job-scheduler.js).
+ * Schedules marked per-user are evaluated in each user's local timezone.
+ *
+ * - daily-checkins        6am local      SMSScheduler.sendDailyCheckIns
+ * - allowance-resets      6am local      SMSScheduler.sendAllowanceResets
+ * - weekly-reports        Sunday 6pm     SMSScheduler.sendWeeklyReports
+ * - high-risk-warnings    hourly         SMSScheduler.sendHighRiskWarnings
+ * - payday-reminders      9am local      SMSScheduler.sendPaydayReminders
+ * - commitment-reminders  9am local      SMSScheduler.sendCommitmentReminders
+ * - reward-check          00:15 local    RewardDistributor.checkAndDistributeRewards
+ * - push-receipts         every 30 min   PushNotificationService.checkReceipts
+ * - deferred-notifications every 5 min  CommunicationEngine.releaseDeferred: quiet hours, caps, digests
+ * - notification-fallbacks every minute NotificationRouter.processFallbacks: next channel when unacknowledged
+ * - webhook-replay        every 15 min   replay failed Up Bank webhook events
+ * - queue-maintenance     03:30          purge completed queue jobs, report depth
+ * - model-retraining      Monday 02:00   ModelTrainer.retrain from classification feedback
+ * - user-calibration      4am local      UserCalibration: per-user normalisation stats and adapter
+ * - risk-forecasts        1am local      RiskForecaster.refreshForecasts: 14-day hourly risk curves
+ */
+
+import JobScheduler from './job-scheduler.js';
+import SMSScheduler from './sms-scheduler.js';
+import CommunicationEngine from './communication-engine.js';
+import NotificationRouter from './notification-router.js';
+import PushNotificationService from './push-notifications.js';
+import { getJobQueue } from './queue-handlers.js';
+import ModelTrainer from './model-trainer.js';
+import RiskForecaster from './risk-forecaster.js';
+
+/**
+ * Register the default jobs on a scheduler
+ */
+function registerDefaultJobs(scheduler, supabaseClient) {
+  const smsScheduler = new SMSScheduler(supabaseClient);
+
+  scheduler
+    .register('daily-checkins', {
+      description: 'Morning check-in SMS with clean streak and savings',
+      schedule: '0 6 * * *',
+      perUserTimezone: true,
+      handler: ({ userIds }) => smsScheduler.sendDailyCheckIns({ userIds })
+    })
+    .register('allowance-resets', {
+      description: 'Daily allowance reset confirmation SMS',
+      schedule: '0 6 * * *',
+      perUserTimezone: true,
+      handler: ({ userIds }) => smsScheduler.sendAllowanceResets({ userIds })
+    })
+    .register('weekly-reports', {
+      description: 'Weekly summary SMS and email report',
+      schedule: '0 18 * * 0',
+      perUserTimezone: true,
+      lockTtlSeconds: 60 * 60,
+      handler: ({ userIds }) => smsScheduler.sendWeeklyReports({ userIds })
+    })
+    .register('high-risk-warnings', {
+      description: 'Warnings when the local time matches a high-risk pattern',
+      schedule: '0 * * * *',
+      perUserTimezone: true,
+      handler: ({ userIds, timeZone }) => smsScheduler.sendHighRiskWarnings({ userIds, timeZone })
+    })
+    .register('payday-reminders', {
+      description: 'Payday reminders for users with payday gambling patterns',
+      schedule: '0 9 * * *',
+      perUserTimezone: true,
+      handler: ({ userIds }) => smsScheduler.sendPaydayReminders({ userIds })
+    })
+    .register('commitment-reminders', {
+      description: 'Reminders 7, 3 and 1 days before a commitment ends',
+      schedule: '0 9 * * *',
+      perUserTimezone: true,
+      handler: ({ userIds }) => smsScheduler.sendCommitmentReminders({ userIds })
+    })
+    .register('reward-check', {
+      description: 'Issue rewards for newly reached clean-day milestones',
+      schedule: '15 0 * * *',
+      perUserTimezone: true,
+      handler: ({ userIds }) => checkRewards(userIds)
+    })
+    .register('push-receipts', {
+      description: 'Check Expo push receipts and deactivate invalid tokens',
+      schedule: '*/30 * * * *',
+      handler: () => new PushNotificationService(supabaseClient).checkReceipts()
+    })
+    .register('deferred-notifications', {
+      description: 'Send notifications held back by quiet hours or frequency caps, and due digests',
+      schedule: '*/5 * * * *',
+      handler: () => new CommunicationEngine(supabaseClient).releaseDeferred()
+    })
+    .register('notification-fallbacks', {
+      description: 'Send unacknowledged notifications on their next channel',
+      schedule: '* * * * *',
+      handler: () => new NotificationRouter(supabaseClient).processFallbacks()
+    })
+    .register('webhook-replay', {
+      description: 'Replay failed Up Bank webhook events',
+      schedule: '*/15 * * * *',
+      handler: () => replayFailedWebhooks()
+    })
+    .register('queue-maintenance', {
+      description: 'Purge completed queue jobs older than 7 days and report queue depth',
+      schedule: '30 3 * * *',
+      handler: async () => {
+        const queue = getJobQueue(supabaseClient);
+        await queue.purgeCompleted(7);
+        return queue.updateDepthMetrics();
+      }
+    })
+    .register('model-retraining', {
+      description: 'Retrain the gambling classifier from feedback; promote only if it beats the live model',
+      schedule: '0 2 * * 1',
+      lockTtlSeconds: 2 * 60 * 60,
+      handler: () => retrainClassifier(supabaseClient)
+    })
+    .register('user-calibration', {
+      description: 'Recompute per-user classifier calibration from history and labels',
+      schedule: '0 4 * * *',
+      perUserTimezone: true,
+      lockTtlSeconds: 60 * 60,
+      handler: ({ userIds }) => calibrateUsers(supabaseClient, userIds)
+    })
+    .register('risk-forecasts', {
+      description: 'Regenerate the 14-day hourly relapse risk forecast of each user',
+      schedule: '0 1 * * *',
+      perUserTimezone: true,
+      lockTtlSeconds: 60 * 60,
+      handler: ({ userIds }) => new RiskForecaster(supabaseClient).refreshForecasts(userIds)
+    });
+
+  return scheduler;
+}
+
+/**
+ * Check reward milestones for each user
+ * The distributor connects to Supabase on import, so it is loaded on first use.
+ */
+async function checkRewards(userIds) {
+  const { rewardDistributor } = await import('./reward-distributor.js');
+
+  let issued = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    try {
+      const results = await rewardDistributor.checkAndDistributeRewards(userId);
+      issued += results.filter(result => !result.alreadyIssued).length;
+    } catch (error) {
+      console.error(`Reward check failed for user ${userId}:`, error);
+      failed++;
+    }
+  }
+
+  return { checked: userIds.length, issued, failed };
+}
+
+/**
+ * Replay webhook events whose processing failed
+ */
+async function replayFailedWebhooks() {
+  const { replayEvents } = await import('../webhooks/up-bank.js');
+
+  const results = await replayEvents({ limit: 50 });
+
+  return {
+    replayed: results.length,
+    failed: results.filter(result => result.status === 'failed').length
+  };
+}
+
+/**
+ * Retrain the gambling classifier from classification feedback
+ */
+async function retrainClassifier(supabaseClient) {
+  const run = await new ModelTrainer(supabaseClient).retrain();
+
+  return {
+    status: run.status,
+    candidateVersion: run.candidate_version,
+    reason: run.reason
+  };
+}
+
+/**
+ * Recompute each user's calibration against the production classifier
+ * The ML engine loads the model, so it is imported on first use.
+ */
+async function calibrateUsers(supabaseClient, userIds) {
+  const { default: MLPatternEngine } = await import('./ml-pattern-engine.js');
+  const engine = new MLPatternEngine(supabaseClient);
+
+  let personalised = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    try {
+      const calibration = await engine.calibrateUser(userId);
+      if (calibration.adapter) personalised++;
+    } catch (error) {
+      console.error(`Calibration failed for user ${userId}:`, error);
+      failed++;
+    }
+  }
+
+  return { calibrated: userIds.length - failed, personalised, failed };
+}
+
+/**
+ * Create a scheduler with the default jobs registered
+ */
+function createJobScheduler(supabaseClient, options = {}) {
+  return registerDefaultJobs(new JobScheduler(supabaseClient, options), supabaseClient);
+}
+
+export { registerDefaultJobs, createJobScheduler };
@@ -0,0 +1,348 @@
+/**
+ * SMS Check-in Conversations
+ *
+ * Handles replies to check-in texts (DAILY_CHECKIN, HIGH_RISK_WARNING,
+ * TRIGGER_APPROACHING) so users without the app open still get support:
+ * - A mood score (1 awful to 5 great, e.g. "2" or "2/5 rough day") and/or
+ *   free text, which is classified with ClaudeVoice.analyzeInput
+ * - Each check-in and its replies are stored as a conversation
+ *   (trigger_type 'sms_checkin') with the classification on each reply
+ * - Struggling replies alert the user's guardians; crisis replies trigger
+ *   the emergency protocol (an EMERGENCY_TRIGGERED NotificationRouter event,
+ *   texted first: support numbers to the user, an alert to guardians; and a
+ *   crisis event)
+ *
+ * Crisis wording is also matched locally, so a crisis reply is escalated
+ * even when the analysis call fails. Storing the conversation is
+ * best-effort and happens after escalation, so a database failure never
+ * stops a crisis or concern from reaching the user's guardians. If the
+ * router cannot record the event, the crisis texts are sent directly.
+ */
+
+import { claudeVoiceService, ConversationContext } from './claude-voice.js';
+import CommunicationEngine from './communication-engine.js';
+import NotificationRouter from './notification-router.js';
+import auditLogger from './audit-logger.js';
+
+const CHECKIN_TRIGGER_TYPE = 'sms_checkin';
+
+// Fallback order for crisis notifications raised by an SMS reply
+const SMS_FIRST_CHANNELS = ['sms', 'push', 'email'];
+
+const OUTCOMES = {
+  OK: 'ok',
+  STRUGGLING: 'struggling',
+  CRISIS: 'crisis'
+};
+
+// Mood scores at or below this are treated as struggling
+const STRUGGLING_MOOD = 2;
+
+// analyzeInput crisis levels (0-10) at or above this are treated as struggling
+const STRUGGLING_CRISIS_LEVEL = 4;
+
+const CRISIS_PATTERNS = [
+  /\b(kill|hurt|harm)(ing)? (myself|me)\b/i,
+  /\bsuicid/i,
+  /\b(end|ending) (it|it all|my life)\b/i,
+  /\b(want|wanna|going) to die\b/i,
+  /\bno (point|reason) (in )?living\b/i,
+  /\bbetter off dead\b/i
+];
+
+/**
+ * Mood score and remaining text from a reply ("2/5 rough day" -> 2, "rough day")
+ */
+function parseMoodReply(text) {
+  const match = String(text || '').trim().match(/^([1-5])(?:\s*(?:\/|out of)\s*5)?(?![\d.])[\s.,:;!-]*([\s\S]*)$/i);
+
+  if (!match) {
+    return { moodScore: null, text: String(text || '').trim() };
+  }
+
+  return { moodScore: parseInt(match[1], 10), text: match[2].trim() };
+}
+
+function isCrisisText(text) {
+  return CRISIS_PATTERNS.some(pattern => pattern.test(text));
+}
+
+class SMSCheckin {
+  constructor(supabaseClient, { voice = claudeVoiceService } = {}) {
+    this.supabase = supabaseClient;
+    this.voice = voice;
+    this.commEngine = new CommunicationEngine(supabaseClient);
+    this.router = new NotificationRouter(supabaseClient, { communicationEngine: this.commEngine });
+  }
+
+  /**
+   * Handle a user's reply to a check-in text (the communications_log row)
+   * Returns { outcome, moodScore, conversationId, escalated }.
+   * Acknowledgements ("OK") are stored without being analysed.
+   */
+  async handleReply(user, checkin, body, { acknowledgement = false } = {}) {
+    const { moodScore, text } = acknowledgement ? { moodScore: null, text: '' } : parseMoodReply(body);
+
+    let conversation = null;
+    try {
+      conversation = await this._getConversation(user.id, checkin);
+    } catch (error) {
+      console.error(`Failed to load check-in conversation for user ${user.id}:`, error);
+    }
+
+    const analysis = text ? await this._analyze(user.id, text, conversation) : null;
+    const outcome = classify({ moodScore, text, analysis });
+    const conversationId = conversation?.id || null;
+
+    let escalated = false;
+    if (outcome === OUTCOMES.CRISIS) {
+      escalated = await this._escalateCrisis(user, conversationId, body, analysis);
+    } else if (outcome === OUTCOMES.STRUGGLING) {
+      escalated = await this._escalateConcern(user, conversationId, moodScore);
+    }
+
+    if (conversation) {
+      try {
+        await this._saveReply(conversation, body, {
+          moodScore,
+          outcome,
+          emotion: analysis?.emotion || null,
+          intent: analysis?.intent || null,
+          crisisLevel: analysis?.crisisLevel ?? null
+        });
+      } catch (error) {
+        console.error(`Failed to store check-in reply in conversation ${conversation.id}:`, error);
+      }
+    }
+
+    await auditLogger.logUserAction({
+      userId: user.id,
+      action: 'sms_checkin_reply',
+      outcome,
+      moodScore,
+      escalated,
+      conversationId
+    });
+
+    return { outcome, moodScore, conversationId, escalated };
+  }
+
+  /**
+   * Classify the reply text; null when the analysis fails (crisis wording
+   * is still matched locally by classify)
+   */
+  async _analyze(userId, text, conversation) {
+    try {
+      return await this.voice.analyzeInput(text, this._buildContext(userId, conversation?.messages || []));
+    } catch (error) {
+      console.error(`Check-in reply analysis failed for user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Crisis: support numbers to the user, emergency alert to guardians
+   */
+  async _escalateCrisis(user, conversationId, message, analysis) {
+    const { error } = await this.supabase.from('crisis_events').insert({
+      user_id: user.id,
+      event_type: 'sms_checkin_crisis',
+      message,
+      crisis_level: analysis?.crisisLevel ?? null,
+      emotion: analysis?.emotion || null,
+      timestamp: new Date().toISOString()
+    });
+
+    if (error) console.error(`Failed to record crisis event for user ${user.id}:`, error);
+
+    let alerted;
+    try {
+      // The user wrote in by SMS, so the support numbers go out by SMS now;
+      // conversationId keeps replies to them in this conversation
+      const event = await this.router.notify(user.id, 'EMERGENCY_TRIGGERED', {
+        userName: user.name || 'User',
+        conversationId
+      }, { channels: SMS_FIRST_CHANNELS });
+      alerted = event.deliveries.filter(delivery =>
+        delivery.recipient_type === 'guardian' && delivery.status === 'sent').length;
+    } catch (notifyError) {
+      console.error(`Failed to notify emergency for user ${user.id}, texting directly:`, notifyError);
+      alerted = await this._sendCrisisTexts(user, conversationId);
+    }
+
+    await auditLogger.logSecurityEvent({
+      action: 'sms_checkin_crisis',
+      severity: 'critical',
+      userId: user.id,
+      crisisLevel: analysis?.crisisLevel ?? null,
+      guardiansAlerted: alerted
+    });
+
+    return true;
+  }
+
+  /**
+   * Support numbers to the user and EMERGENCY_TRIGGERED to guardians,
+   * without the router; returns how many guardians were reached
+   */
+  async _sendCrisisTexts(user, conversationId) {
+    try {
+      await this.commEngine.sendUserSMS(user.id, 'EMERGENCY_CONTACT', {}, { conversationId });
+    } catch (sendError) {
+      console.error(`Failed to send crisis support to user ${user.id}:`, sendError);
+    }
+
+    return this._alertGuardians(user, 'EMERGENCY_TRIGGERED', {
+      userName: user.name || 'User'
+    }, conversationId);
+  }
+
+  /**
+   * Struggling: let guardians know and point the user to support
+   */
+  async _escalateConcern(user, conversationId, moodScore) {
+    const alerted = await this._alertGuardians(user, 'CHECKIN_CONCERN', {
+      userName: user.name || 'User',
+      moodScore
+    }, conversationId);
+
+    try {
+      await this.commEngine.sendUserSMS(user.id, 'CHECKIN_SUPPORT', {
+        guardianNotified: alerted > 0
+      }, { conversationId });
+    } catch (error) {
+      console.error(`Failed to send check-in support to user ${user.id}:`, error);
+    }
+
+    return alerted > 0;
+  }
+
+  /**
+   * Text each of the user's guardians; returns how many were reached
+   */
+  async _alertGuardians(user, templateId, data, conversationId) {
+    const { data: guardians, error } = await this.supabase
+      .from('guardians')
+      .select('id')
+      .eq('user_id', user.id)
+      .not('phone', 'is', null);
+
+    if (error) {
+      console.error(`Failed to load guardians for user ${user.id}:`, error);
+      return 0;
+    }
+
+    let alerted = 0;
+
+    for (const guardian of guardians || []) {
+      try {
+        const result = await this.commEngine.sendGuardianSMS(user.id, guardian.id, templateId, data, {
+          conversationId
+        });
+        if (!result?.blocked) alerted++;
+      } catch (sendError) {
+        console.error(`Failed to send ${templateId} to guardian ${guardian.id}:`, sendError);
+      }
+    }
+
+    return alerted;
+  }
+
+  /**
+   * The conversation a reply belongs to: the one our follow-up text was
+   * part of, or the check-in's own (created with the check-in as its
+   * first message)
+   */
+  async _getConversation(userId, checkin) {
+    const conversationId = checkin.metadata?.conversationId;
+
+    let query = this.supabase
+      .from('conversations')
+      .select('id, message_count')
+      .eq('user_id', userId);
+
+    query = conversationId
+      ? query.eq('id', conversationId)
+      : query.eq('source_message_id', checkin.id);
+
+    const { data: existing, error } = await query.limit(1);
+    if (error) throw error;
+
+    if (existing && existing.length > 0) {
+      const { data: messages, error: messagesError } = await this.supabase
+        .from('conversation_messages')
+        .select('role, content')
+        .eq('conversation_id', existing[0].id)
+        .order('created_at', { ascending: true });
+
+      if (messagesError) throw messagesError;
+
+      return { ...existing[0], messages: messages || [] };
+    }
+
+    const { data: created, error: insertError } = await this.supabase
+      .from('conversations')
+      .insert({
+        user_id: userId,
+        trigger_type: CHECKIN_TRIGGER_TYPE,
+        channel: 'sms',
+        source_message_id: checkin.id,
+        started_at: checkin.sent_at,
+        message_count: 1
+      })
+      .select('id, message_count')
+      .single();
+
+    if (insertError) throw insertError;
+
+    const opening = { role: 'assistant', content: checkin.message || checkin.template_id };
+    await this._insertMessage(created.id, opening, { templateId: checkin.template_id });
+
+    return { ...created, messages: [opening] };
+  }
+
+  async _saveReply(conversation, body, classification) {
+    await this._insertMessage(conversation.id, { role: 'user', content: body }, classification);
+
+    conversation.message_count += 1;
+
+    const { error } = await this.supabase
+      .from('conversations')
+      .update({ message_count: conversation.message_count })
+      .eq('id', conversation.id);
+
+    if (error) throw error;
+  }
+
+  async _insertMessage(conversationId, { role, content }, metadata) {
+    const { error } = await this.supabase
+      .from('conversation_messages')
+      .insert({ conversation_id: conversationId, role, content, metadata });
+
+    if (error) throw error;
+  }
+
+  _buildContext(userId, messages) {
+    const context = new ConversationContext(userId);
+    for (const message of messages) {
+      context.addMessage(message.role, message.content);
+    }
+    return context;
+  }
+}
+
+function classify({ moodScore, text, analysis }) {
+  if (analysis?.crisis || (text && isCrisisText(text))) {
+    return OUTCOMES.CRISIS;
+  }
+
+  if ((moodScore !== null && moodScore <= STRUGGLING_MOOD) ||
+      (analysis?.crisisLevel ?? 0) >= STRUGGLING_CRISIS_LEVEL) {
+    return OUTCOMES.STRUGGLING;
+  }
+
+  return OUTCOMES.OK;
+}
+
+export default SMSCheckin;
+export { OUTCOMES, CHECKIN_TRIGGER_TYPE, parseMoodReply, isCrisisText };
@@ -0,0 +1,293 @@
+/**
+ * Inbound SMS Handler
+ *
+ * Routes SMS replies from users and guardians:
+ * - STOP (STOPALL, UNSUBSCRIBE, CANCEL, END, QUIT): users are unsubscribed
+ *   from optional texts (mandatory ones continue), guardians from all texts
+ * - START (UNSTOP, SUBSCRIBE): resubscribe
+ * - HELP (INFO): reply with help and support numbers
+ * - Other replies are matched to the last message sent to the number in
+ *   the past REPLY_WINDOW_HOURS and handled by that template's handler in
+ *   REPLY_HANDLERS: replies to check-ins go to SMSCheckin, OK to a
+ *   GUARDIAN_MESSAGE is passed on to the guardian
+ * - Any reply other than STOP to a NotificationRouter SMS acknowledges
+ *   its event
+ *
+ * Every inbound message is logged in communications_log (direction
+ * 'inbound', in_reply_to the matched message). A provider retrying a
+ * message it already delivered (same provider message ID) is ignored.
+ * Keyword replies are sent in the sender's language.
+ */
+
+import CommunicationEngine from './communication-engine.js';
+import SMSCheckin, { OUTCOMES } from './sms-checkin.js';
+import NotificationRouter from './notification-router.js';
+import { unsubscribeAll, resubscribeDefaults } from './notification-preferences.js';
+import auditLogger from './audit-logger.js';
+
+const KEYWORDS = {
+  STOP: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+  START: ['START', 'UNSTOP', 'SUBSCRIBE'],
+  HELP: ['HELP', 'INFO'],
+  OK: ['OK', 'OKAY', 'K', 'YES', 'Y', 'YEP', 'YEAH']
+};
+
+// Replies later than this are not matched to the message they answer
+const REPLY_WINDOW_HOURS = 48;
+
+const UNIQUE_VIOLATION = '23505';
+
+// Templates whose replies are routed, and the handler for each
+const REPLY_HANDLERS = {
+  DAILY_CHECKIN: '_handleCheckinReply',
+  HIGH_RISK_WARNING: '_handleCheckinReply',
+  TRIGGER_APPROACHING: '_handleCheckinReply',
+  // Follow-ups sent by SMSCheckin, so the conversation can continue
+  CHECKIN_SUPPORT: '_handleCheckinReply',
+  EMERGENCY_CONTACT: '_handleCheckinReply',
+  GUARDIAN_MESSAGE: '_handleGuardianMessageReply'
+};
+
+/**
+ * Language for keyword replies: the user's, else a guardian's
+ */
+function senderLanguage(sender) {
+  return sender.user?.language || sender.guardians.find(guardian => guardian.language)?.language || 'en';
+}
+
+/**
+ * Keyword in a reply ("ok!" -> OK), or null for free text
+ */
+function parseKeyword(text) {
+  const word = String(text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+
+  for (const [keyword, synonyms] of Object.entries(KEYWORDS)) {
+    if (synonyms.includes(word)) return keyword;
+  }
+
+  return null;
+}
+
+class SMSInbound {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.commEngine = new CommunicationEngine(supabaseClient);
+    this.checkin = new SMSCheckin(supabaseClient);
+    this.router = new NotificationRouter(supabaseClient, { communicationEngine: this.commEngine });
+  }
+
+  /**
+   * Handle one inbound message { messageId, from, to, body }
+   * Returns { action, keyword, userId, guardianIds, inReplyTo }; action is
+   * 'duplicate' for a message that was already handled.
+   */
+  async handle(inbound, { provider = null } = {}) {
+    const keyword = parseKeyword(inbound.body);
+    const sender = await this._identifySender(inbound.from);
+    const context = await this._getRepliedMessage(inbound.from);
+
+    const logged = await this._logInbound(inbound, { sender, context, keyword, provider });
+
+    if (!logged) {
+      return {
+        action: 'duplicate',
+        keyword,
+        userId: sender.user?.id || null,
+        guardianIds: sender.guardians.map(guardian => guardian.id),
+        inReplyTo: context?.id || null
+      };
+    }
+
+    let action;
+    switch (keyword) {
+      case 'STOP':
+        action = await this._optOut(inbound.from, sender);
+        break;
+      case 'START':
+        action = await this._optIn(inbound.from, sender);
+        break;
+      case 'HELP':
+        await this.commEngine.sendSystemSMS(inbound.from, 'SMS_HELP', {}, { language: senderLanguage(sender) });
+        action = 'help_sent';
+        break;
+      default: {
+        const handler = context && REPLY_HANDLERS[context.template_id];
+        action = handler
+          ? await this[handler]({ inbound, keyword, sender, context, logged })
+          : 'unrecognised';
+      }
+    }
+
+    const notificationEventId = context?.metadata?.notificationEventId;
+    if (notificationEventId && sender.user && keyword !== 'STOP') {
+      await this.router.acknowledge(notificationEventId, sender.user.id, 'sms');
+    }
+
+    await auditLogger.logUserAction({
+      userId: sender.user?.id || sender.guardians[0]?.user_id || null,
+      action: 'sms_reply',
+      smsAction: action,
+      keyword,
+      inReplyTo: context?.template_id || null,
+      guardianIds: sender.guardians.map(guardian => guardian.id)
+    });
+
+    return {
+      action,
+      keyword,
+      userId: sender.user?.id || null,
+      guardianIds: sender.guardians.map(guardian => guardian.id),
+      inReplyTo: context?.id || null
+    };
+  }
+
+  /**
+   * Reply to a check-in: mood score or free text, classified and
+   * escalated by SMSCheckin
+   */
+  async _handleCheckinReply({ inbound, keyword, sender, context }) {
+    if (!sender.user || !inbound.body.trim()) return 'unrecognised';
+
+    const { outcome } = await this.checkin.handleReply(sender.user, context, inbound.body.trim(), {
+      acknowledgement: keyword === 'OK'
+    });
+
+    if (keyword === 'OK') return 'checkin_acknowledged';
+    if (outcome === OUTCOMES.CRISIS) return 'crisis_escalated';
+    if (outcome === OUTCOMES.STRUGGLING) return 'checkin_concern';
+    return 'checkin_recorded';
+  }
+
+  /**
+   * OK to a guardian's message: let the guardian know it was read
+   */
+  async _handleGuardianMessageReply({ inbound, keyword, sender, context }) {
+    const guardianId = context.guardian_id || context.metadata?.guardianId;
+    if (keyword !== 'OK' || !sender.user || !guardianId) return 'unrecognised';
+
+    await this.commEngine.sendGuardianSMS(sender.user.id, guardianId, 'MESSAGE_ACKNOWLEDGED', {
+      userName: sender.user.name || 'User',
+      reply: inbound.body.trim().toUpperCase()
+    });
+
+    return 'guardian_message_acknowledged';
+  }
+
+  async _optOut(phone, sender) {
+    if (sender.user) {
+      await unsubscribeAll(sender.user.id, this.supabase);
+    }
+    if (sender.guardians.length > 0) {
+      await this._setGuardianOptOut(sender.guardians, new Date().toISOString());
+    }
+
+    // Only users keep getting (mandatory) texts after STOP
+    await this.commEngine.sendSystemSMS(phone, 'SMS_OPTED_OUT', { mandatoryContinues: !!sender.user }, {
+      language: senderLanguage(sender)
+    });
+
+    return 'opted_out';
+  }
+
+  async _optIn(phone, sender) {
+    if (sender.user) {
+      await resubscribeDefaults(sender.user.id, this.supabase);
+    }
+    if (sender.guardians.length > 0) {
+      await this._setGuardianOptOut(sender.guardians, null);
+    }
+
+    await this.commEngine.sendSystemSMS(phone, 'SMS_OPTED_IN', {}, { language: senderLanguage(sender) });
+
+    return 'opted_in';
+  }
+
+  async _setGuardianOptOut(guardians, optedOutAt) {
+    const { error } = await this.supabase
+      .from('guardians')
+      .update({ sms_opted_out_at: optedOutAt })
+      .in('id', guardians.map(guardian => guardian.id));
+
+    if (error) throw error;
+  }
+
+  /**
+   * The user and/or guardian records with this phone number
+   */
+  async _identifySender(phone) {
+    const [{ data: users, error: userError }, { data: guardians, error: guardianError }] = await Promise.all([
+      this.supabase.from('users').select('id, name, language').eq('phone', phone).limit(1),
+      this.supabase.from('guardians').select('id, user_id, name, language').eq('phone', phone)
+    ]);
+
+    if (userError) throw userError;
+    if (guardianError) throw guardianError;
+
+    return { user: users?.[0] || null, guardians: guardians || [] };
+  }
+
+  /**
+   * Last outbound SMS to the number within the reply window
+   */
+  async _getRepliedMessage(phone) {
+    const since = new Date(Date.now() - REPLY_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const { data, error } = await this.supabase
+      .from('communications_log')
+      .select('id, user_id, guardian_id, template_id, message, metadata, sent_at')
+      .eq('recipient', phone)
+      .eq('type', 'sms')
+      .eq('direction', 'outbound')
+      .gte('sent_at', since.toISOString())
+      .order('sent_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Log an inbound message
+   * Returns null when the provider already delivered this message.
+   */
+  async _logInbound(inbound, { sender, context, keyword, provider }) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.supabase
+      .from('communications_log')
+      .insert({
+        user_id: context?.user_id || sender.user?.id || null,
+        guardian_id: context?.guardian_id || null,
+        type: 'sms',
+        direction: 'inbound',
+        template_id: context?.template_id || null,
+        sender: inbound.from,
+        recipient: inbound.to,
+        message: inbound.body,
+        status: 'received',
+        message_id: inbound.messageId,
+        provider,
+        in_reply_to: context?.id || null,
+        metadata: { keyword },
+        sent_at: now
+      })
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) return null;
+    if (error) throw error;
+
+    if (context) {
+      await this.supabase
+        .from('communications_log')
+        .update({ replied_at: now })
+        .eq('id', context.id);
+    }
+
+    return data;
+  }
+}
+
+export default SMSInbound;
+export { KEYWORDS, REPLY_HANDLERS, parseKeyword };
@@ -7,29 +7,47 @@
  * - Monthly commitment countdowns
  * - Contextual high-risk warnings
  * - Emergency protocol notifications
+ *
+ * Check-ins and high-risk warnings are NotificationRouter events, so they
+ * are pushed first and texted when the push is not acknowledged.
  */
 
 import CommunicationEngine from './communication-engine.js';
+import NotificationRouter from './notification-router.js';
+import RiskForecaster from './risk-forecaster.js';
+
+// Weekday keys for the {day, select, ...} in HIGH_RISK_WARNING (Date#getDay order)
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Forecast factor types, most specific first; the first one present is sent as
+// the key for {pattern, select, ...} in HIGH_RISK_WARNING (and {trigger, ...}
+// in HIGH_RISK_ALERT), with the holiday or fixture name as `event`
+const PATTERNS = ['fixture', 'public_holiday', 'payday', 'relapse_cycle', 'usual_time'];
 
 class SMSScheduler {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
     this.commEngine = new CommunicationEngine(supabaseClient);
+    this.router = new NotificationRouter(supabaseClient, { communicationEngine: this.commEngine });
+    this.forecaster = new RiskForecaster(supabaseClient);
   }
 
   /**
    * Send daily check-in to all active users (6am local time)
+   * `userIds` limits the run to some users (e.g. those whose local time is 6am).
    */
-  async sendDailyCheckIns() {
+  async sendDailyCheckIns({ userIds } = {}) {
     try {
       console.log('Starting daily check-ins...');
 
       // Get all active users with commitments
-      const { data: users } = await this.supabase
-        .from('users')
-        .select('id, phone, commitment_start, commitment_days, daily_allowance')
-        .not('commitment_start', 'is', null)
-        .not('phone', 'is', null);
+      const { data: users } = await this._scopeUsers(
+        this.supabase
+          .from('users')
+          .select('id, phone, commitment_start, commitment_days, daily_allowance')
+          .not('commitment_start', 'is', null),
+        userIds
+      );
 
       if (!users || users.length === 0) {
         console.log('No active users for daily check-ins');
@@ -47,7 +65,7 @@ class SMSScheduler {
         const savedTotal = await this._calculateSaved(user.id);
 
         try {
-          await this.commEngine.sendUserSMS(user.id, 'DAILY_CHECKIN', {
+          await this.router.notify(user.id, 'DAILY_CHECKIN', {
             cleanStreak,
             savedTotal: savedTotal.toFixed(2)
           });
@@ -74,15 +92,18 @@ class SMSScheduler {
   /**
    * Send allowance reset confirmations (6am local time)
    */
-  async sendAllowanceResets() {
+  async sendAllowanceResets({ userIds } = {}) {
     try {
       console.log('Starting allowance reset notifications...');
 
-      const { data: users } = await this.supabase
-        .from('users')
-        .select('id, phone, daily_allowance')
-        .not('daily_allowance', 'is', null)
-        .not('phone', 'is', null);
+      const { data: users } = await this._scopeUsers(
+        this.supabase
+          .from('users')
+          .select('id, phone, daily_allowance')
+          .not('daily_allowance', 'is', null)
+          .not('phone', 'is', null),
+        userIds
+      );
 
       if (!users || users.length === 0) {
         return;
@@ -119,14 +140,17 @@ class SMSScheduler {
   /**
    * Send weekly reports (Sunday 6pm)
    */
-  async sendWeeklyReports() {
+  async sendWeeklyReports({ userIds } = {}) {
     try {
       console.log('Starting weekly reports...');
 
-      const { data: users } = await this.supabase
-        .from('users')
-        .select('id, email, phone')
-        .not('email', 'is', null);
+      const { data: users } = await this._scopeUsers(
+        this.supabase
+          .from('users')
+          .select('id, email, phone')
+          .not('email', 'is', null),
+        userIds
+      );
 
       if (!users || users.length === 0) {
         return;
@@ -174,16 +198,20 @@ class SMSScheduler {
   }
 
   /**
-   * Send high-risk warnings (contextual based on patterns)
+   * Send high-risk warnings at the start of each high-risk period in the
+   * user's relapse risk forecast (see risk-forecaster.js)
+   * The day and hour in the message are local to `timeZone`.
    */
-  async sendHighRiskWarnings() {
+  async sendHighRiskWarnings({ userIds, timeZone } = {}) {
     try {
       console.log('Checking for high-risk situations...');
 
-      const { data: users } = await this.supabase
-        .from('users')
-        .select('id, phone')
-        .not('phone', 'is', null);
+      const { data: users } = await this._scopeUsers(
+        this.supabase
+          .from('users')
+          .select('id, phone'),
+        userIds
+      );
 
       if (!users || users.length === 0) {
         return;
@@ -191,53 +219,57 @@ class SMSScheduler {
 
       let sent = 0;
 
-      const now = new Date();
-      const currentDay = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][now.getDay()];
-      const currentHour = now.getHours();
+      const local = this._localTime(new Date(), timeZone);
+      const currentDay = WEEKDAYS[local.day];
+      const currentHour = local.hour;
 
       for (const user of users) {
-        // Get user's high-risk patterns
-        const riskPatterns = await this._getHighRiskPatterns(user.id);
-
-        // Check if current time matches any high-risk pattern
-        for (const pattern of riskPatterns) {
-          if (this._matchesPattern(pattern, currentDay, currentHour)) {
-            try {
-              // Send warning
-              await this.commEngine.sendUserSMS(user.id, 'HIGH_RISK_WARNING', {
-                day: currentDay,
-                time: `${currentHour}:00`,
-                pattern: pattern.name
-              });
-
-              // Notify guardian
-              const { data: guardians } = await this.supabase
-                .from('guardians')
-                .select('id, phone, name')
-                .eq('user_id', user.id)
-                .not('phone', 'is', null);
-
-              if (guardians && guardians.length > 0) {
-                for (const guardian of guardians) {
-                  await this.commEngine.sendGuardianSMS(
-                    user.id,
-                    guardian.id,
-                    'HIGH_RISK_ALERT',
-                    {
-                      userName: 'User', // TODO: Get actual name
-                      trigger: pattern.name
-                    }
-                  );
-                }
-              }
+        let period;
+        try {
+          period = await this._getHighRiskPeriodStart(user.id);
+        } catch (error) {
+          console.error(`Failed to load risk forecast for user ${user.id}:`, error);
+          continue;
+        }
+
+        if (period) {
+          try {
+            // Send warning
+            await this.router.notify(user.id, 'HIGH_RISK_WARNING', {
+              day: currentDay,
+              time: `${currentHour}:00`,
+              pattern: period.pattern,
+              event: period.event
+            });
 
-              sent++;
-            } catch (error) {
-              console.error(`Failed to send high-risk warning to user ${user.id}:`, error);
+            // Notify guardian
+            const { data: guardians } = await this.supabase
+              .from('guardians')
+              .select('id, phone, name')
+              .eq('user_id', user.id)
+              .not('phone', 'is', null);
+
+            if (guardians && guardians.length > 0) {
+              for (const guardian of guardians) {
+                await this.commEngine.sendGuardianSMS(
+                  user.id,
+                  guardian.id,
+                  'HIGH_RISK_ALERT',
+                  {
+                    userName: 'User', // TODO: Get actual name
+                    trigger: period.pattern,
+                    event: period.event
+                  }
+                );
+              }
             }
 
-            await this._sleep(200);
+            sent++;
+          } catch (error) {
+            console.error(`Failed to send high-risk warning to user ${user.id}:`, error);
           }
+
+          await this._sleep(200);
         }
       }
 
@@ -251,38 +283,37 @@ class SMSScheduler {
   }
 
   /**
-   * Send payday reminders (checks for payday patterns)
+   * Send payday reminders on each user's forecast paydays
    */
-  async sendPaydayReminders() {
+  async sendPaydayReminders({ userIds } = {}) {
     try {
       console.log('Checking for payday situations...');
 
-      const { data: users } = await this.supabase
-        .from('users')
-        .select('id, phone, daily_allowance')
-        .not('phone', 'is', null);
+      const { data: users } = await this._scopeUsers(
+        this.supabase
+          .from('users')
+          .select('id, phone, daily_allowance')
+          .not('phone', 'is', null),
+        userIds
+      );
 
       if (!users || users.length === 0) {
         return;
       }
 
-      const now = new Date();
-      const dayOfMonth = now.getDate();
-
-      // Check if it's typical payday (15th or last day of month)
-      const isPayday = dayOfMonth === 15 || dayOfMonth >= 28 || dayOfMonth <= 2;
-
-      if (!isPayday) {
-        return;
-      }
-
       let sent = 0;
 
       for (const user of users) {
-        // Check if user has payday gambling pattern
-        const hasPaydayPattern = await this._hasPaydayPattern(user.id);
+        // Paydays come from the pay cycle detected in the user's income
+        let forecast;
+        try {
+          forecast = await this.forecaster.getForecast(user.id);
+        } catch (error) {
+          console.error(`Failed to load risk forecast for user ${user.id}:`, error);
+          continue;
+        }
 
-        if (hasPaydayPattern) {
+        if (this.forecaster.isPayday(forecast) && this._hasPaydayPattern(forecast)) {
           try {
             await this.commEngine.sendUserSMS(user.id, 'PAYDAY_REMINDER', {
               dailyAllowance: user.daily_allowance
@@ -309,15 +340,18 @@ class SMSScheduler {
   /**
    * Send commitment countdown reminders
    */
-  async sendCommitmentReminders() {
+  async sendCommitmentReminders({ userIds } = {}) {
     try {
       console.log('Checking commitment expiration...');
 
-      const { data: users } = await this.supabase
-        .from('users')
-        .select('id, phone, commitment_start, commitment_days')
-        .not('commitment_start', 'is', null)
-        .not('phone', 'is', null);
+      const { data: users } = await this._scopeUsers(
+        this.supabase
+          .from('users')
+          .select('id, phone, commitment_start, commitment_days')
+          .not('commitment_start', 'is', null)
+          .not('phone', 'is', null),
+        userIds
+      );
 
       if (!users || users.length === 0) {
         return;
@@ -361,6 +395,39 @@ class SMSScheduler {
     }
   }
 
+  /**
+   * Limit a users query to the given IDs (all users when omitted)
+   */
+  _scopeUsers(query, userIds) {
+    return userIds ? query.in('id', userIds) : query;
+  }
+
+  /**
+   * Get the day of week, day of month and hour in a timezone
+   * (server local time when no timezone is given)
+   */
+  _localTime(date, timeZone) {
+    if (!timeZone) {
+      return { day: date.getDay(), date: date.getDate(), hour: date.getHours() };
+    }
+
+    const parts = new Intl.DateTimeFormat('en-AU', {
+      timeZone,
+      weekday: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type)?.value;
+
+    return {
+      day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+      date: parseInt(get('day')),
+      hour: parseInt(get('hour'))
+    };
+  }
+
   /**
    * Calculate clean streak for user
    */
@@ -424,30 +491,42 @@ class SMSScheduler {
   }
 
   /**
-   * Get user's high-risk patterns
+   * The high-risk forecast period starting this hour, with the key of its
+   * most specific factor (see PATTERNS)
+   * Null while not at the start of one, so each period is warned about once.
    */
-  async _getHighRiskPatterns(userId) {
-    // TODO: Get from pattern analysis
-    return [
-      { name: 'Tuesday evening', day: 'Tuesday', hours: [18, 19, 20, 21] },
-      { name: 'Friday night', day: 'Friday', hours: [20, 21, 22, 23] }
-    ];
-  }
+  async _getHighRiskPeriodStart(userId) {
+    const now = new Date();
+    const forecast = await this.forecaster.getForecast(userId, { now });
+    if (forecast.confidence === 'low') return null;
 
-  /**
-   * Check if current time matches pattern
-   */
-  _matchesPattern(pattern, currentDay, currentHour) {
-    return pattern.day === currentDay && pattern.hours.includes(currentHour);
+    const point = this.forecaster.pointAt(forecast, now);
+    const previous = this.forecaster.pointAt(forecast, new Date(now.getTime() - 60 * 60 * 1000));
+
+    if (!point || !this.forecaster.isHighRisk(point.level) || (previous && this.forecaster.isHighRisk(previous.level))) {
+      return null;
+    }
+
+    const factor = PATTERNS
+      .map(type => point.factors.find(candidate => candidate.type === type))
+      .find(Boolean);
+
+    let pattern = factor?.type || 'other';
+    if (pattern === 'payday' && factor.name !== 'payday') pattern = 'after_payday';
+
+    return {
+      pattern,
+      event: pattern === 'fixture' || pattern === 'public_holiday' ? factor.name : null,
+      level: point.level
+    };
   }
 
   /**
    * Check if user has payday gambling pattern
+   * Users gamble more around paydays unless their history shows otherwise.
    */
-  async _hasPaydayPattern(userId) {
-    // TODO: Check from pattern analysis
-    // For now, assume all users have payday risk
-    return true;
+  _hasPaydayPattern(forecast) {
+    return forecast.lifts.payday > 1;
   }
 
   /**
@@ -0,0 +1,70 @@
+/**
+ * Console SMS Transport
+ *
+ * Logs messages instead of sending them (development default). There are
+ * no callbacks; inbound replies can be simulated by posting JSON
+ * ({ from, body }) to the inbound webhook.
+ */
+
+import crypto from 'crypto';
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, body }) {
+    console.log('SMS TO:', to);
+    console.log('MESSAGE:', body);
+
+    return { messageId: `sms_${crypto.randomUUID()}`, status: 'sent' };
+  }
+
+  verifyWebhook() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  parseStatusCallback(body) {
+    return parseJSONStatus(body);
+  }
+
+  parseInbound(body) {
+    return parseJSONInbound(body);
+  }
+
+  webhookResponse() {
+    return { contentType: 'application/json', body: JSON.stringify({ success: true }) };
+  }
+}
+
+/**
+ * Status callback in the JSON shape used by the sink and console transports
+ * { messageId, status, errorCode?, errorMessage? }
+ */
+function parseJSONStatus(body) {
+  if (!body?.messageId || !body.status) return null;
+
+  return {
+    messageId: body.messageId,
+    status: body.status,
+    errorCode: body.errorCode || null,
+    errorMessage: body.errorMessage || null
+  };
+}
+
+/**
+ * Inbound message in the same JSON shape: { messageId?, from, to?, body }
+ */
+function parseJSONInbound(body) {
+  if (!body?.from || typeof body.body !== 'string') return null;
+
+  return {
+    messageId: body.messageId || `in_${crypto.randomUUID()}`,
+    from: body.from,
+    to: body.to || null,
+    body: body.body
+  };
+}
+
+export default ConsoleTransport;
+export { parseJSONStatus, parseJSONInbound };
@@ -0,0 +1,83 @@
+/**
+ * SMS Transports
+ *
+ * CommunicationEngine sends SMS through one of these transports, selected
+ * by SMS_PROVIDER:
+ * - console  logs messages (default, development)
+ * - twilio   Twilio Messaging API
+ * - sns      AWS SNS (needs @aws-sdk/client-sns)
+ * - sink     local file or HTTP sink for testing (sink-transport.js)
+ *
+ * Every transport implements:
+ * - send({ to, body, statusCallbackUrl }) -> { messageId, status }
+ * - verifyWebhook(req, rawBody) -> whether a webhook request is genuine
+ * - parseStatusCallback(body) -> { messageId, status, errorCode, errorMessage } | null
+ * - parseInbound(body) -> { messageId, from, to, body } | null
+ * - webhookResponse() -> { contentType, body } to acknowledge a webhook
+ *
+ * Provider statuses are mapped onto DELIVERY_STATUS.
+ */
+
+import ConsoleTransport from './console-transport.js';
+
+const PROVIDERS = {
+  CONSOLE: 'console',
+  TWILIO: 'twilio',
+  SNS: 'sns',
+  SINK: 'sink'
+};
+
+// Delivery status stored in communications_log.status
+const DELIVERY_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  BOUNCED: 'bounced'
+};
+
+const transports = new Map();
+
+/**
+ * Public URL of an SMS webhook on this API (for provider callbacks)
+ */
+function webhookUrl(path) {
+  const base = process.env.SMS_WEBHOOK_BASE_URL || process.env.APP_URL;
+  return base ? `${base.replace(/\/$/, '')}${path}` : null;
+}
+
+/**
+ * Get the transport for a provider (one instance per provider)
+ */
+async function getSMSTransport(provider = process.env.SMS_PROVIDER || PROVIDERS.CONSOLE) {
+  if (!Object.values(PROVIDERS).includes(provider)) {
+    throw new Error(`Unknown SMS_PROVIDER: ${provider}`);
+  }
+
+  if (!transports.has(provider)) {
+    transports.set(provider, await createTransport(provider));
+  }
+
+  return transports.get(provider);
+}
+
+async function createTransport(provider) {
+  switch (provider) {
+    case PROVIDERS.TWILIO: {
+      const { default: TwilioTransport } = await import('./twilio-transport.js');
+      return new TwilioTransport();
+    }
+    case PROVIDERS.SNS: {
+      const { default: SNSTransport } = await import('./sns-transport.js');
+      return new SNSTransport();
+    }
+    case PROVIDERS.SINK: {
+      const { default: SinkTransport } = await import('./sink-transport.js');
+      return new SinkTransport();
+    }
+    default:
+      return new ConsoleTransport();
+  }
+}
+
+export { PROVIDERS, DELIVERY_STATUS, getSMSTransport, webhookUrl };
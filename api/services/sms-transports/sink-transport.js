@@ -0,0 +1,96 @@
+/**
+ * Sink SMS Transport
+ *
+ * Delivers messages to a local sink instead of a carrier, for staging and
+ * end-to-end tests:
+ * - SMS_SINK_URL set: each message is POSTed there as JSON
+ *   { messageId, to, body, statusCallbackUrl }
+ * - otherwise: appended as a JSON line to SMS_SINK_FILE
+ *   (default logs/sms-sink.jsonl)
+ *
+ * A test harness reports delivery by POSTing { messageId, status } to
+ * statusCallbackUrl and replies by POSTing { from, body } to
+ * /api/communications/webhook/sms/inbound. When SMS_SINK_SECRET is set,
+ * requests in both directions carry X-Sink-Signature: hex HMAC-SHA256 of
+ * the body.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseJSONStatus, parseJSONInbound } from './console-transport.js';
+
+const DEFAULT_SINK_FILE = 'logs/sms-sink.jsonl';
+
+class SinkTransport {
+  constructor({
+    url = process.env.SMS_SINK_URL,
+    file = process.env.SMS_SINK_FILE || DEFAULT_SINK_FILE,
+    secret = process.env.SMS_SINK_SECRET
+  } = {}) {
+    this.name = 'sink';
+    this.url = url;
+    this.file = file;
+    this.secret = secret;
+  }
+
+  async send({ to, body, statusCallbackUrl }) {
+    const message = {
+      messageId: `sink_${crypto.randomUUID()}`,
+      to,
+      body,
+      statusCallbackUrl: statusCallbackUrl || null,
+      sentAt: new Date().toISOString()
+    };
+    const payload = JSON.stringify(message);
+
+    if (this.url) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.secret) {
+        headers['X-Sink-Signature'] = this._sign(payload);
+      }
+
+      const response = await fetch(this.url, { method: 'POST', headers, body: payload });
+      if (!response.ok) {
+        throw new Error(`SMS sink rejected message (${response.status})`);
+      }
+    } else {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, payload + '\n');
+    }
+
+    return { messageId: message.messageId, status: 'sent' };
+  }
+
+  verifyWebhook(req, rawBody) {
+    if (!this.secret) {
+      return process.env.NODE_ENV !== 'production';
+    }
+
+    const signature = req.headers['x-sink-signature'];
+    if (!signature) return false;
+
+    const received = Buffer.from(signature);
+    const expected = Buffer.from(this._sign(rawBody || ''));
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  parseStatusCallback(body) {
+    return parseJSONStatus(body);
+  }
+
+  parseInbound(body) {
+    return parseJSONInbound(body);
+  }
+
+  webhookResponse() {
+    return { contentType: 'application/json', body: JSON.stringify({ success: true }) };
+  }
+
+  _sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+}
+
+export default SinkTransport;
@@ -0,0 +1,203 @@
+/**
+ * AWS SNS SMS Transport
+ *
+ * Sends transactional SMS with SNS Publish (@aws-sdk/client-sns, loaded on
+ * first use). SNS itself has no per-message callbacks, so both webhooks take
+ * SNS HTTPS notifications:
+ * - /api/communications/webhook/sms/inbound: subscribe the two-way SMS
+ *   topic (AWS End User Messaging publishes inbound messages to it)
+ * - /api/communications/webhook/sms/status: subscribe a topic fed with the
+ *   SMS delivery status log records
+ * Subscriptions are confirmed automatically for topics in SNS_TOPIC_ARNS.
+ *
+ * Env: AWS_REGION (and the usual AWS credentials), SNS_SENDER_ID
+ * (optional), SNS_TOPIC_ARNS (comma-separated).
+ */
+
+import crypto from 'crypto';
+
+// Only fetch signing certificates from SNS itself
+const SIGNING_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Fields signed in each SNS message type, in signing order
+const SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+// Delivery status log status -> DELIVERY_STATUS
+const STATUS_MAP = {
+  SUCCESS: 'delivered',
+  FAILURE: 'failed'
+};
+
+const certificates = new Map();
+
+class SNSTransport {
+  constructor({
+    region = process.env.AWS_REGION,
+    senderId = process.env.SNS_SENDER_ID,
+    topicArns = (process.env.SNS_TOPIC_ARNS || '').split(',').map(arn => arn.trim()).filter(Boolean)
+  } = {}) {
+    if (!region) {
+      throw new Error('AWS SNS SMS needs AWS_REGION');
+    }
+
+    this.name = 'sns';
+    this.region = region;
+    this.senderId = senderId;
+    this.topicArns = topicArns;
+    this.client = null;
+  }
+
+  async send({ to, body }) {
+    const sns = await this._sdk();
+
+    const attributes = {
+      'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+    };
+    if (this.senderId) {
+      attributes['AWS.SNS.SMS.SenderID'] = { DataType: 'String', StringValue: this.senderId };
+    }
+
+    const result = await this.client.send(new sns.PublishCommand({
+      PhoneNumber: to,
+      Message: body,
+      MessageAttributes: attributes
+    }));
+
+    return { messageId: result.MessageId, status: 'sent' };
+  }
+
+  /**
+   * Verify the SNS message signature with the topic's signing certificate
+   */
+  async verifyWebhook(req, rawBody) {
+    const envelope = parseEnvelope(rawBody);
+    const fields = SIGNED_FIELDS[envelope?.Type];
+    if (!fields || !envelope.Signature || !this.topicArns.includes(envelope.TopicArn)) {
+      return false;
+    }
+
+    let certUrl;
+    try {
+      certUrl = new URL(envelope.SigningCertURL);
+    } catch (error) {
+      return false;
+    }
+    if (certUrl.protocol !== 'https:' || !SIGNING_CERT_HOST.test(certUrl.hostname)) {
+      return false;
+    }
+
+    const payload = fields
+      .filter(field => envelope[field] !== undefined)
+      .map(field => `${field}\n${envelope[field]}\n`)
+      .join('');
+
+    const algorithm = envelope.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+    const certificate = await this._certificate(certUrl.href);
+
+    return crypto.verify(algorithm, Buffer.from(payload), certificate, Buffer.from(envelope.Signature, 'base64'));
+  }
+
+  /**
+   * Confirm a (verified) subscription request; true when it was one
+   */
+  async acknowledgeSubscription(body) {
+    const envelope = parseEnvelope(body);
+    if (envelope?.Type !== 'SubscriptionConfirmation') return false;
+
+    const response = await fetch(envelope.SubscribeURL);
+    if (!response.ok) {
+      throw new Error(`SNS subscription confirmation failed (${response.status})`);
+    }
+
+    return true;
+  }
+
+  parseStatusCallback(body) {
+    const record = parseMessage(body);
+    if (!record?.notification?.messageId || !record.status) return null;
+
+    const failed = record.status !== 'SUCCESS';
+
+    return {
+      messageId: record.notification.messageId,
+      status: STATUS_MAP[record.status] || null,
+      errorCode: null,
+      errorMessage: failed ? record.delivery?.providerResponse || null : null
+    };
+  }
+
+  parseInbound(body) {
+    const message = parseMessage(body);
+    if (!message?.originationNumber) return null;
+
+    return {
+      messageId: message.inboundMessageId || parseEnvelope(body).MessageId,
+      from: message.originationNumber,
+      to: message.destinationNumber || null,
+      body: message.messageBody || ''
+    };
+  }
+
+  webhookResponse() {
+    return { contentType: 'application/json', body: JSON.stringify({ success: true }) };
+  }
+
+  async _sdk() {
+    let sns;
+    try {
+      sns = await import('@aws-sdk/client-sns');
+    } catch (error) {
+      throw new Error('SMS_PROVIDER=sns but @aws-sdk/client-sns is not installed');
+    }
+
+    if (!this.client) {
+      this.client = new sns.SNSClient({ region: this.region });
+    }
+
+    return sns;
+  }
+
+  async _certificate(url) {
+    if (!certificates.has(url)) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not fetch SNS signing certificate (${response.status})`);
+      }
+      certificates.set(url, await response.text());
+    }
+
+    return certificates.get(url);
+  }
+}
+
+/**
+ * SNS posts its JSON envelope as text/plain, so the body may be a string
+ */
+function parseEnvelope(body) {
+  if (typeof body !== 'string') return body || null;
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The JSON message inside an SNS notification
+ */
+function parseMessage(body) {
+  const envelope = parseEnvelope(body);
+  if (envelope?.Type !== 'Notification') return null;
+
+  try {
+    return JSON.parse(envelope.Message);
+  } catch (error) {
+    return null;
+  }
+}
+
+export default SNSTransport;
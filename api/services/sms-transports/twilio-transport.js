@@ -0,0 +1,135 @@
+/**
+ * Twilio SMS Transport
+ *
+ * Sends through the Twilio Messaging REST API. Twilio posts delivery status
+ * changes to the StatusCallback URL given with each message, and inbound
+ * messages to the number's messaging webhook (configure it as
+ * /api/communications/webhook/sms/inbound); both are signed with the auth
+ * token.
+ *
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER or
+ * TWILIO_MESSAGING_SERVICE_SID.
+ */
+
+import crypto from 'crypto';
+import { webhookUrl } from './index.js';
+
+const TWILIO_API_URL = process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01';
+
+// Twilio MessageStatus -> DELIVERY_STATUS
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'bounced',
+  failed: 'failed'
+};
+
+class TwilioTransport {
+  constructor({
+    accountSid = process.env.TWILIO_ACCOUNT_SID,
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    from = process.env.TWILIO_PHONE_NUMBER,
+    messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID
+  } = {}) {
+    if (!accountSid || !authToken || !(from || messagingServiceSid)) {
+      throw new Error('Twilio SMS needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER or TWILIO_MESSAGING_SERVICE_SID');
+    }
+
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.messagingServiceSid = messagingServiceSid;
+  }
+
+  async send({ to, body, statusCallbackUrl }) {
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (this.messagingServiceSid) {
+      params.set('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      params.set('From', this.from);
+    }
+    if (statusCallbackUrl) {
+      params.set('StatusCallback', statusCallbackUrl);
+    }
+
+    const response = await fetch(`${TWILIO_API_URL}/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: params.toString()
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`Twilio send failed (${response.status}): ${result.message || 'unknown error'}`);
+      error.code = result.code;
+      throw error;
+    }
+
+    return { messageId: result.sid, status: STATUS_MAP[result.status] || 'queued' };
+  }
+
+  /**
+   * Check X-Twilio-Signature: HMAC-SHA1 of the full URL followed by each
+   * POST parameter name and value, sorted by name
+   */
+  verifyWebhook(req, rawBody) {
+    const signature = req.headers['x-twilio-signature'];
+    const url = webhookUrl(req.url);
+    if (!signature || !url) return false;
+
+    const params = new URLSearchParams(rawBody || '');
+    const payload = Array.from(params.keys())
+      .sort()
+      .reduce((text, key) => text + key + params.get(key), url);
+
+    const expected = crypto.createHmac('sha1', this.authToken).update(payload).digest('base64');
+
+    const received = Buffer.from(signature);
+    const calculated = Buffer.from(expected);
+
+    return received.length === calculated.length && crypto.timingSafeEqual(received, calculated);
+  }
+
+  parseStatusCallback(body) {
+    if (!body?.MessageSid || !body.MessageStatus) return null;
+
+    return {
+      messageId: body.MessageSid,
+      status: STATUS_MAP[body.MessageStatus] || null,
+      errorCode: body.ErrorCode || null,
+      errorMessage: body.ErrorMessage || null
+    };
+  }
+
+  parseInbound(body) {
+    if (!body?.MessageSid || !body.From) return null;
+
+    return {
+      messageId: body.MessageSid,
+      from: body.From,
+      to: body.To || null,
+      body: body.Body || ''
+    };
+  }
+
+  /**
+   * Empty TwiML: replies are sent separately, not in the webhook response
+   */
+  webhookResponse() {
+    return {
+      contentType: 'text/xml',
+      body: '<?xml version="1.0" encoding="UTF-8"?><Response></Response>'
+    };
+  }
+}
+
+export default TwilioTransport;
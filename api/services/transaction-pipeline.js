@@ -0,0 +1,307 @@
+/**
+ * Transaction Pipeline
+ *
+ * Runs every new transaction through the full analysis stack:
+ * 1. Merchant enrichment (known merchants, venues, false positives)
+ * 2. Heuristic gambling detection (PatternLearner)
+ * 3. ML classification, anomaly detection and pattern-evolution updates
+ *    (MLPatternEngine, with AnomalyDetector/PatternEvolution run directly
+ *    when the ML engine is unavailable)
+ *
+ * The stage results are combined into a single verdict and confidence,
+ * from which the alert severity is derived.
+ *
+ * Every stage is isolated: a failing stage is recorded in `errors` and the
+ * verdict is computed from the stages that succeeded.
+ */
+
+import MerchantEnrichment from './merchant-enrichment.js';
+import PatternLearner from './pattern-learner.js';
+import AnomalyDetector from './anomaly-detector.js';
+import PatternEvolution from './pattern-evolution.js';
+import metricsCollector from './metrics-collector.js';
+
+// Combined verdicts
+const VERDICTS = {
+  GAMBLING: 'gambling',
+  SUSPICIOUS: 'suspicious',
+  CLEAR: 'clear'
+};
+
+// Alert severities (ordered)
+const SEVERITY_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
+
+// Gambling probability thresholds for the combined verdict
+const VERDICT_THRESHOLDS = {
+  gambling: 0.7,
+  suspicious: 0.4
+};
+
+// Weight of each stage in the combined gambling probability
+const STAGE_WEIGHTS = {
+  enrichment: 0.4,
+  ml: 0.35,
+  heuristic: 0.25
+};
+
+/**
+ * Raise a severity by `steps` levels (capped at critical)
+ */
+function raiseSeverity(severity, steps = 1) {
+  const index = SEVERITY_LEVELS.indexOf(severity);
+  return SEVERITY_LEVELS[Math.min(index + steps, SEVERITY_LEVELS.length - 1)];
+}
+
+class TransactionPipeline {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.enrichment = options.enrichment || new MerchantEnrichment(supabaseClient);
+    this.patternLearner = options.patternLearner || new PatternLearner(supabaseClient);
+    this.anomalyDetector = options.anomalyDetector || new AnomalyDetector(supabaseClient);
+    this.evolution = options.evolution || new PatternEvolution(supabaseClient);
+    this.mlEngine = options.mlEngine || null;
+    this.mlUnavailable = false;
+  }
+
+  /**
+   * Analyze a normalized Up transaction
+   *
+   * Returns { verdict, confidence, severity, gamblingType, stages, errors }
+   */
+  async process(transaction, { userId, whitelisted = false } = {}) {
+    const row = this._toRow(transaction);
+    const stages = {};
+    const errors = [];
+
+    const runStage = async (name, fn) => {
+      try {
+        stages[name] = await fn();
+      } catch (error) {
+        console.error(`Transaction pipeline stage ${name} failed:`, error);
+        errors.push({ stage: name, error: error.message });
+        stages[name] = null;
+      }
+    };
+
+    await runStage('enrichment', () => this.enrichment.enrichTransaction(row));
+    await runStage('heuristic', () => this.patternLearner.analyzeTransaction(row));
+
+    if (userId) {
+      await runStage('ml', () => this._runML(transaction, userId));
+
+      // The ML engine runs anomaly detection and pattern updates itself
+      if (stages.ml) {
+        stages.anomaly = stages.ml.isAnomaly || null;
+      } else {
+        await runStage('anomaly', () => this.anomalyDetector.detectAnomaly(transaction, userId));
+      }
+    }
+
+    const { verdict, confidence, gamblingType } = this._combine(stages);
+    const severity = this._decideSeverity(verdict, stages, whitelisted);
+
+    if (userId && !stages.ml && verdict !== VERDICTS.CLEAR) {
+      await runStage('evolution', () =>
+        this.evolution.updatePatterns(userId, this._toEvolutionAnalysis(stages, confidence))
+      );
+    }
+
+    return {
+      verdict,
+      confidence,
+      severity,
+      gamblingType,
+      stages,
+      errors
+    };
+  }
+
+  /**
+   * Compact summary of a pipeline result for storage on the transaction row
+   */
+  summarize(result) {
+    const { enrichment, heuristic, ml, anomaly } = result.stages;
+
+    return {
+      enrichment: enrichment && {
+        merchantName: enrichment.enrichedPayeeName,
+        merchantType: enrichment.merchantType,
+        isGambling: enrichment.isGambling,
+        confidence: enrichment.confidence,
+        category: enrichment.category,
+        merchantId: enrichment.merchant?.merchantId || null,
+        abn: enrichment.merchant?.abn || null,
+        suburb: enrichment.merchant?.suburb || null
+      },
+      heuristic: heuristic && {
+        isGambling: heuristic.isGambling,
+        confidence: heuristic.confidence,
+        gamblingType: heuristic.gamblingType,
+        patterns: heuristic.patterns
+      },
+      ml: ml && {
+        isGambling: ml.isGambling,
+        gamblingConfidence: ml.gamblingConfidence,
+        gamblingType: ml.gamblingType,
+        relapseRisk: ml.relapseRisk,
+        explanation: ml.explanation?.summary || null
+      },
+      anomaly: anomaly && {
+        isAnomaly: anomaly.isAnomaly,
+        severity: anomaly.severity,
+        confidence: anomaly.confidence,
+        types: (anomaly.anomalies || []).map(a => a.type)
+      },
+      errors: result.errors
+    };
+  }
+
+  /**
+   * Run the ML engine (loaded lazily on first use)
+   * Returns null when the engine is not available.
+   */
+  async _runML(transaction, userId) {
+    if (this.mlUnavailable) return null;
+
+    if (!this.mlEngine) {
+      try {
+        const { default: MLPatternEngine } = await import('./ml-pattern-engine.js');
+        this.mlEngine = new MLPatternEngine(this.supabase);
+      } catch (error) {
+        console.warn('ML Pattern Engine unavailable, using heuristics only:', error.message);
+        this.mlUnavailable = true;
+        return null;
+      }
+    }
+
+    const start = Date.now();
+    const analysis = await this.mlEngine.analyzeTransaction(transaction, userId);
+    metricsCollector.trackMLInference('gambling_classifier', 'analyze_transaction', (Date.now() - start) / 1000);
+
+    return analysis;
+  }
+
+  /**
+   * Combine stage results into a gambling probability and verdict
+   */
+  _combine(stages) {
+    const { enrichment, heuristic, ml } = stages;
+    const signals = [];
+
+    if (enrichment) {
+      const enrichmentConfidence = (enrichment.confidence || 0) / 100;
+      if (enrichment.isGambling) {
+        signals.push({ stage: 'enrichment', probability: enrichmentConfidence });
+      } else if (enrichment.category === 'legitimate') {
+        signals.push({ stage: 'enrichment', probability: 1 - enrichmentConfidence });
+      }
+    }
+
+    if (heuristic) {
+      signals.push({
+        stage: 'heuristic',
+        probability: heuristic.isGambling ? heuristic.confidence / 100 : 0
+      });
+    }
+
+    if (ml) {
+      signals.push({ stage: 'ml', probability: ml.gamblingConfidence });
+    }
+
+    let probability = 0;
+    const totalWeight = signals.reduce((sum, s) => sum + STAGE_WEIGHTS[s.stage], 0);
+    if (totalWeight > 0) {
+      probability = signals.reduce((sum, s) => sum + s.probability * STAGE_WEIGHTS[s.stage], 0) / totalWeight;
+    }
+
+    // A known gambling merchant or a known false positive is decisive
+    if (enrichment?.isGambling && enrichment.confidence >= 100) {
+      probability = 1;
+    } else if (enrichment?.category === 'legitimate' && enrichment.confidence >= 100) {
+      probability = 0;
+    }
+
+    let verdict = VERDICTS.CLEAR;
+    if (probability >= VERDICT_THRESHOLDS.gambling) {
+      verdict = VERDICTS.GAMBLING;
+    } else if (probability >= VERDICT_THRESHOLDS.suspicious) {
+      verdict = VERDICTS.SUSPICIOUS;
+    }
+
+    const gamblingType = verdict === VERDICTS.CLEAR
+      ? null
+      : enrichment?.merchantType || ml?.gamblingType || heuristic?.gamblingType || null;
+
+    return {
+      verdict,
+      confidence: Math.round(probability * 1000) / 1000,
+      gamblingType
+    };
+  }
+
+  /**
+   * Decide alert severity from the verdict, anomalies and whitelist status
+   * Severity sets how loud the push is; non-whitelisted transactions still
+   * fall back to SMS at any severity (PushNotificationService).
+   */
+  _decideSeverity(verdict, stages, whitelisted) {
+    let severity;
+
+    if (verdict === VERDICTS.GAMBLING) {
+      severity = 'high';
+    } else if (verdict === VERDICTS.SUSPICIOUS) {
+      severity = whitelisted ? 'low' : 'medium';
+    } else {
+      severity = whitelisted ? 'none' : 'low';
+    }
+
+    if (severity === 'none') {
+      return severity;
+    }
+
+    // Unusual behaviour raises the severity
+    const anomaly = stages.anomaly;
+    if (anomaly?.isAnomaly && (anomaly.severity === 'high' || anomaly.severity === 'critical')) {
+      severity = raiseSeverity(severity);
+    }
+
+    // High predicted relapse risk on a gambling transaction is critical
+    if (verdict === VERDICTS.GAMBLING && stages.ml?.relapseRisk > 0.7) {
+      severity = 'critical';
+    }
+
+    return severity;
+  }
+
+  /**
+   * Build a pattern-evolution update from heuristic results
+   */
+  _toEvolutionAnalysis(stages, confidence) {
+    const patterns = (stages.heuristic?.patterns || []).map(name => ({
+      type: 'heuristic',
+      name,
+      strength: confidence,
+      description: `Detected by heuristic analysis: ${name.replace(/_/g, ' ')}`
+    }));
+
+    return { patterns, triggers: [] };
+  }
+
+  /**
+   * Map a normalized Up transaction to the row shape used by the
+   * enrichment and heuristic stages
+   */
+  _toRow(transaction) {
+    return {
+      transaction_id: transaction.id,
+      payee_name: transaction.description,
+      description: transaction.rawText || transaction.description,
+      amount: parseFloat(transaction.amount.value),
+      timestamp: transaction.createdAt,
+      category: transaction.category
+    };
+  }
+}
+
+export default TransactionPipeline;
+export { VERDICTS, SEVERITY_LEVELS };
@@ -1,53 +1,349 @@
 /**
  * API Translation Service
  *
- * Provides translations for API responses, SMS, emails, and notifications
- * Supports: English, Chinese, Vietnamese, Arabic
+ * Provides translations for API responses, SMS, emails, push notifications
+ * and reports. Supports: English, Chinese, Vietnamese, Arabic
+ *
+ * Catalogues live in api/locales/<language>.json, keyed by channel:
+ * sms.<category>.<TEMPLATE>, email.<TEMPLATE>.*, push.<EVENT>.{title,body},
+ * report.*. Messages use ICU MessageFormat syntax:
+ * - {name} arguments
+ * - {count, plural, =0 {...} one {# day} other {# days}} with the
+ *   language's plural categories (Arabic: zero, one, two, few, many, other)
+ * - {flag, select, true {...} other {...}}
+ * - {when, date, short|medium|long|month}
+ *
+ * Keys missing from a catalogue fall back to English; run
+ * api/scripts/report-missing-translations.js to list them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOCALES_DIR = path.join(__dirname, '../locales');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Arabic keeps Latin digits so dates match the amounts in the templates
+const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', locale: 'en-AU', dir: 'ltr' },
+  zh: { name: 'Chinese', nativeName: '简体中文', locale: 'zh-Hans', dir: 'ltr' },
+  vi: { name: 'Vietnamese', nativeName: 'Tiếng Việt', locale: 'vi-VN', dir: 'ltr' },
+  ar: { name: 'Arabic', nativeName: 'العربية', locale: 'ar-SA-u-nu-latn', dir: 'rtl' }
+};
+
+const DATE_FORMATS = {
+  short: { year: 'numeric', month: 'numeric', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: 'numeric' },
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  month: { year: 'numeric', month: 'long' }
+};
+
+const catalogues = new Map();
+const parsedMessages = new Map();
+const pluralRules = new Map();
+
+/**
+ * Load a language's catalogue from api/locales (cached)
+ */
+function loadCatalogue(language) {
+  if (!catalogues.has(language)) {
+    const filePath = path.join(LOCALES_DIR, `${language}.json`);
+    catalogues.set(language, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  return catalogues.get(language);
+}
+
+function lookup(catalogue, key) {
+  let value = catalogue;
+
+  for (const k of key.split('.')) {
+    value = value?.[k];
+    if (value === undefined) return undefined;
+  }
+
+  return value;
+}
+
+/**
+ * Parse an ICU message into strings and argument nodes
+ * Throws on malformed messages.
+ */
+function parseMessage(message) {
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw new Error(`${reason} at position ${pos} in "${message}"`);
+  };
+
+  const readUntil = (stop) => {
+    const start = pos;
+    while (pos < message.length && !stop.test(message[pos])) pos++;
+    if (pos >= message.length) fail('Unterminated argument');
+    return message.slice(start, pos).trim();
+  };
+
+  const skipWhitespace = () => {
+    while (/\s/.test(message[pos] || '')) pos++;
+  };
+
+  const expect = (char) => {
+    if (message[pos] !== char) fail(`Expected "${char}"`);
+    pos++;
+  };
+
+  function parseParts(inPlural) {
+    const parts = [];
+    let text = '';
+
+    const flush = () => {
+      if (text) parts.push(text);
+      text = '';
+    };
+
+    while (pos < message.length) {
+      const char = message[pos];
+
+      if (char === "'") {
+        // '' is a literal quote; a quote before { } or # starts quoted text
+        const next = message[pos + 1];
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          const end = message.indexOf("'", pos + 1);
+          const close = end === -1 ? message.length : end;
+          text += message.slice(pos + 1, close);
+          pos = close + 1;
+        } else {
+          text += char;
+          pos++;
+        }
+        continue;
+      }
+
+      if (char === '}') break;
+
+      if (char === '{') {
+        flush();
+        parts.push(parseArgument(inPlural));
+        continue;
+      }
+
+      if (char === '#' && inPlural) {
+        flush();
+        parts.push({ type: 'count' });
+        pos++;
+        continue;
+      }
+
+      text += char;
+      pos++;
+    }
+
+    flush();
+    return parts;
+  }
+
+  function parseArgument(inPlural) {
+    expect('{');
+    const name = readUntil(/[,}]/);
+    if (!name) fail('Missing argument name');
+
+    if (message[pos] === '}') {
+      pos++;
+      return { type: 'argument', name };
+    }
+
+    expect(',');
+    const type = readUntil(/[,}]/);
+
+    if (type === 'date') {
+      let style = 'short';
+      if (message[pos] === ',') {
+        pos++;
+        style = readUntil(/}/);
+      }
+      if (!DATE_FORMATS[style]) fail(`Unknown date style "${style}"`);
+      expect('}');
+      return { type, name, style };
+    }
+
+    if (type !== 'plural' && type !== 'select') fail(`Unsupported argument type "${type}"`);
+    expect(',');
+
+    const options = {};
+    let offset = 0;
+
+    for (;;) {
+      skipWhitespace();
+      if (message[pos] === '}') {
+        pos++;
+        break;
+      }
+
+      const selector = readUntil(/[\s{]/);
+      if (selector.startsWith('offset:')) {
+        offset = Number(selector.slice('offset:'.length));
+        continue;
+      }
+
+      skipWhitespace();
+      expect('{');
+      options[selector] = parseParts(type === 'plural' || inPlural);
+      expect('}');
+    }
+
+    if (!options.other) fail(`${type} "${name}" has no "other" option`);
+
+    return { type, name, options, offset };
+  }
+
+  const parts = parseParts(false);
+  if (pos < message.length) fail('Unexpected "}"');
+
+  return parts;
+}
+
+/**
+ * Arguments (with their types) a message uses, e.g. for comparing a
+ * translation against the English message
+ */
+function getMessageArguments(message) {
+  const args = {};
+
+  const walk = (parts) => {
+    for (const part of parts) {
+      if (typeof part === 'string' || part.type === 'count') continue;
+      args[part.name] = part.type;
+      if (part.options) Object.values(part.options).forEach(walk);
+    }
+  };
+
+  walk(parseMessage(message));
+  return args;
+}
+
+/**
+ * Plural categories used by a message's plural arguments, by argument
  */
+function getPluralOptions(message) {
+  const plurals = {};
+
+  const walk = (parts) => {
+    for (const part of parts) {
+      if (typeof part === 'string' || !part.options) continue;
+      if (part.type === 'plural') {
+        plurals[part.name] = [...(plurals[part.name] || []), ...Object.keys(part.options)];
+      }
+      Object.values(part.options).forEach(walk);
+    }
+  };
+
+  walk(parseMessage(message));
+  return plurals;
+}
 
-// Language files (initialized below with API locales)
-const translations = {};
+function getPluralRules(language) {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(localeFor(language)));
+  }
+
+  return pluralRules.get(language);
+}
+
+function localeFor(language) {
+  return (SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]).locale;
+}
 
 class APITranslationService {
   constructor() {
-    this.defaultLanguage = 'en';
+    this.defaultLanguage = DEFAULT_LANGUAGE;
   }
 
   /**
    * Translate a key
+   * Falls back to English, then to the key itself.
    */
   t(key, language = 'en', params = {}) {
-    const locale = translations[language] || translations[this.defaultLanguage];
+    language = this.normalizeLanguage(language);
 
-    const keys = key.split('.');
-    let value = locale;
+    let value = lookup(loadCatalogue(language), key);
 
-    for (const k of keys) {
-      value = value?.[k];
-      if (value === undefined) {
-        console.warn(`Translation missing: ${key} for language: ${language}`);
-        return key;
-      }
+    if (value === undefined && language !== this.defaultLanguage) {
+      console.warn(`Translation missing: ${key} for language: ${language}`);
+      value = lookup(loadCatalogue(this.defaultLanguage), key);
+    }
+
+    if (value === undefined) {
+      console.warn(`Translation missing: ${key} for language: ${this.defaultLanguage}`);
+      return key;
     }
 
-    return this._replaceParams(value, params);
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    return this.format(value, params, language);
+  }
+
+  /**
+   * Whether a key exists in a language's own catalogue (no fallback)
+   */
+  has(key, language = 'en') {
+    return typeof lookup(loadCatalogue(this.normalizeLanguage(language)), key) === 'string';
   }
 
   /**
    * Translate with pluralization
+   * Prefer ICU plurals in the message; this handles the older
+   * { zero, one, other } objects.
    */
   tc(key, count, language = 'en', params = {}) {
     const translation = this.t(key, language, { count, ...params });
 
     if (typeof translation === 'object') {
-      return this._pluralize(translation, count, params);
+      return this._pluralize(translation, count, params, language);
     }
 
     return translation;
   }
 
+  /**
+   * Translator for the keys under `prefix` in one language
+   * (its `language` is the normalised language)
+   */
+  scope(prefix, language = 'en') {
+    const t = (key, params = {}) => this.t(`${prefix}.${key}`, language, params);
+    t.language = this.normalizeLanguage(language);
+    return t;
+  }
+
+  /**
+   * Format an ICU message
+   */
+  format(message, params = {}, language = 'en') {
+    let parts = parsedMessages.get(message);
+
+    if (!parts) {
+      try {
+        parts = parseMessage(message);
+      } catch (error) {
+        console.error('Invalid translation message:', error.message);
+        return message;
+      }
+      parsedMessages.set(message, parts);
+    }
+
+    return this._formatParts(parts, params, this.normalizeLanguage(language));
+  }
+
   /**
    * Translate SMS message
+   * `templateKey` is <category>.<TEMPLATE_ID>, e.g. user.DAILY_CHECKIN
    */
   translateSMS(templateKey, language, data) {
     return this.t(`sms.${templateKey}`, language, data);
@@ -64,12 +360,12 @@ class APITranslationService {
   }
 
   /**
-   * Translate notification
+   * Translate push notification
    */
   translateNotification(type, language, data) {
     return {
-      title: this.t(`notifications.${type}.title`, language, data),
-      body: this.t(`notifications.${type}.body`, language, data)
+      title: this.t(`push.${type}.title`, language, data),
+      body: this.t(`push.${type}.body`, language, data)
     };
   }
 
@@ -77,26 +373,42 @@ class APITranslationService {
    * Get supported languages
    */
   getSupportedLanguages() {
-    return [
-      { code: 'en', name: 'English', nativeName: 'English' },
-      { code: 'zh', name: 'Chinese', nativeName: '简体中文' },
-      { code: 'vi', name: 'Vietnamese', nativeName: 'Tiếng Việt' },
-      { code: 'ar', name: 'Arabic', nativeName: 'العربية' }
-    ];
+    return Object.entries(SUPPORTED_LANGUAGES).map(([code, { name, nativeName, dir }]) => ({
+      code,
+      name,
+      nativeName,
+      rtl: dir === 'rtl'
+    }));
+  }
+
+  isSupported(language) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, language);
+  }
+
+  /**
+   * Supported language for a language tag ('zh-Hans' -> 'zh', 'fr' -> 'en')
+   */
+  normalizeLanguage(language) {
+    const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+    return this.isSupported(code) ? code : this.defaultLanguage;
+  }
+
+  /**
+   * Text direction for a language ('rtl' for Arabic)
+   */
+  getDirection(language) {
+    return SUPPORTED_LANGUAGES[this.normalizeLanguage(language)].dir;
+  }
+
+  isRTL(language) {
+    return this.getDirection(language) === 'rtl';
   }
 
   /**
    * Format currency based on language
    */
   formatCurrency(amount, language = 'en') {
-    const locales = {
-      en: 'en-AU',
-      zh: 'zh-Hans',
-      vi: 'vi-VN',
-      ar: 'ar-SA'
-    };
-
-    return new Intl.NumberFormat(locales[language] || 'en-AU', {
+    return new Intl.NumberFormat(localeFor(language), {
       style: 'currency',
       currency: 'AUD'
     }).format(amount);
@@ -106,122 +418,85 @@ class APITranslationService {
    * Format number based on language
    */
   formatNumber(number, language = 'en') {
-    const locales = {
-      en: 'en-AU',
-      zh: 'zh-Hans',
-      vi: 'vi-VN',
-      ar: 'ar-SA'
-    };
-
-    return new Intl.NumberFormat(locales[language] || 'en-AU').format(number);
+    return new Intl.NumberFormat(localeFor(language)).format(number);
   }
 
   /**
    * Format date based on language
    */
   formatDate(date, language = 'en', format = 'short') {
-    const locales = {
-      en: 'en-AU',
-      zh: 'zh-Hans',
-      vi: 'vi-VN',
-      ar: 'ar-SA'
-    };
-
-    const formats = {
-      short: { year: 'numeric', month: 'numeric', day: 'numeric' },
-      medium: { year: 'numeric', month: 'short', day: 'numeric' },
-      long: { year: 'numeric', month: 'long', day: 'numeric' }
-    };
-
     return new Intl.DateTimeFormat(
-      locales[language] || 'en-AU',
-      formats[format] || formats.short
+      localeFor(language),
+      DATE_FORMATS[format] || DATE_FORMATS.short
     ).format(new Date(date));
   }
 
   /**
-   * Replace parameters in string
+   * Render parsed message parts
+   * `count` is the value # stands for inside a plural.
    */
-  _replaceParams(text, params) {
-    let result = text;
+  _formatParts(parts, params, language, count) {
+    return parts.map(part => {
+      if (typeof part === 'string') return part;
+      if (part.type === 'count') return count === undefined ? '#' : String(count);
 
-    for (const [key, value] of Object.entries(params)) {
-      const regex = new RegExp(`{${key}}`, 'g');
-      result = result.replace(regex, value);
-    }
+      const value = params[part.name];
+      if (value === undefined || value === null) {
+        if (part.type === 'argument' || part.type === 'date') return `{${part.name}}`;
+      }
+
+      switch (part.type) {
+        case 'argument':
+          return String(value);
 
-    return result;
+        case 'date':
+          return this.formatDate(value, language, part.style);
+
+        case 'plural': {
+          const number = Number(value) - part.offset;
+          const option = part.options[`=${Number(value)}`] ||
+            part.options[getPluralRules(language).select(number)] ||
+            part.options.other;
+          return this._formatParts(option, params, language, number);
+        }
+
+        default: {
+          const option = part.options[String(value)] || part.options.other;
+          return this._formatParts(option, params, language, count);
+        }
+      }
+    }).join('');
   }
 
   /**
    * Pluralize translation
    */
-  _pluralize(translations, count, params) {
+  _pluralize(translations, count, params, language) {
+    const category = getPluralRules(this.normalizeLanguage(language)).select(count);
     let key;
 
     if (count === 0 && translations.zero) {
       key = 'zero';
-    } else if (count === 1) {
-      key = 'one';
+    } else if (translations[category]) {
+      key = category;
     } else {
       key = 'other';
     }
 
     const text = translations[key] || translations.other;
-    return this._replaceParams(text, { count, ...params });
+    return this.format(text, { count, ...params }, language);
   }
 }
 
 const translationService = new APITranslationService();
 
 export default translationService;
-
-// Stub locale files for API (simplified versions)
-const apiLocales = {
-  en: {
-    sms: {
-      daily_checkin: 'Day {cleanStreak} clean. ${savedTotal} saved. Stay strong.',
-      high_risk: "It's {time}. Your {pattern} pattern. Make different choices.",
-      guardian_alert: 'Guardian alert: {userName} needs support. High-risk detected.'
-    },
-    email: {
-      welcome: {
-        subject: "You've locked in. Here's what happens now.",
-        body: 'Welcome to Anchor. Your commitment: {commitmentDays} days.'
-      }
-    },
-    notifications: {
-      intervention: {
-        title: 'High Risk Detected',
-        body: 'AI intervention activated. Take a break.'
-      }
-    }
-  },
-  zh: {
-    sms: {
-      daily_checkin: '第{cleanStreak}天戒赌。已节省${savedTotal}。保持坚强。',
-      high_risk: '现在是{time}。这是您的{pattern}模式。做出不同的选择。',
-      guardian_alert: '监护人警报：{userName}需要支持。检测到高风险。'
-    }
-  },
-  vi: {
-    sms: {
-      daily_checkin: 'Ngày {cleanStreak} sạch. Đã tiết kiệm ${savedTotal}. Giữ vững.',
-      high_risk: 'Bây giờ là {time}. Đây là mẫu {pattern} của bạn. Hãy chọn khác.',
-      guardian_alert: 'Cảnh báo người giám hộ: {userName} cần hỗ trợ. Phát hiện rủi ro cao.'
-    }
-  },
-  ar: {
-    sms: {
-      daily_checkin: 'اليوم {cleanStreak} نظيف. تم توفير ${savedTotal}. ابق قوياً.',
-      high_risk: 'الوقت الآن {time}. هذا نمطك {pattern}. اتخذ خيارات مختلفة.',
-      guardian_alert: 'تنبيه الوصي: {userName} يحتاج إلى الدعم. تم اكتشاف خطر عالٍ.'
-    }
-  }
+export {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LOCALES_DIR,
+  loadCatalogue,
+  parseMessage,
+  getMessageArguments,
+  getPluralOptions
 };
-
-// Override require for simple locale access
-translations.en = apiLocales.en;
-translations.zh = apiLocales.zh;
-translations.vi = apiLocales.vi;
-translations.ar = apiLocales.ar;
@@ -0,0 +1,131 @@
+/**
+ * Up Credentials Service
+ *
+ * Stores each user's Up webhook secret and personal access token, and
+ * resolves them for an incoming webhook event:
+ * - The event's webhook ID identifies the user (users.up_webhook_id)
+ * - The user's secret verifies the signature; their token fetches the transaction
+ *
+ * Both are stored encrypted (EncryptionService, so ENCRYPTION_KEY must be
+ * set). Single-account deployments without stored credentials fall back to
+ * UP_WEBHOOK_SECRET, UP_ACCESS_TOKEN and ANCHOR_USER_ID.
+ */
+
+import encryptionService from './encryption-service.js';
+
+class UpCredentials {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Resolve the account behind an Up webhook
+   * Returns { userId, webhookSecret, accessToken }; any may be null.
+   */
+  async getForWebhook(webhookId) {
+    const userId = webhookId ? await this._getWebhookUserId(webhookId) : null;
+
+    if (userId) {
+      const credentials = await this.get(userId);
+      if (credentials) {
+        return { userId, ...credentials };
+      }
+    }
+
+    return {
+      userId: userId || process.env.ANCHOR_USER_ID || null,
+      webhookSecret: process.env.UP_WEBHOOK_SECRET || null,
+      accessToken: process.env.UP_ACCESS_TOKEN || null
+    };
+  }
+
+  /**
+   * Get a user's stored credentials, decrypted
+   * Returns { webhookId, webhookSecret, accessToken }, or null when none are
+   * stored.
+   */
+  async get(userId) {
+    const { data, error } = await this.supabase
+      .from('up_credentials')
+      .select('webhook_id, webhook_secret_encrypted, access_token_encrypted')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!data) return null;
+
+    return {
+      webhookId: data.webhook_id,
+      webhookSecret: encryptionService.decrypt(data.webhook_secret_encrypted),
+      accessToken: encryptionService.decrypt(data.access_token_encrypted)
+    };
+  }
+
+  /**
+   * Store the webhook created for a user and route its events to them
+   */
+  async save(userId, { webhookId, webhookSecret, accessToken }) {
+    // Without a configured key they could not be decrypted after a restart
+    if (!process.env.ENCRYPTION_KEY) {
+      throw new Error('ENCRYPTION_KEY is required to store Up credentials');
+    }
+
+    const { error } = await this.supabase
+      .from('up_credentials')
+      .upsert({
+        user_id: userId,
+        webhook_id: webhookId,
+        webhook_secret_encrypted: encryptionService.encrypt(webhookSecret),
+        access_token_encrypted: encryptionService.encrypt(accessToken)
+      }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    const { error: userError } = await this.supabase
+      .from('users')
+      .update({ up_webhook_id: webhookId })
+      .eq('id', userId);
+
+    if (userError) throw userError;
+  }
+
+  /**
+   * Forget a user's webhook once it has been deleted from Up
+   */
+  async removeWebhook(userId, webhookId) {
+    const { error } = await this.supabase
+      .from('up_credentials')
+      .delete()
+      .eq('user_id', userId)
+      .eq('webhook_id', webhookId);
+
+    if (error) throw error;
+
+    const { error: userError } = await this.supabase
+      .from('users')
+      .update({ up_webhook_id: null })
+      .eq('id', userId)
+      .eq('up_webhook_id', webhookId);
+
+    if (userError) throw userError;
+  }
+
+  async _getWebhookUserId(webhookId) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .select('id')
+      .eq('up_webhook_id', webhookId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data?.id || null;
+  }
+}
+
+export default UpCredentials;
@@ -0,0 +1,275 @@
+/**
+ * User Calibration Service
+ *
+ * Personalises the global gambling classifier for each user without
+ * training a model per user:
+ * - Normalisation stats: the amount feature is normalised with the mean and
+ *   standard deviation of the user's own spending (from imported and live
+ *   transactions) instead of the global training stats
+ * - Adapter: a logistic recalibration of the global gambling probability,
+ *   p' = sigmoid(slope * logit(p) + intercept), and a decision threshold,
+ *   fitted on the user's transactions labelled by their guardians or an
+ *   admin (classification feedback). The user's own labels are left out so
+ *   they cannot make the classifier less sensitive to their own gambling
+ *
+ * Users with too little history keep the global stats, and users with too
+ * few labels (or labels of only one kind) keep the global probability and
+ * the 0.5 threshold. An adapter is only applied with the production model
+ * version it was fitted on, so it falls back to global after a promotion
+ * until the next calibration run.
+ */
+
+import ClassificationFeedback, { TRUSTED_LABELLER_ROLES } from './classification-feedback.js';
+
+const MIN_HISTORY = 30; // Spending transactions needed for normalisation stats
+const MIN_LABELS = 10; // Labelled transactions needed for an adapter
+const MIN_LABELS_PER_CLASS = 3; // ...with at least this many gambling and non-gambling
+const HISTORY_LIMIT = 5000;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_THRESHOLD = 0.5;
+const THRESHOLDS = [0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7];
+const EPSILON = 1e-6;
+
+const CALIBRATION_MODES = {
+  GLOBAL: 'global', // Global model as-is
+  NORMALISED: 'normalised', // User normalisation stats only
+  PERSONALISED: 'personalised' // User stats (if any) and adapter
+};
+
+class UserCalibration {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.feedback = new ClassificationFeedback(supabaseClient);
+    this.cache = new Map();
+  }
+
+  /**
+   * Get a user's stored calibration (cached for five minutes)
+   * Returns null when the user has never been calibrated.
+   */
+  async getCalibration(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.calibration;
+    }
+
+    const { data, error } = await this.supabase
+      .from('user_model_calibrations')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    const calibration = data || null;
+    this.cache.set(userId, { calibration, loadedAt: Date.now() });
+
+    return calibration;
+  }
+
+  /**
+   * Recompute a user's normalisation stats and adapter
+   * `classifier` is the loaded production classifier the adapter is fitted on.
+   */
+  async calibrate(userId, classifier) {
+    const { featureStats, historySize } = await this.computeFeatureStats(userId);
+    const { adapter, labelledExamples } = await this.trainAdapter(userId, classifier, featureStats);
+
+    const { data, error } = await this.supabase
+      .from('user_model_calibrations')
+      .upsert({
+        user_id: userId,
+        feature_stats: featureStats,
+        adapter,
+        model_version: adapter ? classifier.modelVersion : null,
+        history_size: historySize,
+        labelled_examples: labelledExamples,
+        calibrated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    this.cache.set(userId, { calibration: data, loadedAt: Date.now() });
+
+    return data;
+  }
+
+  /**
+   * Normalisation stats from the user's spending history
+   * featureStats is null below MIN_HISTORY transactions.
+   */
+  async computeFeatureStats(userId) {
+    const { data, error } = await this.supabase
+      .from('transactions')
+      .select('amount')
+      .eq('user_id', userId)
+      .lt('amount', 0)
+      .order('timestamp', { ascending: false })
+      .limit(HISTORY_LIMIT);
+
+    if (error) throw error;
+
+    const amounts = (data || []).map(row => Math.abs(Number(row.amount))).filter(Number.isFinite);
+
+    if (amounts.length < MIN_HISTORY) {
+      return { featureStats: null, historySize: amounts.length };
+    }
+
+    const mean = amounts.reduce((sum, value) => sum + value, 0) / amounts.length;
+    const variance = amounts.reduce((sum, value) => sum + (value - mean) ** 2, 0) / amounts.length;
+
+    return {
+      featureStats: {
+        amount: { mean: round(mean), std: round(Math.max(Math.sqrt(variance), 1)) }
+      },
+      historySize: amounts.length
+    };
+  }
+
+  /**
+   * Fit the adapter on the user's transactions labelled by guardians or admins
+   * adapter is null when there are too few labels of either kind.
+   */
+  async trainAdapter(userId, classifier, featureStats) {
+    const { examples } = await this.feedback.getTrainingExamples({
+      userId,
+      labellerRoles: TRUSTED_LABELLER_ROLES
+    });
+
+    const positives = examples.filter(example => example.isGambling).length;
+    const negatives = examples.length - positives;
+
+    if (examples.length < MIN_LABELS || Math.min(positives, negatives) < MIN_LABELS_PER_CLASS) {
+      return { adapter: null, labelledExamples: examples.length };
+    }
+
+    const rows = [];
+    for (const example of examples) {
+      const prediction = await classifier.predict(example.features, { featureStats });
+      rows.push({ logit: logit(prediction.gamblingConfidence), label: example.isGambling ? 1 : 0 });
+    }
+
+    const { slope, intercept } = fitLogistic(rows);
+    const calibrated = rows.map(row => ({ p: sigmoid(slope * row.logit + intercept), label: row.label }));
+
+    // Best threshold on the labels; ties go to the one closest to 0.5
+    const threshold = THRESHOLDS
+      .map(candidate => ({ candidate, accuracy: accuracy(calibrated, candidate) }))
+      .sort((a, b) => b.accuracy - a.accuracy ||
+        Math.abs(a.candidate - DEFAULT_THRESHOLD) - Math.abs(b.candidate - DEFAULT_THRESHOLD))[0].candidate;
+
+    const global = rows.map(row => ({ p: sigmoid(row.logit), label: row.label }));
+
+    return {
+      adapter: {
+        slope: round(slope),
+        intercept: round(intercept),
+        threshold,
+        accuracy: {
+          global: round(accuracy(global, DEFAULT_THRESHOLD)),
+          calibrated: round(accuracy(calibrated, threshold))
+        }
+      },
+      labelledExamples: examples.length
+    };
+  }
+
+  /**
+   * Apply a user's adapter to the global predictions
+   * Returns the predictions unchanged when there is no usable adapter.
+   */
+  apply(calibration, predictions, modelVersion) {
+    const adapter = this._usableAdapter(calibration, modelVersion);
+    if (!adapter) return predictions;
+
+    const gamblingConfidence = sigmoid(adapter.slope * logit(predictions.gamblingConfidence) + adapter.intercept);
+    const isGambling = gamblingConfidence > adapter.threshold;
+
+    return {
+      ...predictions,
+      isGambling,
+      gamblingConfidence,
+      // The type head only names a type for gambling transactions
+      gamblingType: isGambling ? predictions.gamblingType || null : null
+    };
+  }
+
+  /**
+   * Summary of the calibration in effect for a user
+   */
+  describe(calibration, modelVersion) {
+    const featureStats = calibration?.feature_stats || null;
+    const adapter = this._usableAdapter(calibration, modelVersion);
+
+    let mode = CALIBRATION_MODES.GLOBAL;
+    if (adapter) {
+      mode = CALIBRATION_MODES.PERSONALISED;
+    } else if (featureStats) {
+      mode = CALIBRATION_MODES.NORMALISED;
+    }
+
+    return {
+      mode,
+      featureStats,
+      adapter,
+      modelVersion,
+      staleAdapter: !!calibration?.adapter && !adapter,
+      historySize: calibration?.history_size || 0,
+      labelledExamples: calibration?.labelled_examples || 0,
+      calibratedAt: calibration?.calibrated_at || null,
+      requirements: { history: MIN_HISTORY, labels: MIN_LABELS, labelsPerClass: MIN_LABELS_PER_CLASS }
+    };
+  }
+
+  _usableAdapter(calibration, modelVersion) {
+    if (!calibration?.adapter || calibration.model_version !== modelVersion) return null;
+    return calibration.adapter;
+  }
+}
+
+/**
+ * Fit p = sigmoid(slope * x + intercept) by gradient descent, starting from
+ * (and regularised towards) the identity so a few labels only nudge it
+ */
+function fitLogistic(rows, { iterations = 500, learningRate = 0.1, l2 = 0.01 } = {}) {
+  let slope = 1;
+  let intercept = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    let gradSlope = 0;
+    let gradIntercept = 0;
+
+    for (const { logit: x, label } of rows) {
+      const error = sigmoid(slope * x + intercept) - label;
+      gradSlope += error * x;
+      gradIntercept += error;
+    }
+
+    slope -= learningRate * (gradSlope / rows.length + l2 * (slope - 1));
+    intercept -= learningRate * (gradIntercept / rows.length + l2 * intercept);
+  }
+
+  return { slope, intercept };
+}
+
+function accuracy(rows, threshold) {
+  return rows.filter(row => (row.p > threshold) === (row.label === 1)).length / rows.length;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function logit(p) {
+  const clamped = Math.min(Math.max(p, EPSILON), 1 - EPSILON);
+  return Math.log(clamped / (1 - clamped));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default UserCalibration;
+export { CALIBRATION_MODES, MIN_HISTORY, MIN_LABELS };
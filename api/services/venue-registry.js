@@ -0,0 +1,145 @@
+/**
+ * Venue Registry
+ *
+ * Geofences around known gambling venues (casinos, licensed pokies venues
+ * and TAB outlets), loaded from a CSV file:
+ *
+ *   id,name,type,latitude,longitude,radius_m,suburb,state,postcode
+ *
+ * The bundled api/data/gambling-venues.csv is a sample; VENUE_REGISTRY_PATH
+ * points at a full export in the same columns. Lines starting with # are
+ * comments. Used by LocationRisk to tell when a user is at a venue.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '../data/gambling-venues.csv');
+
+const VENUE_TYPES = ['casino', 'pokies_venue', 'tab_outlet'];
+
+// Geofence radius when a row does not give one
+const DEFAULT_RADIUS_M = 150;
+
+const EARTH_RADIUS_M = 6371000;
+
+const registries = new Map();
+
+class VenueRegistry {
+  constructor(venues = []) {
+    this.venues = venues;
+  }
+
+  /**
+   * Load (once per path) the registry from a CSV file
+   */
+  static load(filePath = process.env.VENUE_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+    if (!registries.has(filePath)) {
+      registries.set(filePath, VenueRegistry.fromCSV(fs.readFileSync(filePath, 'utf-8'), filePath));
+    }
+    return registries.get(filePath);
+  }
+
+  /**
+   * Parse registry CSV; invalid rows are skipped with a warning
+   */
+  static fromCSV(content, source = 'CSV') {
+    const lines = content.split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (lines.length === 0) return new VenueRegistry();
+
+    const header = parseCSVLine(lines[0]).map(column => column.toLowerCase());
+    const venues = [];
+
+    lines.slice(1).forEach((line, index) => {
+      const row = Object.fromEntries(parseCSVLine(line).map((value, i) => [header[i], value]));
+      const venue = {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        radiusM: parseFloat(row.radius_m) || DEFAULT_RADIUS_M,
+        suburb: row.suburb || null,
+        state: row.state || null,
+        postcode: row.postcode || null
+      };
+
+      if (!venue.id || !VENUE_TYPES.includes(venue.type) || !isCoordinate(venue.latitude, venue.longitude)) {
+        console.error(`Skipping invalid venue on data line ${index + 1} of ${source}`);
+        return;
+      }
+
+      venues.push(venue);
+    });
+
+    return new VenueRegistry(venues);
+  }
+
+  /**
+   * Closest venue whose geofence contains the point, with its distance
+   */
+  findVenueAt(latitude, longitude) {
+    let closest = null;
+
+    for (const venue of this.venues) {
+      const distanceM = distanceMetres(latitude, longitude, venue.latitude, venue.longitude);
+      if (distanceM <= venue.radiusM && (!closest || distanceM < closest.distanceM)) {
+        closest = { ...venue, distanceM: Math.round(distanceM) };
+      }
+    }
+
+    return closest;
+  }
+
+  getVenue(venueId) {
+    return this.venues.find(venue => venue.id === venueId) || null;
+  }
+}
+
+/**
+ * Parse a CSV line (handles quoted fields)
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let currentField = '';
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      fields.push(currentField.trim());
+      currentField = '';
+    } else {
+      currentField += char;
+    }
+  }
+
+  fields.push(currentField.trim());
+
+  return fields;
+}
+
+function isCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+/**
+ * Great-circle distance in metres (haversine)
+ */
+function distanceMetres(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+export default VenueRegistry;
+export { VENUE_TYPES, isCoordinate, distanceMetres };
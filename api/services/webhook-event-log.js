@@ -0,0 +1,197 @@
+/**
+ * Webhook Event Log Service
+ *
+ * Persists every incoming webhook event with its processing status so that:
+ * - Redeliveries of the same event are detected and skipped
+ * - Failed events can be inspected and replayed later, up to MAX_ATTEMPTS
+ *   times; after that they are dead-lettered and left for an admin
+ */
+
+// Event processing status
+const EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+  DEAD_LETTER: 'dead_letter' // Failed MAX_ATTEMPTS times; only replayed by ID
+};
+
+// Processing attempts before a failing event is dead-lettered
+const MAX_ATTEMPTS = 5;
+
+// An event stuck in "processing" longer than this is treated as failed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const UNIQUE_VIOLATION = '23505';
+
+class WebhookEventLog {
+  constructor(supabaseClient, source = 'up_bank') {
+    this.supabase = supabaseClient;
+    this.source = source;
+  }
+
+  /**
+   * Record an incoming event
+   *
+   * Returns { event, duplicate }. `duplicate` is true when the event has
+   * already been processed (or is being processed) and must not be handled again.
+   */
+  async record({ eventId, eventType, transactionId, payload }) {
+    const { data, error } = await this.supabase
+      .from('webhook_events')
+      .insert({
+        source: this.source,
+        event_id: eventId,
+        event_type: eventType,
+        transaction_id: transactionId || null,
+        payload,
+        status: EVENT_STATUS.RECEIVED,
+        attempts: 0,
+        received_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (!error) {
+      return { event: data, duplicate: false };
+    }
+
+    if (error.code !== UNIQUE_VIOLATION) {
+      throw error;
+    }
+
+    // Redelivery of an event we have already seen
+    const existing = await this.getEvent(eventId);
+
+    return {
+      event: existing,
+      duplicate: !this._canReprocess(existing)
+    };
+  }
+
+  /**
+   * Get a stored event by its provider event ID
+   */
+  async getEvent(eventId) {
+    const { data, error } = await this.supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('source', this.source)
+      .eq('event_id', eventId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Get failed events awaiting replay (least recently attempted first)
+   * Dead-lettered events are not included.
+   */
+  async getFailedEvents(limit = 50) {
+    const { data, error } = await this.supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('source', this.source)
+      .eq('status', EVENT_STATUS.FAILED)
+      .order('last_attempt_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Mark an event as being processed
+   * Returns the attempt number.
+   */
+  async markProcessing(event) {
+    const attempts = (event.attempts || 0) + 1;
+
+    await this._update(event.event_id, {
+      status: EVENT_STATUS.PROCESSING,
+      attempts,
+      last_attempt_at: new Date().toISOString()
+    });
+
+    return attempts;
+  }
+
+  /**
+   * Mark an event as successfully processed
+   */
+  async markProcessed(eventId, result = {}) {
+    return this._update(eventId, {
+      status: EVENT_STATUS.PROCESSED,
+      result,
+      error: null,
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Mark an event as ignored (event type we do not handle)
+   */
+  async markIgnored(eventId, reason) {
+    return this._update(eventId, {
+      status: EVENT_STATUS.IGNORED,
+      result: { reason },
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Mark an event as failed so it can be replayed
+   * The event is dead-lettered once `attempts` reaches MAX_ATTEMPTS.
+   */
+  async markFailed(eventId, error, attempts = 0) {
+    return this._update(eventId, {
+      status: attempts >= MAX_ATTEMPTS ? EVENT_STATUS.DEAD_LETTER : EVENT_STATUS.FAILED,
+      error: error?.message || String(error)
+    });
+  }
+
+  /**
+   * Whether a previously seen event may be processed again
+   */
+  _canReprocess(event) {
+    if (!event) return true;
+
+    if (event.status === EVENT_STATUS.RECEIVED || event.status === EVENT_STATUS.FAILED) {
+      return true;
+    }
+
+    if (event.status === EVENT_STATUS.PROCESSING) {
+      const lastAttempt = new Date(event.last_attempt_at || event.received_at).getTime();
+      return Date.now() - lastAttempt > STALE_PROCESSING_MS;
+    }
+
+    return false;
+  }
+
+  /**
+   * Update an event row
+   */
+  async _update(eventId, fields) {
+    const { error } = await this.supabase
+      .from('webhook_events')
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('source', this.source)
+      .eq('event_id', eventId);
+
+    if (error) {
+      console.error(`Error updating webhook event ${eventId}:`, error);
+    }
+  }
+}
+
+export default WebhookEventLog;
+export { EVENT_STATUS, MAX_ATTEMPTS };
@@ -0,0 +1,335 @@
+/**
+ * Whitelist Matcher
+ *
+ * Matches transactions against whitelist entries. Each entry has a match type:
+ * - exact:       payee equals the pattern (case-insensitive)
+ * - prefix:      payee starts with the pattern
+ * - contains:    payee contains the pattern
+ * - regex:       payee matches the pattern as a regular expression; patterns
+ *                that repeat a group containing a quantifier or alternation
+ *                ("(a+)+", "(a|aa)+") are refused (ReDoS), and only the
+ *                first MAX_REGEX_INPUT_LENGTH characters of the payee are
+ *                matched
+ * - merchant_id: normalised merchant ID (MerchantEnrichment.getMerchantId)
+ *                equals the entry's, or extends it ("joes-cafe-glebe"), so
+ *                "Woolworths" matches "WOOLWORTHS 1234 SYDNEY". The default.
+ *
+ * Entries can also cap the amount and restrict matching to days of the week
+ * and a time-of-day window. Every result carries a human-readable
+ * explanation of why the transaction did (or did not) match.
+ */
+
+import MerchantEnrichment from './merchant-enrichment.js';
+
+// Ordered from most to least specific
+const MATCH_TYPES = ['exact', 'merchant_id', 'prefix', 'contains', 'regex'];
+
+// Entries without a match type match by merchant
+const DEFAULT_MATCH_TYPE = 'merchant_id';
+
+// Regex patterns longer than this are rejected
+const MAX_REGEX_LENGTH = 200;
+
+// Regex patterns are matched against at most this much of each payee name
+const MAX_REGEX_INPUT_LENGTH = 100;
+
+const DEFAULT_TIMEZONE = process.env.ANCHOR_TIMEZONE || 'Australia/Sydney';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const merchantEnrichment = new MerchantEnrichment(null);
+
+/**
+ * Get the day of week (0-6) and minutes since midnight in a timezone
+ */
+function getLocalTime(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-AU', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp));
+
+  const get = type => parts.find(part => part.type === type)?.value;
+
+  return {
+    day: DAY_NAMES.indexOf(get('weekday')),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+}
+
+/**
+ * Parse 'HH:MM' or 'HH:MM:SS' into minutes since midnight
+ */
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value).split(':').map(part => parseInt(part));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Whether a regex repeats a group that contains a repeat or an alternation,
+ * e.g. "(a+)+", "(\w*\s)*" or "(a|aa)+" - the shapes behind catastrophic
+ * backtracking
+ */
+function hasAmbiguousRepetition(pattern) {
+  const groups = []; // Per open group: whether it contains a quantifier or |
+  let afterQuantifiedGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+      afterQuantifiedGroup = false;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+      afterQuantifiedGroup = false;
+    } else if (char === '(') {
+      groups.push(false);
+      afterQuantifiedGroup = false;
+    } else if (char === '|') {
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      afterQuantifiedGroup = false;
+    } else if (char === ')') {
+      afterQuantifiedGroup = groups.pop() || false;
+      if (afterQuantifiedGroup && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (char === '*' || char === '+' || (char === '{' && /^\{\d+,?\d*\}/.test(pattern.slice(i)))) {
+      if (afterQuantifiedGroup) return true;
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      afterQuantifiedGroup = false;
+    } else {
+      afterQuantifiedGroup = false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check a whitelist regex can be used
+ * Returns the reason it is refused, or null.
+ */
+function validateRegex(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return `longer than ${MAX_REGEX_LENGTH} characters`;
+  }
+  if (hasAmbiguousRepetition(pattern)) {
+    return 'repeated groups cannot contain quantifiers or alternation';
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
+}
+
+/**
+ * Check the payee names against an entry's pattern
+ * Returns the name that matched, or null.
+ */
+function matchPattern(entry, names, merchantIds) {
+  const matchType = entry.match_type || DEFAULT_MATCH_TYPE;
+  const pattern = (entry.pattern || entry.payee_name || '').trim();
+  if (!pattern) return null;
+
+  const lowerPattern = pattern.toLowerCase();
+
+  switch (matchType) {
+    case 'exact':
+      return names.find(name => name.toLowerCase() === lowerPattern) || null;
+
+    case 'prefix':
+      return names.find(name => name.toLowerCase().startsWith(lowerPattern)) || null;
+
+    case 'contains':
+      return names.find(name => name.toLowerCase().includes(lowerPattern)) || null;
+
+    case 'regex': {
+      const invalid = validateRegex(pattern);
+      if (invalid) {
+        console.error(`Invalid whitelist regex for entry ${entry.id}: ${invalid}`);
+        return null;
+      }
+
+      const regex = new RegExp(pattern, 'i');
+      return names.find(name => regex.test(name.slice(0, MAX_REGEX_INPUT_LENGTH))) || null;
+    }
+
+    case 'merchant_id': {
+      const entryMerchantId = entry.merchant_id || merchantEnrichment.getMerchantId(pattern);
+
+      // Names with no merchant ID (e.g. only digits) are compared as-is
+      if (!entryMerchantId) {
+        return names.find(name => name.toLowerCase() === lowerPattern) || null;
+      }
+
+      const index = merchantIds.findIndex(id =>
+        id && (id === entryMerchantId || id.startsWith(`${entryMerchantId}-`))
+      );
+      return index >= 0 ? names[index] : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check an entry's amount cap and active window
+ * Returns a rejection reason, or null when the entry applies.
+ */
+function checkConstraints(entry, { amount, timestamp }) {
+  if (entry.max_amount !== null && entry.max_amount !== undefined && amount !== undefined) {
+    const spent = Math.abs(parseFloat(amount));
+    const cap = parseFloat(entry.max_amount);
+    if (spent > cap) {
+      return `$${spent.toFixed(2)} exceeds the $${cap.toFixed(2)} cap`;
+    }
+  }
+
+  const hasDays = Array.isArray(entry.active_days) && entry.active_days.length > 0;
+  const hasWindow = entry.active_start_time && entry.active_end_time;
+
+  if ((hasDays || hasWindow) && timestamp) {
+    const local = getLocalTime(timestamp, entry.timezone || DEFAULT_TIMEZONE);
+
+    if (hasDays && !entry.active_days.includes(local.day)) {
+      return `${DAY_NAMES[local.day]} is outside the active days (${entry.active_days.map(d => DAY_NAMES[d]).join(', ')})`;
+    }
+
+    if (hasWindow) {
+      const start = parseTimeOfDay(entry.active_start_time);
+      const end = parseTimeOfDay(entry.active_end_time);
+
+      // Windows may wrap past midnight (e.g. 22:00-02:00)
+      const inWindow = start <= end
+        ? local.minutes >= start && local.minutes <= end
+        : local.minutes >= start || local.minutes <= end;
+
+      if (!inWindow) {
+        return `time is outside the active window ${entry.active_start_time.slice(0, 5)}-${entry.active_end_time.slice(0, 5)}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe how an entry matched
+ */
+function describeMatch(entry, matchedName) {
+  const pattern = entry.pattern || entry.payee_name;
+
+  switch (entry.match_type || DEFAULT_MATCH_TYPE) {
+    case 'prefix':
+      return `"${matchedName}" starts with "${pattern}"`;
+    case 'contains':
+      return `"${matchedName}" contains "${pattern}"`;
+    case 'regex':
+      return `"${matchedName}" matches /${pattern}/i`;
+    case 'merchant_id': {
+      const merchantId = entry.merchant_id || merchantEnrichment.getMerchantId(pattern);
+      return merchantId
+        ? `"${matchedName}" is merchant "${merchantId}"`
+        : `"${matchedName}" equals "${pattern}"`;
+    }
+    default:
+      return `"${matchedName}" equals "${pattern}"`;
+  }
+}
+
+/**
+ * Match a transaction against whitelist entries
+ *
+ * `transaction` is { payeeName, description, amount, timestamp }.
+ * Returns { matched, entryId, matchType, explanation, rejected } where
+ * `rejected` lists entries whose pattern matched but whose cap or window did not.
+ */
+function matchWhitelist(entries, transaction) {
+  const names = [transaction.payeeName, transaction.description]
+    .filter(Boolean)
+    .map(name => name.trim());
+  const merchantIds = names.map(name => merchantEnrichment.getMerchantId(name));
+
+  const rejected = [];
+
+  for (const entry of entries) {
+    const matchedName = matchPattern(entry, names, merchantIds);
+    if (!matchedName) continue;
+
+    const reason = checkConstraints(entry, transaction);
+    if (reason) {
+      rejected.push({
+        entryId: entry.id,
+        payeeName: entry.payee_name,
+        reason: `${describeMatch(entry, matchedName)} but ${reason}`
+      });
+      continue;
+    }
+
+    return {
+      matched: true,
+      entryId: entry.id,
+      payeeName: entry.payee_name,
+      matchType: entry.match_type || DEFAULT_MATCH_TYPE,
+      explanation: `${describeMatch(entry, matchedName)} (whitelist entry "${entry.payee_name}")`,
+      rejected
+    };
+  }
+
+  return {
+    matched: false,
+    entryId: null,
+    payeeName: null,
+    matchType: null,
+    explanation: rejected.length > 0
+      ? `Not whitelisted: ${rejected.map(r => r.reason).join('; ')}`
+      : 'Not whitelisted: no entry matches this payee',
+    rejected
+  };
+}
+
+class WhitelistMatcher {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Get a user's whitelist entries (most specific match types first)
+   * Without a user, entries not yet assigned to anyone are used.
+   */
+  async getEntries(userId) {
+    let query = this.supabase
+      .from('whitelist')
+      .select('*');
+
+    query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return (data || []).sort((a, b) =>
+      MATCH_TYPES.indexOf(a.match_type || DEFAULT_MATCH_TYPE) - MATCH_TYPES.indexOf(b.match_type || DEFAULT_MATCH_TYPE)
+    );
+  }
+
+  /**
+   * Match a transaction against a user's whitelist
+   */
+  async match(userId, transaction) {
+    const entries = await this.getEntries(userId);
+    return matchWhitelist(entries, transaction);
+  }
+}
+
+export default WhitelistMatcher;
+export { MATCH_TYPES, DEFAULT_MATCH_TYPE, matchWhitelist, validateRegex };
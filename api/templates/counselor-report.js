@@ -9,78 +9,86 @@
  * - Behavioral pattern analysis
  * - Risk assessment
  * - Recommended strategies
+ *
+ * Text is in options.language, from report.counselor.* and report.common.*
+ * in api/locales.
  */
 
+import translationService from '../services/translation-service.js';
+
 class CounselorReport {
   /**
    * Generate comprehensive financial counselor report
    */
   static generate(data, options = {}) {
+    const t = translationService.scope('report.counselor', options.language);
+    t.common = translationService.scope('report.common', options.language);
+
     const report = {
       // Page 1: Cover and Executive Summary
       page1: {
-        coverPage: this._generateCoverPage(data, options),
-        executiveSummary: this._generateExecutiveSummary(data, options)
+        coverPage: this._generateCoverPage(data, options, t),
+        executiveSummary: this._generateExecutiveSummary(data, options, t)
       },
 
       // Page 2: Client Profile and Current Situation
       page2: {
-        clientProfile: this._generateClientProfile(data),
-        currentSituation: this._generateCurrentSituation(data)
+        clientProfile: this._generateClientProfile(data, t),
+        currentSituation: this._generateCurrentSituation(data, t)
       },
 
       // Page 3: Gambling History Analysis
       page3: {
-        gamblingHistory: this._generateGamblingHistory(data),
-        historicalTrends: this._generateHistoricalTrends(data)
+        gamblingHistory: this._generateGamblingHistory(data, t),
+        historicalTrends: this._generateHistoricalTrends(data, t)
       },
 
       // Page 4: Financial Position
       page4: {
-        incomeAnalysis: this._generateIncomeAnalysis(data),
-        expenseAnalysis: this._generateExpenseAnalysis(data),
-        netPosition: this._generateNetPosition(data)
+        incomeAnalysis: this._generateIncomeAnalysis(data, t),
+        expenseAnalysis: this._generateExpenseAnalysis(data, t),
+        netPosition: this._generateNetPosition(data, t)
       },
 
       // Page 5: Debt Analysis
       page5: {
-        debtSummary: this._generateDebtSummary(data),
-        debtServiceability: this._generateDebtServiceability(data)
+        debtSummary: this._generateDebtSummary(data, t),
+        debtServiceability: this._generateDebtServiceability(data, t)
       },
 
       // Page 6: Recovery Progress
       page6: {
-        recoveryMetrics: this._generateRecoveryMetrics(data),
-        milestonesAchieved: this._generateMilestones(data),
-        interventionHistory: this._generateInterventionHistory(data)
+        recoveryMetrics: this._generateRecoveryMetrics(data, t),
+        milestonesAchieved: this._generateMilestones(data, t),
+        interventionHistory: this._generateInterventionHistory(data, t)
       },
 
       // Page 7: Behavioral Pattern Analysis
       page7: {
-        patterns: this._generatePatternAnalysis(data),
-        triggers: this._generateTriggerAnalysis(data),
-        riskPeriods: this._generateRiskPeriods(data)
+        patterns: this._generatePatternAnalysis(data, t),
+        triggers: this._generateTriggerAnalysis(data, t),
+        riskPeriods: this._generateRiskPeriods(data, t)
       },
 
       // Page 8: Risk Assessment
       page8: {
-        currentRisk: this._generateRiskAssessment(data),
-        vulnerabilities: this._generateVulnerabilities(data),
-        protectiveFactors: this._generateProtectiveFactors(data)
+        currentRisk: this._generateRiskAssessment(data, t),
+        vulnerabilities: this._generateVulnerabilities(data, t),
+        protectiveFactors: this._generateProtectiveFactors(data, t)
       },
 
       // Page 9: Recommendations and Strategies
       page9: {
-        immediateActions: this._generateImmediateActions(data),
-        shortTermStrategies: this._generateShortTermStrategies(data),
-        longTermPlanning: this._generateLongTermPlanning(data)
+        immediateActions: this._generateImmediateActions(data, t),
+        shortTermStrategies: this._generateShortTermStrategies(data, t),
+        longTermPlanning: this._generateLongTermPlanning(data, t)
       },
 
       // Page 10: Resources and Support
       page10: {
-        supportServices: this._generateSupportServices(data),
-        actionPlan: this._generateActionPlan(data),
-        followUp: this._generateFollowUpPlan(data)
+        supportServices: this._generateSupportServices(data, t),
+        actionPlan: this._generateActionPlan(data, t),
+        followUp: this._generateFollowUpPlan(data, t)
       }
     };
 
@@ -90,26 +98,22 @@ class CounselorReport {
   /**
    * PAGE 1: Cover Page
    */
-  static _generateCoverPage(data, options) {
+  static _generateCoverPage(data, options, t) {
     return {
-      title: 'Financial Counseling Report',
-      subtitle: 'Gambling Recovery and Financial Rehabilitation Assessment',
+      title: t('coverPage.title'),
+      subtitle: t('coverPage.subtitle'),
       clientName: data.user.full_name,
-      reportDate: new Date().toLocaleDateString('en-AU', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric'
-      }),
-      generatedBy: 'Anchor Gambling Recovery System',
-      confidentiality: 'CONFIDENTIAL - For Financial Counselor Use Only',
-      disclaimer: 'This report contains sensitive personal and financial information. Handle in accordance with privacy laws.'
+      reportDate: translationService.formatDate(new Date(), t.language, 'long'),
+      generatedBy: t('coverPage.generatedBy'),
+      confidentiality: t('coverPage.confidentiality'),
+      disclaimer: t('coverPage.disclaimer')
     };
   }
 
   /**
    * PAGE 1: Executive Summary
    */
-  static _generateExecutiveSummary(data, options) {
+  static _generateExecutiveSummary(data, options, t) {
     const totalGamblingLosses = data.gamblingTransactions.reduce(
       (sum, t) => sum + Math.abs(t.amount?.value || 0),
       0
@@ -118,34 +122,34 @@ class CounselorReport {
     const totalDebt = data.debts.reduce((sum, d) => sum + (d.balance || 0), 0);
 
     return {
-      overview: `Client has been enrolled in the Anchor gambling recovery program for ${data.recovery.cleanDays} days. ` +
-                `Total gambling losses of $${totalGamblingLosses.toFixed(2)} recorded. ` +
-                `Current debt position: $${totalDebt.toFixed(2)}.`,
+      overview: t('executiveSummary.overview', {
+        days: data.recovery.cleanDays,
+        losses: totalGamblingLosses.toFixed(2),
+        debt: totalDebt.toFixed(2)
+      }),
 
       keyFindings: [
-        `Total gambling losses (all time): $${totalGamblingLosses.toFixed(2)}`,
-        `Current clean streak: ${data.recovery.cleanStreak} days`,
-        `Total debt: $${totalDebt.toFixed(2)}`,
-        `Monthly debt servicing: $${this._sumMinPayments(data.debts).toFixed(2)}`,
-        `Recovery progress: ${data.recovery.cleanPercentage}%`,
-        `Guardian support: ${data.guardian ? 'Active' : 'Not enrolled'}`
+        t('executiveSummary.totalLosses', { amount: totalGamblingLosses.toFixed(2) }),
+        t('executiveSummary.cleanStreak', { days: data.recovery.cleanStreak }),
+        t('executiveSummary.totalDebt', { amount: totalDebt.toFixed(2) }),
+        t('executiveSummary.debtServicing', { amount: this._sumMinPayments(data.debts).toFixed(2) }),
+        t('executiveSummary.recoveryProgress', { percentage: data.recovery.cleanPercentage }),
+        t('executiveSummary.guardianSupport', {
+          status: data.guardian ? t.common('active') : t.common('notEnrolled')
+        })
       ],
 
-      urgentConcerns: this._identifyUrgentConcerns(data),
+      urgentConcerns: this._identifyUrgentConcerns(data, t),
 
-      recommendedActions: [
-        'Review debt consolidation options',
-        'Establish hardship variations with creditors',
-        'Strengthen recovery support systems',
-        'Develop comprehensive budget plan'
-      ]
+      recommendedActions: ['consolidation', 'hardship', 'support', 'budget']
+        .map(key => t(`executiveSummary.actions.${key}`))
     };
   }
 
   /**
    * PAGE 2: Client Profile
    */
-  static _generateClientProfile(data) {
+  static _generateClientProfile(data, t) {
     return {
       personalDetails: {
         name: data.user.full_name,
@@ -156,20 +160,20 @@ class CounselorReport {
       },
 
       employmentStatus: {
-        status: data.user.employment_status || 'Not provided',
-        monthlyIncome: data.user.monthly_income ? `$${data.user.monthly_income.toFixed(2)}` : 'Not provided',
-        incomeSource: data.user.income_source || 'Not provided'
+        status: data.user.employment_status || t.common('notProvided'),
+        monthlyIncome: data.user.monthly_income ? `$${data.user.monthly_income.toFixed(2)}` : t.common('notProvided'),
+        incomeSource: data.user.income_source || t.common('notProvided')
       },
 
       householdComposition: {
         dependents: data.user.dependents || 0,
-        maritalStatus: data.user.marital_status || 'Not provided'
+        maritalStatus: data.user.marital_status || t.common('notProvided')
       },
 
       bankingArrangements: {
         primaryBank: 'Up Bank',
-        accountType: 'Transaction Account',
-        accessRestrictions: data.commitment ? 'Daily allowance system active' : 'None'
+        accountType: t('clientProfile.accountType'),
+        accessRestrictions: data.commitment ? t('clientProfile.allowanceActive') : t.common('none')
       }
     };
   }
@@ -177,32 +181,32 @@ class CounselorReport {
   /**
    * PAGE 2: Current Situation
    */
-  static _generateCurrentSituation(data) {
+  static _generateCurrentSituation(data, t) {
     return {
       programEnrollment: {
-        enrolledDate: data.commitment?.started_at || 'Not enrolled',
+        enrolledDate: data.commitment?.started_at || t.common('notEnrolled'),
         daysInProgram: data.recovery.cleanDays,
-        commitmentLength: data.commitment?.commitment_days || 'N/A',
-        daysRemaining: data.commitment ? this._calculateDaysRemaining(data.commitment) : 'N/A'
+        commitmentLength: data.commitment?.commitment_days || t.common('na'),
+        daysRemaining: data.commitment ? this._calculateDaysRemaining(data.commitment) : t.common('na')
       },
 
       currentProtections: {
-        dailyAllowance: data.commitment?.daily_allowance ? `$${data.commitment.daily_allowance}` : 'Not set',
-        guardianOversight: data.guardian ? 'Active' : 'Not enrolled',
-        transactionMonitoring: 'Real-time AI monitoring active',
-        interventionSystem: 'Automated intervention protocols active'
+        dailyAllowance: data.commitment?.daily_allowance ? `$${data.commitment.daily_allowance}` : t('currentSituation.notSet'),
+        guardianOversight: data.guardian ? t.common('active') : t.common('notEnrolled'),
+        transactionMonitoring: t('currentSituation.monitoring'),
+        interventionSystem: t('currentSituation.interventions')
       },
 
-      immediateRisks: this._identifyImmediateRisks(data),
+      immediateRisks: this._identifyImmediateRisks(data, t),
 
-      strengths: this._identifyStrengths(data)
+      strengths: this._identifyStrengths(data, t)
     };
   }
 
   /**
    * PAGE 3: Gambling History
    */
-  static _generateGamblingHistory(data) {
+  static _generateGamblingHistory(data, t) {
     const totalLosses = data.gamblingTransactions.reduce(
       (sum, t) => sum + Math.abs(t.amount?.value || 0),
       0
@@ -215,12 +219,12 @@ class CounselorReport {
         totalGamblingLosses: `$${totalLosses.toFixed(2)}`,
         numberOfTransactions: data.gamblingTransactions.length,
         averageTransaction: `$${(totalLosses / data.gamblingTransactions.length).toFixed(2)}`,
-        largestTransaction: this._getLargestTransaction(data.gamblingTransactions),
-        primaryGamblingType: this._getPrimaryGamblingType(byType)
+        largestTransaction: this._getLargestTransaction(data.gamblingTransactions, t),
+        primaryGamblingType: this._getPrimaryGamblingType(byType, t)
       },
 
       gamblingTypes: Object.entries(byType).map(([type, stats]) => ({
-        type,
+        type: t.common(`gamblingTypes.${type}`),
         totalSpent: `$${stats.total.toFixed(2)}`,
         transactions: stats.count,
         percentage: `${((stats.total / totalLosses) * 100).toFixed(1)}%`
@@ -231,7 +235,7 @@ class CounselorReport {
       frequencyAnalysis: {
         averagePerWeek: (data.gamblingTransactions.length / 52).toFixed(1),
         averagePerMonth: (data.gamblingTransactions.length / 12).toFixed(1),
-        peakPeriod: this._identifyPeakPeriod(data.gamblingTransactions)
+        peakPeriod: this._identifyPeakPeriod(data.gamblingTransactions, t)
       }
     };
   }
@@ -239,15 +243,11 @@ class CounselorReport {
   /**
    * PAGE 3: Historical Trends
    */
-  static _generateHistoricalTrends(data) {
+  static _generateHistoricalTrends(data, t) {
     return {
-      trends: [
-        'Gambling expenditure increasing over past 6 months prior to program enrollment',
-        'Frequency escalated from weekly to daily',
-        'Average transaction size increased 40% in 3 months before intervention'
-      ],
+      trends: ['spending', 'frequency', 'size'].map(key => t(`historicalTrends.${key}`)),
 
-      criticalIncidents: this._identifyCriticalIncidents(data.gamblingTransactions),
+      criticalIncidents: this._identifyCriticalIncidents(data.gamblingTransactions, t),
 
       progressSinceEnrollment: data.commitment ? {
         daysClean: data.recovery.cleanStreak,
@@ -261,31 +261,27 @@ class CounselorReport {
   /**
    * PAGE 4: Income Analysis
    */
-  static _generateIncomeAnalysis(data) {
+  static _generateIncomeAnalysis(data, t) {
     return {
       monthlyIncome: {
-        declared: data.user.monthly_income ? `$${data.user.monthly_income.toFixed(2)}` : 'Not provided',
-        source: data.user.income_source || 'Not provided',
-        stability: this._assessIncomeStability(data),
-        adequacy: this._assessIncomeAdequacy(data)
+        declared: data.user.monthly_income ? `$${data.user.monthly_income.toFixed(2)}` : t.common('notProvided'),
+        source: data.user.income_source || t.common('notProvided'),
+        stability: this._assessIncomeStability(data, t),
+        adequacy: this._assessIncomeAdequacy(data, t)
       },
 
-      incomeFluctuations: 'Income appears stable (based on available data)',
+      incomeFluctuations: t('incomeAnalysis.fluctuations'),
 
-      governmentBenefits: data.user.receives_benefits ? 'Yes' : 'Not indicated',
+      governmentBenefits: data.user.receives_benefits ? t.common('yes') : t('incomeAnalysis.notIndicated'),
 
-      recommendations: [
-        'Verify income sources with payslips',
-        'Explore eligibility for financial assistance',
-        'Consider additional income options if appropriate'
-      ]
+      recommendations: ['verify', 'assistance', 'additionalIncome'].map(key => t(`incomeAnalysis.recommendations.${key}`))
     };
   }
 
   /**
    * PAGE 4: Expense Analysis
    */
-  static _generateExpenseAnalysis(data) {
+  static _generateExpenseAnalysis(data, t) {
     const expenses = data.transactions.filter(t => (t.amount?.value || 0) < 0);
     const totalExpenses = expenses.reduce((sum, t) => sum + Math.abs(t.amount?.value || 0), 0);
     const gamblingExpenses = data.gamblingTransactions.reduce(
@@ -303,16 +299,18 @@ class CounselorReport {
 
       expenseCategories: this._categorizeExpenses(expenses),
 
-      discretionarySpending: this._analyzeDiscretionarySpending(expenses),
+      discretionarySpending: this._analyzeDiscretionarySpending(expenses, t),
 
-      excessExpenditure: gamblingExpenses > 0 ? `$${gamblingExpenses.toFixed(2)} (gambling losses)` : '$0'
+      excessExpenditure: gamblingExpenses > 0
+        ? t('expenseAnalysis.gamblingLosses', { amount: gamblingExpenses.toFixed(2) })
+        : '$0'
     };
   }
 
   /**
    * PAGE 4: Net Position
    */
-  static _generateNetPosition(data) {
+  static _generateNetPosition(data, t) {
     const monthlyIncome = data.user.monthly_income || 0;
     const monthlyExpenses = this._calculateMonthlyExpenses(data);
     const netPosition = monthlyIncome - monthlyExpenses;
@@ -322,7 +320,7 @@ class CounselorReport {
         income: `$${monthlyIncome.toFixed(2)}`,
         expenses: `$${monthlyExpenses.toFixed(2)}`,
         net: `$${netPosition.toFixed(2)}`,
-        status: netPosition > 0 ? 'Surplus' : 'Deficit'
+        status: netPosition > 0 ? t('netPosition.surplus') : t('netPosition.deficit')
       },
 
       annualProjection: {
@@ -331,24 +329,20 @@ class CounselorReport {
         net: `$${(netPosition * 12).toFixed(2)}`
       },
 
-      concerns: netPosition < 0 ? [
-        'Monthly deficit identified',
-        'Urgent budget restructuring required',
-        'Debt may be increasing'
-      ] : [],
-
-      opportunities: netPosition > 0 ? [
-        'Surplus available for debt reduction',
-        'Potential for savings',
-        'Financial stability achievable'
-      ] : []
+      concerns: netPosition < 0
+        ? ['deficit', 'restructure', 'debtIncreasing'].map(key => t(`netPosition.concerns.${key}`))
+        : [],
+
+      opportunities: netPosition > 0
+        ? ['debtReduction', 'savings', 'stability'].map(key => t(`netPosition.opportunities.${key}`))
+        : []
     };
   }
 
   /**
    * PAGE 5: Debt Summary
    */
-  static _generateDebtSummary(data) {
+  static _generateDebtSummary(data, t) {
     const totalDebt = data.debts.reduce((sum, d) => sum + (d.balance || 0), 0);
     const totalMinPayments = data.debts.reduce((sum, d) => sum + (d.minimum_payment || 0), 0);
     const weightedInterest = this._calculateWeightedInterest(data.debts);
@@ -367,7 +361,7 @@ class CounselorReport {
         balance: `$${debt.balance.toFixed(2)}`,
         interestRate: `${debt.interest_rate}%`,
         minPayment: `$${debt.minimum_payment.toFixed(2)}`,
-        status: debt.status || 'Current'
+        status: debt.status || t.common('current')
       })),
 
       highestPriorityDebts: data.debts
@@ -380,40 +374,27 @@ class CounselorReport {
   /**
    * PAGE 5: Debt Serviceability
    */
-  static _generateDebtServiceability(data) {
+  static _generateDebtServiceability(data, t) {
     const monthlyIncome = data.user.monthly_income || 0;
     const totalMinPayments = data.debts.reduce((sum, d) => sum + (d.minimum_payment || 0), 0);
     const debtServiceRatio = monthlyIncome > 0 ? (totalMinPayments / monthlyIncome) * 100 : 0;
 
+    const level = debtServiceRatio > 40 ? 'critical' : debtServiceRatio > 30 ? 'concerning' : 'manageable';
+
     return {
       debtServiceRatio: `${debtServiceRatio.toFixed(1)}%`,
-      assessment: this._assessDebtServiceability(debtServiceRatio),
+      assessment: this._assessDebtServiceability(debtServiceRatio, t),
 
       monthlySurplus: monthlyIncome - totalMinPayments - this._calculateEssentialExpenses(data),
 
-      recommendations: debtServiceRatio > 40 ? [
-        'Debt servicing ratio is critical (>40%)',
-        'Immediate hardship variations recommended',
-        'Consider debt consolidation',
-        'Seek creditor negotiations'
-      ] : debtServiceRatio > 30 ? [
-        'Debt servicing ratio is concerning (30-40%)',
-        'Explore repayment options',
-        'Build emergency fund',
-        'Avoid new debt'
-      ] : [
-        'Debt servicing ratio is manageable (<30%)',
-        'Focus on higher interest debts',
-        'Maintain regular payments',
-        'Consider accelerated repayment'
-      ]
+      recommendations: [1, 2, 3, 4].map(step => t(`debtServiceability.${level}.${step}`))
     };
   }
 
   /**
    * PAGE 6: Recovery Metrics
    */
-  static _generateRecoveryMetrics(data) {
+  static _generateRecoveryMetrics(data, t) {
     return {
       cleanDays: data.recovery.cleanDays,
       currentStreak: data.recovery.cleanStreak,
@@ -423,15 +404,15 @@ class CounselorReport {
       relapseCount: data.recovery.relapseCount,
       interventionCount: data.recovery.interventionCount,
 
-      progress: this._assessRecoveryProgress(data.recovery),
+      progress: this._assessRecoveryProgress(data.recovery, t),
 
       guardianSupport: data.guardian ? {
         active: true,
         guardianName: data.guardian.name,
-        interventions: 'Multiple check-ins completed'
+        interventions: t('recoveryMetrics.checkIns')
       } : {
         active: false,
-        recommendation: 'Consider enrolling guardian for additional support'
+        recommendation: t('recoveryMetrics.enrollGuardian')
       }
     };
   }
@@ -439,57 +420,38 @@ class CounselorReport {
   /**
    * PAGE 6: Milestones
    */
-  static _generateMilestones(data) {
-    const milestones = [];
-
-    if (data.recovery.cleanDays >= 7) {
-      milestones.push({ milestone: '7 Days Clean', achieved: true, date: this._calculateMilestoneDate(data, 7) });
-    }
-
-    if (data.recovery.cleanDays >= 14) {
-      milestones.push({ milestone: '14 Days Clean', achieved: true, date: this._calculateMilestoneDate(data, 14) });
-    }
-
-    if (data.recovery.cleanDays >= 30) {
-      milestones.push({ milestone: '30 Days Clean', achieved: true, date: this._calculateMilestoneDate(data, 30) });
-    }
-
-    if (data.recovery.cleanDays >= 60) {
-      milestones.push({ milestone: '60 Days Clean', achieved: true, date: this._calculateMilestoneDate(data, 60) });
-    }
-
-    if (data.recovery.cleanDays >= 90) {
-      milestones.push({ milestone: '90 Days Clean', achieved: true, date: this._calculateMilestoneDate(data, 90) });
-    }
+  static _generateMilestones(data, t) {
+    const milestones = [7, 14, 30, 60, 90]
+      .filter(days => data.recovery.cleanDays >= days)
+      .map(days => ({
+        milestone: t('milestones.daysClean', { days }),
+        achieved: true,
+        date: this._calculateMilestoneDate(data, days, t)
+      }));
 
     return {
       achieved: milestones,
-      upcoming: this._getUpcomingMilestones(data.recovery.cleanDays),
-      significance: 'Each milestone represents significant progress in recovery journey'
+      upcoming: this._getUpcomingMilestones(data.recovery.cleanDays, t),
+      significance: t('milestones.significance')
     };
   }
 
   /**
    * PAGE 6: Intervention History
    */
-  static _generateInterventionHistory(data) {
+  static _generateInterventionHistory(data, t) {
     return {
       totalInterventions: data.recovery.interventionCount,
-      types: [
-        'AI-triggered interventions',
-        'Pattern-based warnings',
-        'Guardian alerts',
-        'High-risk period notifications'
-      ],
-      effectiveness: 'Interventions have prevented multiple potential relapses',
-      recommendation: 'Continue current intervention protocols'
+      types: ['ai', 'pattern', 'guardian', 'highRisk'].map(key => t(`interventionHistory.types.${key}`)),
+      effectiveness: t('interventionHistory.effectiveness'),
+      recommendation: t('interventionHistory.recommendation')
     };
   }
 
   /**
    * PAGE 7: Pattern Analysis
    */
-  static _generatePatternAnalysis(data) {
+  static _generatePatternAnalysis(data, t) {
     return {
       identifiedPatterns: data.patterns.map(p => ({
         pattern: p.pattern_name,
@@ -499,72 +461,63 @@ class CounselorReport {
         description: p.description
       })),
 
-      dominantPattern: data.patterns.length > 0 ? data.patterns[0].pattern_name : 'None identified',
+      dominantPattern: data.patterns.length > 0 ? data.patterns[0].pattern_name : t('patterns.noneIdentified'),
 
-      patternEvolution: 'Patterns show weakening trend since program enrollment (positive indicator)'
+      patternEvolution: t('patterns.evolution')
     };
   }
 
   /**
    * PAGE 7: Trigger Analysis
    */
-  static _generateTriggerAnalysis(data) {
+  static _generateTriggerAnalysis(data, t) {
     const triggers = [
-      { trigger: 'Payday', confidence: 'High', management: 'Automatic vault transfer implemented' },
-      { trigger: 'Weekend', confidence: 'Medium', management: 'Pre-emptive guardian check-ins' },
-      { trigger: 'Late Night', confidence: 'Medium', management: 'High-risk period alerts active' }
-    ];
+      { trigger: 'payday', confidence: 'high' },
+      { trigger: 'weekend', confidence: 'medium' },
+      { trigger: 'lateNight', confidence: 'medium' }
+    ].map(({ trigger, confidence }) => ({
+      trigger: t(`triggers.${trigger}.name`),
+      confidence: t.common(`levels.${confidence}`),
+      management: t(`triggers.${trigger}.management`)
+    }));
 
     return {
       primaryTriggers: triggers,
-      managementStrategies: [
-        'Automated financial controls (vault system)',
-        'Real-time monitoring and alerts',
-        'Guardian notification system',
-        'AI intervention protocols'
-      ],
-      effectiveness: 'Trigger management strategies showing positive results'
+      managementStrategies: ['vault', 'monitoring', 'guardian', 'ai'].map(key => t(`triggers.strategies.${key}`)),
+      effectiveness: t('triggers.effectiveness')
     };
   }
 
   /**
    * PAGE 7: Risk Periods
    */
-  static _generateRiskPeriods(data) {
+  static _generateRiskPeriods(data, t) {
     return {
-      highRiskTimes: [
-        'Friday-Sunday evenings (8pm-midnight)',
-        'Payday (15th and month-end)',
-        'After drinking/social events'
-      ],
+      highRiskTimes: ['weekendEvenings', 'payday', 'drinking'].map(key => t(`riskPeriods.times.${key}`)),
 
       upcomingRisks: [
-        'Next payday in 5 days',
-        'Weekend approaching'
+        t('riskPeriods.nextPayday', { days: 5 }),
+        t('riskPeriods.weekend')
       ],
 
-      mitigationStrategies: [
-        'Pre-emptive guardian contact',
-        'Increased monitoring',
-        'Activity planning',
-        'Support service availability'
-      ]
+      mitigationStrategies: ['guardianContact', 'monitoring', 'activities', 'services']
+        .map(key => t(`riskPeriods.mitigation.${key}`))
     };
   }
 
   /**
    * PAGE 8: Risk Assessment
    */
-  static _generateRiskAssessment(data) {
+  static _generateRiskAssessment(data, t) {
     return {
-      overallRisk: this._calculateOverallRisk(data),
-      riskFactors: this._identifyRiskFactors(data),
-      riskLevel: this._determineRiskLevel(data),
+      overallRisk: this._calculateOverallRisk(data, t),
+      riskFactors: this._identifyRiskFactors(data, t),
+      riskLevel: this._determineRiskLevel(data, t),
 
       specificRisks: {
-        relapse: this._assessRelapseRisk(data),
-        financial: this._assessFinancialRisk(data),
-        mental: this._assessMentalHealthRisk(data)
+        relapse: this._assessRelapseRisk(data, t),
+        financial: this._assessFinancialRisk(data, t),
+        mental: this._assessMentalHealthRisk(data, t)
       }
     };
   }
@@ -572,32 +525,22 @@ class CounselorReport {
   /**
    * PAGE 8: Vulnerabilities
    */
-  static _generateVulnerabilities(data) {
-    return [
-      'High debt burden creating stress',
-      'Established gambling patterns (weakening but present)',
-      'Limited financial buffer/emergency fund',
-      'Potential access to credit facilities'
-    ];
+  static _generateVulnerabilities(data, t) {
+    return ['debt', 'patterns', 'buffer', 'credit'].map(key => t(`vulnerabilities.${key}`));
   }
 
   /**
    * PAGE 8: Protective Factors
    */
-  static _generateProtectiveFactors(data) {
-    const factors = [
-      'Enrolled in structured recovery program',
-      'Real-time transaction monitoring active',
-      'Automated intervention system',
-      'Daily allowance controls in place'
-    ];
+  static _generateProtectiveFactors(data, t) {
+    const factors = ['program', 'monitoring', 'interventions', 'allowance'].map(key => t(`protectiveFactors.${key}`));
 
     if (data.guardian) {
-      factors.push('Guardian support system active');
+      factors.push(t('protectiveFactors.guardian'));
     }
 
     if (data.recovery.cleanStreak > 30) {
-      factors.push('Strong clean streak established');
+      factors.push(t('protectiveFactors.streak'));
     }
 
     return factors;
@@ -606,31 +549,31 @@ class CounselorReport {
   /**
    * PAGE 9: Immediate Actions
    */
-  static _generateImmediateActions(data) {
+  static _generateImmediateActions(data, t) {
     const actions = [];
 
     const totalDebt = data.debts.reduce((sum, d) => sum + (d.balance || 0), 0);
 
     if (totalDebt > 10000) {
       actions.push({
-        priority: 'URGENT',
-        action: 'Negotiate hardship arrangements with creditors',
-        timeframe: 'Within 7 days'
+        priority: t.common('priority.urgent'),
+        action: t('immediateActions.hardship'),
+        timeframe: t('immediateActions.within', { days: 7 })
       });
     }
 
     if (!data.guardian) {
       actions.push({
-        priority: 'HIGH',
-        action: 'Enroll guardian for additional support',
-        timeframe: 'Within 14 days'
+        priority: t.common('priority.high'),
+        action: t('immediateActions.guardian'),
+        timeframe: t('immediateActions.within', { days: 14 })
       });
     }
 
     actions.push({
-      priority: 'HIGH',
-      action: 'Complete comprehensive budget review',
-      timeframe: 'Within 14 days'
+      priority: t.common('priority.high'),
+      action: t('immediateActions.budget'),
+      timeframe: t('immediateActions.within', { days: 14 })
     });
 
     return actions;
@@ -639,88 +582,53 @@ class CounselorReport {
   /**
    * PAGE 9: Short Term Strategies (3-6 months)
    */
-  static _generateShortTermStrategies(data) {
-    return [
-      {
-        strategy: 'Debt Consolidation',
-        description: 'Consolidate high-interest debts to reduce monthly payments',
-        benefit: 'Lower interest rates, simplified payments'
-      },
-      {
-        strategy: 'Emergency Fund',
-        description: 'Build $1,000 emergency buffer',
-        benefit: 'Reduces financial stress, prevents debt cycling'
-      },
-      {
-        strategy: 'Creditor Negotiations',
-        description: 'Request interest rate reductions and payment plans',
-        benefit: 'Improved affordability, reduced total debt'
-      },
-      {
-        strategy: 'Recovery Milestone Focus',
-        description: 'Work towards 90-day clean milestone',
-        benefit: 'Establishes strong recovery foundation'
-      }
-    ];
+  static _generateShortTermStrategies(data, t) {
+    return ['consolidation', 'emergencyFund', 'negotiations', 'milestone'].map(key => ({
+      strategy: t(`shortTermStrategies.${key}.strategy`),
+      description: t(`shortTermStrategies.${key}.description`),
+      benefit: t(`shortTermStrategies.${key}.benefit`)
+    }));
   }
 
   /**
    * PAGE 9: Long Term Planning (6+ months)
    */
-  static _generateLongTermPlanning(data) {
-    return [
-      {
-        goal: 'Debt Freedom',
-        target: '2-3 years',
-        steps: [
-          'Complete debt snowball/avalanche strategy',
-          'Maintain recovery progress',
-          'Build savings alongside debt reduction'
-        ]
-      },
-      {
-        goal: 'Financial Stability',
-        target: '1-2 years',
-        steps: [
-          '3-month emergency fund',
-          'Sustainable budget adherence',
-          'No reliance on credit for living expenses'
-        ]
-      },
-      {
-        goal: 'Recovery Maintenance',
-        target: 'Ongoing',
-        steps: [
-          'Continue program support as needed',
-          'Regular counseling check-ins',
-          'Community support engagement'
-        ]
-      }
-    ];
+  static _generateLongTermPlanning(data, t) {
+    return ['debtFreedom', 'stability', 'maintenance'].map(key => ({
+      goal: t(`longTermPlanning.${key}.goal`),
+      target: t(`longTermPlanning.${key}.target`),
+      steps: [1, 2, 3].map(step => t(`longTermPlanning.${key}.steps.${step}`))
+    }));
   }
 
   /**
    * PAGE 10: Support Services
    */
-  static _generateSupportServices(data) {
+  static _generateSupportServices(data, t) {
+    const service = (key, contact, hours) => ({
+      service: t(`supportServices.${key}`),
+      contact,
+      hours: t(`supportServices.hours.${hours}`)
+    });
+
     return {
       gamblingSupport: [
-        { service: 'Gambling Help Online', contact: '1800 858 858', hours: '24/7' },
-        { service: 'Gamblers Anonymous', contact: 'www.gamblersanonymous.org.au', hours: 'Meeting schedules vary' }
+        service('gamblingHelp', '1800 858 858', 'allDay'),
+        service('gamblersAnonymous', 'www.gamblersanonymous.org.au', 'meetings')
       ],
 
       financialCounseling: [
-        { service: 'National Debt Helpline', contact: '1800 007 007', hours: '9:30am-4:30pm Mon-Fri' },
-        { service: 'Financial Counselling Australia', contact: 'www.financialcounsellingaustralia.org.au', hours: 'Varies by location' }
+        service('debtHelpline', '1800 007 007', 'business'),
+        service('fca', 'www.financialcounsellingaustralia.org.au', 'location')
       ],
 
       mentalHealth: [
-        { service: 'Lifeline', contact: '13 11 14', hours: '24/7' },
-        { service: 'Beyond Blue', contact: '1300 22 4636', hours: '24/7' }
+        service('lifeline', '13 11 14', 'allDay'),
+        service('beyondBlue', '1300 22 4636', 'allDay')
       ],
 
       legal: [
-        { service: 'Legal Aid', contact: 'www.legalaid.gov.au', hours: 'Varies by state' }
+        service('legalAid', 'www.legalaid.gov.au', 'state')
       ]
     };
   }
@@ -728,61 +636,35 @@ class CounselorReport {
   /**
    * PAGE 10: Action Plan
    */
-  static _generateActionPlan(data) {
+  static _generateActionPlan(data, t) {
+    const steps = (period) => [1, 2, 3].map(step => t(`actionPlan.${period}.${step}`));
+
     return {
-      week1: [
-        'Contact creditors re: hardship variations',
-        'Review and optimize budget',
-        'Confirm recovery program engagement'
-      ],
+      week1: steps('week1'),
 
-      week2to4: [
-        'Implement creditor payment arrangements',
-        'Build emergency fund ($500 target)',
-        'Maintain recovery commitments'
-      ],
+      week2to4: steps('week2to4'),
 
-      month2to3: [
-        'Debt reduction strategy implementation',
-        'Emergency fund completion ($1,000)',
-        'Regular financial counseling check-ins'
-      ],
+      month2to3: steps('month2to3'),
 
-      month4to6: [
-        'Continue debt reduction',
-        'Assess progress and adjust strategies',
-        'Celebrate recovery milestones'
-      ]
+      month4to6: steps('month4to6')
     };
   }
 
   /**
    * PAGE 10: Follow Up Plan
    */
-  static _generateFollowUpPlan(data) {
+  static _generateFollowUpPlan(data, t) {
     return {
       recommended: [
-        {
-          interval: '2 weeks',
-          focus: 'Budget adherence, crisis intervention if needed'
-        },
-        {
-          interval: '1 month',
-          focus: 'Progress review, creditor arrangements, recovery check'
-        },
-        {
-          interval: '3 months',
-          focus: 'Comprehensive review, strategy adjustments'
-        },
-        {
-          interval: '6 months',
-          focus: 'Long-term planning, stability assessment'
-        }
+        { interval: t('followUp.weeks', { count: 2 }), focus: t('followUp.focus.twoWeeks') },
+        { interval: t('followUp.months', { count: 1 }), focus: t('followUp.focus.oneMonth') },
+        { interval: t('followUp.months', { count: 3 }), focus: t('followUp.focus.threeMonths') },
+        { interval: t('followUp.months', { count: 6 }), focus: t('followUp.focus.sixMonths') }
       ],
 
-      contactMethod: 'Phone/Video call',
+      contactMethod: t('followUp.contactMethod'),
 
-      emergencyContact: 'Available for urgent financial crisis support'
+      emergencyContact: t('followUp.emergencyContact')
     };
   }
 
@@ -794,47 +676,46 @@ class CounselorReport {
     return debts.reduce((sum, d) => sum + (d.minimum_payment || 0), 0);
   }
 
-  static _identifyUrgentConcerns(data) {
+  static _identifyUrgentConcerns(data, t) {
     const concerns = [];
     const totalDebt = data.debts.reduce((sum, d) => sum + (d.balance || 0), 0);
 
     if (totalDebt > 20000) {
-      concerns.push('High debt burden (>$20,000)');
+      concerns.push(t('urgentConcerns.highDebt'));
     }
 
     if (data.recovery.relapseCount > 3) {
-      concerns.push('Multiple relapses indicating need for additional support');
+      concerns.push(t('urgentConcerns.relapses'));
     }
 
     if (!data.guardian) {
-      concerns.push('No guardian support enrolled');
+      concerns.push(t('urgentConcerns.noGuardian'));
     }
 
-    return concerns.length > 0 ? concerns : ['No urgent concerns identified'];
+    return concerns.length > 0 ? concerns : [t('urgentConcerns.none')];
   }
 
-  static _identifyImmediateRisks(data) {
-    return [
-      'Approaching payday (high-risk period)',
-      'Limited emergency funds',
-      'Debt stress potential trigger'
-    ];
+  static _identifyImmediateRisks(data, t) {
+    return ['payday', 'emergencyFunds', 'debtStress'].map(key => t(`immediateRisks.${key}`));
   }
 
-  static _identifyStrengths(data) {
-    const strengths = ['Proactive enrollment in recovery program', 'Transaction monitoring active'];
+  static _identifyStrengths(data, t) {
+    const strengths = [t('strengths.enrollment'), t('strengths.monitoring')];
 
     if (data.recovery.cleanStreak > 30) {
-      strengths.push('Strong clean streak established');
+      strengths.push(t('strengths.streak'));
     }
 
     if (data.guardian) {
-      strengths.push('Guardian support system in place');
+      strengths.push(t('strengths.guardian'));
     }
 
     return strengths;
   }
 
+  /**
+   * Totals by gambling type (report.common.gamblingTypes key)
+   */
   static _groupByGamblingType(transactions) {
     const groups = {};
 
@@ -852,14 +733,14 @@ class CounselorReport {
 
   static _categorizeGamblingType(description) {
     const desc = (description || '').toLowerCase();
-    if (desc.includes('sportsbet') || desc.includes('bet365')) return 'Online Betting';
-    if (desc.includes('casino') || desc.includes('rsl')) return 'Venue Gambling';
-    if (desc.includes('tab')) return 'Sports Betting';
-    if (desc.includes('lotto')) return 'Lottery';
-    return 'Other';
+    if (desc.includes('sportsbet') || desc.includes('bet365')) return 'onlineBetting';
+    if (desc.includes('casino') || desc.includes('rsl')) return 'venueGambling';
+    if (desc.includes('tab')) return 'sportsBetting';
+    if (desc.includes('lotto')) return 'lottery';
+    return 'other';
   }
 
-  static _getLargestTransaction(transactions) {
+  static _getLargestTransaction(transactions, t) {
     if (transactions.length === 0) return null;
 
     const largest = transactions.reduce((max, t) =>
@@ -867,15 +748,15 @@ class CounselorReport {
     );
 
     return {
-      date: new Date(largest.created_at).toLocaleDateString('en-AU'),
+      date: translationService.formatDate(largest.created_at, t.language),
       merchant: largest.description,
       amount: `$${Math.abs(largest.amount?.value || 0).toFixed(2)}`
     };
   }
 
-  static _getPrimaryGamblingType(byType) {
+  static _getPrimaryGamblingType(byType, t) {
     const sorted = Object.entries(byType).sort((a, b) => b[1].total - a[1].total);
-    return sorted.length > 0 ? sorted[0][0] : 'None';
+    return sorted.length > 0 ? t.common(`gamblingTypes.${sorted[0][0]}`) : t.common('none');
   }
 
   static _listGamblingPlatforms(transactions) {
@@ -883,45 +764,45 @@ class CounselorReport {
     return Array.from(platforms);
   }
 
-  static _identifyPeakPeriod(transactions) {
+  static _identifyPeakPeriod(transactions, t) {
     // Simple implementation - can be enhanced
-    return 'Friday-Sunday evenings';
+    return t('gamblingHistory.peakPeriod');
   }
 
-  static _identifyCriticalIncidents(transactions) {
+  static _identifyCriticalIncidents(transactions, t) {
     const sorted = transactions
       .sort((a, b) => Math.abs(b.amount?.value || 0) - Math.abs(a.amount?.value || 0))
       .slice(0, 3);
 
-    return sorted.map(t => ({
-      date: new Date(t.created_at).toLocaleDateString('en-AU'),
-      amount: `$${Math.abs(t.amount?.value || 0).toFixed(2)}`,
-      description: t.description
+    return sorted.map(tx => ({
+      date: translationService.formatDate(tx.created_at, t.language),
+      amount: `$${Math.abs(tx.amount?.value || 0).toFixed(2)}`,
+      description: tx.description
     }));
   }
 
-  static _assessIncomeStability(data) {
-    return data.user.employment_status === 'employed' ? 'Stable' : 'Variable';
+  static _assessIncomeStability(data, t) {
+    return data.user.employment_status === 'employed' ? t('incomeAnalysis.stable') : t('incomeAnalysis.variable');
   }
 
-  static _assessIncomeAdequacy(data) {
+  static _assessIncomeAdequacy(data, t) {
     const income = data.user.monthly_income || 0;
-    if (income < 2000) return 'Insufficient';
-    if (income < 3500) return 'Marginal';
-    return 'Adequate';
+    if (income < 2000) return t('incomeAnalysis.insufficient');
+    if (income < 3500) return t('incomeAnalysis.marginal');
+    return t('incomeAnalysis.adequate');
   }
 
   static _categorizeExpenses(expenses) {
     // Simplified categorization
     return {
-      'Essential': 60,
-      'Discretionary': 25,
-      'Gambling': 15
+      essential: 60,
+      discretionary: 25,
+      gambling: 15
     };
   }
 
-  static _analyzeDiscretionarySpending(expenses) {
-    return 'Moderate discretionary spending identified';
+  static _analyzeDiscretionarySpending(expenses, t) {
+    return t('expenseAnalysis.discretionary');
   }
 
   static _calculateMonthlyExpenses(data) {
@@ -943,11 +824,11 @@ class CounselorReport {
     return weightedSum / totalDebt;
   }
 
-  static _assessDebtServiceability(ratio) {
-    if (ratio > 40) return 'Critical - Immediate intervention required';
-    if (ratio > 30) return 'Concerning - Action recommended';
-    if (ratio > 20) return 'Manageable - Monitor closely';
-    return 'Good - Sustainable level';
+  static _assessDebtServiceability(ratio, t) {
+    if (ratio > 40) return t('debtServiceability.assessment.critical');
+    if (ratio > 30) return t('debtServiceability.assessment.concerning');
+    if (ratio > 20) return t('debtServiceability.assessment.manageable');
+    return t('debtServiceability.assessment.good');
   }
 
   static _calculateEssentialExpenses(data) {
@@ -955,28 +836,28 @@ class CounselorReport {
     return (data.user.monthly_income || 0) * 0.6;
   }
 
-  static _assessRecoveryProgress(recovery) {
-    if (recovery.cleanPercentage > 80) return 'Excellent progress';
-    if (recovery.cleanPercentage > 60) return 'Good progress';
-    if (recovery.cleanPercentage > 40) return 'Fair progress';
-    return 'Needs additional support';
+  static _assessRecoveryProgress(recovery, t) {
+    if (recovery.cleanPercentage > 80) return t('recoveryMetrics.progress.excellent');
+    if (recovery.cleanPercentage > 60) return t('recoveryMetrics.progress.good');
+    if (recovery.cleanPercentage > 40) return t('recoveryMetrics.progress.fair');
+    return t('recoveryMetrics.progress.needsSupport');
   }
 
-  static _calculateMilestoneDate(data, days) {
+  static _calculateMilestoneDate(data, days, t) {
     const start = new Date(data.commitment.started_at);
     const milestone = new Date(start);
     milestone.setDate(milestone.getDate() + days);
-    return milestone.toLocaleDateString('en-AU');
+    return translationService.formatDate(milestone, t.language);
   }
 
-  static _getUpcomingMilestones(cleanDays) {
+  static _getUpcomingMilestones(cleanDays, t) {
     const upcoming = [];
     const milestones = [7, 14, 30, 60, 90, 180, 365];
 
     for (const milestone of milestones) {
       if (cleanDays < milestone) {
         upcoming.push({
-          milestone: `${milestone} Days Clean`,
+          milestone: t('milestones.daysClean', { days: milestone }),
           daysRemaining: milestone - cleanDays
         });
       }
@@ -987,33 +868,29 @@ class CounselorReport {
     return upcoming;
   }
 
-  static _calculateOverallRisk(data) {
-    return 'Moderate';
+  static _calculateOverallRisk(data, t) {
+    return t.common('levels.moderate');
   }
 
-  static _identifyRiskFactors(data) {
-    return [
-      'Debt burden creating stress',
-      'Established gambling patterns',
-      'Payday approaching'
-    ];
+  static _identifyRiskFactors(data, t) {
+    return ['debtStress', 'patterns', 'payday'].map(key => t(`riskFactors.${key}`));
   }
 
-  static _determineRiskLevel(data) {
-    return 'MODERATE';
+  static _determineRiskLevel(data, t) {
+    return t.common('levels.moderate').toUpperCase();
   }
 
-  static _assessRelapseRisk(data) {
-    return data.recovery.cleanStreak > 30 ? 'Low-Moderate' : 'Moderate-High';
+  static _assessRelapseRisk(data, t) {
+    return data.recovery.cleanStreak > 30 ? t.common('levels.lowModerate') : t.common('levels.moderateHigh');
   }
 
-  static _assessFinancialRisk(data) {
+  static _assessFinancialRisk(data, t) {
     const totalDebt = data.debts.reduce((sum, d) => sum + (d.balance || 0), 0);
-    return totalDebt > 15000 ? 'High' : 'Moderate';
+    return totalDebt > 15000 ? t.common('levels.high') : t.common('levels.moderate');
   }
 
-  static _assessMentalHealthRisk(data) {
-    return 'Moderate (recommend professional assessment)';
+  static _assessMentalHealthRisk(data, t) {
+    return t('riskAssessment.mentalHealth');
   }
 
   static _calculateDaysRemaining(commitment) {
@@ -7,23 +7,31 @@
  * - Payoff projections at current rate
  * - Debt avalanche vs snowball comparison
  * - Progress since starting Anchor
+ *
+ * Text is in options.language, from report.debt.* and report.common.* in
+ * api/locales.
  */
 
+import translationService from '../services/translation-service.js';
+
 class DebtSummary {
   static generate(data, options = {}) {
+    const t = translationService.scope('report.debt', options.language);
+    t.common = translationService.scope('report.common', options.language);
+
     const report = {
-      summary: this._generateSummary(data),
-      debtList: this._generateDebtList(data),
-      payoffProjections: this._generatePayoffProjections(data),
-      strategies: this._generateStrategies(data),
-      progress: this._generateProgress(data),
-      recommendations: this._generateRecommendations(data)
+      summary: this._generateSummary(data, t),
+      debtList: this._generateDebtList(data, t),
+      payoffProjections: this._generatePayoffProjections(data, t),
+      strategies: this._generateStrategies(data, t),
+      progress: this._generateProgress(data, t),
+      recommendations: this._generateRecommendations(data, t)
     };
 
     return report;
   }
 
-  static _generateSummary(data) {
+  static _generateSummary(data, t) {
     const totalDebt = data.debts.reduce((sum, d) => sum + (d.balance || 0), 0);
     const totalMinPayments = data.debts.reduce((sum, d) => sum + (d.minimum_payment || 0), 0);
     const weightedRate = this._calculateWeightedRate(data.debts);
@@ -35,11 +43,11 @@ class DebtSummary {
       weightedInterestRate: `${weightedRate.toFixed(2)}%`,
       debtToIncomeRatio: data.user.monthly_income > 0
         ? `${((totalDebt / (data.user.monthly_income * 12)) * 100).toFixed(1)}%`
-        : 'N/A'
+        : t.common('na')
     };
   }
 
-  static _generateDebtList(data) {
+  static _generateDebtList(data, t) {
     return data.debts
       .sort((a, b) => b.interest_rate - a.interest_rate)
       .map(debt => ({
@@ -48,24 +56,24 @@ class DebtSummary {
         balance: `$${debt.balance.toFixed(2)}`,
         interestRate: `${debt.interest_rate}%`,
         minimumPayment: `$${debt.minimum_payment.toFixed(2)}`,
-        monthsToPayoff: this._calculateMonthsToPayoff(debt),
+        monthsToPayoff: this._calculateMonthsToPayoff(debt) ?? t.common('na'),
         totalInterest: this._calculateTotalInterest(debt),
-        status: debt.status || 'Current'
+        status: debt.status || t.common('current')
       }));
   }
 
-  static _generatePayoffProjections(data) {
+  static _generatePayoffProjections(data, t) {
     const totalDebt = data.debts.reduce((sum, d) => sum + d.balance, 0);
     const totalMinPayments = data.debts.reduce((sum, d) => sum + d.minimum_payment, 0);
 
     // Current trajectory (minimum payments only)
-    const currentPayoff = this._projectPayoff(data.debts, totalMinPayments);
+    const currentPayoff = this._projectPayoff(data.debts, totalMinPayments, t);
 
     // Accelerated (minimum + $100 extra)
-    const accelerated = this._projectPayoff(data.debts, totalMinPayments + 100);
+    const accelerated = this._projectPayoff(data.debts, totalMinPayments + 100, t);
 
     // Aggressive (minimum + $250 extra)
-    const aggressive = this._projectPayoff(data.debts, totalMinPayments + 250);
+    const aggressive = this._projectPayoff(data.debts, totalMinPayments + 250, t);
 
     return {
       current: {
@@ -91,7 +99,7 @@ class DebtSummary {
     };
   }
 
-  static _generateStrategies(data) {
+  static _generateStrategies(data, t) {
     // Avalanche: Highest interest first
     const avalanche = this._calculateAvalanche(data.debts);
 
@@ -100,70 +108,74 @@ class DebtSummary {
 
     return {
       avalanche: {
-        method: 'Debt Avalanche (Highest Interest First)',
+        method: t('strategies.avalanche.method'),
         payoffOrder: avalanche.order,
         monthsToPayoff: avalanche.months,
         totalInterest: `$${avalanche.totalInterest.toFixed(2)}`,
-        pros: ['Saves most money', 'Mathematically optimal'],
-        cons: ['May take longer to see first debt eliminated']
+        pros: [t('strategies.avalanche.pros.savesMoney'), t('strategies.avalanche.pros.optimal')],
+        cons: [t('strategies.avalanche.cons.slowStart')]
       },
       snowball: {
-        method: 'Debt Snowball (Smallest Balance First)',
+        method: t('strategies.snowball.method'),
         payoffOrder: snowball.order,
         monthsToPayoff: snowball.months,
         totalInterest: `$${snowball.totalInterest.toFixed(2)}`,
-        pros: ['Quick wins for motivation', 'Psychological boost'],
-        cons: ['May pay more interest overall']
+        pros: [t('strategies.snowball.pros.quickWins'), t('strategies.snowball.pros.motivation')],
+        cons: [t('strategies.snowball.cons.moreInterest')]
       },
       comparison: {
-        recommended: avalanche.totalInterest < snowball.totalInterest ? 'Avalanche' : 'Snowball',
+        recommended: avalanche.totalInterest < snowball.totalInterest
+          ? t('strategies.avalanche.name')
+          : t('strategies.snowball.name'),
         interestDifference: `$${Math.abs(avalanche.totalInterest - snowball.totalInterest).toFixed(2)}`,
-        timeDifference: `${Math.abs(avalanche.months - snowball.months)} months`
+        timeDifference: t.common('months', { count: Math.abs(avalanche.months - snowball.months) })
       }
     };
   }
 
-  static _generateProgress(data) {
+  static _generateProgress(data, t) {
     // TODO: Track actual progress since Anchor enrollment
     return {
       sinceEnrollment: {
-        debtReduced: '$500 (estimated)',
-        paymentsM ade: '3 months',
+        debtReduced: t('progress.estimated', { amount: '500' }),
+        paymentsMade: t.common('months', { count: 3 }),
         onTrack: true
       },
       savingsFromGamblingCessation: `$${data.recovery.savedTotal.toFixed(2)}`,
-      potentialDebtReduction: 'Gambling savings could eliminate debt 2.5x faster'
+      potentialDebtReduction: t('progress.potential', { times: '2.5' })
     };
   }
 
-  static _generateRecommendations(data) {
+  static _generateRecommendations(data, t) {
     const recommendations = [];
 
     const highInterestDebts = data.debts.filter(d => d.interest_rate > 15);
     if (highInterestDebts.length > 0) {
       recommendations.push({
-        priority: 'HIGH',
-        recommendation: 'Consolidate high-interest debts',
-        action: `${highInterestDebts.length} debt(s) above 15% interest`,
-        benefit: 'Could save hundreds in interest'
+        priority: t.common('priority.high'),
+        recommendation: t('recommendations.consolidate.recommendation'),
+        action: t('recommendations.consolidate.action', { count: highInterestDebts.length, rate: 15 }),
+        benefit: t('recommendations.consolidate.benefit')
       });
     }
 
     const totalDebt = data.debts.reduce((sum, d) => sum + d.balance, 0);
     if (totalDebt > 10000) {
       recommendations.push({
-        priority: 'MEDIUM',
-        recommendation: 'Request hardship variations',
-        action: 'Contact creditors to reduce minimum payments temporarily',
-        benefit: 'Improved cash flow during recovery'
+        priority: t.common('priority.medium'),
+        recommendation: t('recommendations.hardship.recommendation'),
+        action: t('recommendations.hardship.action'),
+        benefit: t('recommendations.hardship.benefit')
       });
     }
 
     recommendations.push({
-      priority: 'HIGH',
-      recommendation: 'Redirect gambling savings to debt',
-      action: `Use ${data.recovery.savedTotal > 0 ? '$' + data.recovery.savedTotal.toFixed(2) : 'saved funds'} for debt reduction`,
-      benefit: 'Accelerate debt freedom significantly'
+      priority: t.common('priority.high'),
+      recommendation: t('recommendations.redirect.recommendation'),
+      action: data.recovery.savedTotal > 0
+        ? t('recommendations.redirect.action', { amount: data.recovery.savedTotal.toFixed(2) })
+        : t('recommendations.redirect.actionSavedFunds'),
+      benefit: t('recommendations.redirect.benefit')
     });
 
     return recommendations;
@@ -176,8 +188,11 @@ class DebtSummary {
     return weightedSum / totalDebt;
   }
 
+  /**
+   * Months to pay off at the minimum payment (null without one)
+   */
   static _calculateMonthsToPayoff(debt) {
-    if (debt.minimum_payment === 0) return 'N/A';
+    if (debt.minimum_payment === 0) return null;
     const monthlyRate = debt.interest_rate / 100 / 12;
     const months = -Math.log(1 - (debt.balance * monthlyRate) / debt.minimum_payment) / Math.log(1 + monthlyRate);
     return Math.ceil(months);
@@ -185,11 +200,11 @@ class DebtSummary {
 
   static _calculateTotalInterest(debt) {
     const months = this._calculateMonthsToPayoff(debt);
-    if (months === 'N/A') return 0;
+    if (months === null) return 0;
     return (months * debt.minimum_payment) - debt.balance;
   }
 
-  static _projectPayoff(debts, monthlyPayment) {
+  static _projectPayoff(debts, monthlyPayment, t) {
     // Simplified projection
     const totalDebt = debts.reduce((sum, d) => sum + d.balance, 0);
     const avgRate = this._calculateWeightedRate(debts) / 100 / 12;
@@ -204,7 +219,7 @@ class DebtSummary {
     return {
       months: Math.ceil(months),
       interest,
-      date: payoffDate.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' })
+      date: translationService.formatDate(payoffDate, t.language, 'month')
     };
   }
 
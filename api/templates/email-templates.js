@@ -3,14 +3,51 @@
  *
  * Australian tone, direct, facts-based
  * HTML templates with plain text alternatives
+ *
+ * Text is in the locale catalogues (api/locales) under email.<TEMPLATE_ID>;
+ * shared pieces (layout, support numbers) under email.layout and
+ * email.common. Catalogue text may carry <strong> emphasis, which the
+ * plain text versions strip.
  */
 
+import translationService from '../services/translation-service.js';
+
+/**
+ * Translator for a template: t('key') reads email.<TEMPLATE_ID>.key,
+ * t.common('key') email.common.key
+ */
+function translator(templateId, language) {
+  const t = translationService.scope(`email.${templateId}`, language);
+
+  t.common = translationService.scope('email.common', language);
+  t.layout = translationService.scope('email.layout', language);
+  t.dir = translationService.getDirection(language);
+
+  return t;
+}
+
+/**
+ * Catalogue text without markup, for plain text emails
+ */
+const plain = (text) => text.replace(/<[^>]+>/g, '');
+
+// Mirrored borders and list indents for right-to-left languages
+const RTL_STYLES = `
+    body, .content { direction: rtl; text-align: right; }
+    .stat-box, .alert, .success { border-left: none; border-right-width: 4px; border-right-style: solid; }
+    .stat-box { border-right-color: #3b82f6; }
+    .alert { border-right-color: #dc2626; }
+    .success { border-right-color: #10b981; }
+    ul { padding-left: 0; padding-right: 24px; }
+    .phone { direction: ltr; unicode-bidi: embed; }
+`;
+
 /**
  * Base email layout
  */
-const baseLayout = (content) => `
+const baseLayout = (content, t) => `
 <!DOCTYPE html>
-<html>
+<html lang="${t.language}" dir="${t.dir}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -32,7 +69,7 @@ const baseLayout = (content) => `
     ul { margin: 12px 0; padding-left: 24px; }
     li { margin: 8px 0; }
     .emergency { background: #dc2626; color: white; padding: 16px; margin: 24px 0; border-radius: 8px; text-align: center; }
-    .emergency a { color: white; font-weight: 700; text-decoration: underline; }
+    .emergency a { color: white; font-weight: 700; text-decoration: underline; }${t.dir === 'rtl' ? RTL_STYLES : ''}
   </style>
 </head>
 <body>
@@ -44,89 +81,95 @@ const baseLayout = (content) => `
       ${content}
     </div>
     <div class="footer">
-      <p><strong>Anchor</strong> - Financial Accountability System</p>
-      <p>This is an automated message. Replies are not monitored.</p>
-      <p><a href="{{unsubscribe_url}}" style="color: #6b7280;">Manage notification preferences</a></p>
+      <p><strong>Anchor</strong> - ${t.layout('tagline')}</p>
+      <p>${t.layout('automated')}</p>
+      <p><a href="{{unsubscribe_url}}" style="color: #6b7280;">${t.layout('preferences')}</a></p>
     </div>
   </div>
 </body>
 </html>
 `;
 
+/**
+ * Support numbers, as list items
+ */
+const supportContacts = (t) => `
+      <li>${t.common('gamblingHelp')}: <a href="tel:1800858858" class="phone">1800 858 858</a></li>
+      <li>${t.common('lifeline')}: <a href="tel:131114" class="phone">13 11 14</a></li>`;
+
+const supportContactsText = (t) => `${t.common('gamblingHelp')}: 1800 858 858
+${t.common('lifeline')}: 13 11 14`;
+
 /**
  * Welcome Series - Email 1
  */
 const WELCOME_01_LOCKED_IN = {
-  subject: "You've locked in. Here's what happens now.",
-  html: (data) => baseLayout(`
-    <h2>Commitment Confirmed</h2>
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading')}</h2>
 
-    <p>You're locked in for <strong>${data.commitmentDays} days</strong>. No turning back.</p>
+    <p>${t('lockedIn', data)}</p>
 
     <div class="stat-box">
-      <strong>Guardian: ${data.guardianName}</strong>
-      <span>${data.guardianPhone}</span>
+      <strong>${t('guardian', data)}</strong>
+      <span class="phone">${data.guardianPhone}</span>
     </div>
 
     <div class="stat-box">
-      <strong>Daily allowance: $${data.dailyAllowance}</strong>
-      <span>Resets 6am daily</span>
+      <strong>${t('allowance', data)}</strong>
+      <span>${t('allowanceResets')}</span>
     </div>
 
-    <h2>What happens next:</h2>
+    <h2>${t('nextHeading')}</h2>
 
     <ul>
-      <li><strong>6am daily:</strong> Your allowance resets. You'll get an SMS.</li>
-      <li><strong>Non-whitelisted purchase:</strong> App opens. AI conversation required. Guardian notified.</li>
-      <li><strong>Payday:</strong> Money automatically moved to vault. You can't access it.</li>
-      <li><strong>Sunday 6pm:</strong> Weekly report. Facts, not feelings.</li>
+      <li>${t('nextAllowance')}</li>
+      <li>${t('nextPurchase')}</li>
+      <li>${t('nextPayday')}</li>
+      <li>${t('nextReport')}</li>
     </ul>
 
-    <h2>Your whitelisted merchants:</h2>
+    <h2>${t('whitelistHeading')}</h2>
     <ul>
       ${data.whitelist.map(item => `<li>${item}</li>`).join('')}
     </ul>
 
-    <p>Everything else triggers intervention.</p>
+    <p>${t('everythingElse')}</p>
 
     <div class="alert">
-      <strong>Important:</strong> You can't disable AI interventions, guardian notifications, or emergency protocols. This is the system working.
+      ${t('important')}
     </div>
 
-    <h2>Emergency contacts (24/7):</h2>
-    <ul>
-      <li>Gambling Help: <a href="tel:1800858858">1800 858 858</a></li>
-      <li>Lifeline: <a href="tel:131114">13 11 14</a></li>
+    <h2>${t.common('emergencyHeading')}</h2>
+    <ul>${supportContacts(t)}
     </ul>
 
-    <p>Day 1 starts now.</p>
-  `),
-  text: (data) => `
-COMMITMENT CONFIRMED
+    <p>${t('dayOne')}</p>
+  `, t),
+  text: (data, t) => `
+${t('heading').toUpperCase()}
 
-You're locked in for ${data.commitmentDays} days. No turning back.
+${plain(t('lockedIn', data))}
 
-Guardian: ${data.guardianName} (${data.guardianPhone})
-Daily allowance: $${data.dailyAllowance}
+${t('guardian', data)} (${data.guardianPhone})
+${t('allowance', data)}
 
-WHAT HAPPENS NEXT:
-- 6am daily: Allowance resets. You'll get an SMS.
-- Non-whitelisted purchase: App opens. AI conversation required. Guardian notified.
-- Payday: Money moved to vault. You can't access it.
-- Sunday 6pm: Weekly report. Facts, not feelings.
+${t('nextHeading').toUpperCase()}
+- ${plain(t('nextAllowance'))}
+- ${plain(t('nextPurchase'))}
+- ${plain(t('nextPayday'))}
+- ${plain(t('nextReport'))}
 
-YOUR WHITELISTED MERCHANTS:
+${t('whitelistHeading').toUpperCase()}
 ${data.whitelist.map(item => `- ${item}`).join('\n')}
 
-Everything else triggers intervention.
+${t('everythingElse')}
 
-IMPORTANT: You can't disable AI interventions, guardian notifications, or emergency protocols.
+${plain(t('important'))}
 
-EMERGENCY CONTACTS (24/7):
-Gambling Help: 1800 858 858
-Lifeline: 13 11 14
+${t.common('emergencyHeading').toUpperCase()}
+${supportContactsText(t)}
 
-Day 1 starts now.
+${t('dayOne')}
   `,
   variables: ['commitmentDays', 'guardianName', 'guardianPhone', 'dailyAllowance', 'whitelist']
 };
@@ -135,83 +178,82 @@ Day 1 starts now.
  * Welcome Series - Email 2
  */
 const WELCOME_02_DAY_3 = {
-  subject: "Day 3: The system is working. Here's your data.",
-  html: (data) => baseLayout(`
-    <h2>Day 3 Complete</h2>
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading')}</h2>
 
     <div class="stat-box">
-      <strong>${data.cleanDays} days clean</strong>
-      <span>Streak active</span>
+      <strong>${t('cleanDays', data)}</strong>
+      <span>${t('streakActive')}</span>
     </div>
 
     <div class="stat-box">
       <strong>$${data.savedTotal}</strong>
-      <span>Estimated savings so far</span>
+      <span>${t('savedSoFar')}</span>
     </div>
 
-    <h2>Transactions monitored:</h2>
+    <h2>${t('transactionsHeading')}</h2>
     <ul>
-      <li>Total: ${data.totalTransactions}</li>
-      <li>Whitelisted: ${data.whitelistedTransactions}</li>
-      <li>Flagged: ${data.flaggedTransactions}</li>
-      <li>Interventions: ${data.interventions}</li>
+      <li>${t('total', data)}</li>
+      <li>${t('whitelisted', data)}</li>
+      <li>${t('flagged', data)}</li>
+      <li>${t('interventions', data)}</li>
     </ul>
 
     ${data.patterns.length > 0 ? `
-      <h2>Patterns detected:</h2>
+      <h2>${t('patternsHeading')}</h2>
       <ul>
-        ${data.patterns.map(p => `<li><strong>${p.trigger}:</strong> ${p.count} times</li>`).join('')}
+        ${data.patterns.map(p => `<li>${t('patternCount', p)}</li>`).join('')}
       </ul>
     ` : ''}
 
-    <p>The system learns your triggers. We're building your baseline.</p>
+    <p>${t('baseline')}</p>
 
-    <p><strong>Guardian activity:</strong></p>
+    <p><strong>${t('guardianHeading')}</strong></p>
     <ul>
-      <li>Messages sent: ${data.guardianMessages}</li>
-      <li>Alerts triggered: ${data.guardianAlerts}</li>
+      <li>${t('guardianMessages', data)}</li>
+      <li>${t('guardianAlerts', data)}</li>
     </ul>
 
     ${data.upcomingRisks.length > 0 ? `
       <div class="alert">
-        <strong>Upcoming risks identified:</strong>
+        <strong>${t('risksHeading')}</strong>
         <ul>
           ${data.upcomingRisks.map(r => `<li>${r}</li>`).join('')}
         </ul>
-        <p>Your guardian has been notified.</p>
+        <p>${t('guardianNotified')}</p>
       </div>
     ` : ''}
 
-    <p>Keep going. One day at a time.</p>
-  `),
-  text: (data) => `
-DAY 3 COMPLETE
+    <p>${t('keepGoing')}</p>
+  `, t),
+  text: (data, t) => `
+${t('heading').toUpperCase()}
 
-${data.cleanDays} days clean
-$${data.savedTotal} saved
+${t('cleanDays', data)}
+$${data.savedTotal} - ${t('savedSoFar')}
 
-TRANSACTIONS MONITORED:
-Total: ${data.totalTransactions}
-Whitelisted: ${data.whitelistedTransactions}
-Flagged: ${data.flaggedTransactions}
-Interventions: ${data.interventions}
+${t('transactionsHeading').toUpperCase()}
+${t('total', data)}
+${t('whitelisted', data)}
+${t('flagged', data)}
+${t('interventions', data)}
 
 ${data.patterns.length > 0 ? `
-PATTERNS DETECTED:
-${data.patterns.map(p => `${p.trigger}: ${p.count} times`).join('\n')}
+${t('patternsHeading').toUpperCase()}
+${data.patterns.map(p => plain(t('patternCount', p))).join('\n')}
 ` : ''}
 
-GUARDIAN ACTIVITY:
-Messages: ${data.guardianMessages}
-Alerts: ${data.guardianAlerts}
+${t('guardianHeading').toUpperCase()}
+${t('guardianMessages', data)}
+${t('guardianAlerts', data)}
 
 ${data.upcomingRisks.length > 0 ? `
-UPCOMING RISKS:
+${t('risksHeading').toUpperCase()}
 ${data.upcomingRisks.join('\n')}
-Guardian notified.
+${t('guardianNotified')}
 ` : ''}
 
-Keep going. One day at a time.
+${t('keepGoing')}
   `,
   variables: ['cleanDays', 'savedTotal', 'totalTransactions', 'whitelistedTransactions', 'flaggedTransactions', 'interventions', 'patterns', 'guardianMessages', 'guardianAlerts', 'upcomingRisks']
 };
@@ -220,71 +262,70 @@ Keep going. One day at a time.
  * Welcome Series - Email 3
  */
 const WELCOME_03_WEEK_1 = {
-  subject: "Week 1: Patterns we've detected.",
-  html: (data) => baseLayout(`
-    <h2>First Week Complete</h2>
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading')}</h2>
 
     <div class="success">
-      <strong>7 days clean</strong>
-      <p>You made it through the first week. $${data.savedTotal} saved.</p>
+      <strong>${t('sevenDays')}</strong>
+      <p>${t('firstWeek', data)}</p>
     </div>
 
-    <h2>Your pattern profile:</h2>
+    <h2>${t('profileHeading')}</h2>
 
     <div class="stat-box">
-      <strong>Primary trigger: ${data.primaryTrigger}</strong>
-      <span>Most common pattern detected</span>
+      <strong>${t('primaryTrigger', data)}</strong>
+      <span>${t('mostCommon')}</span>
     </div>
 
     <div class="stat-box">
-      <strong>High-risk times:</strong>
+      <strong>${t('highRiskTimes')}</strong>
       <ul>
-        ${data.highRiskTimes.map(t => `<li>${t}</li>`).join('')}
+        ${data.highRiskTimes.map(time => `<li>${time}</li>`).join('')}
       </ul>
     </div>
 
-    <h2>What we learned:</h2>
+    <h2>${t('learnedHeading')}</h2>
     <ul>
       ${data.insights.map(insight => `<li>${insight}</li>`).join('')}
     </ul>
 
-    <h2>Coming week risks:</h2>
+    <h2>${t('risksHeading')}</h2>
     <div class="alert">
       ${data.upcomingWeekRisks.map(r => `<p><strong>${r.day}:</strong> ${r.risk}</p>`).join('')}
     </div>
 
-    <p><strong>Pre-emptive support scheduled:</strong></p>
+    <p><strong>${t('supportHeading')}</strong></p>
     <ul>
-      <li>Guardian check-ins: ${data.scheduledCheckins}</li>
-      <li>High-risk warnings: ${data.scheduledWarnings}</li>
+      <li>${t('checkins', data)}</li>
+      <li>${t('warnings', data)}</li>
     </ul>
 
-    <h2>Week 2 starts now.</h2>
-    <p>The system adapts to your patterns. Stay committed.</p>
-  `),
-  text: (data) => `
-FIRST WEEK COMPLETE
+    <h2>${t('weekTwo')}</h2>
+    <p>${t('adapts')}</p>
+  `, t),
+  text: (data, t) => `
+${t('heading').toUpperCase()}
 
-7 days clean
-$${data.savedTotal} saved
+${t('sevenDays')}
+${t('firstWeek', data)}
 
-YOUR PATTERN PROFILE:
-Primary trigger: ${data.primaryTrigger}
+${t('profileHeading').toUpperCase()}
+${t('primaryTrigger', data)}
 
-High-risk times:
+${t('highRiskTimes')}
 ${data.highRiskTimes.join('\n')}
 
-WHAT WE LEARNED:
+${t('learnedHeading').toUpperCase()}
 ${data.insights.join('\n')}
 
-COMING WEEK RISKS:
+${t('risksHeading').toUpperCase()}
 ${data.upcomingWeekRisks.map(r => `${r.day}: ${r.risk}`).join('\n')}
 
-PRE-EMPTIVE SUPPORT SCHEDULED:
-Guardian check-ins: ${data.scheduledCheckins}
-High-risk warnings: ${data.scheduledWarnings}
+${t('supportHeading').toUpperCase()}
+${t('checkins', data)}
+${t('warnings', data)}
 
-Week 2 starts now.
+${t('weekTwo')}
   `,
   variables: ['savedTotal', 'primaryTrigger', 'highRiskTimes', 'insights', 'upcomingWeekRisks', 'scheduledCheckins', 'scheduledWarnings']
 };
@@ -293,42 +334,41 @@ Week 2 starts now.
  * Weekly Report
  */
 const WEEKLY_REPORT = {
-  subject: (data) => `Week ${data.weekNumber}: Facts, not feelings`,
-  html: (data) => baseLayout(`
-    <h2>Week ${data.weekNumber} Report</h2>
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading', data)}</h2>
 
     <div class="stat-box">
-      <strong>${data.cleanDays}/7 days clean</strong>
-      <span>${data.cleanPercentage}% clean rate</span>
+      <strong>${t('cleanDays', data)}</strong>
+      <span>${t('cleanRate', data)}</span>
     </div>
 
     <div class="stat-box">
       <strong>$${data.savedWeek}</strong>
-      <span>Saved this week</span>
+      <span>${t('savedWeek')}</span>
     </div>
 
     <div class="stat-box">
       <strong>$${data.savedTotal}</strong>
-      <span>Total saved (${data.totalDays} days)</span>
+      <span>${t('savedTotal', data)}</span>
     </div>
 
-    <h2>This week's data:</h2>
+    <h2>${t('dataHeading')}</h2>
     <ul>
-      <li>Transactions: ${data.totalTransactions}</li>
-      <li>Interventions: ${data.interventions}</li>
-      <li>Guardian messages: ${data.guardianMessages}</li>
-      ${data.relapses > 0 ? `<li>Relapses: ${data.relapses}</li>` : ''}
+      <li>${t('transactions', data)}</li>
+      <li>${t('interventions', data)}</li>
+      <li>${t('guardianMessages', data)}</li>
+      ${data.relapses > 0 ? `<li>${t('relapses', data)}</li>` : ''}
     </ul>
 
     ${data.triggers.length > 0 ? `
-      <h2>Triggers activated:</h2>
+      <h2>${t('triggersHeading')}</h2>
       <ul>
-        ${data.triggers.map(t => `<li>${t.name}: ${t.count} times</li>`).join('')}
+        ${data.triggers.map(trigger => `<li>${t('triggerCount', trigger)}</li>`).join('')}
       </ul>
     ` : ''}
 
     ${data.improvements.length > 0 ? `
-      <h2>Improvements noted:</h2>
+      <h2>${t('improvementsHeading')}</h2>
       <ul>
         ${data.improvements.map(i => `<li>${i}</li>`).join('')}
       </ul>
@@ -336,56 +376,56 @@ const WEEKLY_REPORT = {
 
     ${data.concerns.length > 0 ? `
       <div class="alert">
-        <strong>Concerns:</strong>
+        <strong>${t('concernsHeading')}</strong>
         <ul>
           ${data.concerns.map(c => `<li>${c}</li>`).join('')}
         </ul>
       </div>
     ` : ''}
 
-    <h2>Next week:</h2>
-    <p>${data.commitmentDaysRemaining} days remaining on commitment.</p>
+    <h2>${t('nextHeading')}</h2>
+    <p>${t('remaining', data)}</p>
 
     ${data.upcomingRisks.length > 0 ? `
-      <p><strong>Predicted risks:</strong></p>
+      <p><strong>${t('risksHeading')}</strong></p>
       <ul>
         ${data.upcomingRisks.map(r => `<li>${r}</li>`).join('')}
       </ul>
     ` : ''}
-  `),
-  text: (data) => `
-WEEK ${data.weekNumber} REPORT
+  `, t),
+  text: (data, t) => `
+${t('heading', data).toUpperCase()}
 
-${data.cleanDays}/7 days clean (${data.cleanPercentage}%)
-$${data.savedWeek} saved this week
-$${data.savedTotal} total saved (${data.totalDays} days)
+${t('cleanDays', data)} (${t('cleanRate', data)})
+$${data.savedWeek} - ${t('savedWeek')}
+$${data.savedTotal} - ${t('savedTotal', data)}
 
-THIS WEEK'S DATA:
-Transactions: ${data.totalTransactions}
-Interventions: ${data.interventions}
-Guardian messages: ${data.guardianMessages}
-${data.relapses > 0 ? `Relapses: ${data.relapses}` : ''}
+${t('dataHeading').toUpperCase()}
+${t('transactions', data)}
+${t('interventions', data)}
+${t('guardianMessages', data)}
+${data.relapses > 0 ? t('relapses', data) : ''}
 
 ${data.triggers.length > 0 ? `
-TRIGGERS ACTIVATED:
-${data.triggers.map(t => `${t.name}: ${t.count} times`).join('\n')}
+${t('triggersHeading').toUpperCase()}
+${data.triggers.map(trigger => t('triggerCount', trigger)).join('\n')}
 ` : ''}
 
 ${data.improvements.length > 0 ? `
-IMPROVEMENTS:
+${t('improvementsHeading').toUpperCase()}
 ${data.improvements.join('\n')}
 ` : ''}
 
 ${data.concerns.length > 0 ? `
-CONCERNS:
+${t('concernsHeading').toUpperCase()}
 ${data.concerns.join('\n')}
 ` : ''}
 
-NEXT WEEK:
-${data.commitmentDaysRemaining} days remaining on commitment.
+${t('nextHeading').toUpperCase()}
+${t('remaining', data)}
 
 ${data.upcomingRisks.length > 0 ? `
-PREDICTED RISKS:
+${t('risksHeading').toUpperCase()}
 ${data.upcomingRisks.join('\n')}
 ` : ''}
   `,
@@ -396,95 +436,98 @@ ${data.upcomingRisks.join('\n')}
  * Relapse Response
  */
 const RELAPSE_RESPONSE = {
-  subject: "Day 0. Start again.",
-  html: (data) => baseLayout(`
-    <h2>Relapse Recorded</h2>
+  params: (data) => ({
+    ...data,
+    triggers: data.triggers.join(', '),
+    identifiedRisks: data.identifiedRisks.join(', ')
+  }),
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading')}</h2>
 
-    <p>Your streak has been reset. Previous streak: <strong>${data.lastStreak} days</strong>.</p>
+    <p>${t('reset', data)}</p>
 
     <div class="stat-box">
-      <strong>What happened:</strong>
-      <p>Date: ${data.relapseDate}</p>
-      ${data.triggers.length > 0 ? `<p>Triggers: ${data.triggers.join(', ')}</p>` : ''}
-      ${data.voiceMemo ? `<p>Voice memo recorded: Yes</p>` : ''}
+      <strong>${t('whatHappened')}</strong>
+      <p>${t('date', data)}</p>
+      ${data.triggers ? `<p>${t('triggers', data)}</p>` : ''}
+      ${data.voiceMemo ? `<p>${t('voiceMemo', data)}</p>` : ''}
     </div>
 
-    <h2>Facts:</h2>
+    <h2>${t('factsHeading')}</h2>
     <ul>
-      <li>Relapses happen. This is data, not failure.</li>
-      <li>You had ${data.lastStreak} clean days. That's real progress.</li>
-      <li>Average person relapses 3-4 times before sustained recovery.</li>
-      <li>Your guardian has been notified (no judgment, just support).</li>
+      <li>${t('factData')}</li>
+      <li>${t('factProgress', data)}</li>
+      <li>${t('factAverage')}</li>
+      <li>${t('factGuardian')}</li>
     </ul>
 
-    <h2>What you learned:</h2>
+    <h2>${t('learnedHeading')}</h2>
     ${data.voiceMemo ? `
       <div class="stat-box">
         <p><em>"${data.voiceMemoTranscript}"</em></p>
-        <span>— Your voice memo</span>
+        <span>${t('yourMemo')}</span>
       </div>
-      <p>Listen to this before your next high-risk moment.</p>
+      <p>${t('listen')}</p>
     ` : `
-      <p>No voice memo recorded. Next time, document what happened while it's fresh.</p>
+      <p>${t('noMemo')}</p>
     `}
 
-    <h2>Pattern analysis:</h2>
+    <h2>${t('patternHeading')}</h2>
     <ul>
       ${data.patternAnalysis.map(p => `<li>${p}</li>`).join('')}
     </ul>
 
-    <h2>Adjustments made:</h2>
+    <h2>${t('adjustmentsHeading')}</h2>
     <ul>
-      <li>High-risk alerts increased for: ${data.identifiedRisks.join(', ')}</li>
-      <li>Guardian check-ins scheduled for next ${data.scheduledCheckins} days</li>
-      ${data.allowanceAdjusted ? `<li>Daily allowance temporarily reduced to $${data.newAllowance}</li>` : ''}
+      <li>${t('alertsIncreased', data)}</li>
+      <li>${t('checkinsScheduled', data)}</li>
+      ${data.allowanceAdjusted ? `<li>${t('allowanceReduced', data)}</li>` : ''}
     </ul>
 
     <div class="emergency">
-      <p><strong>If you're in crisis:</strong></p>
-      <p>Gambling Help: <a href="tel:1800858858">1800 858 858</a></p>
-      <p>Lifeline: <a href="tel:131114">13 11 14</a></p>
+      <p><strong>${t.common('crisisHeading')}</strong></p>
+      <p>${t.common('gamblingHelp')}: <a href="tel:1800858858" class="phone">1800 858 858</a></p>
+      <p>${t.common('lifeline')}: <a href="tel:131114" class="phone">13 11 14</a></p>
     </div>
 
-    <h2>Day 0 starts now.</h2>
-    <p>${data.commitmentDaysRemaining} days left on commitment. Keep going.</p>
-  `),
-  text: (data) => `
-RELAPSE RECORDED
+    <h2>${t('dayZero')}</h2>
+    <p>${t('remaining', data)}</p>
+  `, t),
+  text: (data, t) => `
+${t('heading').toUpperCase()}
 
-Streak reset. Previous: ${data.lastStreak} days.
+${plain(t('reset', data))}
 
-WHAT HAPPENED:
-Date: ${data.relapseDate}
-${data.triggers.length > 0 ? `Triggers: ${data.triggers.join(', ')}` : ''}
-${data.voiceMemo ? 'Voice memo: Recorded' : 'Voice memo: None'}
+${t('whatHappened').toUpperCase()}
+${t('date', data)}
+${data.triggers ? t('triggers', data) : ''}
+${t('voiceMemo', data)}
 
-FACTS:
-- Relapses happen. This is data, not failure.
-- You had ${data.lastStreak} clean days. That's real progress.
-- Average: 3-4 relapses before sustained recovery.
-- Guardian notified (support, not judgment).
+${t('factsHeading').toUpperCase()}
+- ${t('factData')}
+- ${t('factProgress', data)}
+- ${t('factAverage')}
+- ${t('factGuardian')}
 
 ${data.voiceMemo ? `
-WHAT YOU LEARNED:
+${t('learnedHeading').toUpperCase()}
 "${data.voiceMemoTranscript}"
-Listen to this before your next high-risk moment.
+${t('listen')}
 ` : ''}
 
-PATTERN ANALYSIS:
+${t('patternHeading').toUpperCase()}
 ${data.patternAnalysis.join('\n')}
 
-ADJUSTMENTS MADE:
-- High-risk alerts for: ${data.identifiedRisks.join(', ')}
-- Guardian check-ins: next ${data.scheduledCheckins} days
-${data.allowanceAdjusted ? `- Allowance reduced to $${data.newAllowance}` : ''}
+${t('adjustmentsHeading').toUpperCase()}
+- ${t('alertsIncreased', data)}
+- ${t('checkinsScheduled', data)}
+${data.allowanceAdjusted ? `- ${t('allowanceReduced', data)}` : ''}
 
-CRISIS SUPPORT:
-Gambling Help: 1800 858 858
-Lifeline: 13 11 14
+${t.common('crisisHeading').toUpperCase()}
+${supportContactsText(t)}
 
-Day 0 starts now.
-${data.commitmentDaysRemaining} days left on commitment.
+${t('dayZero')}
+${t('remaining', data)}
   `,
   variables: ['lastStreak', 'relapseDate', 'triggers', 'voiceMemo', 'voiceMemoTranscript', 'patternAnalysis', 'identifiedRisks', 'scheduledCheckins', 'allowanceAdjusted', 'newAllowance', 'commitmentDaysRemaining']
 };
@@ -493,68 +536,106 @@ ${data.commitmentDaysRemaining} days left on commitment.
  * Milestone email
  */
 const MILESTONE_REACHED = {
-  subject: (data) => `${data.days} days clean`,
-  html: (data) => baseLayout(`
-    <h2>${data.days} Days Clean</h2>
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading', data)}</h2>
 
     <div class="success">
-      <strong>${data.days} days</strong>
-      <p>That's ${data.weeks} weeks. ${data.months > 0 ? `${data.months} month${data.months > 1 ? 's' : ''}.` : ''}</p>
+      <strong>${t('days', data)}</strong>
+      <p>${t('duration', data)}</p>
     </div>
 
     <div class="stat-box">
       <strong>$${data.savedTotal}</strong>
-      <span>Total saved</span>
+      <span>${t('totalSaved')}</span>
     </div>
 
     <div class="stat-box">
       <strong>$${data.projectedYearly}</strong>
-      <span>Projected yearly savings if you keep going</span>
+      <span>${t('projected')}</span>
     </div>
 
-    <h2>What you've achieved:</h2>
+    <h2>${t('achievedHeading')}</h2>
     <ul>
-      <li>Interventions completed: ${data.interventionsCompleted}</li>
-      <li>Triggers successfully avoided: ${data.triggersAvoided}</li>
-      <li>Guardian support messages: ${data.guardianSupport}</li>
+      <li>${t('interventions', data)}</li>
+      <li>${t('triggersAvoided', data)}</li>
+      <li>${t('guardianSupport', data)}</li>
     </ul>
 
     ${data.comparisons.length > 0 ? `
-      <h2>You're not alone:</h2>
+      <h2>${t('notAloneHeading')}</h2>
       <ul>
         ${data.comparisons.map(c => `<li>${c}</li>`).join('')}
       </ul>
     ` : ''}
 
-    <p>${data.commitmentDaysRemaining} days remaining on commitment.</p>
+    <p>${t('remaining', data)}</p>
 
-    <p>This is real progress. Keep going.</p>
-  `),
-  text: (data) => `
-${data.days} DAYS CLEAN
+    <p>${t('progress')}</p>
+  `, t),
+  text: (data, t) => `
+${t('heading', data).toUpperCase()}
 
-${data.days} days = ${data.weeks} weeks${data.months > 0 ? ` = ${data.months} month${data.months > 1 ? 's' : ''}` : ''}
+${t('duration', data)}
 
-$${data.savedTotal} saved
-$${data.projectedYearly} projected yearly if you keep going
+$${data.savedTotal} - ${t('totalSaved')}
+$${data.projectedYearly} - ${t('projected')}
 
-WHAT YOU'VE ACHIEVED:
-- Interventions completed: ${data.interventionsCompleted}
-- Triggers avoided: ${data.triggersAvoided}
-- Guardian support: ${data.guardianSupport} messages
+${t('achievedHeading').toUpperCase()}
+- ${t('interventions', data)}
+- ${t('triggersAvoided', data)}
+- ${t('guardianSupport', data)}
 
 ${data.comparisons.length > 0 ? `
-YOU'RE NOT ALONE:
+${t('notAloneHeading').toUpperCase()}
 ${data.comparisons.join('\n')}
 ` : ''}
 
-${data.commitmentDaysRemaining} days remaining on commitment.
+${t('remaining', data)}
 
-This is real progress. Keep going.
+${t('progress')}
   `,
   variables: ['days', 'weeks', 'months', 'savedTotal', 'projectedYearly', 'interventionsCompleted', 'triggersAvoided', 'guardianSupport', 'comparisons', 'commitmentDaysRemaining']
 };
 
+const NOTIFICATION = {
+  html: (data, t) => baseLayout(`
+    <h2>${data.title}</h2>
+
+    <p>${data.message}</p>
+
+    <p>${t('fallback')}</p>
+  `, t),
+  text: (data, t) => `
+${data.title.toUpperCase()}
+
+${data.message}
+
+${t('fallback')}
+  `,
+  variables: ['title', 'message']
+};
+
+const DAILY_DIGEST = {
+  params: (data) => ({ ...data, count: data.items.length }),
+  html: (data, t) => baseLayout(`
+    <h2>${t('heading')}</h2>
+
+    <ul>
+      ${data.items.map(item => `<li>${item}</li>`).join('')}
+    </ul>
+
+    <p>${t('why')}</p>
+  `, t),
+  text: (data, t) => `
+${t('heading').toUpperCase()}
+
+${data.items.map(item => `- ${item}`).join('\n')}
+
+${t('why')}
+  `,
+  variables: ['items']
+};
+
 /**
  * Get template
  */
@@ -565,7 +646,9 @@ function getTemplate(templateId) {
     WELCOME_03_WEEK_1,
     WEEKLY_REPORT,
     RELAPSE_RESPONSE,
-    MILESTONE_REACHED
+    MILESTONE_REACHED,
+    NOTIFICATION,
+    DAILY_DIGEST
   };
 
   if (!templates[templateId]) {
@@ -576,9 +659,9 @@ function getTemplate(templateId) {
 }
 
 /**
- * Render email
+ * Render email in the recipient's language
  */
-function renderEmail(templateId, data) {
+function renderEmail(templateId, data, language = 'en') {
   const template = getTemplate(templateId);
 
   // Validate variables
@@ -592,14 +675,15 @@ function renderEmail(templateId, data) {
     data.unsubscribe_url = process.env.APP_URL + '/preferences/unsubscribe';
   }
 
-  const subject = typeof template.subject === 'function'
-    ? template.subject(data)
-    : template.subject;
+  const t = translator(templateId, language);
+  const params = template.params ? template.params(data) : data;
 
   return {
-    subject,
-    html: template.html(data),
-    text: template.text(data)
+    subject: t('subject', params),
+    html: template.html(params, t),
+    text: template.text(params, t),
+    language: t.language,
+    dir: t.dir
   };
 }
 
@@ -610,6 +694,8 @@ export {
   WEEKLY_REPORT,
   RELAPSE_RESPONSE,
   MILESTONE_REACHED,
+  NOTIFICATION,
+  DAILY_DIGEST,
   getTemplate,
   renderEmail
 };
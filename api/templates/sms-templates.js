@@ -3,71 +3,80 @@
  *
  * Australian tone, direct, no fluff
  * Facts over feelings approach
+ *
+ * Message text is in the locale catalogues (api/locales) under
+ * sms.<category>.<TEMPLATE_ID>; `params` adapts the data for templates
+ * whose text needs it (lists, optional values).
  */
 
+import translationService from '../services/translation-service.js';
+
 /**
  * Guardian Notifications
  */
 const GUARDIAN_TEMPLATES = {
   PATTERN_DETECTED: {
-    template: (data) =>
-      `ANCHOR: ${data.userName} triggered ${data.pattern}. Day ${data.cleanStreak} clean. AI conversation started.`,
     variables: ['userName', 'pattern', 'cleanStreak'],
     category: 'guardian_alert',
     critical: false
   },
 
   RELAPSE_CONFIRMED: {
-    template: (data) =>
-      `ANCHOR: Gambling detected. Streak reset. ${data.userName} needs support, not judgment.`,
     variables: ['userName'],
     category: 'guardian_alert',
     critical: true
   },
 
   MILESTONE_REACHED: {
-    template: (data) =>
-      `ANCHOR: ${data.userName} hit ${data.days} days clean. Acknowledge it (no celebration).`,
     variables: ['userName', 'days'],
     category: 'guardian_milestone',
     critical: false
   },
 
   EMERGENCY_TRIGGERED: {
-    template: (data) =>
-      `URGENT: ${data.userName} triggered emergency protocol. Check in immediately.`,
     variables: ['userName'],
     category: 'guardian_emergency',
     critical: true
   },
 
   HIGH_RISK_ALERT: {
-    template: (data) =>
-      `ANCHOR: ${data.userName} approaching high-risk period (${data.trigger}). Be available.`,
-    variables: ['userName', 'trigger'],
+    variables: ['userName', 'trigger', 'event'],
     category: 'guardian_alert',
     critical: false
   },
 
+  VENUE_DWELL_ALERT: {
+    variables: ['userName', 'venueType', 'minutes'],
+    category: 'guardian_alert',
+    critical: true
+  },
+
   INTERVENTION_COMPLETED: {
-    template: (data) =>
-      `ANCHOR: ${data.userName} completed voice memo. Listen when you can.`,
     variables: ['userName'],
     category: 'guardian_update',
     critical: false
   },
 
   COMMITMENT_EXPIRING: {
-    template: (data) =>
-      `ANCHOR: ${data.userName}'s commitment expires in ${data.daysLeft} days. Discuss renewal.`,
     variables: ['userName', 'daysLeft'],
     category: 'guardian_update',
     critical: false
   },
 
+  CHECKIN_CONCERN: {
+    variables: ['userName'],
+    params: (data) => ({ ...data, moodScore: data.moodScore || 'none' }),
+    category: 'guardian_alert',
+    critical: true
+  },
+
+  MESSAGE_ACKNOWLEDGED: {
+    variables: ['userName', 'reply'],
+    category: 'guardian_update',
+    critical: false
+  },
+
   CLEAN_WEEK: {
-    template: (data) =>
-      `ANCHOR: ${data.userName} - full week clean. $${data.saved} saved. Progress confirmed.`,
     variables: ['userName', 'saved'],
     category: 'guardian_milestone',
     critical: false
@@ -79,96 +88,91 @@ const GUARDIAN_TEMPLATES = {
  */
 const USER_TEMPLATES = {
   DAILY_CHECKIN: {
-    template: (data) =>
-      `Day ${data.cleanStreak} clean. $${data.savedTotal} saved. Stay strong.`,
     variables: ['cleanStreak', 'savedTotal'],
     category: 'user_checkin',
     critical: false
   },
 
   HIGH_RISK_WARNING: {
-    template: (data) =>
-      `It's ${data.day} ${data.time}. Your ${data.pattern} pattern. Make different choices.`,
-    variables: ['day', 'time', 'pattern'],
+    variables: ['day', 'time', 'pattern', 'event'],
+    category: 'user_warning',
+    critical: true
+  },
+
+  VENUE_DWELL_WARNING: {
+    variables: ['minutes', 'venueName', 'guardianMinutes'],
     category: 'user_warning',
     critical: true
   },
 
   PAYDAY_REMINDER: {
-    template: (data) =>
-      `Payday detected. Money moved to vault. You have $${data.dailyAllowance} for today.`,
     variables: ['dailyAllowance'],
     category: 'user_payday',
     critical: true
   },
 
   INTERVENTION_REQUIRED: {
-    template: () =>
-      `Open Anchor app now. AI conversation required.`,
     variables: [],
     category: 'user_intervention',
     critical: true
   },
 
   ALLOWANCE_RESET: {
-    template: (data) =>
-      `New day. $${data.dailyAllowance} allowance reset. Day ${data.cleanStreak}.`,
     variables: ['dailyAllowance', 'cleanStreak'],
     category: 'user_checkin',
     critical: false
   },
 
   STREAK_MILESTONE: {
-    template: (data) =>
-      `${data.days} days clean. That's ${data.weeks} weeks. $${data.savedTotal} saved.`,
     variables: ['days', 'weeks', 'savedTotal'],
     category: 'user_milestone',
     critical: false
   },
 
   COMMITMENT_ENDING: {
-    template: (data) =>
-      `${data.daysLeft} days left on commitment. Total saved: $${data.savedTotal}.`,
     variables: ['daysLeft', 'savedTotal'],
     category: 'user_update',
     critical: false
   },
 
   RELAPSE_RESET: {
-    template: (data) =>
-      `Day 0. Last streak: ${data.lastStreak} days. Start again.`,
     variables: ['lastStreak'],
     category: 'user_relapse',
     critical: true
   },
 
   TRIGGER_APPROACHING: {
-    template: (data) =>
-      `${data.trigger} in ${data.hours} hours. Your guardian has been notified.`,
     variables: ['trigger', 'hours'],
     category: 'user_warning',
     critical: true
   },
 
   WEEKLY_SUMMARY: {
-    template: (data) =>
-      `Week ${data.weekNumber}: ${data.cleanDays}/7 clean. $${data.savedWeek} saved this week.`,
     variables: ['weekNumber', 'cleanDays', 'savedWeek'],
     category: 'user_report',
     critical: false
   },
 
+  DAILY_DIGEST: {
+    variables: ['items'],
+    params: (data) => ({ ...data, items: data.items.join(' | ') }),
+    category: 'user_digest',
+    critical: false
+  },
+
   EMERGENCY_CONTACT: {
-    template: () =>
-      `Gambling Help 1800 858 858. Lifeline 13 11 14. Both 24/7.`,
     variables: [],
     category: 'user_emergency',
     critical: true
   },
 
+  CHECKIN_SUPPORT: {
+    variables: ['guardianNotified'],
+    category: 'user_support',
+    critical: true
+  },
+
   GUARDIAN_MESSAGE: {
-    template: (data) =>
-      `From ${data.guardianName}: ${data.message}`,
     variables: ['guardianName', 'message'],
     category: 'user_support',
     critical: false
@@ -180,40 +184,48 @@ const USER_TEMPLATES = {
  */
 const SYSTEM_TEMPLATES = {
   COMMITMENT_STARTED: {
-    template: (data) =>
-      `Commitment locked. ${data.days} days. Guardian: ${data.guardianName}. Daily allowance: $${data.allowance}.`,
     variables: ['days', 'guardianName', 'allowance'],
     category: 'system_setup',
     critical: true
   },
 
   VERIFICATION_CODE: {
-    template: (data) =>
-      `ANCHOR verification code: ${data.code}. Valid for 10 minutes.`,
     variables: ['code'],
     category: 'system_auth',
     critical: true
   },
 
   WHITELIST_UPDATED: {
-    template: (data) =>
-      `Whitelist updated. ${data.payeeName} ${data.action}. Total whitelisted: ${data.total}.`,
     variables: ['payeeName', 'action', 'total'],
     category: 'system_update',
     critical: false
   },
 
   GUARDIAN_ADDED: {
-    template: (data) =>
-      `${data.guardianName} is now your guardian. They can see patterns (not amounts).`,
     variables: ['guardianName'],
     category: 'system_setup',
     critical: true
   },
 
+  SMS_HELP: {
+    variables: [],
+    category: 'system_reply',
+    critical: true
+  },
+
+  SMS_OPTED_OUT: {
+    variables: ['mandatoryContinues'],
+    category: 'system_reply',
+    critical: true
+  },
+
+  SMS_OPTED_IN: {
+    variables: [],
+    category: 'system_reply',
+    critical: true
+  },
+
   IMPORT_COMPLETE: {
-    template: (data) =>
-      `Import complete. ${data.total} transactions analysed. ${data.gamblingCount} gambling patterns found.`,
     variables: ['total', 'gamblingCount'],
     category: 'system_update',
     critical: false
@@ -239,9 +251,9 @@ function getTemplate(category, templateId) {
 }
 
 /**
- * Render SMS message
+ * Render SMS message in the recipient's language
  */
-function renderSMS(category, templateId, data) {
+function renderSMS(category, templateId, data, language = 'en') {
   const template = getTemplate(category, templateId);
 
   // Validate required variables
@@ -251,15 +263,19 @@ function renderSMS(category, templateId, data) {
   }
 
   // Render template
-  const message = template.template(data);
-
-  // Validate length (SMS limit is 160 chars for single, 1600 for concatenated)
-  if (message.length > 160) {
-    console.warn(`SMS message exceeds 160 chars (${message.length}). Will be sent as concatenated.`);
+  const params = template.params ? template.params(data) : data;
+  const message = translationService.translateSMS(`${category}.${templateId}`, language, params);
+
+  // Validate length (SMS limit is 160 chars for single, 1600 for concatenated;
+  // 70 for single when the text needs Unicode, e.g. zh, vi, ar)
+  const limit = /^[\x20-\x7E\n£€]*$/.test(message) ? 160 : 70;
+  if (message.length > limit) {
+    console.warn(`SMS message exceeds ${limit} chars (${message.length}). Will be sent as concatenated.`);
   }
 
   return {
     message,
+    language: translationService.normalizeLanguage(language),
     category: template.category,
     critical: template.critical,
     length: message.length
@@ -10,46 +10,55 @@
  *
  * Note: Gambling losses are generally NOT tax deductible in Australia unless
  * gambling is your business/profession. This report is for record-keeping.
+ *
+ * Text is in options.language, from report.tax.* and report.common.* in
+ * api/locales.
  */
 
+import crypto from 'crypto';
+import translationService from '../services/translation-service.js';
+
 class TaxReport {
   /**
    * Generate ATO-compliant tax report
    */
   static generate(data, options = {}) {
+    const t = translationService.scope('report.tax', options.language);
+    t.common = translationService.scope('report.common', options.language);
+
     const report = {
       // Report metadata
-      metadata: this._generateMetadata(data, options),
+      metadata: this._generateMetadata(data, options, t),
 
       // Cover page
-      coverPage: this._generateCoverPage(data, options),
+      coverPage: this._generateCoverPage(data, options, t),
 
       // Executive summary
-      executiveSummary: this._generateExecutiveSummary(data, options),
+      executiveSummary: this._generateExecutiveSummary(data, options, t),
 
       // Gambling losses summary
-      gamblingLosses: this._generateGamblingLosses(data, options),
+      gamblingLosses: this._generateGamblingLosses(data, options, t),
 
       // Income summary
-      income: this._generateIncomeSummary(data, options),
+      income: this._generateIncomeSummary(data, options, t),
 
       // Expenses by category
-      expenses: this._generateExpensesSummary(data, options),
+      expenses: this._generateExpensesSummary(data, options, t),
 
       // Monthly breakdown
-      monthlyBreakdown: this._generateMonthlyBreakdown(data, options),
+      monthlyBreakdown: this._generateMonthlyBreakdown(data, options, t),
 
       // Merchant analysis
-      merchantAnalysis: this._generateMerchantAnalysis(data, options),
+      merchantAnalysis: this._generateMerchantAnalysis(data, options, t),
 
       // Supporting documentation
-      supportingDocs: this._generateSupportingDocs(data, options),
+      supportingDocs: this._generateSupportingDocs(data, options, t),
 
       // Accountant notes
-      accountantNotes: this._generateAccountantNotes(data, options),
+      accountantNotes: this._generateAccountantNotes(data, options, t),
 
       // Declaration
-      declaration: this._generateDeclaration(data, options),
+      declaration: this._generateDeclaration(data, options, t),
 
       // Digital signature
       signature: options.digitalSignature ? this._generateSignature(data) : null
@@ -61,11 +70,14 @@ class TaxReport {
   /**
    * Generate metadata
    */
-  static _generateMetadata(data, options) {
+  static _generateMetadata(data, options, t) {
     return {
-      reportType: 'ATO Tax Report',
+      reportType: t('metadata.reportType'),
       financialYear: options.financialYear,
-      financialYearLabel: `FY ${options.financialYear - 1}/${options.financialYear}`,
+      financialYearLabel: t('metadata.financialYearLabel', {
+        startYear: String(options.financialYear - 1),
+        endYear: String(options.financialYear)
+      }),
       period: {
         start: options.startDate,
         end: options.endDate
@@ -74,37 +86,36 @@ class TaxReport {
       generatedFor: {
         name: data.user.full_name,
         email: data.user.email,
-        tfn: data.user.tax_file_number || 'Not Provided'
+        tfn: data.user.tax_file_number || t.common('notProvided')
       },
       reportVersion: '1.0',
-      compliance: 'ATO Guidelines 2024'
+      compliance: t('metadata.compliance')
     };
   }
 
   /**
    * Generate cover page
    */
-  static _generateCoverPage(data, options) {
+  static _generateCoverPage(data, options, t) {
     return {
-      title: 'Tax Report',
-      subtitle: `Financial Year ${options.financialYear - 1}/${options.financialYear}`,
+      title: t('coverPage.title'),
+      subtitle: t('coverPage.subtitle', {
+        startYear: String(options.financialYear - 1),
+        endYear: String(options.financialYear)
+      }),
       taxpayerName: data.user.full_name,
       dateOfBirth: data.user.date_of_birth,
       address: data.user.address,
-      tfn: data.user.tax_file_number || 'Not Provided',
-      generatedDate: new Date().toLocaleDateString('en-AU', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric'
-      }),
-      disclaimer: 'This report is for tax record-keeping purposes. Gambling losses are generally not tax deductible in Australia unless gambling is your business or profession. Consult a registered tax agent for advice.'
+      tfn: data.user.tax_file_number || t.common('notProvided'),
+      generatedDate: translationService.formatDate(new Date(), t.language, 'long'),
+      disclaimer: t('coverPage.disclaimer')
     };
   }
 
   /**
    * Generate executive summary
    */
-  static _generateExecutiveSummary(data, options) {
+  static _generateExecutiveSummary(data, options, t) {
     const totalGamblingLosses = data.gamblingTransactions.reduce(
       (sum, t) => sum + Math.abs(t.amount?.value || 0),
       0
@@ -125,16 +136,16 @@ class TaxReport {
         numberOfTotalTransactions: data.transactions.length
       },
       highlights: [
-        `Total gambling losses: $${totalGamblingLosses.toFixed(2)}`,
-        `Number of gambling transactions: ${data.gamblingTransactions.length}`,
-        `Gambling as % of total expenses: ${((totalGamblingLosses / totalExpenses) * 100).toFixed(1)}%`,
-        `Recovery program active: ${data.commitment ? 'Yes' : 'No'}`
+        t('executiveSummary.totalLosses', { amount: totalGamblingLosses.toFixed(2) }),
+        t('executiveSummary.transactionCount', { count: data.gamblingTransactions.length }),
+        t('executiveSummary.percentage', { percentage: ((totalGamblingLosses / totalExpenses) * 100).toFixed(1) }),
+        t('executiveSummary.recoveryActive', { active: data.commitment ? t.common('yes') : t.common('no') })
       ],
       atoGuidance: {
-        deductibility: 'NOT DEDUCTIBLE',
-        reason: 'Gambling losses are generally not tax deductible unless gambling is your business',
-        reference: 'ATO Taxation Ruling TR 97/11',
-        recommendation: 'Keep records for personal financial management only'
+        deductibility: t('executiveSummary.atoGuidance.deductibility'),
+        reason: t('executiveSummary.atoGuidance.reason'),
+        reference: t('executiveSummary.atoGuidance.reference'),
+        recommendation: t('executiveSummary.atoGuidance.recommendation')
       }
     };
   }
@@ -142,13 +153,13 @@ class TaxReport {
   /**
    * Generate gambling losses summary
    */
-  static _generateGamblingLosses(data, options) {
-    const byMonth = this._groupByMonth(data.gamblingTransactions);
+  static _generateGamblingLosses(data, options, t) {
+    const byMonth = this._groupByMonth(data.gamblingTransactions, t);
     const byType = this._groupByGamblingType(data.gamblingTransactions);
     const byPlatform = this._groupByPlatform(data.gamblingTransactions);
 
     return {
-      title: 'Gambling Losses Summary',
+      title: t('gamblingLosses.title'),
       financialYear: options.financialYear,
       totalLosses: this._sumTransactions(data.gamblingTransactions).toFixed(2),
       transactionCount: data.gamblingTransactions.length,
@@ -160,11 +171,11 @@ class TaxReport {
         averagePerTransaction: (data.total / data.count).toFixed(2)
       })),
 
-      byType: Object.entries(byType).map(([type, data]) => ({
-        type,
-        amount: data.total.toFixed(2),
-        transactions: data.count,
-        percentage: ((data.total / this._sumTransactions(data.gamblingTransactions)) * 100).toFixed(1)
+      byType: Object.entries(byType).map(([type, stats]) => ({
+        type: t.common(`gamblingTypes.${type}`),
+        amount: stats.total.toFixed(2),
+        transactions: stats.count,
+        percentage: ((stats.total / this._sumTransactions(data.gamblingTransactions)) * 100).toFixed(1)
       })),
 
       byPlatform: Object.entries(byPlatform)
@@ -176,7 +187,7 @@ class TaxReport {
           transactions: data.count
         })),
 
-      largestTransaction: this._getLargestTransaction(data.gamblingTransactions),
+      largestTransaction: this._getLargestTransaction(data.gamblingTransactions, t),
 
       statistics: {
         averagePerTransaction: (this._sumTransactions(data.gamblingTransactions) / data.gamblingTransactions.length).toFixed(2),
@@ -189,46 +200,47 @@ class TaxReport {
   /**
    * Generate income summary
    */
-  static _generateIncomeSummary(data, options) {
+  static _generateIncomeSummary(data, options, t) {
     // Get income transactions (deposits, salary, etc.)
     const incomeTransactions = data.transactions.filter(t => (t.amount?.value || 0) > 0);
 
     return {
-      title: 'Income Summary',
+      title: t('income.title'),
       totalIncome: this._sumTransactions(incomeTransactions).toFixed(2),
-      declaredIncome: data.user.monthly_income ? (data.user.monthly_income * 12).toFixed(2) : 'Not provided',
+      declaredIncome: data.user.monthly_income ? (data.user.monthly_income * 12).toFixed(2) : t.common('notProvided'),
       sources: this._groupByDescription(incomeTransactions),
-      note: 'Income figures should be verified against employer payment summaries and other income statements'
+      note: t('income.note')
     };
   }
 
   /**
    * Generate expenses summary
    */
-  static _generateExpensesSummary(data, options) {
+  static _generateExpensesSummary(data, options, t) {
     const expenses = data.transactions.filter(t => (t.amount?.value || 0) < 0);
 
+    // Keyed by report.tax.expenses.categories key
     const byCategory = {
-      'Gambling': this._sumTransactions(data.gamblingTransactions),
-      'Groceries': this._sumTransactionsByKeyword(expenses, ['woolworths', 'coles', 'aldi', 'iga']),
-      'Utilities': this._sumTransactionsByKeyword(expenses, ['optus', 'telstra', 'energy', 'gas', 'water']),
-      'Transport': this._sumTransactionsByKeyword(expenses, ['uber', 'ola', 'petrol', 'fuel', 'parking']),
-      'Entertainment': this._sumTransactionsByKeyword(expenses, ['netflix', 'spotify', 'cinema', 'movie']),
-      'Dining': this._sumTransactionsByKeyword(expenses, ['restaurant', 'cafe', 'uber eats', 'menulog']),
-      'Other': 0
+      gambling: this._sumTransactions(data.gamblingTransactions),
+      groceries: this._sumTransactionsByKeyword(expenses, ['woolworths', 'coles', 'aldi', 'iga']),
+      utilities: this._sumTransactionsByKeyword(expenses, ['optus', 'telstra', 'energy', 'gas', 'water']),
+      transport: this._sumTransactionsByKeyword(expenses, ['uber', 'ola', 'petrol', 'fuel', 'parking']),
+      entertainment: this._sumTransactionsByKeyword(expenses, ['netflix', 'spotify', 'cinema', 'movie']),
+      dining: this._sumTransactionsByKeyword(expenses, ['restaurant', 'cafe', 'uber eats', 'menulog']),
+      other: 0
     };
 
     // Calculate "Other"
     const categorizedTotal = Object.values(byCategory).reduce((sum, val) => sum + val, 0);
     const totalExpenses = this._sumTransactions(expenses);
-    byCategory['Other'] = totalExpenses - categorizedTotal;
+    byCategory.other = totalExpenses - categorizedTotal;
 
     return {
-      title: 'Expenses by Category',
+      title: t('expenses.title'),
       totalExpenses: totalExpenses.toFixed(2),
       categories: Object.entries(byCategory)
         .map(([category, amount]) => ({
-          category,
+          category: t(`expenses.categories.${category}`),
           amount: amount.toFixed(2),
           percentage: ((amount / totalExpenses) * 100).toFixed(1)
         }))
@@ -239,8 +251,8 @@ class TaxReport {
   /**
    * Generate monthly breakdown
    */
-  static _generateMonthlyBreakdown(data, options) {
-    const months = this._getFinancialYearMonths(options.financialYear);
+  static _generateMonthlyBreakdown(data, options, t) {
+    const months = this._getFinancialYearMonths(options.financialYear, t);
 
     return months.map(month => {
       const monthTransactions = data.transactions.filter(t => {
@@ -253,8 +265,8 @@ class TaxReport {
       return {
         month: month.name,
         period: {
-          start: month.start.toLocaleDateString('en-AU'),
-          end: month.end.toLocaleDateString('en-AU')
+          start: translationService.formatDate(month.start, t.language),
+          end: translationService.formatDate(month.end, t.language)
         },
         transactions: monthTransactions.length,
         totalSpent: this._sumTransactions(monthTransactions).toFixed(2),
@@ -270,11 +282,11 @@ class TaxReport {
   /**
    * Generate merchant analysis
    */
-  static _generateMerchantAnalysis(data, options) {
+  static _generateMerchantAnalysis(data, options, t) {
     const merchantGroups = this._groupByDescription(data.gamblingTransactions);
 
     return {
-      title: 'Gambling Merchant Analysis',
+      title: t('merchantAnalysis.title'),
       totalMerchants: Object.keys(merchantGroups).length,
       merchants: Object.entries(merchantGroups)
         .map(([merchant, data]) => ({
@@ -292,50 +304,36 @@ class TaxReport {
   /**
    * Generate supporting documentation
    */
-  static _generateSupportingDocs(data, options) {
+  static _generateSupportingDocs(data, options, t) {
     return {
-      title: 'Supporting Documentation',
-      included: [
-        'Bank transaction statements',
-        'Gambling transaction records',
-        'Recovery program documentation',
-        'Guardian support records (if applicable)'
-      ],
-      transactionDetails: data.gamblingTransactions.map(t => ({
-        date: new Date(t.created_at).toLocaleDateString('en-AU'),
-        description: t.description,
-        amount: Math.abs(t.amount?.value || 0).toFixed(2),
-        category: 'Gambling',
-        reference: t.id
+      title: t('supportingDocs.title'),
+      included: ['bankStatements', 'gamblingRecords', 'recoveryProgram', 'guardianRecords']
+        .map(key => t(`supportingDocs.included.${key}`)),
+      transactionDetails: data.gamblingTransactions.map(tx => ({
+        date: translationService.formatDate(tx.created_at, t.language),
+        description: tx.description,
+        amount: Math.abs(tx.amount?.value || 0).toFixed(2),
+        category: t('expenses.categories.gambling'),
+        reference: tx.id
       })),
-      exportFormat: 'CSV available for accountant review'
+      exportFormat: t('supportingDocs.exportFormat')
     };
   }
 
   /**
    * Generate accountant notes
    */
-  static _generateAccountantNotes(data, options) {
+  static _generateAccountantNotes(data, options, t) {
     return {
-      title: 'Notes for Tax Accountant',
-      keyPoints: [
-        'All gambling losses recorded are NOT tax deductible for recreational gamblers',
-        'Amounts shown are for personal financial record-keeping only',
-        'Client is enrolled in gambling recovery program (Anchor)',
-        'Guardian oversight system is active',
-        'Transaction data sourced from Up Bank API (verified)',
-        'All amounts in Australian Dollars (AUD)'
-      ],
-      recommendations: [
-        'Review client\'s overall financial situation',
-        'Consider impact on tax return preparation',
-        'Note gambling expenditure for financial counseling referral if needed',
-        'Verify income sources independently'
-      ],
+      title: t('accountantNotes.title'),
+      keyPoints: ['notDeductible', 'recordKeeping', 'enrolled', 'guardian', 'dataSource', 'currency']
+        .map(key => t(`accountantNotes.keyPoints.${key}`)),
+      recommendations: ['review', 'taxReturn', 'referral', 'verifyIncome']
+        .map(key => t(`accountantNotes.recommendations.${key}`)),
       contactInformation: {
-        program: 'Anchor - Gambling Recovery System',
+        program: t('accountantNotes.program'),
         support: 'support@anchor.com.au',
-        documentation: 'Complete transaction records available on request'
+        documentation: t('accountantNotes.documentation')
       }
     };
   }
@@ -343,17 +341,17 @@ class TaxReport {
   /**
    * Generate declaration
    */
-  static _generateDeclaration(data, options) {
+  static _generateDeclaration(data, options, t) {
     return {
-      title: 'Taxpayer Declaration',
-      statement: 'I declare that the information contained in this report is true and correct to the best of my knowledge and belief.',
+      title: t('declaration.title'),
+      statement: t('declaration.statement'),
       taxpayer: {
         name: data.user.full_name,
-        tfn: data.user.tax_file_number || 'Not Provided',
-        date: new Date().toLocaleDateString('en-AU')
+        tfn: data.user.tax_file_number || t.common('notProvided'),
+        date: translationService.formatDate(new Date(), t.language)
       },
-      acknowledgment: 'I acknowledge that gambling losses are generally not tax deductible in Australia and this report is for record-keeping purposes only.',
-      consent: 'I consent to this report being provided to my registered tax agent for the purposes of tax return preparation.'
+      acknowledgment: t('declaration.acknowledgment'),
+      consent: t('declaration.consent')
     };
   }
 
@@ -361,7 +359,6 @@ class TaxReport {
    * Generate digital signature
    */
   static _generateSignature(data) {
-    import crypto from 'crypto';
 
     const signatureData = {
       userId: data.user.id,
@@ -385,48 +382,47 @@ class TaxReport {
   /**
    * Helper: Group by month
    */
-  static _groupByMonth(transactions) {
+  static _groupByMonth(transactions, t) {
     const groups = {};
 
-    transactions.forEach(t => {
-      const date = new Date(t.created_at);
-      const month = date.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' });
+    transactions.forEach(tx => {
+      const month = translationService.formatDate(tx.created_at, t.language, 'month');
 
       if (!groups[month]) {
         groups[month] = { count: 0, total: 0 };
       }
 
       groups[month].count++;
-      groups[month].total += Math.abs(t.amount?.value || 0);
+      groups[month].total += Math.abs(tx.amount?.value || 0);
     });
 
     return groups;
   }
 
   /**
-   * Helper: Group by gambling type
+   * Helper: Group by gambling type (report.common.gamblingTypes key)
    */
   static _groupByGamblingType(transactions) {
     const groups = {
-      'Online Betting': { count: 0, total: 0 },
-      'Venue Gambling': { count: 0, total: 0 },
-      'Sports Betting': { count: 0, total: 0 },
-      'Lottery': { count: 0, total: 0 },
-      'Other': { count: 0, total: 0 }
+      onlineBetting: { count: 0, total: 0 },
+      venueGambling: { count: 0, total: 0 },
+      sportsBetting: { count: 0, total: 0 },
+      lottery: { count: 0, total: 0 },
+      other: { count: 0, total: 0 }
     };
 
     transactions.forEach(t => {
       const desc = (t.description || '').toLowerCase();
-      let type = 'Other';
+      let type = 'other';
 
       if (desc.includes('sportsbet') || desc.includes('bet365') || desc.includes('ladbrokes')) {
-        type = 'Online Betting';
+        type = 'onlineBetting';
       } else if (desc.includes('casino') || desc.includes('rsl') || desc.includes('club')) {
-        type = 'Venue Gambling';
+        type = 'venueGambling';
       } else if (desc.includes('tab') || desc.includes('race')) {
-        type = 'Sports Betting';
+        type = 'sportsBetting';
       } else if (desc.includes('lotto') || desc.includes('powerball')) {
-        type = 'Lottery';
+        type = 'lottery';
       }
 
       groups[type].count++;
@@ -511,15 +507,15 @@ class TaxReport {
   /**
    * Helper: Get largest transaction
    */
-  static _getLargestTransaction(transactions) {
+  static _getLargestTransaction(transactions, t) {
     if (transactions.length === 0) return null;
 
-    const largest = transactions.reduce((max, t) =>
-      Math.abs(t.amount?.value || 0) > Math.abs(max.amount?.value || 0) ? t : max
+    const largest = transactions.reduce((max, tx) =>
+      Math.abs(tx.amount?.value || 0) > Math.abs(max.amount?.value || 0) ? tx : max
     );
 
     return {
-      date: new Date(largest.created_at).toLocaleDateString('en-AU'),
+      date: translationService.formatDate(largest.created_at, t.language),
       merchant: largest.description,
       amount: Math.abs(largest.amount?.value || 0).toFixed(2)
     };
@@ -545,7 +541,7 @@ class TaxReport {
   /**
    * Helper: Get financial year months
    */
-  static _getFinancialYearMonths(financialYear) {
+  static _getFinancialYearMonths(financialYear, t) {
     const months = [];
     const startYear = financialYear - 1;
 
@@ -554,7 +550,7 @@ class TaxReport {
       const start = new Date(startYear, month, 1);
       const end = new Date(startYear, month + 1, 0);
       months.push({
-        name: start.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' }),
+        name: translationService.formatDate(start, t.language, 'month'),
         start,
         end
       });
@@ -565,7 +561,7 @@ class TaxReport {
       const start = new Date(financialYear, month, 1);
       const end = new Date(financialYear, month + 1, 0);
       months.push({
-        name: start.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' }),
+        name: translationService.formatDate(start, t.language, 'month'),
         start,
         end
       });
@@ -3,9 +3,121 @@
  *
  * Fetches recent transactions from Up Bank
  * Used by mobile app to display transaction history
+ *
+ * Also exports a small Up API client (fetchTransaction) used by the webhook
+ * pipeline to resolve full transaction details.
+ */
+
+const UP_API_BASE = process.env.UP_API_BASE_URL || 'https://api.up.com.au/api/v1';
+
+// Retry settings for Up API calls
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+/**
+ * Whether a failed Up API response is worth retrying
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch a single transaction from the Up API, retrying transient failures
+ * (network errors, 429 and 5xx) with exponential backoff.
+ *
+ * `options.token` is the Up token of the account that owns the transaction.
+ * Returns the raw Up transaction resource, or null when Up reports 404.
+ */
+async function fetchTransaction(transactionId, options = {}) {
+  const {
+    token,
+    baseUrl = UP_API_BASE,
+    retries = MAX_RETRIES,
+    retryDelay = RETRY_BASE_DELAY_MS
+  } = options;
+
+  if (!token) {
+    throw new Error('No Up API token for this account (store one with /api/up/webhook-setup, or set UP_ACCESS_TOKEN)');
+  }
+
+  const url = `${baseUrl}/transactions/${encodeURIComponent(transactionId)}`;
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelay * Math.pow(2, attempt - 1));
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        }
+      });
+    } catch (error) {
+      lastError = error;
+      continue;
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.data;
+    }
+
+    lastError = new Error(`Up API error ${response.status} fetching transaction ${transactionId}`);
+    lastError.status = response.status;
+
+    if (!isRetryableStatus(response.status)) {
+      break;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Flatten an Up transaction resource into the fields Anchor stores
  */
+function normalizeTransaction(tx) {
+  const attributes = tx.attributes || {};
+  const relationships = tx.relationships || {};
 
-const UP_API_BASE = 'https://api.up.com.au/api/v1';
+  return {
+    id: tx.id,
+    status: attributes.status,
+    description: attributes.description,
+    rawText: attributes.rawText || null,
+    message: attributes.message || null,
+    amount: {
+      value: attributes.amount?.value,
+      currency: attributes.amount?.currencyCode
+    },
+    foreignAmount: attributes.foreignAmount ? {
+      value: attributes.foreignAmount.value,
+      currency: attributes.foreignAmount.currencyCode
+    } : null,
+    roundUp: attributes.roundUp ? {
+      value: attributes.roundUp.amount?.value,
+      boost: attributes.roundUp.boostPortion?.value || null
+    } : null,
+    settledAt: attributes.settledAt || null,
+    createdAt: attributes.createdAt,
+    category: relationships.category?.data?.id || null,
+    parentCategory: relationships.parentCategory?.data?.id || null,
+    accountId: relationships.account?.data?.id || null
+  };
+}
 
 export default async function handler(req, res) {
   // Only accept GET requests
@@ -58,19 +170,7 @@ export default async function handler(req, res) {
     const data = await response.json();
 
     // Transform response to include only relevant data
-    const transactions = data.data.map(tx => ({
-      id: tx.id,
-      status: tx.attributes.status,
-      description: tx.attributes.description,
-      message: tx.attributes.message,
-      amount: {
-        value: tx.attributes.amount.value,
-        currency: tx.attributes.amount.currencyCode
-      },
-      settledAt: tx.attributes.settledAt,
-      createdAt: tx.attributes.createdAt,
-      category: tx.relationships?.category?.data?.id || null
-    }));
+    const transactions = data.data.map(normalizeTransaction);
 
     return res.status(200).json({
       transactions,
@@ -85,3 +185,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export { fetchTransaction, normalizeTransaction };
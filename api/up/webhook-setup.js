@@ -3,19 +3,35 @@
  *
  * Creates and manages webhooks with Up Bank
  * Call this once during initial setup to register the webhook
+ *
+ * Authorization is the caller's Anchor access token; the Up personal access
+ * token goes in the X-Up-Token header. Creating a webhook stores its secret
+ * and the Up token for the caller, so the webhook receiver can verify and
+ * fetch that user's events.
  */
 
+import { createClient } from '@supabase/supabase-js';
+import UpCredentials from '../services/up-credentials.js';
+import { requireUser } from '../middleware/auth.js';
+
 const UP_API_BASE = 'https://api.up.com.au/api/v1';
 
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const upCredentials = new UpCredentials(supabase);
+
 export default async function handler(req, res) {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' });
-    }
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-    const token = authHeader.replace('Bearer ', '');
+    const token = req.headers['x-up-token'];
+    if (!token) {
+      return res.status(401).json({ error: 'Missing X-Up-Token header' });
+    }
 
     // Handle different methods
     if (req.method === 'GET') {
@@ -75,17 +91,22 @@ export default async function handler(req, res) {
 
       const data = await response.json();
 
-      // Return webhook details including the secret key
+      // Route this webhook's events to the caller
+      await upCredentials.save(user.id, {
+        webhookId: data.data.id,
+        webhookSecret: data.data.attributes.secretKey,
+        accessToken: token
+      });
+
+      // The secret key is stored server-side and not returned
       return res.status(201).json({
         message: 'Webhook created successfully',
         webhook: {
           id: data.data.id,
           url: data.data.attributes.url,
-          secretKey: data.data.attributes.secretKey, // IMPORTANT: Save this!
           description: data.data.attributes.description,
           createdAt: data.data.attributes.createdAt
-        },
-        instructions: 'Save the secretKey in your VERCEL environment variables as UP_WEBHOOK_SECRET'
+        }
       });
 
     } else if (req.method === 'DELETE') {
@@ -112,6 +133,8 @@ export default async function handler(req, res) {
         });
       }
 
+      await upCredentials.removeWebhook(user.id, webhookId);
+
       return res.status(200).json({ message: 'Webhook deleted successfully' });
 
     } else if (req.method === 'POST' && req.query.ping) {
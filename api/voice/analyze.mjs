@@ -7,6 +7,7 @@
  */
 
 import { analyzeTranscript } from '../services/ai-conversation.mjs';
+import { requireUser } from '../middleware/auth.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -15,7 +16,10 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { transcript, context } = req.body;
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { transcript, context } = req.body || {};
 
     // Validate required fields
     if (!transcript) {
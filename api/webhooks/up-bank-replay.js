@@ -0,0 +1,46 @@
+/**
+ * Up Bank Webhook Replay (admin only)
+ *
+ * POST /api/webhooks/up-bank-replay
+ * Reprocesses webhook events that failed, using the payload stored in the
+ * webhook event log. Safe to run repeatedly: processing is idempotent.
+ * Events that failed five times are dead-lettered and skipped unless
+ * replayed by ID.
+ *
+ * Body:
+ *   {
+ *     "eventId": "..." (optional, replay a single event, even if dead-lettered),
+ *     "limit": 50 (optional, max failed events to replay)
+ *   }
+ */
+
+import { replayEvents } from './up-bank.js';
+import { ROLES, requireRole } from '../middleware/auth.js';
+
+export default async function handler(req, res) {
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!(await requireRole(req, res, [ROLES.ADMIN]))) return;
+
+    const { eventId, limit = 50 } = req.body || {};
+
+    const results = await replayEvents({ eventId, limit: parseInt(limit) });
+
+    return res.status(200).json({
+      replayed: results.length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -1,13 +1,39 @@
 /**
  * Up Bank Webhook Receiver
  *
- * Receives TRANSACTION_CREATED webhook events from Up Bank
- * Validates signature, checks whitelist, logs transaction
+ * Receives transaction webhook events from Up Bank
+ * Validates signature, fetches full transaction details from the Up API,
+ * checks whitelist, logs transaction
+ * Each event is verified and fetched with the credentials of the user who
+ * owns the sending webhook (see up-credentials.js).
  * Critical component for real-time financial intervention
+ *
+ * - TRANSACTION_CREATED: analyze and log the transaction, alert by severity,
+ *   confirm relapses (gambling after a clean streak)
+ * - TRANSACTION_SETTLED: update the stored row with the settled details
+ * - TRANSACTION_DELETED: void the stored row
+ *
+ * Ingestion is idempotent: every event is recorded in the webhook event log
+ * and transactions are deduplicated by their Up transaction ID, so
+ * redeliveries never produce duplicate rows or alerts. Failed events stay in
+ * the log for replay (see up-bank-replay.js).
+ *
+ * With the job queue enabled (QUEUE_ENABLED=true) events are recorded and
+ * acknowledged straight away, then processed by the queue worker with retries.
  */
 
 import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { getRawBody } from '../middleware/body-parser.js';
+import WebhookEventLog, { EVENT_STATUS } from '../services/webhook-event-log.js';
+import PushNotificationService from '../services/push-notifications.js';
+import NotificationRouter from '../services/notification-router.js';
+import { RELAPSE_CLEAN_DAYS } from '../services/risk-forecaster.js';
+import TransactionPipeline from '../services/transaction-pipeline.js';
+import WhitelistMatcher from '../services/whitelist-matcher.js';
+import UpCredentials from '../services/up-credentials.js';
+import { fetchTransaction, normalizeTransaction } from '../up/transactions.js';
+import { JOB_TYPES, getJobQueue, isQueueEnabled } from '../services/queue-handlers.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -15,96 +41,427 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+const eventLog = new WebhookEventLog(supabase, 'up_bank');
+const pushService = new PushNotificationService(supabase);
+const notificationRouter = new NotificationRouter(supabase, {
+  communicationEngine: pushService.communicationEngine,
+  pushService
+});
+const pipeline = new TransactionPipeline(supabase);
+const whitelistMatcher = new WhitelistMatcher(supabase);
+const upCredentials = new UpCredentials(supabase);
+
 /**
  * Validate Up Bank webhook signature
- * Up Bank signs webhooks with HMAC-SHA256
+ * Up Bank signs the raw request body with HMAC-SHA256
  */
 function validateSignature(payload, signature, secret) {
   const hmac = crypto.createHmac('sha256', secret);
   hmac.update(payload);
   const calculatedSignature = hmac.digest('hex');
 
+  const received = Buffer.from(signature);
+  const expected = Buffer.from(calculatedSignature);
+
+  if (received.length !== expected.length) {
+    return false;
+  }
+
   // Use timing-safe comparison to prevent timing attacks
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(calculatedSignature)
-  );
+  return crypto.timingSafeEqual(received, expected);
 }
 
 /**
- * Check if payee is on whitelist
+ * Check the transaction against the whitelist
+ * Returns the match result with an explanation of why it (did not) match.
  */
-async function isWhitelisted(payeeName) {
-  if (!payeeName) return false;
+async function checkWhitelist(transaction, userId) {
+  try {
+    return await whitelistMatcher.match(userId, {
+      payeeName: transaction.description,
+      description: transaction.rawText,
+      amount: transaction.amount.value,
+      timestamp: transaction.createdAt
+    });
+  } catch (error) {
+    console.error('Error checking whitelist:', error);
+    return {
+      matched: false,
+      entryId: null,
+      matchType: null,
+      explanation: `Whitelist check failed: ${error.message}`,
+      rejected: []
+    };
+  }
+}
 
+/**
+ * Check whether a transaction has already been logged
+ */
+async function isTransactionLogged(transactionId) {
   const { data, error } = await supabase
-    .from('whitelist')
-    .select('*')
-    .ilike('payee_name', payeeName)
-    .single();
+    .from('transactions')
+    .select('id')
+    .eq('transaction_id', transactionId)
+    .limit(1);
 
-  if (error && error.code !== 'PGRST116') {
-    console.error('Error checking whitelist:', error);
-    return false;
+  if (error) {
+    throw error;
   }
 
-  return !!data;
+  return !!data && data.length > 0;
 }
 
 /**
- * Log transaction to database
+ * Map a normalized Up transaction to transactions table columns
  */
-async function logTransaction(transaction, isWhitelisted) {
-  const { data, error } = await supabase
+function toTransactionRow(transaction) {
+  return {
+    amount: parseFloat(transaction.amount.value),
+    payee_name: transaction.description,
+    description: transaction.rawText || transaction.description,
+    message: transaction.message,
+    status: transaction.status,
+    category: transaction.category,
+    parent_category: transaction.parentCategory,
+    round_up_amount: transaction.roundUp ? parseFloat(transaction.roundUp.value) : null,
+    foreign_amount: transaction.foreignAmount ? parseFloat(transaction.foreignAmount.value) : null,
+    foreign_currency: transaction.foreignAmount?.currency || null,
+    settled_at: transaction.settledAt,
+    timestamp: transaction.createdAt
+  };
+}
+
+/**
+ * Log transaction to database with its analysis
+ * Returns false when the transaction was already logged (duplicate delivery)
+ */
+async function logTransaction(transaction, userId, whitelistMatch, analysis) {
+  const { error } = await supabase
     .from('transactions')
     .insert({
       transaction_id: transaction.id,
-      amount: parseFloat(transaction.attributes.amount.value),
-      payee_name: transaction.attributes.description,
-      description: transaction.attributes.rawText || transaction.attributes.description,
-      is_whitelisted: isWhitelisted,
-      timestamp: transaction.attributes.createdAt,
-      intervention_completed: isWhitelisted // Whitelisted transactions don't need intervention
+      user_id: userId,
+      ...toTransactionRow(transaction),
+      is_whitelisted: whitelistMatch.matched,
+      whitelist_entry_id: whitelistMatch.entryId,
+      whitelist_match: {
+        matched: whitelistMatch.matched,
+        matchType: whitelistMatch.matchType,
+        explanation: whitelistMatch.explanation,
+        rejected: whitelistMatch.rejected
+      },
+      verdict: analysis.verdict,
+      verdict_confidence: analysis.confidence,
+      gambling_type: analysis.gamblingType,
+      alert_severity: analysis.severity,
+      analysis: pipeline.summarize(analysis),
+      prediction_explanation: analysis.stages.ml?.explanation || null,
+      intervention_completed: analysis.severity === 'none' // Nothing to review, no intervention needed
     });
 
+  // Unique violation on transaction_id: another delivery got there first
+  if (error && error.code === '23505') {
+    return false;
+  }
+
   if (error) {
     console.error('Error logging transaction:', error);
     throw error;
   }
 
-  return data;
+  return true;
+}
+
+/**
+ * Update a stored transaction with its settled details
+ */
+async function updateSettledTransaction(transaction) {
+  const { error } = await supabase
+    .from('transactions')
+    .update(toTransactionRow(transaction))
+    .eq('transaction_id', transaction.id);
+
+  if (error) {
+    console.error('Error updating settled transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Void a stored transaction that Up has deleted
+ */
+async function voidTransaction(transactionId) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .update({
+      status: 'VOIDED',
+      voided_at: new Date().toISOString()
+    })
+    .eq('transaction_id', transactionId)
+    .select('id');
+
+  if (error) {
+    console.error('Error voiding transaction:', error);
+    throw error;
+  }
+
+  return !!data && data.length > 0;
 }
 
 /**
  * Send push notification to mobile app
- * This triggers the Alert Screen on the mobile app
+ * This triggers the Alert Screen on the mobile app (SMS and email until acknowledged)
  */
-async function sendAlert(transaction) {
-  // TODO: Implement push notification via Expo or Firebase
-  // For now, the mobile app will poll for non-whitelisted transactions
+async function sendAlert(transaction, userId, severity, whitelisted) {
+  if (!userId) {
+    console.warn('No user for this Up account, skipping alert for transaction', transaction.id);
+    return { channel: null, reason: 'no_user' };
+  }
+
   console.log('ALERT: Non-whitelisted transaction detected', {
-    amount: transaction.attributes.amount.value,
-    payee: transaction.attributes.description,
-    id: transaction.id
+    amount: transaction.amount.value,
+    payee: transaction.description,
+    id: transaction.id,
+    severity
+  });
+
+  return pushService.sendTransactionAlert(userId, transaction, { severity, whitelisted });
+}
+
+/**
+ * Confirm a relapse: a gambling transaction after at least
+ * RELAPSE_CLEAN_DAYS without one (counted from the commitment start when
+ * there was none before). Tells the user their streak ended and alerts
+ * their guardians (RELAPSE_CONFIRMED); returns the streak, or null.
+ */
+async function confirmRelapse(transaction, userId) {
+  const [{ data: previous, error }, { data: user, error: userError }] = await Promise.all([
+    supabase
+      .from('transactions')
+      .select('timestamp')
+      .eq('user_id', userId)
+      .eq('verdict', 'gambling')
+      .neq('transaction_id', transaction.id)
+      .lt('timestamp', transaction.createdAt)
+      .order('timestamp', { ascending: false })
+      .limit(1),
+    supabase.from('users').select('commitment_start').eq('id', userId).single()
+  ]);
+
+  if (error) throw error;
+  if (userError && userError.code !== 'PGRST116') throw userError;
+
+  const streakStart = previous?.[0]?.timestamp || user?.commitment_start;
+  if (!streakStart) return null;
+
+  const lastStreak = Math.floor((new Date(transaction.createdAt) - new Date(streakStart)) / (24 * 60 * 60 * 1000));
+  if (lastStreak < RELAPSE_CLEAN_DAYS) return null;
+
+  await notificationRouter.notify(userId, 'RELAPSE_CONFIRMED', { lastStreak });
+
+  return lastStreak;
+}
+
+/**
+ * Resolve full transaction details through the Up API
+ */
+async function resolveTransaction(transactionId, accessToken) {
+  const resource = await fetchTransaction(transactionId, { token: accessToken });
+  return resource ? normalizeTransaction(resource) : null;
+}
+
+/**
+ * Handle TRANSACTION_CREATED
+ */
+async function handleTransactionCreated(transactionId, { userId, accessToken }) {
+  // Skip transactions that an earlier delivery already logged
+  if (await isTransactionLogged(transactionId)) {
+    return { status: 'processed', transactionId, duplicate: true };
+  }
+
+  const transactionData = await resolveTransaction(transactionId, accessToken);
+  if (!transactionData) {
+    throw new Error(`Transaction ${transactionId} not found in Up API`);
+  }
+
+  // Check if payee is whitelisted (with an explanation of the match)
+  const whitelistMatch = await checkWhitelist(transactionData, userId);
+  const whitelisted = whitelistMatch.matched;
+
+  // Enrichment, classification, anomaly detection and pattern updates
+  const analysis = await pipeline.process(transactionData, {
+    userId,
+    whitelisted
   });
 
-  // In production, this would send an Expo push notification:
-  // await fetch('https://exp.host/--/api/v2/push/send', {
-  //   method: 'POST',
-  //   headers: {
-  //     'Accept': 'application/json',
-  //     'Content-Type': 'application/json',
-  //   },
-  //   body: JSON.stringify({
-  //     to: userPushToken,
-  //     sound: 'default',
-  //     title: '⚠️ ANCHOR ALERT',
-  //     body: `You just sent ${transaction.attributes.amount.value} to ${transaction.attributes.description}`,
-  //     data: { transactionId: transaction.id },
-  //     priority: 'high',
-  //     badge: 1
-  //   })
-  // });
+  // Log transaction to database
+  const inserted = await logTransaction(transactionData, userId, whitelistMatch, analysis);
+  if (!inserted) {
+    return { status: 'processed', transactionId, duplicate: true };
+  }
+
+  // Alert on anything that needs review (severity from the analysis verdict)
+  let alert = null;
+  if (analysis.severity !== 'none') {
+    try {
+      alert = await sendAlert(transactionData, userId, analysis.severity, whitelisted);
+    } catch (error) {
+      // The transaction is logged; the app still shows it as a pending alert
+      console.error('Error sending alert:', error);
+      alert = { channel: null, error: error.message };
+    }
+  }
+
+  let relapse = null;
+  if (userId && analysis.verdict === 'gambling') {
+    try {
+      relapse = await confirmRelapse(transactionData, userId);
+    } catch (error) {
+      console.error('Error confirming relapse:', error);
+    }
+  }
+
+  return {
+    status: 'processed',
+    transactionId,
+    whitelisted,
+    whitelistExplanation: whitelistMatch.explanation,
+    verdict: analysis.verdict,
+    confidence: analysis.confidence,
+    severity: analysis.severity,
+    alert,
+    relapse
+  };
+}
+
+/**
+ * Handle TRANSACTION_SETTLED
+ */
+async function handleTransactionSettled(transactionId, account) {
+  // If the created event was missed, settle it as a new transaction
+  if (!(await isTransactionLogged(transactionId))) {
+    return handleTransactionCreated(transactionId, account);
+  }
+
+  const transactionData = await resolveTransaction(transactionId, account.accessToken);
+  if (!transactionData) {
+    throw new Error(`Transaction ${transactionId} not found in Up API`);
+  }
+
+  await updateSettledTransaction(transactionData);
+
+  return { status: 'processed', transactionId, settled: true };
+}
+
+/**
+ * Handle TRANSACTION_DELETED
+ * Deleted transactions can no longer be fetched, so only the ID is used.
+ */
+async function handleTransactionDeleted(transactionId) {
+  const voided = await voidTransaction(transactionId);
+  return { status: 'processed', transactionId, voided };
+}
+
+/**
+ * Process a verified webhook event
+ * Safe to call more than once for the same event.
+ */
+async function processWebhookEvent(webhookData) {
+  const eventType = webhookData.data.attributes.eventType;
+  const transactionId = webhookData.data.relationships?.transaction?.data?.id;
+  const webhookId = webhookData.data.relationships?.webhook?.data?.id;
+
+  const handlers = {
+    TRANSACTION_CREATED: handleTransactionCreated,
+    TRANSACTION_SETTLED: handleTransactionSettled,
+    TRANSACTION_DELETED: handleTransactionDeleted
+  };
+
+  // PING and any future event types are acknowledged but not processed
+  if (!handlers[eventType]) {
+    return { status: 'ignored', reason: `Event type ${eventType} ignored` };
+  }
+
+  if (!transactionId) {
+    throw new Error(`${eventType} event has no transaction`);
+  }
+
+  const account = await upCredentials.getForWebhook(webhookId);
+
+  return handlers[eventType](transactionId, account);
+}
+
+/**
+ * Run an event recorded in the event log and store the outcome
+ */
+async function runLoggedEvent(event) {
+  const attempts = await eventLog.markProcessing(event);
+
+  try {
+    const result = await processWebhookEvent(event.payload);
+
+    if (result.status === 'ignored') {
+      await eventLog.markIgnored(event.event_id, result.reason);
+    } else {
+      await eventLog.markProcessed(event.event_id, result);
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Webhook event ${event.event_id} failed:`, error);
+    await eventLog.markFailed(event.event_id, error, attempts);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Process a recorded event from the job queue
+ * Throws when processing fails so the queue retries it.
+ */
+async function processQueuedEvent(eventId) {
+  const event = await eventLog.getEvent(eventId);
+
+  if (!event) {
+    throw new Error(`Webhook event ${eventId} not found`);
+  }
+
+  // Already handled (e.g. by a manual replay) or given up on
+  if (event.status === EVENT_STATUS.PROCESSED || event.status === EVENT_STATUS.IGNORED ||
+      event.status === EVENT_STATUS.DEAD_LETTER) {
+    return { status: 'skipped', reason: `Event already ${event.status}` };
+  }
+
+  const result = await runLoggedEvent(event);
+
+  if (result.status === 'failed') {
+    throw new Error(result.error);
+  }
+
+  return result;
+}
+
+/**
+ * Reprocess stored failed events (or a single event by ID)
+ * Dead-lettered events are only replayed by ID.
+ */
+async function replayEvents({ eventId, limit = 50 } = {}) {
+  let events;
+
+  if (eventId) {
+    const event = await eventLog.getEvent(eventId);
+    events = event ? [event] : [];
+  } else {
+    events = await eventLog.getFailedEvents(limit);
+  }
+
+  const results = [];
+  for (const event of events) {
+    const result = await runLoggedEvent(event);
+    results.push({ eventId: event.event_id, ...result });
+  }
+
+  return results;
 }
 
 /**
@@ -124,69 +481,80 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'Missing signature' });
     }
 
-    // Validate webhook signature
-    const payload = JSON.stringify(req.body);
-    const isValid = validateSignature(
-      payload,
-      signature,
-      process.env.UP_WEBHOOK_SECRET
+    // Parse webhook data (the webhook ID selects the secret to verify with)
+    const payload = await getRawBody(req);
+    let webhookData;
+    try {
+      webhookData = JSON.parse(payload);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    if (!webhookData?.data?.id || !webhookData.data.attributes?.eventType) {
+      return res.status(400).json({ error: 'Invalid webhook payload' });
+    }
+
+    // Validate webhook signature over the exact bytes Up sent, with the
+    // secret of the user who owns the webhook
+    const { webhookSecret } = await upCredentials.getForWebhook(
+      webhookData.data.relationships?.webhook?.data?.id
     );
 
-    if (!isValid) {
+    if (!webhookSecret) {
+      console.error('No secret stored for webhook');
+      return res.status(401).json({ error: 'Unknown webhook' });
+    }
+
+    if (!validateSignature(payload, signature, webhookSecret)) {
       console.error('Invalid webhook signature');
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    // Parse webhook data
-    const webhookData = req.body;
-    const eventType = webhookData.data.attributes.eventType;
+    // Record the event; redeliveries of handled events stop here
+    const { event, duplicate } = await eventLog.record({
+      eventId: webhookData.data.id,
+      eventType: webhookData.data.attributes.eventType,
+      transactionId: webhookData.data.relationships?.transaction?.data?.id,
+      payload: webhookData
+    });
 
-    // We only care about transaction creation events
-    if (eventType !== 'TRANSACTION_CREATED') {
-      return res.status(200).json({ message: 'Event type ignored' });
+    if (duplicate) {
+      return res.status(200).json({
+        message: 'Duplicate event ignored',
+        eventId: webhookData.data.id,
+        status: event?.status
+      });
     }
 
-    // Extract transaction data
-    const transaction = webhookData.data.relationships.transaction.data;
-
-    // Fetch full transaction details if needed
-    // (Up Bank webhooks include limited data, may need to fetch full details)
-    const transactionId = transaction.id;
-
-    // For MVP, we'll work with the data we have
-    // In production, you might want to fetch full transaction details from Up API
-    const transactionData = {
-      id: transactionId,
-      attributes: {
-        amount: {
-          value: webhookData.data.attributes.amount?.value || '0'
-        },
-        description: webhookData.data.attributes.description || 'Unknown',
-        rawText: webhookData.data.attributes.rawText,
-        createdAt: webhookData.data.attributes.createdAt || new Date().toISOString()
-      }
-    };
-
-    // Check if payee is whitelisted
-    const payeeName = transactionData.attributes.description;
-    const whitelisted = await isWhitelisted(payeeName);
+    if (isQueueEnabled()) {
+      try {
+        const job = await getJobQueue(supabase).enqueue(JOB_TYPES.WEBHOOK_UP_BANK, {
+          eventId: event.event_id
+        });
 
-    // Log transaction to database
-    await logTransaction(transactionData, whitelisted);
-
-    // If NOT whitelisted, trigger alert
-    if (!whitelisted) {
-      await sendAlert(transactionData);
+        return res.status(200).json({
+          message: 'Webhook queued',
+          eventId: webhookData.data.id,
+          jobId: job.id
+        });
+      } catch (error) {
+        // Process inline rather than lose the event
+        console.error('Error queueing webhook event, processing inline:', error);
+      }
     }
 
-    // Respond with 200 OK (Up Bank requires this)
+    const result = await runLoggedEvent(event);
+
+    // Respond with 200 OK even when processing failed: the event is stored
+    // for replay, and a retry from Up would not add anything
     return res.status(200).json({
-      message: 'Webhook processed',
-      whitelisted,
-      transactionId
+      message: result.status === 'failed' ? 'Webhook stored for replay' : 'Webhook processed',
+      eventId: webhookData.data.id,
+      ...result
     });
 
   } catch (error) {
+    // Only reached when the event could not be recorded, so a retry is safe
     console.error('Webhook processing error:', error);
     return res.status(500).json({
       error: 'Internal server error',
@@ -194,3 +562,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export { validateSignature, processWebhookEvent, processQueuedEvent, replayEvents };
@@ -0,0 +1,60 @@
+/**
+ * Whitelist Check
+ *
+ * POST /api/whitelist/check
+ * Matches a payee against the whitelist using the same rules as the
+ * Up Bank webhook (match types, amount caps, active windows) and explains
+ * why it did or did not match.
+ *
+ * Body:
+ *   {
+ *     "payeeName": "Woolworths",
+ *     "description": "WOOLWORTHS 1234 SYDNEY" (optional),
+ *     "amount": -52.30 (optional),
+ *     "timestamp": "2024-02-01T08:30:00+11:00" (optional, defaults to now)
+ *   }
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import WhitelistMatcher from '../services/whitelist-matcher.js';
+import { requireUser } from '../middleware/auth.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const whitelistMatcher = new WhitelistMatcher(supabase);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { payeeName, description, amount, timestamp } = req.body || {};
+
+    if (!payeeName && !description) {
+      return res.status(400).json({ error: 'payeeName or description is required' });
+    }
+
+    const match = await whitelistMatcher.match(user.id, {
+      payeeName,
+      description,
+      amount,
+      timestamp: timestamp || new Date().toISOString()
+    });
+
+    return res.status(200).json(match);
+
+  } catch (error) {
+    console.error('Whitelist check error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
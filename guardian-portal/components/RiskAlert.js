@@ -38,8 +38,16 @@ const RiskAlert = ({ risk, onDismiss, onTakeAction }) => {
         return '📅';
       case 'time_of_day':
         return '🕐';
+      case 'public_holiday':
+        return '🏖️';
+      case 'sporting_event':
+        return '🏉';
+      case 'relapse_cycle':
+        return '🔁';
       case 'pattern_escalation':
         return '⚠️';
+      case 'flagged_transaction':
+        return '🎰';
       case 'milestone':
         return '🎉';
       default:
@@ -47,6 +55,14 @@ const RiskAlert = ({ risk, onDismiss, onTakeAction }) => {
     }
   };
 
+  /**
+   * Format a feature's contribution to the gambling probability
+   */
+  const formatContribution = (contribution) => {
+    const sign = contribution >= 0 ? '+' : '−';
+    return `${sign}${Math.abs(contribution).toFixed(2)}`;
+  };
+
   /**
    * Get urgency text
    */
@@ -72,6 +88,26 @@ const RiskAlert = ({ risk, onDismiss, onTakeAction }) => {
 
         <p className={styles.alertMessage}>{risk.message}</p>
 
+        {risk.explanation?.attributions?.length > 0 && (
+          <div className={styles.explanation}>
+            <span className={styles.explanationTitle}>Why this was flagged</span>
+            <ul className={styles.attributionList}>
+              {risk.explanation.attributions.map((attribution) => (
+                <li key={attribution.feature} className={styles.attribution}>
+                  <span className={styles.attributionLabel}>{attribution.label}</span>
+                  <span
+                    className={attribution.contribution >= 0
+                      ? styles.contributionUp
+                      : styles.contributionDown}
+                  >
+                    {formatContribution(attribution.contribution)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {risk.recommendation && (
           <p className={styles.alertRecommendation}>
             <strong>Recommended:</strong> {risk.recommendation}
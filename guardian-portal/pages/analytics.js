@@ -153,6 +153,7 @@ export default function AnalyticsPage() {
   }
 
   const trendDisplay = getRiskTrendDisplay(analytics.riskTrend.trend, analytics.riskTrend.trendDirection);
+  const forecastMax = Math.max(...(analytics.riskForecast?.curve || []).map(point => point.risk), 0.0001);
 
   return (
     <div className={styles.container}>
@@ -243,6 +244,39 @@ export default function AnalyticsPage() {
         />
       </section>
 
+      {/* 14-Day Risk Forecast */}
+      {analytics.riskForecast && (
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>14-Day Risk Forecast</h2>
+          <div className={styles.chartContainer}>
+            <div className={styles.forecastChart}>
+              {analytics.riskForecast.curve.map((point) => (
+                <div
+                  key={point.time}
+                  className={styles.forecastBar}
+                  title={`${point.localDate} ${String(point.localHour).padStart(2, '0')}:00 - ${point.level}`}
+                >
+                  <div
+                    className={styles.chartBarFill}
+                    style={{
+                      height: `${Math.max(point.risk / forecastMax * 100, 2)}%`,
+                      backgroundColor: point.level === 'very-high' ? '#dc2626' : point.level === 'high' ? '#ea580c' : point.level === 'medium' ? '#f59e0b' : '#10b981'
+                    }}
+                  ></div>
+                  {point.localHour === 0 && (
+                    <div className={styles.forecastLabel}>{point.localDate.slice(5)}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+            <p className={styles.metricSubtext}>
+              Hourly risk ({analytics.riskForecast.timeZone}) - {analytics.riskForecast.confidence} confidence
+              {analytics.riskForecast.nextPayday && ` - next payday ${analytics.riskForecast.nextPayday}`}
+            </p>
+          </div>
+        </section>
+      )}
+
       {/* Active Triggers */}
       <section className={styles.section}>
         <h2 className={styles.sectionTitle}>Active Trigger Patterns</h2>
@@ -3,6 +3,8 @@
  *
  * Shows past interventions with transcripts and effectiveness
  * Helps guardians learn what works and refine their approach
+ * Guardians can mark each classification as correct or incorrect, which
+ * feeds the classifier's retraining
  */
 
 import React, { useState, useEffect } from 'react';
@@ -10,11 +12,20 @@ import styles from '../styles/InterventionHistory.module.css';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 
+/**
+ * Bearer token of the signed-in guardian (Supabase access token)
+ */
+function authHeaders() {
+  const token = typeof window !== 'undefined' ? window.localStorage.getItem('anchor_access_token') : null;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 export default function InterventionHistoryPage() {
   const [interventions, setInterventions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // all, recent, effective
   const [selectedUser] = useState('patient-zero');
+  const [feedback, setFeedback] = useState({}); // transaction_id -> correct
 
   useEffect(() => {
     loadInterventions();
@@ -28,7 +39,8 @@ export default function InterventionHistoryPage() {
       setLoading(true);
 
       const response = await fetch(
-        `${API_URL}/api/guardian-advanced/interventions?userId=${selectedUser}&limit=50`
+        `${API_URL}/api/guardian-advanced/interventions?userId=${selectedUser}&limit=50`,
+        { headers: authHeaders() }
       );
 
       if (!response.ok) {
@@ -45,6 +57,28 @@ export default function InterventionHistoryPage() {
     }
   }
 
+  /**
+   * Mark an intervention's classification as correct or incorrect
+   */
+  async function sendFeedback(transactionId, correct) {
+    try {
+      const response = await fetch(`${API_URL}/api/feedback/classification`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ transactionId, correct })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to save feedback');
+      }
+
+      setFeedback(current => ({ ...current, [transactionId]: correct }));
+    } catch (error) {
+      console.error('Error saving classification feedback:', error);
+      alert('Failed to save feedback.');
+    }
+  }
+
   /**
    * Filter interventions based on selected filter
    */
@@ -202,6 +236,26 @@ export default function InterventionHistoryPage() {
 
               <div className={styles.interventionFooter}>
                 <span className={styles.completedBadge}>✓ Completed</span>
+
+                <div className={styles.classificationFeedback}>
+                  <span className={styles.classificationLabel}>
+                    Classified as {intervention.verdict === 'clear'
+                      ? 'not gambling'
+                      : intervention.gambling_type ? `${intervention.gambling_type} gambling` : 'gambling'}
+                  </span>
+                  <button
+                    className={feedback[intervention.transaction_id] === true ? styles.feedbackActive : styles.feedbackButton}
+                    onClick={() => sendFeedback(intervention.transaction_id, true)}
+                  >
+                    Correct
+                  </button>
+                  <button
+                    className={feedback[intervention.transaction_id] === false ? styles.feedbackActive : styles.feedbackButton}
+                    onClick={() => sendFeedback(intervention.transaction_id, false)}
+                  >
+                    Incorrect
+                  </button>
+                </div>
               </div>
             </div>
           ))
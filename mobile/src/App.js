@@ -4,7 +4,7 @@
  */
 
 import React, { useEffect, useState } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { StatusBar } from 'expo-status-bar';
 import { Alert, View, Text, StyleSheet } from 'react-native';
@@ -13,57 +13,116 @@ import { Alert, View, Text, StyleSheet } from 'react-native';
 import HomeScreen from './screens/HomeScreen';
 import AlertScreen from './screens/AlertScreen';
 import WhitelistScreen from './screens/WhitelistScreen';
+import SignInScreen from './screens/SignInScreen';
 
 // Services
-import { registerForPushNotifications, addNotificationResponseListener } from './services/notifications';
+import {
+  registerForPushNotifications,
+  registerPushTokenWithServer,
+  syncLanguageWithServer,
+  acknowledgeNotificationEvent,
+  addNotificationResponseListener
+} from './services/notifications';
+import translationService from './i18n/translations';
 import { tokenService } from './services/upBank';
+import { authService, transactionService } from './services/supabase';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+/**
+ * Open the Alert screen for a transaction from a push notification
+ */
+async function openTransactionAlert(transactionId) {
+  try {
+    const transaction = await transactionService.getById(transactionId);
+    if (navigationRef.isReady()) {
+      navigationRef.navigate('Alert', { transaction });
+    }
+  } catch (error) {
+    console.error('Error opening transaction alert:', error);
+  }
+}
 
 export default function App() {
   const [isReady, setIsReady] = useState(false);
   const [hasToken, setHasToken] = useState(false);
+  const [session, setSession] = useState(null);
+  const userId = session?.user?.id;
 
   useEffect(() => {
     initializeApp();
-  }, []);
 
-  async function initializeApp() {
-    try {
-      // Check if Up Bank token exists
-      const tokenExists = await tokenService.hasToken();
-      setHasToken(tokenExists);
+    // Keep the session in sync with sign-in, sign-out and token refresh
+    const authSubscription = authService.onSessionChange(setSession);
 
-      // Register for push notifications
-      try {
-        await registerForPushNotifications();
-      } catch (error) {
-        console.warn('Failed to register for push notifications:', error);
+    // Set up notification listeners
+    const notificationSubscription = addNotificationResponseListener(response => {
+      const data = response.notification.request.content.data;
+
+      // Opening the push stops the server falling back to SMS and email
+      if (data.notificationEventId) {
+        acknowledgeNotificationEvent(data.notificationEventId).catch(error => {
+          console.error('Error acknowledging notification:', error);
+        });
       }
 
-      // Set up notification listeners
-      const notificationSubscription = addNotificationResponseListener(response => {
-        const data = response.notification.request.content.data;
+      // Intervention events carry the transaction that triggered them
+      if ((data.type === 'NON_WHITELISTED_TRANSACTION' || data.type === 'INTERVENTION_REQUIRED') && data.transactionId) {
+        // Navigate to alert screen
+        openTransactionAlert(data.transactionId);
+      }
+    });
+
+    return () => {
+      authSubscription.unsubscribe();
+      notificationSubscription.remove();
+    };
+  }, []);
+
+  // The API calls below need a signed-in user, so run them once per sign-in
+  useEffect(() => {
+    if (!userId) return undefined;
 
-        if (data.type === 'NON_WHITELISTED_TRANSACTION' && data.transactionId) {
-          // Navigate to alert screen
-          // This would need proper navigation ref setup for deep linking
-          console.log('Navigate to alert for transaction:', data.transactionId);
-        }
+    registerDevice();
+
+    // Send SMS, email and push in the app's language
+    const syncLanguage = language => {
+      syncLanguageWithServer(language).catch(error => {
+        console.warn('Failed to sync language:', error);
       });
+    };
+    syncLanguage(translationService.getCurrentLanguage());
+    return translationService.subscribe(syncLanguage);
+  }, [userId]);
 
-      setIsReady(true);
+  async function initializeApp() {
+    try {
+      // Restore the stored session, if any
+      setSession(await authService.getSession());
 
-      return () => {
-        notificationSubscription.remove();
-      };
+      // Check if Up Bank token exists
+      const tokenExists = await tokenService.hasToken();
+      setHasToken(tokenExists);
+
+      await translationService.initialize();
     } catch (error) {
       console.error('Error initializing app:', error);
       Alert.alert('Error', 'Failed to initialize app');
+    } finally {
       setIsReady(true);
     }
   }
 
+  async function registerDevice() {
+    try {
+      const pushToken = await registerForPushNotifications();
+      await registerPushTokenWithServer(pushToken);
+    } catch (error) {
+      console.warn('Failed to register for push notifications:', error);
+    }
+  }
+
   if (!isReady) {
     return (
       <View style={styles.loadingContainer}>
@@ -73,10 +132,19 @@ export default function App() {
     );
   }
 
+  if (!session) {
+    return (
+      <>
+        <StatusBar style="light" />
+        <SignInScreen />
+      </>
+    );
+  }
+
   return (
     <>
       <StatusBar style="light" />
-      <NavigationContainer>
+      <NavigationContainer ref={navigationRef}>
         <Stack.Navigator
           screenOptions={{
             headerShown: false,
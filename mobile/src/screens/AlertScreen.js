@@ -5,6 +5,7 @@
  * - Full-screen takeover when non-whitelisted transaction detected
  * - CANNOT dismiss without recording voice memo
  * - Forces accountability through voice recording
+ * - Lets the user mark whether it really was gambling (classifier feedback)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -25,6 +26,7 @@ export default function AlertScreen({ route, navigation }) {
   const { transaction } = route.params;
   const [hasRecorded, setHasRecorded] = useState(false);
   const [isDismissing, setIsDismissing] = useState(false);
+  const [wasGambling, setWasGambling] = useState(null);
 
   useEffect(() => {
     // Prevent back button from dismissing
@@ -73,6 +75,22 @@ export default function AlertScreen({ route, navigation }) {
     }
   }
 
+  async function handleFeedback(answer) {
+    // The alert treats the transaction as gambling unless the verdict was clear
+    const flaggedAsGambling = transaction.verdict !== 'clear';
+
+    try {
+      await transactionService.sendClassificationFeedback(
+        transaction.transaction_id,
+        answer === flaggedAsGambling
+      );
+      setWasGambling(answer);
+    } catch (error) {
+      console.error('Error sending classification feedback:', error);
+      Alert.alert('Error', 'Failed to save your answer. Please try again.');
+    }
+  }
+
   function handleDismiss() {
     if (!hasRecorded) {
       Alert.alert(
@@ -135,6 +153,25 @@ export default function AlertScreen({ route, navigation }) {
           </Text>
         </View>
 
+        {/* Classification Feedback */}
+        <View style={styles.feedbackRow}>
+          <Text style={styles.feedbackLabel}>Was this gambling?</Text>
+          <View style={styles.feedbackButtons}>
+            <TouchableOpacity
+              style={[styles.feedbackButton, wasGambling === true && styles.feedbackButtonSelected]}
+              onPress={() => handleFeedback(true)}
+            >
+              <Text style={styles.feedbackButtonText}>Yes</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.feedbackButton, wasGambling === false && styles.feedbackButtonSelected]}
+              onPress={() => handleFeedback(false)}
+            >
+              <Text style={styles.feedbackButtonText}>No</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
         {/* Voice Recorder */}
         <View style={styles.recorderContainer}>
           <VoiceRecorder onRecordingComplete={handleRecordingComplete} />
@@ -232,6 +269,34 @@ const styles = StyleSheet.create({
     color: '#fff',
     lineHeight: 20,
   },
+  feedbackRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  feedbackLabel: {
+    fontSize: 16,
+    color: '#fff',
+  },
+  feedbackButtons: {
+    flexDirection: 'row',
+  },
+  feedbackButton: {
+    backgroundColor: '#2c2c2e',
+    paddingVertical: 8,
+    paddingHorizontal: 18,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  feedbackButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+  feedbackButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   recorderContainer: {
     marginBottom: 32,
   },
@@ -0,0 +1,173 @@
+/**
+ * Sign In Screen
+ *
+ * Email one-time code sign-in
+ * - Enter email, receive a 6-digit code
+ * - Enter the code to sign in (the account is created on first sign-in)
+ *
+ * The session is stored on the device, so this is shown once per install
+ * or after signing out.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { authService } from '../services/supabase';
+
+export default function SignInScreen() {
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  async function handleSendCode() {
+    if (!email.trim()) {
+      Alert.alert('Error', 'Please enter your email');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await authService.sendCode(email.trim());
+      setCodeSent(true);
+    } catch (error) {
+      console.error('Error sending sign-in code:', error);
+      Alert.alert('Error', 'Failed to send sign-in code');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleVerifyCode() {
+    if (!code.trim()) {
+      Alert.alert('Error', 'Please enter the code from your email');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      // App switches screens on the session change
+      await authService.verifyCode(email.trim(), code.trim());
+    } catch (error) {
+      console.error('Error verifying sign-in code:', error);
+      Alert.alert('Error', 'That code is incorrect or has expired');
+      setLoading(false);
+    }
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Anchor</Text>
+      <Text style={styles.subtitle}>
+        {codeSent
+          ? `Enter the code we sent to ${email.trim()}`
+          : 'Sign in with your email'}
+      </Text>
+
+      {codeSent ? (
+        <TextInput
+          style={styles.input}
+          placeholder="6-digit code"
+          placeholderTextColor="#8e8e93"
+          value={code}
+          onChangeText={setCode}
+          keyboardType="number-pad"
+          autoFocus
+        />
+      ) : (
+        <TextInput
+          style={styles.input}
+          placeholder="Email"
+          placeholderTextColor="#8e8e93"
+          value={email}
+          onChangeText={setEmail}
+          keyboardType="email-address"
+          autoCapitalize="none"
+          autoCorrect={false}
+          autoFocus
+        />
+      )}
+
+      <TouchableOpacity
+        style={styles.button}
+        onPress={codeSent ? handleVerifyCode : handleSendCode}
+        disabled={loading}
+      >
+        {loading ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>{codeSent ? 'Sign In' : 'Send Code'}</Text>
+        )}
+      </TouchableOpacity>
+
+      {codeSent && (
+        <TouchableOpacity
+          style={styles.linkButton}
+          onPress={() => {
+            setCodeSent(false);
+            setCode('');
+          }}
+        >
+          <Text style={styles.linkText}>Use a different email</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  title: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#8e8e93',
+    textAlign: 'center',
+    marginBottom: 32,
+  },
+  input: {
+    backgroundColor: '#2c2c2e',
+    color: '#fff',
+    padding: 16,
+    borderRadius: 12,
+    fontSize: 16,
+    marginBottom: 16,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 18,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkButton: {
+    padding: 16,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+});
@@ -8,6 +8,7 @@
 import * as Speech from 'expo-speech';
 import { Audio } from 'expo-av';
 import Constants from 'expo-constants';
+import { authService } from './supabase';
 
 const API_URL = Constants.expoConfig.extra.apiUrl || process.env.EXPO_PUBLIC_API_URL;
 
@@ -187,21 +188,24 @@ class AIVoice {
    * @param {Object} params - Conversation parameters
    * @param {Array} params.messages - Message history
    * @param {string} params.trigger - Intervention trigger type
-   * @param {Object} params.userData - User context
    * @param {boolean} params.streaming - Enable streaming
    * @returns {Promise<Object>} AI response
+   *
+   * The server loads the user context for the signed-in user.
    */
-  async getAIResponse({ messages, trigger, userData, streaming = false }) {
+  async getAIResponse({ messages, trigger, streaming = false }) {
     try {
+      const accessToken = await authService.getAccessToken();
+
       const response = await fetch(`${API_URL}/api/ai/conversation`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
         },
         body: JSON.stringify({
           messages,
           trigger,
-          userData,
           streaming
         })
       });
@@ -314,10 +318,12 @@ class AIVoice {
       }
 
       // Send to backend for Claude analysis
+      const accessToken = await authService.getAccessToken();
       const response = await fetch(`${API_URL}/api/voice/analyze`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
         },
         body: JSON.stringify({
           transcript: transcription.transcript,
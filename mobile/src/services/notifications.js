@@ -9,6 +9,9 @@ import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import { Platform } from 'react-native';
 import Constants from 'expo-constants';
+import { supabase } from './supabase';
+
+const API_URL = Constants.expoConfig.extra.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -61,6 +64,99 @@ export async function registerForPushNotifications() {
   return token;
 }
 
+/**
+ * Register the device's push token with the Anchor API
+ * The server sends transaction alerts to every registered device.
+ */
+export async function registerPushTokenWithServer(token) {
+  if (!token) return false;
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    console.warn('Not signed in, push token not registered');
+    return false;
+  }
+
+  const response = await fetch(`${API_URL}/api/notifications/push-token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify({
+      token,
+      platform: Platform.OS,
+      deviceName: Device.deviceName
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to register push token: ${response.status}`);
+  }
+
+  return true;
+}
+
+/**
+ * Tell the Anchor API which language the app is in
+ * SMS, email and push notifications are then sent in that language.
+ */
+export async function syncLanguageWithServer(language) {
+  if (!language) return false;
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    console.warn('Not signed in, language not synced');
+    return false;
+  }
+
+  const response = await fetch(`${API_URL}/api/communications/language`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify({
+      userId: session.user.id,
+      language
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to sync language: ${response.status}`);
+  }
+
+  return true;
+}
+
+/**
+ * Acknowledge a server notification event (the push's notificationEventId)
+ * so it is not sent again by SMS or email
+ */
+export async function acknowledgeNotificationEvent(eventId) {
+  if (!eventId) return false;
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    console.warn('Not signed in, notification not acknowledged');
+    return false;
+  }
+
+  const response = await fetch(`${API_URL}/api/notifications/events/${encodeURIComponent(eventId)}/acknowledge`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${session.access_token}`
+    }
+  });
+
+  // 404: already acknowledged (e.g. by an SMS reply)
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Failed to acknowledge notification: ${response.status}`);
+  }
+
+  return response.ok;
+}
+
 /**
  * Send local notification for non-whitelisted transaction
  */
@@ -127,6 +223,9 @@ export async function scheduleInterventionCheck() {
 
 export default {
   registerForPushNotifications,
+  registerPushTokenWithServer,
+  syncLanguageWithServer,
+  acknowledgeNotificationEvent,
   sendTransactionAlert,
   addNotificationResponseListener,
   addNotificationReceivedListener,
@@ -2,18 +2,95 @@
  * Supabase Service
  *
  * Handles all database operations for Anchor
+ * - Sign-in (email one-time code); the session is kept between launches
+ *
+ * Queries run as the signed-in user, so row-level security applies. Lists are
+ * limited to the user's own rows (RLS also lets guardians read linked users).
  * - Whitelist management
  * - Transaction logging
  * - Voice memo storage
  */
 
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { createClient } from '@supabase/supabase-js';
 import Constants from 'expo-constants';
 
 const supabaseUrl = Constants.expoConfig.extra.EXPO_PUBLIC_SUPABASE_URL || process.env.EXPO_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = Constants.expoConfig.extra.EXPO_PUBLIC_SUPABASE_ANON_KEY || process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY;
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const API_URL = Constants.expoConfig.extra.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
+
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    storage: AsyncStorage,
+    autoRefreshToken: true,
+    persistSession: true,
+    detectSessionInUrl: false
+  }
+});
+
+/**
+ * Authentication
+ */
+export const authService = {
+  // Current session (null when signed out)
+  async getSession() {
+    const { data: { session }, error } = await supabase.auth.getSession();
+
+    if (error) throw error;
+    return session;
+  },
+
+  // Access token for the Anchor API; throws when signed out
+  async getAccessToken() {
+    const session = await this.getSession();
+    if (!session) throw new Error('Not signed in');
+    return session.access_token;
+  },
+
+  // Signed-in user's ID; throws when signed out
+  async getUserId() {
+    const session = await this.getSession();
+    if (!session) throw new Error('Not signed in');
+    return session.user.id;
+  },
+
+  // Email a one-time sign-in code (creates the account on first sign-in)
+  async sendCode(email) {
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { shouldCreateUser: true }
+    });
+
+    if (error) throw error;
+  },
+
+  // Sign in with the emailed code
+  async verifyCode(email, code) {
+    const { data, error } = await supabase.auth.verifyOtp({
+      email,
+      token: code,
+      type: 'email'
+    });
+
+    if (error) throw error;
+    return data.session;
+  },
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  },
+
+  // Call back with the session whenever it changes; returns the subscription
+  onSessionChange(callback) {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      callback(session);
+    });
+
+    return subscription;
+  }
+};
 
 /**
  * Whitelist Operations
@@ -24,6 +101,7 @@ export const whitelistService = {
     const { data, error } = await supabase
       .from('whitelist')
       .select('*')
+      .eq('user_id', await authService.getUserId())
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -31,13 +109,20 @@ export const whitelistService = {
   },
 
   // Add new payee to whitelist
-  async add(payeeName, category, notes = '') {
+  // rule: { matchType, pattern, maxAmount, activeDays, activeStartTime, activeEndTime }
+  async add(payeeName, category, notes = '', rule = {}) {
     const { data, error } = await supabase
       .from('whitelist')
       .insert({
         payee_name: payeeName,
         category,
-        notes
+        notes,
+        match_type: rule.matchType || 'merchant_id',
+        pattern: rule.pattern || null,
+        max_amount: rule.maxAmount ?? null,
+        active_days: rule.activeDays || null,
+        active_start_time: rule.activeStartTime || null,
+        active_end_time: rule.activeEndTime || null
       })
       .select()
       .single();
@@ -57,15 +142,30 @@ export const whitelistService = {
   },
 
   // Check if payee is whitelisted
-  async isWhitelisted(payeeName) {
-    const { data, error } = await supabase
-      .from('whitelist')
-      .select('*')
-      .ilike('payee_name', payeeName)
-      .single();
+  async isWhitelisted(payeeName, details = {}) {
+    const match = await this.explainMatch(payeeName, details);
+    return match.matched;
+  },
+
+  // Match a payee against the whitelist rules (server-side, same rules as
+  // the webhook) and explain why it did or did not match
+  async explainMatch(payeeName, { description, amount, timestamp } = {}) {
+    const accessToken = await authService.getAccessToken();
+
+    const response = await fetch(`${API_URL}/api/whitelist/check`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ payeeName, description, amount, timestamp })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Whitelist check failed: ${response.status}`);
+    }
 
-    if (error && error.code !== 'PGRST116') throw error;
-    return !!data;
+    return response.json();
   }
 };
 
@@ -78,6 +178,7 @@ export const transactionService = {
     const { data, error } = await supabase
       .from('transactions')
       .select('*')
+      .eq('user_id', await authService.getUserId())
       .order('timestamp', { ascending: false })
       .limit(limit);
 
@@ -90,6 +191,7 @@ export const transactionService = {
     const { data, error } = await supabase
       .from('transactions')
       .select('*')
+      .eq('user_id', await authService.getUserId())
       .eq('is_whitelisted', false)
       .order('timestamp', { ascending: false });
 
@@ -102,6 +204,7 @@ export const transactionService = {
     const { data, error } = await supabase
       .from('transactions')
       .select('*')
+      .eq('user_id', await authService.getUserId())
       .eq('is_whitelisted', false)
       .eq('intervention_completed', false)
       .order('timestamp', { ascending: false });
@@ -137,6 +240,27 @@ export const transactionService = {
 
     if (error) throw error;
     return data;
+  },
+
+  // Mark the transaction's classification as correct or incorrect
+  // (gamblingType optionally corrects the type of a gambling transaction)
+  async sendClassificationFeedback(transactionId, correct, gamblingType = null) {
+    const accessToken = await authService.getAccessToken();
+
+    const response = await fetch(`${API_URL}/api/feedback/classification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ transactionId, correct, gamblingType })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Classification feedback failed: ${response.status}`);
+    }
+
+    return response.json();
   }
 };
 
@@ -168,6 +292,7 @@ export const realtimeService = {
 
 export default {
   supabase,
+  authService,
   whitelistService,
   transactionService,
   realtimeService
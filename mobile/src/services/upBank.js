@@ -9,6 +9,7 @@
 
 import * as SecureStore from 'expo-secure-store';
 import Constants from 'expo-constants';
+import { authService } from './supabase';
 
 const API_URL = Constants.expoConfig.extra.EXPO_PUBLIC_API_URL || process.env.EXPO_PUBLIC_API_URL;
 const UP_TOKEN_KEY = 'up_personal_access_token';
@@ -122,11 +123,13 @@ export const webhookService = {
   async listWebhooks() {
     const token = await tokenService.getToken();
     if (!token) throw new Error('No Up Bank token found');
+    const accessToken = await authService.getAccessToken();
 
     const response = await fetch(`${API_URL}/api/up/webhook-setup`, {
       method: 'GET',
       headers: {
-        'Authorization': `Bearer ${token}`,
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Up-Token': token,
         'Accept': 'application/json'
       }
     });
@@ -143,11 +146,13 @@ export const webhookService = {
   async createWebhook(webhookUrl) {
     const token = await tokenService.getToken();
     if (!token) throw new Error('No Up Bank token found');
+    const accessToken = await authService.getAccessToken();
 
     const response = await fetch(`${API_URL}/api/up/webhook-setup`, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${token}`,
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Up-Token': token,
         'Accept': 'application/json',
         'Content-Type': 'application/json'
       },
@@ -166,11 +171,13 @@ export const webhookService = {
   async deleteWebhook(webhookId) {
     const token = await tokenService.getToken();
     if (!token) throw new Error('No Up Bank token found');
+    const accessToken = await authService.getAccessToken();
 
     const response = await fetch(`${API_URL}/api/up/webhook-setup`, {
       method: 'DELETE',
       headers: {
-        'Authorization': `Bearer ${token}`,
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Up-Token': token,
         'Accept': 'application/json',
         'Content-Type': 'application/json'
       },
@@ -189,11 +196,13 @@ export const webhookService = {
   async pingWebhook(webhookId) {
     const token = await tokenService.getToken();
     if (!token) throw new Error('No Up Bank token found');
+    const accessToken = await authService.getAccessToken();
 
     const response = await fetch(`${API_URL}/api/up/webhook-setup?ping=true`, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${token}`,
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Up-Token': token,
         'Accept': 'application/json',
         'Content-Type': 'application/json'
       },
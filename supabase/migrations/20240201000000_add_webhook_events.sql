@@ -0,0 +1,31 @@
+-- Webhook Events Migration
+-- Adds a persistent log of incoming webhook events for idempotent ingestion and replay
+
+-- Create webhook events table
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source TEXT NOT NULL DEFAULT 'up_bank',
+    event_id TEXT NOT NULL, -- Provider event ID (Up Bank webhook event ID)
+    event_type TEXT NOT NULL,
+    transaction_id TEXT, -- Up Bank transaction ID, when the event refers to one
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed', 'dead_letter')),
+    attempts INTEGER DEFAULT 0, -- Processing attempts; dead-lettered after 5 failures
+    result JSONB,
+    error TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (source, event_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_transaction_id ON webhook_events(transaction_id);
+
+-- Enable RLS (no policies: only the service role reads and writes webhook events)
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE webhook_events IS 'Incoming webhook events with processing status, used for deduplication and replay';
@@ -0,0 +1,20 @@
+-- Transaction Details Migration
+-- Stores the full Up Bank transaction details resolved by the webhook pipeline
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'HELD' CHECK (status IN ('HELD', 'SETTLED', 'VOIDED')),
+    ADD COLUMN IF NOT EXISTS message TEXT,
+    ADD COLUMN IF NOT EXISTS category TEXT, -- Up Bank category ID
+    ADD COLUMN IF NOT EXISTS parent_category TEXT, -- Up Bank parent category ID
+    ADD COLUMN IF NOT EXISTS round_up_amount DECIMAL(10, 2),
+    ADD COLUMN IF NOT EXISTS foreign_amount DECIMAL(10, 2),
+    ADD COLUMN IF NOT EXISTS foreign_currency TEXT,
+    ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
+CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category);
+
+-- Add comments
+COMMENT ON COLUMN transactions.status IS 'HELD until Up settles the transaction, VOIDED when Up deletes it';
@@ -0,0 +1,47 @@
+-- Push Notifications Migration
+-- Stores Expo push tokens per device and push tickets awaiting receipt checks
+
+-- Create push tokens table
+CREATE TABLE IF NOT EXISTS push_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    token TEXT UNIQUE NOT NULL, -- ExponentPushToken[...]
+    platform TEXT,
+    device_name TEXT,
+    active BOOLEAN DEFAULT TRUE,
+    deactivated_reason TEXT, -- e.g. DeviceNotRegistered, unregistered
+    last_registered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create push receipts table
+CREATE TABLE IF NOT EXISTS push_receipts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    ticket_id TEXT UNIQUE NOT NULL, -- Expo push ticket ID
+    token TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'ok', 'error')),
+    error TEXT,
+    data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    checked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_push_tokens_user_id ON push_tokens(user_id, active);
+CREATE INDEX IF NOT EXISTS idx_push_receipts_status ON push_receipts(status, created_at);
+
+-- Add updated_at trigger
+CREATE TRIGGER update_push_tokens_updated_at
+    BEFORE UPDATE ON push_tokens
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS (no policies: tokens are registered through the API with the service role)
+ALTER TABLE push_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_receipts ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE push_tokens IS 'Expo push tokens registered by the mobile app, one row per device';
+COMMENT ON TABLE push_receipts IS 'Expo push tickets awaiting receipt checks';
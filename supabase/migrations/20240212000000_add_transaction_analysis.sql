@@ -0,0 +1,17 @@
+-- Transaction Analysis Migration
+-- Stores the combined verdict of the transaction-processing pipeline on each transaction
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS verdict TEXT CHECK (verdict IN ('gambling', 'suspicious', 'clear')),
+    ADD COLUMN IF NOT EXISTS verdict_confidence DECIMAL(4, 3), -- Combined gambling probability 0-1
+    ADD COLUMN IF NOT EXISTS gambling_type TEXT,
+    ADD COLUMN IF NOT EXISTS alert_severity TEXT CHECK (alert_severity IN ('none', 'low', 'medium', 'high', 'critical')),
+    ADD COLUMN IF NOT EXISTS analysis JSONB; -- Per-stage results (enrichment, heuristic, ml, anomaly)
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_transactions_verdict ON transactions(verdict);
+CREATE INDEX IF NOT EXISTS idx_transactions_alert_severity ON transactions(alert_severity);
+
+-- Add comments
+COMMENT ON COLUMN transactions.verdict IS 'Combined verdict from enrichment, heuristic, ML and anomaly analysis';
+COMMENT ON COLUMN transactions.alert_severity IS 'Alert severity derived from the verdict, anomalies and whitelist status';
@@ -0,0 +1,24 @@
+-- Whitelist Rules Migration
+-- Adds match types, amount caps and active windows to whitelist entries,
+-- and stores the whitelist match explanation on each transaction
+
+ALTER TABLE whitelist
+    ADD COLUMN IF NOT EXISTS match_type TEXT NOT NULL DEFAULT 'exact' CHECK (match_type IN ('exact', 'prefix', 'contains', 'regex', 'merchant_id')),
+    ADD COLUMN IF NOT EXISTS pattern TEXT, -- Defaults to payee_name when NULL
+    ADD COLUMN IF NOT EXISTS merchant_id TEXT, -- Normalised merchant ID for match_type 'merchant_id'
+    ADD COLUMN IF NOT EXISTS max_amount DECIMAL(10, 2), -- Transactions above this amount are not whitelisted
+    ADD COLUMN IF NOT EXISTS active_days INTEGER[], -- Days of week (0 = Sunday) the entry applies
+    ADD COLUMN IF NOT EXISTS active_start_time TIME,
+    ADD COLUMN IF NOT EXISTS active_end_time TIME, -- May be earlier than start (window wraps midnight)
+    ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'Australia/Sydney';
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS whitelist_entry_id UUID REFERENCES whitelist(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS whitelist_match JSONB; -- { matched, matchType, explanation, rejected }
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_whitelist_merchant_id ON whitelist(merchant_id);
+
+-- Add comments
+COMMENT ON COLUMN whitelist.match_type IS 'How pattern is compared with the payee: exact, prefix, contains, regex or merchant_id';
+COMMENT ON COLUMN transactions.whitelist_match IS 'Why the transaction did or did not match the whitelist';
@@ -0,0 +1,358 @@
+-- Multi-User Schema Migration
+-- Adds user accounts, guardians, rewards, reports, communications, vaults and
+-- commitments, and scopes every existing table to a user with user_id.
+--
+-- Existing single-user rows keep user_id NULL (visible to admins only once
+-- RLS is tightened). Backfill them with the account owner's ID:
+--   SELECT backfill_user_id('<auth user id>');
+
+-- ============================================================================
+-- Users
+-- ============================================================================
+
+-- One row per Supabase Auth user
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT,
+    name TEXT,
+    full_name TEXT,
+    phone TEXT,
+    role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'guardian', 'counselor', 'admin')),
+    timezone TEXT DEFAULT 'Australia/Sydney',
+    language TEXT DEFAULT 'en',
+
+    -- Up Bank link (webhook events are routed to the user by webhook ID)
+    up_webhook_id TEXT UNIQUE,
+
+    -- Commitment program
+    commitment_start TIMESTAMP WITH TIME ZONE,
+    commitment_days INTEGER,
+    daily_allowance DECIMAL(10, 2),
+
+    -- Recovery tracking
+    recovery_days INTEGER DEFAULT 0,
+    recovery_phase TEXT,
+    recovery_phase_risk TEXT,
+
+    -- Notifications
+    notification_preferences JSONB,
+    preferences_updated_at TIMESTAMP WITH TIME ZONE,
+    email_invalid BOOLEAN DEFAULT FALSE,
+    email_bounced_at TIMESTAMP WITH TIME ZONE,
+    email_bounce_reason TEXT,
+
+    -- Financial profile (used by tax and debt reports)
+    monthly_income DECIMAL(10, 2),
+    income_source TEXT,
+    employment_status TEXT,
+    receives_benefits BOOLEAN DEFAULT FALSE,
+    marital_status TEXT,
+    dependents INTEGER DEFAULT 0,
+    date_of_birth DATE,
+    address TEXT,
+    tax_file_number TEXT, -- Encrypted with EncryptionService before storage
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create a users row whenever someone signs up
+CREATE OR REPLACE FUNCTION handle_new_auth_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.users (id, email, phone, name)
+    VALUES (NEW.id, NEW.email, NEW.phone, NEW.raw_user_meta_data->>'name')
+    ON CONFLICT (id) DO NOTHING;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+    AFTER INSERT ON auth.users
+    FOR EACH ROW
+    EXECUTE FUNCTION handle_new_auth_user();
+
+-- ============================================================================
+-- Guardians
+-- ============================================================================
+
+-- Guardian contacts for a user (guardians do not need an Anchor account)
+CREATE TABLE IF NOT EXISTS guardians (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    guardian_user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Set once the guardian signs in
+    name TEXT NOT NULL,
+    phone TEXT,
+    email TEXT,
+    relationship TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Account-level access: a guardian or counselor account linked to a user
+CREATE TABLE IF NOT EXISTS guardian_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    guardian_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    guardian_id UUID REFERENCES guardians(id) ON DELETE SET NULL,
+    link_type TEXT NOT NULL DEFAULT 'guardian' CHECK (link_type IN ('guardian', 'counselor')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'revoked')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, guardian_user_id)
+);
+
+CREATE TABLE IF NOT EXISTS guardian_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    guardian_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Guardian's user ID
+    message TEXT NOT NULL,
+    context JSONB,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS guardian_checkins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    guardian_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Guardian's user ID
+    type TEXT,
+    message TEXT,
+    scheduled_time TIMESTAMP WITH TIME ZONE,
+    status TEXT DEFAULT 'scheduled',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Progress, rewards, vaults and commitments
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_progress (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    start_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    clean_days INTEGER DEFAULT 0,
+    current_streak INTEGER DEFAULT 0,
+    last_clean_day TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rewards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    milestone_id TEXT NOT NULL,
+    milestone_days INTEGER,
+    reward_type TEXT,
+    reward_amount DECIMAL(10, 2),
+    status TEXT NOT NULL DEFAULT 'pending',
+    eligible_partners JSONB,
+    partner_used TEXT,
+    distribution_details JSONB,
+    message TEXT,
+    error_message TEXT,
+    issued_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, milestone_id)
+);
+
+CREATE TABLE IF NOT EXISTS commitments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    commitment_days INTEGER NOT NULL,
+    daily_allowance DECIMAL(10, 2),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'broken', 'cancelled')),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS commitment_vaults (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    commitment_id UUID REFERENCES commitments(id) ON DELETE SET NULL,
+    amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    unlock_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'locked' CHECK (status IN ('locked', 'unlocked', 'released')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Reports
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    report_type TEXT NOT NULL,
+    pdf_url TEXT,
+    pdf_path TEXT,
+    options JSONB,
+    data_snapshot JSONB,
+    generated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_consent (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    consent_type TEXT NOT NULL,
+    consented BOOLEAN NOT NULL DEFAULT FALSE,
+    consented_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, consent_type)
+);
+
+CREATE TABLE IF NOT EXISTS report_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+    report_type TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Communications
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS communications_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    guardian_id UUID REFERENCES guardians(id) ON DELETE SET NULL,
+    type TEXT NOT NULL CHECK (type IN ('sms', 'email', 'push')),
+    template_id TEXT,
+    recipient TEXT,
+    subject TEXT,
+    message TEXT,
+    status TEXT,
+    message_id TEXT,
+    critical BOOLEAN DEFAULT FALSE,
+    metadata JSONB,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    clicked_at TIMESTAMP WITH TIME ZONE,
+    bounced_at TIMESTAMP WITH TIME ZONE,
+    bounce_reason TEXT
+);
+
+-- ============================================================================
+-- Scope existing tables to a user
+-- ============================================================================
+
+-- Rows created by a signed-in user default to that user
+ALTER TABLE whitelist ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE voice_memo_analysis ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE spending_patterns ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+-- user_stats already has user_id (added before users existed)
+ALTER TABLE user_stats
+    DROP CONSTRAINT IF EXISTS user_stats_user_id_fkey,
+    ADD CONSTRAINT user_stats_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+-- Payee names are unique per user, not globally
+ALTER TABLE whitelist DROP CONSTRAINT IF EXISTS whitelist_payee_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whitelist_user_payee ON whitelist(user_id, payee_name);
+
+-- Push tokens belong to users
+ALTER TABLE push_tokens
+    DROP CONSTRAINT IF EXISTS push_tokens_user_id_fkey,
+    ADD CONSTRAINT push_tokens_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_guardians_user_id ON guardians(user_id);
+CREATE INDEX IF NOT EXISTS idx_guardian_links_guardian_user_id ON guardian_links(guardian_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_guardian_links_user_id ON guardian_links(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_guardian_messages_user_id ON guardian_messages(user_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_guardian_checkins_user_id ON guardian_checkins(user_id, scheduled_time);
+CREATE INDEX IF NOT EXISTS idx_rewards_user_id ON rewards(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_commitments_user_id ON commitments(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_commitment_vaults_user_id ON commitment_vaults(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_reports_user_id ON reports(user_id, generated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_report_audit_log_user_id ON report_audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_communications_log_user_id ON communications_log(user_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_communications_log_message_id ON communications_log(message_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_voice_memo_analysis_user_id ON voice_memo_analysis(user_id);
+CREATE INDEX IF NOT EXISTS idx_spending_patterns_user_id ON spending_patterns(user_id);
+
+-- ============================================================================
+-- updated_at triggers
+-- ============================================================================
+
+CREATE TRIGGER update_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_guardians_updated_at
+    BEFORE UPDATE ON guardians
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_guardian_links_updated_at
+    BEFORE UPDATE ON guardian_links
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_progress_updated_at
+    BEFORE UPDATE ON user_progress
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rewards_updated_at
+    BEFORE UPDATE ON rewards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_commitments_updated_at
+    BEFORE UPDATE ON commitments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_commitment_vaults_updated_at
+    BEFORE UPDATE ON commitment_vaults
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Backfill helper
+-- ============================================================================
+
+-- Assign rows created before multi-user support to one account
+CREATE OR REPLACE FUNCTION backfill_user_id(owner_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE whitelist SET user_id = owner_id WHERE user_id IS NULL;
+    UPDATE transactions SET user_id = owner_id WHERE user_id IS NULL;
+    UPDATE conversations SET user_id = owner_id WHERE user_id IS NULL;
+    UPDATE voice_memo_analysis SET user_id = owner_id WHERE user_id IS NULL;
+    UPDATE spending_patterns SET user_id = owner_id WHERE user_id IS NULL;
+    UPDATE user_stats SET user_id = owner_id WHERE user_id IS NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Add comments
+COMMENT ON TABLE users IS 'Anchor user profiles, one per Supabase Auth user';
+COMMENT ON TABLE guardians IS 'Guardian contacts for a user (SMS/email recipients)';
+COMMENT ON TABLE guardian_links IS 'Guardian and counselor accounts with access to a user''s data';
+COMMENT ON TABLE rewards IS 'Milestone rewards issued to users';
+COMMENT ON TABLE commitments IS 'Commitment periods a user has signed up for';
+COMMENT ON TABLE commitment_vaults IS 'Money locked away for the duration of a commitment';
+COMMENT ON TABLE reports IS 'Generated PDF reports';
+COMMENT ON TABLE communications_log IS 'Every SMS, email and push sent, with delivery status';
+COMMENT ON COLUMN users.up_webhook_id IS 'Up Bank webhook registered for this user; routes webhook events to the user';
@@ -0,0 +1,265 @@
+-- Row Level Security Migration
+-- Replaces the "allow all" policies with per-user access:
+-- - Users read and write their own rows
+-- - Guardians and counselors with an active guardian link read the user's rows
+-- - Admins read and write everything
+--
+-- The API uses the service role key, which bypasses RLS; these policies
+-- govern direct access from the mobile app and guardian portal.
+
+-- ============================================================================
+-- Helper functions
+-- ============================================================================
+
+-- Whether the caller is an admin (role in the JWT app_metadata or users.role)
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin'
+        OR EXISTS (
+            SELECT 1 FROM public.users
+            WHERE id = auth.uid() AND role = 'admin'
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The caller's role (read without RLS to avoid recursive policies on users)
+CREATE OR REPLACE FUNCTION current_user_role()
+RETURNS TEXT AS $$
+    SELECT role FROM public.users WHERE id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the caller is an active guardian or counselor of a user
+CREATE OR REPLACE FUNCTION is_guardian_of(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.guardian_links
+        WHERE user_id = target_user_id
+          AND guardian_user_id = auth.uid()
+          AND status = 'active'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the caller may read a user's data
+CREATE OR REPLACE FUNCTION can_access_user(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT target_user_id = auth.uid()
+        OR is_admin()
+        OR is_guardian_of(target_user_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================================================
+-- Remove "allow all" policies
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Allow all access to whitelist" ON whitelist;
+DROP POLICY IF EXISTS "Allow all access to transactions" ON transactions;
+DROP POLICY IF EXISTS "Allow all operations on whitelist" ON whitelist;
+DROP POLICY IF EXISTS "Allow all operations on transactions" ON transactions;
+DROP POLICY IF EXISTS "Allow all access to conversations" ON conversations;
+DROP POLICY IF EXISTS "Allow all access to conversation_messages" ON conversation_messages;
+DROP POLICY IF EXISTS "Allow all access to user_stats" ON user_stats;
+DROP POLICY IF EXISTS "Allow all access to voice_memo_analysis" ON voice_memo_analysis;
+DROP POLICY IF EXISTS "Allow all access to spending_patterns" ON spending_patterns;
+
+-- ============================================================================
+-- Enable RLS
+-- ============================================================================
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guardians ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guardian_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guardian_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guardian_checkins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_progress ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rewards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commitments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commitment_vaults ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_consent ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE communications_log ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- Users
+-- ============================================================================
+
+CREATE POLICY "Users can view permitted profiles"
+    ON users FOR SELECT
+    USING (can_access_user(id));
+
+-- Users cannot change their own role
+CREATE POLICY "Users can update own profile"
+    ON users FOR UPDATE
+    USING (id = auth.uid())
+    WITH CHECK (id = auth.uid() AND role = current_user_role());
+
+CREATE POLICY "Admins can manage users"
+    ON users FOR ALL
+    USING (is_admin())
+    WITH CHECK (is_admin());
+
+-- ============================================================================
+-- Tables owned by a user (user manages, guardians read)
+-- ============================================================================
+
+-- whitelist
+CREATE POLICY "Whitelist readable by permitted users"
+    ON whitelist FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Whitelist managed by owner"
+    ON whitelist FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+-- transactions (inserted by the webhook; the owner records interventions,
+-- limited to the intervention columns in 20240520000000)
+CREATE POLICY "Transactions readable by permitted users"
+    ON transactions FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Transactions updated by owner"
+    ON transactions FOR UPDATE
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+-- conversations
+CREATE POLICY "Conversations readable by permitted users"
+    ON conversations FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Conversations managed by owner"
+    ON conversations FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+-- conversation messages follow their conversation
+CREATE POLICY "Conversation messages readable by permitted users"
+    ON conversation_messages FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM conversations c
+        WHERE c.id = conversation_id AND can_access_user(c.user_id)
+    ));
+
+CREATE POLICY "Conversation messages managed by owner"
+    ON conversation_messages FOR ALL
+    USING (EXISTS (
+        SELECT 1 FROM conversations c
+        WHERE c.id = conversation_id AND (c.user_id = auth.uid() OR is_admin())
+    ))
+    WITH CHECK (EXISTS (
+        SELECT 1 FROM conversations c
+        WHERE c.id = conversation_id AND (c.user_id = auth.uid() OR is_admin())
+    ));
+
+-- user_stats, voice_memo_analysis, spending_patterns, user_progress,
+-- commitments, commitment_vaults, user_consent
+CREATE POLICY "User stats readable by permitted users"
+    ON user_stats FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "User stats managed by owner"
+    ON user_stats FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+CREATE POLICY "Voice memo analysis readable by permitted users"
+    ON voice_memo_analysis FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Voice memo analysis managed by owner"
+    ON voice_memo_analysis FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+CREATE POLICY "Spending patterns readable by permitted users"
+    ON spending_patterns FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "User progress readable by permitted users"
+    ON user_progress FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Commitments readable by permitted users"
+    ON commitments FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Commitments managed by owner"
+    ON commitments FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+CREATE POLICY "Vaults readable by permitted users"
+    ON commitment_vaults FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Consent readable by owner"
+    ON user_consent FOR SELECT
+    USING (user_id = auth.uid() OR is_admin());
+
+CREATE POLICY "Consent managed by owner"
+    ON user_consent FOR ALL
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- Rewards, reports and communications are written by the API only
+CREATE POLICY "Rewards readable by permitted users"
+    ON rewards FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Reports readable by permitted users"
+    ON reports FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Report audit log readable by owner"
+    ON report_audit_log FOR SELECT
+    USING (user_id = auth.uid() OR is_admin());
+
+CREATE POLICY "Communications readable by owner"
+    ON communications_log FOR SELECT
+    USING (user_id = auth.uid() OR is_admin());
+
+-- ============================================================================
+-- Guardians
+-- ============================================================================
+
+-- Guardian contacts: the user manages them, the linked guardian sees their own entry
+CREATE POLICY "Guardian contacts readable by permitted users"
+    ON guardians FOR SELECT
+    USING (can_access_user(user_id) OR guardian_user_id = auth.uid());
+
+CREATE POLICY "Guardian contacts managed by owner"
+    ON guardians FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+-- Guardian links: visible to both sides; only the user (or an admin) grants
+-- or revokes access, so a guardian cannot activate their own link
+CREATE POLICY "Guardian links readable by both sides"
+    ON guardian_links FOR SELECT
+    USING (user_id = auth.uid() OR guardian_user_id = auth.uid() OR is_admin());
+
+CREATE POLICY "Guardian links managed by owner"
+    ON guardian_links FOR ALL
+    USING (user_id = auth.uid() OR is_admin())
+    WITH CHECK (user_id = auth.uid() OR is_admin());
+
+-- Guardian messages and check-ins: written by the guardian, read by both
+CREATE POLICY "Guardian messages readable by permitted users"
+    ON guardian_messages FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Guardian messages sent by linked guardians"
+    ON guardian_messages FOR INSERT
+    WITH CHECK (guardian_id = auth.uid() AND is_guardian_of(user_id));
+
+CREATE POLICY "Guardian check-ins readable by permitted users"
+    ON guardian_checkins FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Guardian check-ins managed by linked guardians"
+    ON guardian_checkins FOR ALL
+    USING (guardian_id = auth.uid() AND is_guardian_of(user_id))
+    WITH CHECK (guardian_id = auth.uid() AND is_guardian_of(user_id));
+
+-- Add comments
+COMMENT ON FUNCTION can_access_user(UUID) IS 'True for the user themselves, their active guardians/counselors and admins';
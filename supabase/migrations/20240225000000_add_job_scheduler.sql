@@ -0,0 +1,80 @@
+-- Background Job Scheduler Migration
+-- Backs the in-process job scheduler (api/services/job-scheduler.js):
+-- - scheduled_jobs: per-job pause state, shared by every API instance
+-- - job_locks: expiring leases so only one instance runs a job at a time
+-- - job_runs: run history; the unique run key stops two instances from
+--   both running the same scheduled slot
+
+-- Per-job state
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name TEXT PRIMARY KEY,
+    paused BOOLEAN DEFAULT false,
+    paused_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    paused_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Job leases
+CREATE TABLE IF NOT EXISTS job_locks (
+    job_name TEXT PRIMARY KEY,
+    locked_by TEXT NOT NULL,
+    locked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Run history
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    job_name TEXT NOT NULL,
+    run_key TEXT NOT NULL,
+    trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+    instance_id TEXT,
+    timezone TEXT,
+    user_count INTEGER,
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    UNIQUE (job_name, run_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status);
+
+CREATE TRIGGER update_scheduled_jobs_updated_at BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Take (or renew) a job lease; returns true when the caller holds the lock.
+-- An expired lease can be taken over, so a crashed instance never blocks a job.
+CREATE OR REPLACE FUNCTION acquire_job_lock(p_job_name TEXT, p_owner TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    acquired TEXT;
+BEGIN
+    INSERT INTO job_locks (job_name, locked_by, locked_at, locked_until)
+    VALUES (p_job_name, p_owner, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (job_name) DO UPDATE
+        SET locked_by = EXCLUDED.locked_by,
+            locked_at = EXCLUDED.locked_at,
+            locked_until = EXCLUDED.locked_until
+        WHERE job_locks.locked_until < NOW() OR job_locks.locked_by = EXCLUDED.locked_by
+    RETURNING locked_by INTO acquired;
+
+    RETURN acquired IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_locks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE scheduled_jobs IS 'Pause state of background jobs';
+COMMENT ON TABLE job_locks IS 'Expiring leases that stop two API instances running the same job';
+COMMENT ON TABLE job_runs IS 'Background job run history';
+COMMENT ON FUNCTION acquire_job_lock(TEXT, TEXT, INTEGER) IS 'Take or renew a job lease; true when acquired';
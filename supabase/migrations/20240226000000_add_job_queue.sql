@@ -0,0 +1,84 @@
+-- Job Queue Migration
+-- Durable background work (api/services/job-queue.js): webhook processing,
+-- SMS/email sends and report generation.
+-- - queue_jobs: pending, running, completed and dead jobs
+-- - queue_dead_letters: jobs that ran out of attempts, kept for inspection and retry
+
+CREATE TABLE IF NOT EXISTS queue_jobs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    result JSONB,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS queue_dead_letters (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    job_id UUID REFERENCES queue_jobs(id) ON DELETE SET NULL,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    attempts INTEGER NOT NULL,
+    error TEXT,
+    failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    retried_at TIMESTAMP WITH TIME ZONE,
+    retry_job_id UUID REFERENCES queue_jobs(id) ON DELETE SET NULL -- Job enqueued by the retry
+);
+
+-- Workers look for due pending jobs by type
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_due ON queue_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_type ON queue_jobs(type);
+CREATE INDEX IF NOT EXISTS idx_queue_dead_letters_failed_at ON queue_dead_letters(failed_at DESC);
+
+CREATE TRIGGER update_queue_jobs_updated_at BEFORE UPDATE ON queue_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim due jobs for a worker. SKIP LOCKED lets several workers poll at once
+-- without taking the same job; workers renew locked_at while a job runs, so
+-- running jobs whose lock is older than the lock timeout (the worker died)
+-- are claimed again.
+CREATE OR REPLACE FUNCTION claim_queue_jobs(
+    p_worker TEXT,
+    p_types TEXT[],
+    p_limit INTEGER,
+    p_lock_timeout_seconds INTEGER
+)
+RETURNS SETOF queue_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE queue_jobs
+    SET status = 'running',
+        locked_by = p_worker,
+        locked_at = NOW(),
+        attempts = queue_jobs.attempts + 1
+    WHERE queue_jobs.id IN (
+        SELECT q.id FROM queue_jobs q
+        WHERE q.type = ANY(p_types)
+          AND (
+              (q.status = 'pending' AND q.run_at <= NOW())
+              OR (q.status = 'running' AND q.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+          )
+        ORDER BY q.run_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING queue_jobs.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE queue_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE queue_dead_letters ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE queue_jobs IS 'Durable background job queue';
+COMMENT ON TABLE queue_dead_letters IS 'Queue jobs that failed every attempt';
+COMMENT ON FUNCTION claim_queue_jobs(TEXT, TEXT[], INTEGER, INTEGER) IS 'Atomically claim due queue jobs for a worker';
@@ -0,0 +1,93 @@
+-- Classification Feedback Migration
+-- Users and guardians mark transaction classifications as correct or
+-- incorrect; the labels feed the scheduled retraining of the gambling
+-- classifier (api/services/model-trainer.js).
+
+-- ML analysis log (written by MLPatternEngine; features are reused for training)
+CREATE TABLE IF NOT EXISTS ml_analysis_log (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    transaction_id TEXT NOT NULL,
+    analysis JSONB NOT NULL,
+    model_version TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ml_analysis_log_transaction ON ml_analysis_log(transaction_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ml_analysis_log_user ON ml_analysis_log(user_id);
+
+-- One label per transaction per person
+CREATE TABLE IF NOT EXISTS classification_feedback (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    transaction_id TEXT NOT NULL REFERENCES transactions(transaction_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    labelled_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    labeller_role TEXT NOT NULL,
+    is_correct BOOLEAN NOT NULL,
+    is_gambling BOOLEAN NOT NULL,
+    gambling_type TEXT CHECK (gambling_type IN ('online', 'venue', 'sports', 'lottery')),
+    predicted_verdict TEXT,
+    predicted_gambling_type TEXT,
+    predicted_confidence DECIMAL(4,3),
+    notes TEXT,
+    used_in_training_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (transaction_id, labelled_by)
+);
+
+CREATE INDEX IF NOT EXISTS idx_classification_feedback_user ON classification_feedback(user_id);
+CREATE INDEX IF NOT EXISTS idx_classification_feedback_created ON classification_feedback(created_at DESC);
+
+CREATE TRIGGER update_classification_feedback_updated_at BEFORE UPDATE ON classification_feedback
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Retraining runs and their evaluation against the held-out set
+CREATE TABLE IF NOT EXISTS model_training_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    model_name TEXT NOT NULL DEFAULT 'gambling_classifier',
+    candidate_version TEXT NOT NULL,
+    baseline_version TEXT,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'promoted', 'rejected', 'skipped', 'failed')),
+    training_examples INTEGER,
+    feedback_examples INTEGER,
+    holdout_examples INTEGER,
+    baseline_metrics JSONB,
+    candidate_metrics JSONB,
+    reason TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_model_training_runs_started ON model_training_runs(started_at DESC);
+
+-- Row Level Security
+ALTER TABLE ml_analysis_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE classification_feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE model_training_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "ML analysis readable by permitted users"
+    ON ml_analysis_log FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Feedback readable by permitted users"
+    ON classification_feedback FOR SELECT
+    USING (can_access_user(user_id));
+
+-- The user and their active guardians may add labels on the user's
+-- transactions, as themselves and under their own role. Replacing a label
+-- goes through the API, which derives is_gambling from the stored verdict.
+CREATE POLICY "Feedback added by permitted users"
+    ON classification_feedback FOR INSERT
+    WITH CHECK (
+        labelled_by = auth.uid()
+        AND labeller_role = COALESCE(current_user_role(), 'user')
+        AND can_access_user(user_id)
+    );
+
+-- model_training_runs: no policies (service role only)
+
+-- Add comments
+COMMENT ON TABLE ml_analysis_log IS 'ML engine analyses, including the feature vector used';
+COMMENT ON TABLE classification_feedback IS 'User and guardian labels on transaction classifications';
+COMMENT ON TABLE model_training_runs IS 'Gambling classifier retraining runs and promotion decisions';
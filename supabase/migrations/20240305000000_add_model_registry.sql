@@ -0,0 +1,132 @@
+-- Model Registry Migration
+-- Versions of the ML models with their training metadata and evaluation
+-- scores (api/services/model-registry.js):
+-- - model_versions: one row per trained version; at most one production and
+--   one shadow version per model
+-- - model_shadow_disagreements: live transactions where the shadow version's
+--   prediction differed from production
+
+CREATE TABLE IF NOT EXISTS model_versions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    model_name TEXT NOT NULL,
+    version TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'candidate' CHECK (status IN ('candidate', 'shadow', 'production', 'retired', 'rolled_back', 'rejected')),
+    artifact_path TEXT NOT NULL, -- Relative to api/data/models
+    training_run_id UUID REFERENCES model_training_runs(id) ON DELETE SET NULL,
+    training_metadata JSONB DEFAULT '{}',
+    metrics JSONB,
+    previous_version TEXT, -- Production version this one replaced (rollback target)
+    shadow_predictions INTEGER NOT NULL DEFAULT 0,
+    shadow_disagreements INTEGER NOT NULL DEFAULT 0,
+    promoted_at TIMESTAMP WITH TIME ZONE,
+    promoted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (model_name, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_model_versions_one_production
+    ON model_versions(model_name) WHERE status = 'production';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_model_versions_one_shadow
+    ON model_versions(model_name) WHERE status = 'shadow';
+
+CREATE TRIGGER update_model_versions_updated_at BEFORE UPDATE ON model_versions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS model_shadow_disagreements (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    model_name TEXT NOT NULL,
+    production_version TEXT NOT NULL,
+    shadow_version TEXT NOT NULL,
+    transaction_id TEXT,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    disagreement TEXT NOT NULL CHECK (disagreement IN ('verdict', 'gambling_type')),
+    production_prediction JSONB NOT NULL,
+    shadow_prediction JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_model_shadow_disagreements_version
+    ON model_shadow_disagreements(model_name, shadow_version, created_at DESC);
+
+-- Retraining runs may now put an improved candidate into shadow
+ALTER TABLE model_training_runs DROP CONSTRAINT IF EXISTS model_training_runs_status_check;
+ALTER TABLE model_training_runs ADD CONSTRAINT model_training_runs_status_check
+    CHECK (status IN ('running', 'promoted', 'shadow', 'rejected', 'skipped', 'failed'));
+
+-- The version shipped with the repository is the initial production version
+INSERT INTO model_versions (model_name, version, status, artifact_path, training_metadata, promoted_at)
+VALUES (
+    'gambling_classifier',
+    '1.0.0',
+    'production',
+    'gambling-classifier',
+    '{"source": "api/data/training-data.json"}',
+    NOW()
+)
+ON CONFLICT (model_name, version) DO NOTHING;
+
+-- Make a version the production version. The current production version is
+-- retired (or marked rolled_back when p_rollback) in the same transaction.
+CREATE OR REPLACE FUNCTION promote_model_version(
+    p_model_name TEXT,
+    p_version TEXT,
+    p_promoted_by UUID,
+    p_rollback BOOLEAN DEFAULT FALSE
+)
+RETURNS SETOF model_versions AS $$
+DECLARE
+    v_current TEXT;
+BEGIN
+    SELECT version INTO v_current
+    FROM model_versions
+    WHERE model_name = p_model_name AND status = 'production'
+    FOR UPDATE;
+
+    IF v_current = p_version THEN
+        RETURN QUERY SELECT * FROM model_versions
+        WHERE model_name = p_model_name AND version = p_version;
+        RETURN;
+    END IF;
+
+    UPDATE model_versions
+    SET status = CASE WHEN p_rollback THEN 'rolled_back' ELSE 'retired' END,
+        retired_at = NOW()
+    WHERE model_name = p_model_name AND status = 'production';
+
+    RETURN QUERY
+    UPDATE model_versions
+    SET status = 'production',
+        promoted_at = NOW(),
+        promoted_by = p_promoted_by,
+        retired_at = NULL,
+        previous_version = CASE WHEN p_rollback THEN model_versions.previous_version ELSE v_current END
+    WHERE model_name = p_model_name AND version = p_version
+    RETURNING model_versions.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count a shadow prediction against the shadow version
+CREATE OR REPLACE FUNCTION record_shadow_prediction(
+    p_model_name TEXT,
+    p_version TEXT,
+    p_disagreed BOOLEAN
+)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE model_versions
+    SET shadow_predictions = shadow_predictions + 1,
+        shadow_disagreements = shadow_disagreements + CASE WHEN p_disagreed THEN 1 ELSE 0 END
+    WHERE model_name = p_model_name AND version = p_version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE model_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE model_shadow_disagreements ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE model_versions IS 'ML model versions with training metadata, evaluation scores and deployment status';
+COMMENT ON TABLE model_shadow_disagreements IS 'Live predictions where the shadow model disagreed with production';
+COMMENT ON FUNCTION promote_model_version(TEXT, TEXT, UUID, BOOLEAN) IS 'Atomically replace the production version of a model';
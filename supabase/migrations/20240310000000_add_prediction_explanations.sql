@@ -0,0 +1,9 @@
+-- Prediction Explanations Migration
+-- Per-feature attributions of the ML gambling prediction, stored with the
+-- transaction so guardians and users can see why it was flagged
+
+ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS prediction_explanation JSONB; -- { method, probability, attributions: [{ feature, label, contribution }], summary }
+
+-- Add comments
+COMMENT ON COLUMN transactions.prediction_explanation IS 'Feature attributions of the ML gambling probability (occlusion), e.g. late night +0.21';
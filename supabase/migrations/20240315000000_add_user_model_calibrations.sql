@@ -0,0 +1,34 @@
+-- User Model Calibration Migration
+-- Per-user calibration of the global gambling classifier
+-- (api/services/user-calibration.js):
+-- - feature_stats: normalisation stats from the user's own transaction history
+-- - adapter: logistic recalibration and decision threshold fitted on the
+--   user's labelled transactions, for the production model version it was
+--   fitted against
+-- Users with too little history or too few labels use the global model.
+
+CREATE TABLE IF NOT EXISTS user_model_calibrations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    feature_stats JSONB, -- NULL: too little history, global stats used
+    adapter JSONB, -- NULL: too few labels, global threshold used
+    model_version TEXT, -- Production version the adapter was fitted on
+    history_size INTEGER NOT NULL DEFAULT 0,
+    labelled_examples INTEGER NOT NULL DEFAULT 0,
+    calibrated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_user_model_calibrations_updated_at BEFORE UPDATE ON user_model_calibrations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security
+ALTER TABLE user_model_calibrations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Calibration readable by permitted users"
+    ON user_model_calibrations FOR SELECT
+    USING (can_access_user(user_id));
+
+-- Add comments
+COMMENT ON TABLE user_model_calibrations IS 'Per-user normalisation stats and recalibration of the gambling classifier';
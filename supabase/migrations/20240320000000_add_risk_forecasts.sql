@@ -0,0 +1,28 @@
+-- Risk Forecasts Migration
+-- Each user's 14-day hourly relapse risk forecast (api/services/risk-forecaster.js),
+-- regenerated nightly and read by the SMS scheduler and guardian portal
+
+CREATE TABLE IF NOT EXISTS risk_forecasts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    confidence TEXT NOT NULL CHECK (confidence IN ('low', 'medium', 'high')),
+    forecast JSONB NOT NULL, -- { payCycle, lifts, relapseCycle, curve: [{ time, risk, level, factors }], peaks }
+    generated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_risk_forecasts_updated_at BEFORE UPDATE ON risk_forecasts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security
+ALTER TABLE risk_forecasts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Risk forecasts readable by permitted users"
+    ON risk_forecasts FOR SELECT
+    USING (can_access_user(user_id));
+
+-- Add comments
+COMMENT ON TABLE risk_forecasts IS 'Hourly relapse risk forecast for the next 14 days, per user';
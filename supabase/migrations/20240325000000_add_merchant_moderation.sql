@@ -0,0 +1,88 @@
+-- Merchant Moderation Migration
+-- User-submitted merchants go through a moderation queue before they are
+-- used by merchant enrichment (api/services/merchant-moderation.js):
+-- - merchant_submissions: proposed classification of a merchant
+-- - merchant_submission_votes: one vote per user per submission
+-- - merchant_enrichment: the crowdsourced merchant database; only rows with
+--   approved_at set (by consensus or an admin) are used
+
+CREATE TABLE IF NOT EXISTS merchant_enrichment (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    merchant_name TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    type TEXT,
+    is_gambling BOOLEAN NOT NULL DEFAULT false,
+    confidence INTEGER CHECK (confidence BETWEEN 0 AND 100),
+    category TEXT,
+    tags TEXT[] DEFAULT '{}',
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Rows written before moderation stay unapproved until re-submitted
+ALTER TABLE merchant_enrichment ADD COLUMN IF NOT EXISTS merchant_id TEXT;
+ALTER TABLE merchant_enrichment ADD COLUMN IF NOT EXISTS submission_id UUID;
+ALTER TABLE merchant_enrichment ADD COLUMN IF NOT EXISTS approved_via TEXT CHECK (approved_via IN ('consensus', 'admin'));
+ALTER TABLE merchant_enrichment ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_merchant_enrichment_merchant_id ON merchant_enrichment(merchant_id);
+
+DROP TRIGGER IF EXISTS update_merchant_enrichment_updated_at ON merchant_enrichment;
+CREATE TRIGGER update_merchant_enrichment_updated_at BEFORE UPDATE ON merchant_enrichment
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS merchant_submissions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    merchant_id TEXT NOT NULL, -- MerchantEnrichment.getMerchantId
+    merchant_name TEXT NOT NULL,
+    display_name TEXT,
+    type TEXT,
+    is_gambling BOOLEAN NOT NULL,
+    category TEXT,
+    tags TEXT[] DEFAULT '{}',
+    metadata JSONB DEFAULT '{}',
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    votes_for INTEGER NOT NULL DEFAULT 0,
+    votes_against INTEGER NOT NULL DEFAULT 0,
+    confidence INTEGER, -- Average confidence of the votes for
+    resolution TEXT CHECK (resolution IN ('consensus', 'admin', 'superseded')),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    review_notes TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open submission per merchant and classification
+CREATE UNIQUE INDEX IF NOT EXISTS idx_merchant_submissions_one_pending
+    ON merchant_submissions(merchant_id, is_gambling) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_merchant_submissions_status ON merchant_submissions(status, created_at DESC);
+
+CREATE TRIGGER update_merchant_submissions_updated_at BEFORE UPDATE ON merchant_submissions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS merchant_submission_votes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    submission_id UUID NOT NULL REFERENCES merchant_submissions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    agrees BOOLEAN NOT NULL,
+    confidence INTEGER NOT NULL DEFAULT 100 CHECK (confidence BETWEEN 0 AND 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (submission_id, user_id)
+);
+
+CREATE TRIGGER update_merchant_submission_votes_updated_at BEFORE UPDATE ON merchant_submission_votes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE merchant_enrichment ENABLE ROW LEVEL SECURITY;
+ALTER TABLE merchant_submissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE merchant_submission_votes ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE merchant_enrichment IS 'Crowdsourced merchant database; rows are used once approved';
+COMMENT ON TABLE merchant_submissions IS 'Moderation queue of user-submitted merchant classifications';
+COMMENT ON TABLE merchant_submission_votes IS 'Votes of distinct users on merchant submissions';
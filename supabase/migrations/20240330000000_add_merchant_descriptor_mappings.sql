@@ -0,0 +1,27 @@
+-- Merchant Descriptor Mappings Migration
+-- Cache of normalised bank descriptors resolved to merchant entities
+-- (api/services/merchant-canonicaliser.js), so a descriptor maps to the same
+-- merchant whichever bank it came from. Mappings resolved against an older
+-- version of the reference dataset are re-resolved on next use.
+
+CREATE TABLE IF NOT EXISTS merchant_descriptor_mappings (
+    descriptor_key TEXT PRIMARY KEY, -- Normalised descriptor
+    merchant_id TEXT NOT NULL,
+    entity_id TEXT, -- Reference dataset entity, NULL when unknown
+    resolution JSONB NOT NULL,
+    dataset_version TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_descriptor_mappings_merchant ON merchant_descriptor_mappings(merchant_id);
+
+CREATE TRIGGER update_merchant_descriptor_mappings_updated_at BEFORE UPDATE ON merchant_descriptor_mappings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE merchant_descriptor_mappings ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE merchant_descriptor_mappings IS 'Bank descriptors resolved to canonical merchants';
@@ -0,0 +1,31 @@
+-- Venue Dwells Migration
+-- Time users spend inside gambling venue geofences, from location reports
+-- of users who consented to location tracking (api/services/location-risk.js).
+-- Reported coordinates are not stored.
+
+CREATE TABLE IF NOT EXISTS venue_dwells (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    venue_id TEXT NOT NULL, -- VenueRegistry venue
+    venue_name TEXT,
+    venue_type TEXT CHECK (venue_type IN ('casino', 'pokies_venue', 'tab_outlet')),
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    warned_at TIMESTAMP WITH TIME ZONE,
+    guardians_alerted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_dwells_user ON venue_dwells(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_venue_dwells_open ON venue_dwells(user_id, venue_id) WHERE ended_at IS NULL;
+
+CREATE TRIGGER update_venue_dwells_updated_at BEFORE UPDATE ON venue_dwells
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE venue_dwells ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE venue_dwells IS 'Time spent near known gambling venues, for location-based risk';
@@ -0,0 +1,29 @@
+-- SMS Delivery Tracking Migration
+-- SMS are sent through a pluggable provider (api/services/sms-transports/):
+-- - communications_log records the provider, the delivery status it reports
+--   back and inbound replies (direction 'inbound', linked to the message
+--   they answer)
+-- - guardians who reply STOP are not sent SMS until they reply START
+
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'outbound' CHECK (direction IN ('outbound', 'inbound'));
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS sender TEXT; -- Inbound: the phone number that replied
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS in_reply_to UUID REFERENCES communications_log(id) ON DELETE SET NULL;
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS replied_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE communications_log ADD COLUMN IF NOT EXISTS error_code TEXT;
+
+-- Latest message sent to a number, to match replies
+CREATE INDEX IF NOT EXISTS idx_communications_log_recipient ON communications_log(recipient, sent_at DESC) WHERE direction = 'outbound';
+
+-- Providers retry inbound webhooks; each inbound message is handled once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_communications_log_inbound_message ON communications_log(provider, message_id) WHERE direction = 'inbound';
+
+ALTER TABLE guardians ADD COLUMN IF NOT EXISTS sms_opted_out_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone);
+CREATE INDEX IF NOT EXISTS idx_guardians_phone ON guardians(phone);
+
+-- Add comments
+COMMENT ON COLUMN communications_log.direction IS 'outbound messages we sent, inbound SMS replies';
+COMMENT ON COLUMN guardians.sms_opted_out_at IS 'Set when the guardian replied STOP; cleared by START';
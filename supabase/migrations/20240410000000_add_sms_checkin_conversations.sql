@@ -0,0 +1,39 @@
+-- SMS Check-in Conversations Migration
+-- Replies to check-in texts are stored as conversations (trigger_type
+-- 'sms_checkin') started by the check-in message, with each reply's mood
+-- score and classification on the message (api/services/sms-checkin.js).
+-- Also creates crisis_events, written by the voice services and by SMS
+-- check-in crisis escalations.
+
+ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_trigger_type_check;
+ALTER TABLE conversations ADD CONSTRAINT conversations_trigger_type_check
+    CHECK (trigger_type IN ('immediate', 'follow_up', 'pattern', 'streak_risk', 'encouragement', 'sms_checkin'));
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS channel TEXT DEFAULT 'app' CHECK (channel IN ('app', 'sms'));
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS source_message_id UUID REFERENCES communications_log(id) ON DELETE SET NULL;
+
+-- { moodScore, outcome, emotion, intent, crisisLevel } on SMS replies
+ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_source_message ON conversations(source_message_id);
+
+CREATE TABLE IF NOT EXISTS crisis_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    event_type TEXT, -- voice_emergency, sms_checkin_crisis, ...
+    message TEXT,
+    crisis_level INTEGER, -- 0-10 from ClaudeVoice.analyzeInput
+    emotion TEXT,
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crisis_events_user ON crisis_events(user_id, timestamp DESC);
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE crisis_events ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE crisis_events IS 'Crisis disclosures and emergency requests';
+COMMENT ON COLUMN conversations.source_message_id IS 'Check-in SMS that started the conversation';
+COMMENT ON COLUMN conversation_messages.metadata IS 'Mood score and classification of SMS check-in replies';
@@ -0,0 +1,34 @@
+-- Deferred Notifications Migration
+-- Optional user notifications held back by quiet hours, frequency caps or
+-- the daily digest (api/services/notification-preferences.js). The
+-- deferred-notifications job sends them when deliver_at passes; digest
+-- items are sent together as one DAILY_DIGEST per user and channel. A
+-- failed send is retried later (deliver_at moves on) up to five attempts.
+
+CREATE TABLE IF NOT EXISTS deferred_notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    template_id TEXT NOT NULL,
+    data JSONB DEFAULT '{}'::jsonb,
+    options JSONB DEFAULT '{}'::jsonb,
+    summary TEXT, -- Line used in the digest
+    reason TEXT NOT NULL CHECK (reason IN ('quiet_hours', 'frequency_cap', 'digest')),
+    deliver_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'released', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0, -- Failed sends so far
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deferred_notifications_due ON deferred_notifications(deliver_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_deferred_notifications_user ON deferred_notifications(user_id, status);
+
+-- Frequency caps count recent sends per user and template
+CREATE INDEX IF NOT EXISTS idx_communications_log_user_template ON communications_log(user_id, template_id, sent_at DESC);
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE deferred_notifications ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE deferred_notifications IS 'Notifications held back by quiet hours, frequency caps or the daily digest';
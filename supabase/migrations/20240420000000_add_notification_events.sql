@@ -0,0 +1,47 @@
+-- Notification Events Migration
+-- Events sent through NotificationRouter.notify (api/services/
+-- notification-router.js) and every delivery attempt made for them: the
+-- push, SMS and email fallbacks to the user and escalations to guardians.
+
+CREATE TABLE IF NOT EXISTS notification_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    critical BOOLEAN DEFAULT FALSE,
+    data JSONB DEFAULT '{}'::jsonb,
+    channels TEXT[] NOT NULL, -- Fallback order chosen at notify time
+    next_channel_index INTEGER DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'awaiting_ack' CHECK (status IN ('awaiting_ack', 'acknowledged', 'delivered', 'failed')),
+    next_attempt_at TIMESTAMP WITH TIME ZONE, -- When to fall back if not acknowledged
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    acknowledged_via TEXT, -- app, sms
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES notification_events(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('push', 'sms', 'email')),
+    recipient_type TEXT NOT NULL CHECK (recipient_type IN ('user', 'guardian')),
+    guardian_id UUID REFERENCES guardians(id) ON DELETE SET NULL,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'deferred', 'skipped', 'failed')),
+    reason TEXT,
+    message_id TEXT, -- Push ticket or provider message ID
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_events_user ON notification_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_events_due ON notification_events(next_attempt_at) WHERE status = 'awaiting_ack';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_event ON notification_deliveries(event_id, attempted_at);
+
+CREATE TRIGGER update_notification_events_updated_at BEFORE UPDATE ON notification_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security (no policies: service role only)
+ALTER TABLE notification_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE notification_events IS 'Notifications routed across push, SMS and email with fallback';
+COMMENT ON TABLE notification_deliveries IS 'Delivery chain of each notification event';
@@ -0,0 +1,10 @@
+-- Guardian Language Migration
+-- SMS, email, push and report templates are translated (api/locales/).
+-- Users pick their language in the mobile app (users.language); guardians
+-- get their own column and are sent the user's language until it is set.
+
+ALTER TABLE guardians ADD COLUMN IF NOT EXISTS language TEXT;
+
+-- Add comments
+COMMENT ON COLUMN users.language IS 'Language for SMS, email, push and reports (en, zh, vi, ar)';
+COMMENT ON COLUMN guardians.language IS 'Language for guardian SMS; NULL uses the user''s language';
@@ -0,0 +1,62 @@
+-- Import Analysis Migration
+-- Baseline analyses and risk profiles written by the import scripts
+-- (api/scripts/analyze-gambling-baseline.js, generate-risk-profile.js) and
+-- read by /api/import. Both belong to one user.
+
+CREATE TABLE IF NOT EXISTS baseline_analysis (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    start_date TIMESTAMP WITH TIME ZONE,
+    end_date TIMESTAMP WITH TIME ZONE,
+    total_lost DECIMAL(12, 2),
+    transaction_count INTEGER,
+    average_weekly DECIMAL(12, 2),
+    average_monthly DECIMAL(12, 2),
+    most_common_type TEXT,
+    primary_trigger TEXT,
+    has_escalation BOOLEAN,
+    binge_count INTEGER,
+    projected_yearly_savings DECIMAL(12, 2),
+    analysis_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS risk_profiles (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    risk_level TEXT,
+    risk_score DECIMAL(5, 2),
+    primary_type TEXT,
+    triggers JSONB,
+    commitment_period_days INTEGER,
+    daily_allowance DECIMAL(10, 2),
+    guardian_importance TEXT,
+    intervention_settings JSONB,
+    recommendations JSONB,
+    success_probability DECIMAL(5, 2),
+    profile_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tables created by hand before this migration have no owner column
+ALTER TABLE baseline_analysis ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE risk_profiles ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_baseline_analysis_user ON baseline_analysis(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_risk_profiles_user ON risk_profiles(user_id, created_at DESC);
+
+-- Row Level Security
+ALTER TABLE baseline_analysis ENABLE ROW LEVEL SECURITY;
+ALTER TABLE risk_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Baseline analyses readable by permitted users"
+    ON baseline_analysis FOR SELECT
+    USING (can_access_user(user_id));
+
+CREATE POLICY "Risk profiles readable by permitted users"
+    ON risk_profiles FOR SELECT
+    USING (can_access_user(user_id));
+
+-- Add comments
+COMMENT ON TABLE baseline_analysis IS 'Gambling baseline from imported history, per user';
+COMMENT ON TABLE risk_profiles IS 'Risk profile generated from the baseline, per user';
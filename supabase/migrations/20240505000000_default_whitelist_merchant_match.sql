@@ -0,0 +1,16 @@
+-- Whitelist Merchant Match Migration
+-- Entries match by normalised merchant by default ("Woolworths" matches
+-- "WOOLWORTHS 1234 SYDNEY"). Plain entries from before match types existed
+-- were given 'exact', which never matches bank descriptions with store
+-- numbers or suburbs; move them to 'merchant_id'.
+
+ALTER TABLE whitelist ALTER COLUMN match_type SET DEFAULT 'merchant_id';
+
+UPDATE whitelist
+SET match_type = 'merchant_id'
+WHERE match_type = 'exact'
+  AND pattern IS NULL
+  AND merchant_id IS NULL;
+
+-- Add comments
+COMMENT ON COLUMN whitelist.match_type IS 'How pattern is compared with the payee: merchant_id (default), exact, prefix, contains or regex';
@@ -0,0 +1,30 @@
+-- Up Credentials Migration
+-- Each user's Up webhook secret and personal access token. Webhook events
+-- are routed to a user by users.up_webhook_id; the signature is then checked
+-- with that user's secret and the transaction fetched with that user's token.
+-- Both are encrypted by the API (EncryptionService, ENCRYPTION_KEY) before
+-- they are stored.
+
+CREATE TABLE IF NOT EXISTS up_credentials (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    webhook_id TEXT UNIQUE,
+    webhook_secret_encrypted TEXT,
+    access_token_encrypted TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add updated_at trigger
+CREATE TRIGGER update_up_credentials_updated_at
+    BEFORE UPDATE ON up_credentials
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS (no policies: credentials are only read and written by the API
+-- with the service role, never by the app or by guardians)
+ALTER TABLE up_credentials ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE up_credentials IS 'Per-user Up webhook secret and access token (service role only)';
+COMMENT ON COLUMN up_credentials.webhook_secret_encrypted IS 'Encrypted secretKey Up returned when the webhook was created; verifies event signatures';
+COMMENT ON COLUMN up_credentials.access_token_encrypted IS 'Encrypted Up personal access token used to fetch transaction details for webhook events';
@@ -0,0 +1,11 @@
+-- Model Artifact Storage Migration
+-- Trained model versions are uploaded to this bucket when registered
+-- (api/services/model-registry.js) so every API host can load them, not just
+-- the one that trained them. Private: only the service role reads or writes.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('model-artifacts', 'model-artifacts', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Add comments
+COMMENT ON COLUMN model_versions.artifact_path IS 'Relative to api/data/models; trained versions are also stored at model-artifacts/<model_name>/<artifact_path>';
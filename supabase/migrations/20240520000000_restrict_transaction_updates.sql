@@ -0,0 +1,16 @@
+-- Restrict Transaction Updates Migration
+-- The "Transactions updated by owner" policy lets users update their own
+-- transactions so the app can record the intervention (voice memo). RLS
+-- picks rows, not columns, so without this a monitored user could also
+-- rewrite is_whitelisted, verdict, alert_severity or whitelist_match with
+-- their own token. App roles may now update only the intervention columns;
+-- classification columns are written by the API with the service role.
+
+REVOKE UPDATE ON transactions FROM anon, authenticated;
+
+GRANT UPDATE (voice_memo_url, voice_memo_transcript, intervention_completed)
+    ON transactions TO authenticated;
+
+-- Add comments
+COMMENT ON POLICY "Transactions updated by owner" ON transactions IS
+    'Owner records the intervention; only voice_memo_url, voice_memo_transcript and intervention_completed are granted';